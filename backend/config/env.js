@@ -44,6 +44,46 @@ const QWEN_API_KEY = process.env.QWEN_API_KEY;
 // Support both uppercase and lowercase key names for convenience
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || process.env.google_api;
 const GEMINI_FLASH_MODEL = process.env.GEMINI_FLASH_MODEL || process.env.gemini_flash_model;
+// Self-hosted OpenAI-compatible server (llama.cpp, vLLM, Ollama); the key is optional
+const LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL || '';
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY;
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL;
+// Offline LLM modes: live (default) | mock | record | replay
+const LLM_MODES = ['live', 'mock', 'record', 'replay'];
+const LLM_MODE = LLM_MODES.includes(process.env.LLM_MODE) ? process.env.LLM_MODE : 'live';
+const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.resolve(__dirname, '..', 'fixtures', 'llm');
+const LLM_MOCK_SCRIPT = process.env.LLM_MOCK_SCRIPT || '';
+const LLM_MOCK_CHUNK_DELAY_MS = parseNumber(process.env.LLM_MOCK_CHUNK_DELAY_MS, 30);
+// Optional override for the model/provider registry (defaults to config/models.json)
+const MODEL_REGISTRY_PATH = process.env.MODEL_REGISTRY_PATH || '';
+// Server-side tool calling in /api/v1/chat (memory, calculate, read_file)
+const CHAT_TOOLS_ENABLED = parseBool(process.env.CHAT_TOOLS_ENABLED, true);
+// Also offer the run_code tool. Snippets run on this host without isolation (JavaScript in node's vm,
+// Python as a child process with the server's environment), so only enable it on a sandboxed host
+const CHAT_TOOLS_RUN_CODE_ENABLED = parseBool(process.env.CHAT_TOOLS_RUN_CODE_ENABLED, false);
+const CHAT_MAX_TOOL_STEPS = parseNumber(process.env.CHAT_MAX_TOOL_STEPS, 4);
+// Comma-separated modules (relative to backend/) that customize the chat pipeline (see services/chat)
+const CHAT_PIPELINE_PLUGINS = process.env.CHAT_PIPELINE_PLUGINS || '';
+// Buffer streamed replies so a dropped client can resume them (see services/chat/streamBuffer.js)
+const CHAT_STREAM_RESUME_ENABLED = parseBool(process.env.CHAT_STREAM_RESUME_ENABLED, true);
+const CHAT_STREAM_BUFFER_TTL_SECONDS = parseNumber(process.env.CHAT_STREAM_BUFFER_TTL_SECONDS, 5 * 60);
+// WebSocket chat transport on /api/v1/chat/ws (see services/chat/wsServer.js)
+const CHAT_WS_ENABLED = parseBool(process.env.CHAT_WS_ENABLED, true);
+// Title new conversations with the utility model after their first exchange (see services/conversationTitles.js)
+const CHAT_AUTO_TITLE_ENABLED = parseBool(process.env.CHAT_AUTO_TITLE_ENABLED, true);
+// Refresh a conversation's stored summary once this many message rows are not yet in it; 0 only refreshes
+// when history overflows the context window (see services/conversationSummary.js)
+const CHAT_SUMMARY_EVERY_MESSAGES = parseNumber(process.env.CHAT_SUMMARY_EVERY_MESSAGES, 10);
+// Largest export file accepted by POST /conversations/import, in MB (see routes/conversationTransfer.js)
+const CONVERSATION_IMPORT_MAX_MB = parseNumber(process.env.CONVERSATION_IMPORT_MAX_MB, 20);
+// Opt-in cache of model replies for identical prompts (see services/responseCache.js)
+const RESPONSE_CACHE_ENABLED = parseBool(process.env.RESPONSE_CACHE_ENABLED, false);
+const RESPONSE_CACHE_TTL_SECONDS = parseNumber(process.env.RESPONSE_CACHE_TTL_SECONDS, 6 * 60 * 60);
+// global: share hits across users; user: only reuse a user's own replies
+const RESPONSE_CACHE_SCOPE = process.env.RESPONSE_CACHE_SCOPE === 'user' ? 'user' : 'global';
+// full: bill like a live reply; base: only the model's base cost; free: no charge
+const RESPONSE_CACHE_BILLING = ['full', 'base', 'free'].includes(process.env.RESPONSE_CACHE_BILLING) ? process.env.RESPONSE_CACHE_BILLING : 'base';
+const RESPONSE_CACHE_EXCLUDE_MODELS = process.env.RESPONSE_CACHE_EXCLUDE_MODELS || '';
 
 const JWT_SECRET = process.env.JWT_SECRET || '';
 const REDIS_URL = process.env.REDIS_URL || '';
@@ -64,8 +104,11 @@ function validateEnv() {
     if (missing.length > 0) {
       throw new Error(`Missing required env vars in production: ${missing.join(', ')}`);
     }
-    if (!OPENAI_API_KEY && !TOGETHER_API_KEY && !QWEN_API_KEY && !GOOGLE_API_KEY) {
-      throw new Error('At least one AI provider key must be set (OPENAI_API_KEY, TOGETHER_API_KEY, QWEN_API_KEY, or GOOGLE_API_KEY)');
+    if (!OPENAI_API_KEY && !TOGETHER_API_KEY && !QWEN_API_KEY && !GOOGLE_API_KEY && !LOCAL_LLM_BASE_URL) {
+      throw new Error('At least one AI provider must be configured (OPENAI_API_KEY, TOGETHER_API_KEY, QWEN_API_KEY, GOOGLE_API_KEY, or LOCAL_LLM_BASE_URL)');
+    }
+    if (LLM_MODE === 'mock' || LLM_MODE === 'replay') {
+      throw new Error(`LLM_MODE=${LLM_MODE} is for development and tests only`);
     }
     if (!CORS_ORIGINS) {
       throw new Error('CORS_ORIGINS must be set in production to a comma-separated allowlist');
@@ -93,6 +136,29 @@ module.exports = {
   QWEN_API_KEY,
   GOOGLE_API_KEY,
   GEMINI_FLASH_MODEL,
+  LOCAL_LLM_BASE_URL,
+  LOCAL_LLM_API_KEY,
+  LOCAL_LLM_MODEL,
+  LLM_MODE,
+  LLM_FIXTURES_DIR,
+  LLM_MOCK_SCRIPT,
+  LLM_MOCK_CHUNK_DELAY_MS,
+  MODEL_REGISTRY_PATH,
+  CHAT_TOOLS_ENABLED,
+  CHAT_TOOLS_RUN_CODE_ENABLED,
+  CHAT_MAX_TOOL_STEPS,
+  CHAT_PIPELINE_PLUGINS,
+  CHAT_STREAM_RESUME_ENABLED,
+  CHAT_STREAM_BUFFER_TTL_SECONDS,
+  CHAT_WS_ENABLED,
+  CHAT_AUTO_TITLE_ENABLED,
+  CHAT_SUMMARY_EVERY_MESSAGES,
+  CONVERSATION_IMPORT_MAX_MB,
+  RESPONSE_CACHE_ENABLED,
+  RESPONSE_CACHE_TTL_SECONDS,
+  RESPONSE_CACHE_SCOPE,
+  RESPONSE_CACHE_BILLING,
+  RESPONSE_CACHE_EXCLUDE_MODELS,
   JWT_SECRET,
   REDIS_URL,
   GOOGLE_CLIENT_ID,
@@ -5,6 +5,7 @@ const ExtractJwt = require('passport-jwt').ExtractJwt;
 const User = require('../models/User');
 const ModelTokenBalance = require('../models/ModelTokenBalance');
 const logger = require('../utils/logger');
+const modelRegistry = require('../services/modelRegistry');
 
 /**
  * Google OAuth Strategy Configuration
@@ -62,7 +63,7 @@ passport.use(new GoogleStrategy({
     // Initialize model-specific token balances for new user
     await ModelTokenBalance.create({
       userId: newUser.id,
-      modelId: 'gpt-4.1-nano',
+      modelId: modelRegistry.getDefaultModelId(),
       balance: 100 // Default tokens for new users
     });
 
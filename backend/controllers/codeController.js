@@ -3,6 +3,8 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
+const SUPPORTED_LANGUAGES = ['javascript', 'python'];
+
 /**
  * Execute code in a specific language
  */
@@ -13,30 +15,43 @@ exports.executeCode = async (req, res) => {
         return res.status(400).json({ error: 'No code provided' });
     }
 
-
-
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+        return res.status(400).json({
+            error: `Language '${language}' is not supported for local execution yet. Try 'javascript' or 'python'.`
+        });
+    }
 
     try {
-        switch (language) {
-            case 'javascript':
-                return executeJavaScript(code, res);
-            case 'python':
-                return executePython(code, res);
-            default:
-                return res.status(400).json({
-                    error: `Language '${language}' is not supported for local execution yet. Try 'javascript' or 'python'.`
-                });
-        }
+        const result = await runCode(language, code);
+        return res.json(result);
     } catch (error) {
         console.error('Code execution error:', error);
-        return res.status(500).json({ error: 'Internal server error during code execution' });
+        return res.status(500).json({ error: error.message || 'Internal server error during code execution' });
     }
 };
 
+/**
+ * Run code and resolve with { stdout, stderr, message[, exitCode | error] }.
+ * Shared by the HTTP endpoint and the chat `run_code` tool.
+ */
+function runCode(language, code) {
+    switch (language) {
+        case 'javascript':
+            return Promise.resolve(executeJavaScript(code));
+        case 'python':
+            return executePython(code);
+        default:
+            return Promise.reject(new Error(`Language '${language}' is not supported for local execution yet. Try 'javascript' or 'python'.`));
+    }
+}
+
+exports.runCode = runCode;
+exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+
 /**
  * Execute JavaScript using Node.js vm module
  */
-function executeJavaScript(code, res) {
+function executeJavaScript(code) {
     const sandbox = {
         console: {
             log: (...args) => {
@@ -60,65 +75,70 @@ function executeJavaScript(code, res) {
         // Timeout of 5 seconds to prevent infinite loops
         script.runInContext(context, { timeout: 5000 });
 
-        res.json({
+        return {
             stdout: sandbox.logs.join('\n'),
             stderr: sandbox.errors.join('\n'),
             message: 'Execution successful'
-        });
+        };
     } catch (error) {
-        res.json({
+        return {
             stdout: sandbox.logs.join('\n'),
             stderr: (sandbox.errors.join('\n') + '\n' + error.message).trim(),
             message: 'Execution failed'
-        });
+        };
     }
 }
 
-/**
- * Execute Python using child_process
- */
 /**
  * Execute Python using child_process (Piped via stdin)
  */
-function executePython(code, res) {
-    // Use 'python' or 'python3' depending on system
-    const pythonCommand = process.platform === 'win32' ? 'python' : 'python3';
-
-    // Spawn without arguments to read from stdin
-    const pythonProcess = spawn(pythonCommand);
-
-    let stdout = '';
-    let stderr = '';
-
-    const timeout = setTimeout(() => {
-        pythonProcess.kill();
-        res.json({ error: 'Execution timed out (limit: 5s)' });
-    }, 5000);
+function executePython(code) {
+    return new Promise((resolve, reject) => {
+        // Use 'python' or 'python3' depending on system
+        const pythonCommand = process.platform === 'win32' ? 'python' : 'python3';
+
+        // Spawn without arguments to read from stdin
+        const pythonProcess = spawn(pythonCommand);
+
+        let stdout = '';
+        let stderr = '';
+        let settled = false;
+
+        const timeout = setTimeout(() => {
+            settled = true;
+            pythonProcess.kill();
+            resolve({ error: 'Execution timed out (limit: 5s)' });
+        }, 5000);
+
+        pythonProcess.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
 
-    pythonProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
-    });
+        pythonProcess.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
 
-    pythonProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-    });
+        pythonProcess.on('close', (code) => {
+            clearTimeout(timeout);
+            if (settled) return;
+            settled = true;
+            resolve({
+                stdout,
+                stderr,
+                exitCode: code,
+                message: code === 0 ? 'Execution successful' : 'Execution failed'
+            });
+        });
 
-    pythonProcess.on('close', (code) => {
-        clearTimeout(timeout);
-        res.json({
-            stdout,
-            stderr,
-            exitCode: code,
-            message: code === 0 ? 'Execution successful' : 'Execution failed'
+        pythonProcess.on('error', (err) => {
+            clearTimeout(timeout);
+            if (settled) return;
+            settled = true;
+            reject(new Error('Failed to start Python process. Is Python installed and in your PATH?'));
         });
-    });
 
-    pythonProcess.on('error', (err) => {
-        clearTimeout(timeout);
-        res.status(500).json({ error: 'Failed to start Python process. Is Python installed and in your PATH?' });
+        // Write code to stdin
+        pythonProcess.stdin.write(code);
+        pythonProcess.stdin.end();
     });
-
-    // Write code to stdin
-    pythonProcess.stdin.write(code);
-    pythonProcess.stdin.end();
 }
@@ -101,15 +101,14 @@ const createSampleData = async () => {
         id: '550e8400-e29b-41d4-a716-446655440005',
         conversationId: conversation.id,
         role: 'user',
-        content: 'Hello, how are you?',
-        user: 'Hello, how are you?'
+        content: 'Hello, how are you?'
       },
       {
         id: '550e8400-e29b-41d4-a716-446655440006',
         conversationId: conversation.id,
-        role: 'bot',
-        content: 'Hello! I am doing well, thank you for asking. How can I help you today?',
-        bot: 'Hello! I am doing well, thank you for asking. How can I help you today?'
+        parentId: '550e8400-e29b-41d4-a716-446655440005',
+        role: 'assistant',
+        content: 'Hello! I am doing well, thank you for asking. How can I help you today?'
       }
     ]);
 
@@ -15,13 +15,10 @@ const Memory = require('./models/Memory');
 const User = require('./models/User');
 const TokenUsage = require('./models/TokenUsage');
 const AdView = require('./models/AdView');
-const ModelTokenBalance = require('./models/ModelTokenBalance');
 const RefreshToken = require('./models/RefreshToken');
 const Payment = require('./models/Payment');
-const FileUpload = require('./models/FileUpload');
-const TogetherAI = require('together-ai');
 const rateLimit = require('express-rate-limit');
-const { body, param, query } = require('express-validator');
+const { body, header, param, query, matchedData } = require('express-validator');
 const validate = require('./middleware/validate');
 const cookieParser = require('cookie-parser');
 const compression = require('compression');
@@ -34,9 +31,7 @@ const cache = require('./utils/cache');
 const requestLogger = require('./middleware/requestLogger');
 const createLengthLimiter = require('./middleware/lengthLimiter');
 const auth = require('./middleware/auth');
-const { estimateTokenCount } = require('./utils/tokenizer');
 const { metricsMiddleware, metricsHandler } = require('./middleware/metrics');
-const FileType = require('file-type');
 const logger = require('./utils/logger');
 
 // Error handling middleware
@@ -88,95 +83,23 @@ const { setupAssociations } = require('./database/init-db');
 // XSS Sanitization middleware
 const sanitizeInput = require('./middleware/xssSanitizer');
 
-// --- Model Configuration ---
-const MODEL_CONFIG = {
-  'gpt-4.1': {
-    id: 'gpt-4.1',
-    name: 'GPT-4.1',
-    description: 'Smartest model for complex tasks',
-    baseTokenCost: 200, // Average tokens per message
-    available: true // Will work when you get GPT API
-  },
-  'gpt-4.1-mini': {
-    id: 'gpt-4.1-mini',
-    name: 'GPT-4.1 Mini',
-    description: 'Affordable model balancing speed and intelligence',
-    baseTokenCost: 100, // Average tokens per message
-    available: true // Will work when you get GPT API
-  },
-  'gpt-4.1-nano': {
-    id: 'gpt-4.1-nano',
-    name: 'GPT-4.1 Nano',
-    description: 'Fastest for low-latency tasks (Powered by Mixtral)',
-    baseTokenCost: 20, // Average tokens per message
-    available: true // Uses TogetherAI Mixtral
-  }
-};
-
-// --- Ad Reward Configuration ---
-const AD_REWARDS = {
-  'gpt-4.1': 500,      // ~2-3 messages worth
-  'gpt-4.1-mini': 2000, // ~20 messages worth
-  'gpt-4.1-nano': 10000 // ~500 messages worth
-};
-
-const OpenAI = require('openai');
-const axios = require('axios');
-const { createStream, createCompletion, MODEL_API_MAPPING } = require('./services/llmProvider');
-
-// --- TogetherAI Setup ---
-const together = env.TOGETHER_API_KEY ? new TogetherAI({ apiKey: env.TOGETHER_API_KEY }) : null;
-
-// --- OpenAI Setup ---
-const openai = env.OPENAI_API_KEY ? new OpenAI({ apiKey: env.OPENAI_API_KEY }) : null;
-
-// --- Qwen Setup ---
-const qwenClient = axios.create({
-  baseURL: 'https://api.studio.nebius.ai/v1',
-  headers: Object.assign(
-    { 'Content-Type': 'application/json' },
-    env.QWEN_API_KEY ? { 'Authorization': `Bearer ${env.QWEN_API_KEY}` } : {}
-  )
-});
-
-
-
-// --- Model Token Balance Helper Functions ---
-async function getModelTokenBalance(userId, modelId) {
-  const balance = await ModelTokenBalance.findOne({
-    where: { userId, modelId }
-  });
-  return balance ? balance.balance : 0;
-}
-
-async function updateModelTokenBalance(userId, modelId, amount) {
-  const [balance, created] = await ModelTokenBalance.findOrCreate({
-    where: { userId, modelId },
-    defaults: { balance: 0 }
-  });
-
-  balance.balance += amount;
-  await balance.save();
-  return balance.balance;
-}
-
-async function getAllModelTokenBalances(userId) {
-  const balances = await ModelTokenBalance.findAll({
-    where: { userId }
-  });
-
-  const balanceMap = {};
-  balances.forEach(balance => {
-    balanceMap[balance.modelId] = balance.balance;
-  });
-
-  return balanceMap;
-}
-
-async function initializeUserTokenBalances(userId) {
-  // Initialize default tokens for new users (100 tokens for nano model)
-  await updateModelTokenBalance(userId, 'gpt-4.1-nano', 100);
-}
+// All model calls go through the provider layer (see services/llmProvider.js)
+const { getProviderHealth, hasOpenCircuit } = require('./services/llmProvider');
+// Models, upstream providers, token costs and ad rewards all come from config/models.json
+const modelRegistry = require('./services/modelRegistry');
+const { pickGenerationParams, validateGenerationParams } = require('./services/generationParams');
+const { updateModelTokenBalance, getAllModelTokenBalances } = require('./services/tokenBalance');
+// /api/v1/chat is a thin SSE adapter over the staged chat pipeline (see services/chat)
+const { chatPipeline, compareChat, choosePreferred, createSSESink, resumeSSE, activeRequests, attachChatWebSocket } = require('./services/chat');
+const compareModels = require('./services/chat/compare');
+const messageTree = require('./services/messageTree');
+const personas = require('./services/personas');
+const conversationTitles = require('./services/conversationTitles');
+const conversationEvents = require('./services/conversationEvents');
+const conversationSummary = require('./services/conversationSummary');
+const conversationCache = require('./services/conversationCache');
+const conversationOrganization = require('./services/conversationOrganization');
+const feedback = require('./services/feedback');
 
 // --- Multer Setup ---
 const uploadDir = path.join(__dirname, 'uploads');
@@ -277,8 +200,9 @@ app.use(helmet({
 }));
 */
 // Disable compression for SSE endpoints; enable globally otherwise
+const SSE_PATHS = /^\/api\/v1\/(chat|chat\/compare|chat\/stream\/[^/]+|conversations\/events|conversations\/[^/]+\/messages\/[^/]+\/(edit|regenerate))$/;
 app.use((req, res, next) => {
-  if (req.path === '/api/v1/chat') return next();
+  if (SSE_PATHS.test(req.path)) return next();
   return compression()(req, res, next);
 });
 // Limit raw JSON body size early
@@ -401,6 +325,21 @@ app.use('/api/v1/upload', uploadLimiter);
 // Memory routes (GET/POST)
 const memoryRoutes = require('./routes/memory');
 app.use('/api/v1/memory', memoryRoutes);
+const personaRoutes = require('./routes/personas');
+app.use('/api/v1/personas', personaRoutes);
+const searchRoutes = require('./routes/search');
+app.use('/api/v1/search', searchRoutes);
+// Export/import; mounted ahead of the /api/v1/conversations/:id routes below
+const conversationTransferRoutes = require('./routes/conversationTransfer');
+app.use('/api/v1/conversations/import', uploadLimiter);
+app.use('/api/v1/conversations', conversationTransferRoutes);
+// Folders, tags, pinning and archiving; also ahead of the /:id routes
+const conversationOrganizationRoutes = require('./routes/conversationOrganization');
+app.use('/api/v1/conversations', conversationOrganizationRoutes);
+const folderRoutes = require('./routes/folders');
+app.use('/api/v1/folders', folderRoutes);
+const shareRoutes = require('./routes/shares');
+app.use('/api/v1/shares', shareRoutes);
 // Expose 2FA management endpoints
 app.post('/api/v1/auth/2fa/setup', auth, authRoutes.setup2FA);
 app.post('/api/v1/auth/2fa/verify-setup', auth, authRoutes.verify2FASetup);
@@ -410,7 +349,9 @@ app.post('/api/v1/auth/2fa/verify-backup', authRoutes.verifyBackupCode);
 
 // Health check endpoint (ensure single definition)
 app.get('/api/v1/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  // Still 200 when an upstream is tripped: the API serves traffic through fallbacks
+  const providers = getProviderHealth().map(({ name, label, configured, state, retryAt }) => ({ name, label, configured, state, retryAt }));
+  res.json({ status: hasOpenCircuit() ? 'degraded' : 'ok', timestamp: new Date().toISOString(), providers });
 });
 
 
@@ -439,13 +380,54 @@ app.get('/api/v1/health', (req, res) => {
  *                 type: string
  *                 format: uuid
  *                 example: 123e4567-e89b-12d3-a456-426614174000
+ *               requestId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: >
+ *                   Client-chosen id for this request, used to stop it with /chat/{requestId}/stop
+ *                   and to resume its stream with /chat/stream/{requestId}
+ *               mode:
+ *                 type: string
+ *                 description: Built-in mode key (see /personas) for a new conversation; existing ones keep theirs
+ *               personaId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Persona for a new conversation, used instead of `mode`
  *               file:
  *                 type: string
  *                 format: binary
+ *               temperature:
+ *                 type: number
+ *               top_p:
+ *                 type: number
+ *               max_tokens:
+ *                 type: integer
+ *                 description: Upper bound depends on the model (see /api/v1/models limits)
+ *               stop:
+ *                 type: string
+ *                 description: A stop sequence, or a JSON array of up to 4
+ *               seed:
+ *                 type: integer
+ *               presence_penalty:
+ *                 type: number
+ *               frequency_penalty:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Chatbot response
  *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: >
+ *                 `data: {chunk}` text deltas, `data: {conversationId}` for new conversations and a final
+ *                 `data: [DONE]`. Every event except `ping` has an `id:` sequence number; when stream
+ *                 resume is enabled the stream starts with `stream` ({requestId}). Named events: `warning`, `error`, `ping`, `context_truncated` (history,
+ *                 memory or attachment text left out to fit the model's budget), `cache_hit` (reply served
+ *                 from the response cache), and when the model uses
+ *                 server-side tools, `tool_call` ({id, name, arguments, step}) followed by
+ *                 `tool_result` ({id, name, ok, output, durationMs}). `stopped` ({requestId, reason})
+ *                 when the request was stopped; the partial reply is saved and marked as stopped.
  *           application/json:
  *             schema:
  *               type: object
@@ -454,18 +436,18 @@ app.get('/api/v1/health', (req, res) => {
  *                   type: string
  *                 message:
  *                   type: object
+ *                   description: A reply given without the model (e.g. confirming a "remember ..." request)
  *                   properties:
- *                     user:
+ *                     id:
+ *                       type: string
+ *                     role:
  *                       type: string
- *                     bot:
+ *                       enum: [assistant]
+ *                     content:
  *                       type: string
  *                     timestamp:
  *                       type: string
  *                       format: date-time
- *                     thoughtProcess:
- *                       type: array
- *                       items:
- *                         type: string
  *       400:
  *         description: Validation error
  *         content:
@@ -484,6 +466,10 @@ app.get('/api/v1/health', (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       404:
+ *         description: Conversation not found
+ *       413:
+ *         description: Uploaded file too large for the user's plan
  *       429:
  *         description: Too many chat requests
  *         content:
@@ -503,512 +489,1007 @@ app.post(
   upload.single('file'),
   // Basic validation for message and optional query model
   body('message').isString().trim().isLength({ min: 1, max: 8000 }).withMessage('message must be 1-8000 chars'),
-  query('model').optional().isIn(['gpt-4.1-nano', 'gpt-4.1-mini', 'gpt-4.1']).withMessage('invalid model'),
+  body('requestId').optional().isUUID().withMessage('invalid requestId'),
+  body('mode').optional().isString().isLength({ max: 50 }).withMessage('invalid mode'),
+  body('personaId').optional().isUUID().withMessage('invalid personaId'),
+  query('model').optional().custom(value => modelRegistry.getModelIds().includes(value)).withMessage('invalid model'),
   validate,
   technicalQuestionDetector,
-  async (req, res, next) => {
-    let clientClosed = false;
-    res.on('close', () => { clientClosed = true; });
-    // --- Pre-computation and Validation ---
-    const { message, conversationId: initialConversationId } = req.body;
-    const userId = req.user.id;
-    const selectedModel = req.query.model || 'gpt-4.1-nano';
-    const modelConfig = MODEL_CONFIG[selectedModel];
-
-    if (!modelConfig) {
-      return res.status(400).json({ error: `Unsupported model: ${selectedModel}` });
-    }
-
-    // Basic request validation
-    if (typeof message !== 'string' || message.trim().length === 0) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-
-    logger.info({ action: 'chat_request', userId, conversationId: initialConversationId, message, model: selectedModel });
-
-    async function shouldRemember(message) {
-      // Heuristic explicit checks first
-      const lower = (message || '').toLowerCase();
-      const isExplicit = /\b(remember|save this|store this|keep this)\b/.test(lower);
-      if (isExplicit) return { should: true, isExplicit: true };
-
-      // If TogetherAI is unavailable, use lightweight heuristics
-      if (!together) {
-        const heuristics = [
-          /\bmy name is\b/i,
-          /\bcall me\b/i,
-          /\bemail\b[:\s]/i,
-          /\bphone\b[:\s]/i,
-          /\b(i|we)\s+prefer\b/i,
-          /\btimezone\b|\btime zone\b/i,
-          /\bbirthday\b|\bdob\b/i
-        ];
-        const should = heuristics.some(rx => rx.test(message));
-        return { should, isExplicit: false };
-      }
+  async (req, res) => {
+    await chatPipeline.run(chatInput(req), createSSESink(res));
+  });
 
-      // AI judgment call via TogetherAI
-      try {
-        const judgmentPrompt = `Does the following message contain a useful fact worth remembering for future conversations? Answer with only YES or NO. Message: "${message}"`;
-        const response = await withTimeout(
-          together.chat.completions.create({
-            model: "mistralai/Mixtral-8x7B-Instruct-v0.1",
-            messages: [{ role: "user", content: judgmentPrompt }],
-            max_tokens: 2,
-          }),
-          10000,
-          'The AI took too long to decide if this should be remembered.',
-          'Memory Judgment'
-        );
-        const decision = response.choices[0].message.content.replace(/<think>[\s\S]*?<\/think>/g, '').trim().toUpperCase();
-        return { should: decision === "YES", isExplicit: false };
-      } catch (error) {
-        logger.error({ action: 'llm_memory_judgment', userId: req.user.id, error: error.message, isTimeout: error.isTimeout });
-        // Fall back to heuristics on error
-        const heuristics = [
-          /\bmy name is\b/i,
-          /\bcall me\b/i,
-          /\bemail\b[:\s]/i,
-          /\bphone\b[:\s]/i,
-          /\b(i|we)\s+prefer\b/i,
-          /\btimezone\b|\btime zone\b/i,
-          /\bbirthday\b|\bdob\b/i
-        ];
-        const should = heuristics.some(rx => rx.test(message));
-        return { should, isExplicit: false };
-      }
-    };
+/**
+ * @swagger
+ * /api/v1/chat/compare:
+ *   post:
+ *     summary: Answer one prompt with two or three models side by side
+ *     description: >
+ *       Stores the user's message once, then streams every model's answer in parallel on its own
+ *       channel of one event stream. Each answer is billed to its model's balance and stored as a
+ *       sibling reply to the message; the first one to finish becomes the active branch until a
+ *       preferred answer is picked with /conversations/{id}/messages/{messageId}/prefer.
+ *       Events: `compare` {comparisonId, userMessageId, channels[{channel, model, label}]}, then per
+ *       channel `channel_start` {channel}, `channel_chunk` {channel, chunk}, `channel_event`
+ *       {channel, name, payload}, `channel_error` {channel, status, error} and `channel_end`
+ *       {channel, model, messageId, stopped, tokens}; `data: [DONE]` after the last channel ends.
+ *       Stopping the requestId stops every answer.
+ *     tags: [Chat]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               models:
+ *                 type: string
+ *                 description: 2-3 different model ids, comma-separated or as a JSON array
+ *               conversationId:
+ *                 type: string
+ *               requestId:
+ *                 type: string
+ *                 format: uuid
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Tagged event stream with every model's answer
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error (message, models or generation parameters)
+ *       403:
+ *         description: Insufficient tokens for the first model (later models report it on their channel)
+ *       404:
+ *         description: Conversation not found
+ */
+app.post(
+  '/api/v1/chat/compare',
+  chatLimiter,
+  auth,
+  upload.single('file'),
+  body('message').isString().trim().isLength({ min: 1, max: 8000 }).withMessage('message must be 1-8000 chars'),
+  body('models').custom(value => {
+    compareModels.checkModels(compareModels.parseModels(value));
+    return true;
+  }),
+  body('requestId').optional().isUUID().withMessage('invalid requestId'),
+  body('mode').optional().isString().isLength({ max: 50 }).withMessage('invalid mode'),
+  body('personaId').optional().isUUID().withMessage('invalid personaId'),
+  validate,
+  technicalQuestionDetector,
+  async (req, res) => {
+    await compareChat(chatInput(req, { models: req.body.models }), createSSESink(res));
+  });
 
-    // Simple memory categorization and expiration helpers
-    function categorizeMemory(text) {
-      const t = text.toLowerCase();
-      if (t.includes('email') || t.includes('@')) return 'contact';
-      if (t.includes('birthday') || t.includes('anniversary')) return 'personal';
-      if (t.includes('meeting') || t.includes('call') || t.includes('schedule')) return 'schedule';
-      if (t.includes('project') || t.includes('task') || t.includes('deadline')) return 'work';
-      return 'general';
-    }
-    function getExpiryForCategory(category) {
-      const now = new Date();
-      const map = {
-        schedule: 7,      // 7 days
-        work: 30,         // 30 days
-        personal: 180,    // 6 months
-        contact: 365,     // 1 year
-        general: 90       // 90 days
-      };
-      const days = map[category] ?? 90;
-      return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+/**
+ * @swagger
+ * /api/v1/chat/{requestId}/stop:
+ *   post:
+ *     summary: Stop a reply that is still being generated
+ *     description: >
+ *       Aborts the upstream model request for a chat, edit or regenerate call started with this
+ *       `requestId`. The open stream ends with a `stopped` event; the partial reply is saved, marked
+ *       as stopped, and only the tokens generated so far are billed.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Request stopped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requestId:
+ *                   type: string
+ *                 stopped:
+ *                   type: boolean
+ *       404:
+ *         description: No running request with this id (unknown, already finished, or another user's)
+ */
+app.post(
+  '/api/v1/chat/:requestId/stop',
+  auth,
+  param('requestId').isUUID().withMessage('invalid requestId'),
+  validate,
+  (req, res, next) => {
+    if (!activeRequests.stop(req.user.id, req.params.requestId, 'user')) {
+      const err = new Error('Request not found or already finished');
+      err.status = 404;
+      return next(err);
     }
+    logger.info({ action: 'chat_stop_requested', userId: req.user.id, requestId: req.params.requestId });
+    res.json({ requestId: req.params.requestId, stopped: true });
+  });
 
-    // Stream-safe filter to remove internal reasoning before sending to client
-    let _inHiddenReasoningBlock = false; // persists for this request scope
-    let _filterBuffer = '';
-    function filterReasoningDelta(input) {
-      if (!input) return '';
-      _filterBuffer += input;
-      let output = '';
-      while (true) {
-        if (_inHiddenReasoningBlock) {
-          const closeIdx = _filterBuffer.indexOf('</think>');
-          if (closeIdx === -1) {
-            // Still inside hidden block; consume all and wait for closing tag in future chunks
-            _filterBuffer = '';
-            return output;
-          }
-          // Drop everything up to and including closing tag
-          _filterBuffer = _filterBuffer.slice(closeIdx + 8);
-          _inHiddenReasoningBlock = false;
-          continue;
-        }
-        const openIdx = _filterBuffer.indexOf('<think>');
-        if (openIdx === -1) {
-          // No hidden block markers; emit all we have
-          output += _filterBuffer;
-          _filterBuffer = '';
-          break;
-        }
-        // Emit content before opening tag, then enter hidden block
-        output += _filterBuffer.slice(0, openIdx);
-        _filterBuffer = _filterBuffer.slice(openIdx + 7);
-        _inHiddenReasoningBlock = true;
-      }
-      // Additional conservative cleanup: remove typical reasoning lead-ins per line
-      const reasoningPatterns = [
-        /^\s*(okay,?\s*)?(let me|i (need|should|will|am going to|think)|thinking|step by step|first,|second,|third,|next,)/i,
-        /^\s*(here's my plan|i'll start by|i will start by|let's|lets|we (should|need to))/i
-      ];
-      output = output
-        .split(/(\r?\n)/)
-        .map(seg => {
-          if (seg === '\n' || seg === '\r\n') return seg;
-          const line = seg;
-          return reasoningPatterns.some(rx => rx.test(line)) ? '' : line;
-        })
-        .join('');
-      return output;
+/**
+ * @swagger
+ * /api/v1/chat/stream/{requestId}:
+ *   get:
+ *     summary: Resume a chat reply stream after a dropped connection
+ *     description: >
+ *       Replays the events of a chat, edit or regenerate stream after `Last-Event-ID`, then follows
+ *       the reply live until its `data: [DONE]`. Replies stay resumable for
+ *       CHAT_STREAM_BUFFER_TTL_SECONDS after their last event.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         required: true
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: Id of the last event received; omit to replay from the start
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: Same as the Last-Event-ID header, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: The remaining events, in the same format as /chat
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: No buffered stream with this id (unknown, expired, or another user's)
+ */
+app.get(
+  '/api/v1/chat/stream/:requestId',
+  auth,
+  param('requestId').isUUID().withMessage('invalid requestId'),
+  header('last-event-id').optional().isInt({ min: 0 }).withMessage('invalid Last-Event-ID'),
+  query('lastEventId').optional().isInt({ min: 0 }).withMessage('invalid lastEventId'),
+  validate,
+  async (req, res, next) => {
+    const lastEventId = Number(req.get('last-event-id') ?? req.query.lastEventId ?? 0);
+    const resumed = await resumeSSE(res, { userId: req.user.id, requestId: req.params.requestId, lastEventId });
+    if (!resumed) {
+      const err = new Error('Stream not found or expired');
+      err.status = 404;
+      return next(err);
     }
+    logger.info({ action: 'chat_stream_resumed', userId: req.user.id, requestId: req.params.requestId, lastEventId });
+  });
 
-    try {
-      const user = await User.findByPk(userId);
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      const isPaidAndActive = user.isPaidUser && user.paidUntil && new Date(user.paidUntil) > new Date();
-
-      if (!isPaidAndActive) {
-        const modelTokenBalance = await getModelTokenBalance(userId, selectedModel);
-        if (modelTokenBalance < modelConfig.baseTokenCost) {
-          return res.status(403).json({ error: `Insufficient ${modelConfig.name} tokens. This message costs at least ${modelConfig.baseTokenCost} tokens. You have ${modelTokenBalance} ${modelConfig.name} tokens.` });
-        }
-      }
+// Pipeline input shared by the chat route and the branching routes below
+function chatInput(req, extra = {}) {
+  return {
+    userId: req.user.id,
+    requestId: req.body.requestId,
+    message: req.body.message,
+    conversationId: req.body.conversationId,
+    model: req.query.model,
+    mode: req.body.mode,
+    personaId: req.body.personaId,
+    params: req.body,
+    file: req.file,
+    memoryHints: req.body.memoryHints,
+    systemMessage: req.body.systemMessage,
+    ...extra,
+  };
+}
 
-      // --- Conversation and Message Processing ---
-      let conversation = initialConversationId
-        ? await Conversation.findByPk(initialConversationId, { include: [{ model: Message, as: 'Messages' }] })
-        : await Conversation.create({ title: 'New Chat', lastMessageTimestamp: new Date(), userId });
-
-      // Note: do not write to response before SSE headers are set.
-
-      let userMessage = message;
-      let fileInfo = null;
-      // File validation and processing
-      if (req.file) {
-        try {
-          // Per-tier file size limits
-          const stats = fs.statSync(req.file.path);
-          const maxSizeBytes = (req.user?.isPaidUser ? 10 : 2) * 1024 * 1024; // 10MB vs 2MB
-          if (stats.size > maxSizeBytes) {
-            fs.unlinkSync(req.file.path);
-            return res.status(413).json({ error: 'Uploaded file too large for your plan.' });
-          }
-
-          // Magic number sniffing
-          const detected = await FileType.fromFile(req.file.path);
-          const ext = path.extname(req.file.originalname).toLowerCase();
-          const mimeOk = (
-            (['.png', '.jpg', '.jpeg', '.gif', '.bmp'].includes(ext) && detected && detected.mime.startsWith('image/')) ||
-            (ext === '.pdf' && detected && detected.mime === 'application/pdf') ||
-            (['.doc', '.docx'].includes(ext)) ||
-            (ext === '.txt' && (!detected || detected.mime.startsWith('text/')))
-          );
-          if (!mimeOk) {
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: 'File content type does not match allowed formats.' });
-          }
-          const fileProcessor = new FileProcessor();
-          const result = await fileProcessor.processFile(req.file.path, req.file.originalname);
-
-          if (result.success) {
-            const fileContent = result.content;
-            fileInfo = {
-              fileName: result.fileName,
-              fileType: result.fileType,
-              wordCount: result.wordCount,
-              summary: fileProcessor.getFileSummary(result.content)
-            };
-            userMessage += `\n\n📎 File attached: ${result.fileName} (${result.fileType}, ${result.wordCount} words)`;
-            if (!message.trim()) {
-              userMessage = `Please analyze this ${result.fileType} file: ${result.fileName}\n\nFile content:\n${fileContent}`;
-            } else {
-              userMessage += `\n\nFile content:\n${fileContent}`;
-            }
-          } else {
-            userMessage += `\n\n❌ Failed to process file: ${result.error}`;
-          }
-        } catch (error) {
-          userMessage += `\n\n❌ Error processing file: ${error.message}`;
-        }
-      }
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/messages/{messageId}/edit:
+ *   post:
+ *     summary: Edit a user message as a new branch and stream the reply
+ *     description: >
+ *       The edited text becomes a sibling of the original message (same parent, next branch index)
+ *       and the new branch becomes active. Accepts the same body, query and generation parameters
+ *       as /chat and answers with the same event stream.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the user message being edited
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reply stream (see /chat)
+ *       400:
+ *         description: Validation error, or the message is not a user message
+ *       404:
+ *         description: Conversation or message not found
+ * /api/v1/conversations/{id}/messages/{messageId}/regenerate:
+ *   post:
+ *     summary: Regenerate an assistant reply as a new branch and stream it
+ *     description: The new reply becomes a sibling of the original one and the new branch becomes active.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the assistant message being regenerated
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reply stream (see /chat)
+ *       400:
+ *         description: Validation error, or the message is not an assistant reply
+ *       404:
+ *         description: Conversation or message not found
+ */
+app.post(
+  '/api/v1/conversations/:id/messages/:messageId/edit',
+  chatLimiter,
+  auth,
+  upload.single('file'),
+  param('id').isUUID().withMessage('invalid id'),
+  param('messageId').isUUID().withMessage('invalid message id'),
+  body('message').isString().trim().isLength({ min: 1, max: 8000 }).withMessage('message must be 1-8000 chars'),
+  body('requestId').optional().isUUID().withMessage('invalid requestId'),
+  query('model').optional().custom(value => modelRegistry.getModelIds().includes(value)).withMessage('invalid model'),
+  validate,
+  technicalQuestionDetector,
+  async (req, res) => {
+    const input = chatInput(req, { conversationId: req.params.id, edit: { messageId: req.params.messageId } });
+    await chatPipeline.run(input, createSSESink(res));
+  });
 
-      // Save user message first
-      await Message.create({ user: userMessage, conversationId: conversation.id, timestamp: new Date().toISOString() });
-
-      const memoryCheck = await shouldRemember(userMessage);
-
-      let botResponseText = '';
-      if (memoryCheck.should) {
-        let memoryToSave;
-
-        if (memoryCheck.isExplicit) {
-          memoryToSave = userMessage.toLowerCase().includes("remember:")
-            ? userMessage.substring(userMessage.toLowerCase().indexOf("remember:") + 9).trim()
-            : userMessage.substring(userMessage.toLowerCase().indexOf("remember") + 8).trim();
-          botResponseText = `OK, I'll remember that: "${memoryToSave}"`;
-        } else {
-          memoryToSave = userMessage; // Save the whole message as it was deemed important
-          botResponseText = `(Noted: "${memoryToSave}")`; // A more subtle confirmation
-        }
-
-        if (memoryToSave) {
-          const category = categorizeMemory(memoryToSave);
-          const expiresAt = getExpiryForCategory(category);
-          await Memory.create({ text: memoryToSave, category, expiresAt, timestamp: new Date().toISOString(), userId: req.user.id });
-
-          // Invalidate memory cache
-          await cache.del(`memory:${req.user.id}`);
-
-          // Opportunistic cleanup of expired memories
-          try { await Memory.destroy({ where: { userId: req.user.id, expiresAt: { [Op.lt]: new Date() } } }); } catch (_) { }
-        }
-
-        // If it was an explicit command, we can just send the confirmation and stop.
-        if (memoryCheck.isExplicit) {
-          const botResponse = {
-            user: userMessage,
-            bot: botResponseText,
-            timestamp: new Date().toISOString()
-          };
-          const friendlyLabel = (m => {
-            if (m === 'gpt-4.1-nano') {
-              return process.env.GEMINI_FLASH_MODEL?.includes('2.5') ? 'Gemini 2.5 Flash' : 'Gemini Flash';
-            }
-            if (m === 'gpt-4.1-mini') return 'Qwen 30B A3B';
-            if (m === 'gpt-4.1') return 'Qwen 235B A22B';
-            return m;
-          })(selectedModel);
-          await Message.create({ ...botResponse, conversationId: conversation.id, modelUsed: selectedModel, metadata: { ...(botResponse.metadata || {}), modelLabel: friendlyLabel } });
-          await conversation.update({ lastMessageTimestamp: new Date() });
-          res.json({ conversationId: conversation.id, message: botResponse });
-          return;
-        }
-        // If it was an implicit "remember", we still need to get a proper chat response.
-        // We'll prepend a subtle confirmation before streaming begins.
-      }
+app.post(
+  '/api/v1/conversations/:id/messages/:messageId/regenerate',
+  chatLimiter,
+  auth,
+  upload.none(),
+  param('id').isUUID().withMessage('invalid id'),
+  param('messageId').isUUID().withMessage('invalid message id'),
+  body('requestId').optional().isUUID().withMessage('invalid requestId'),
+  query('model').optional().custom(value => modelRegistry.getModelIds().includes(value)).withMessage('invalid model'),
+  validate,
+  async (req, res) => {
+    const input = chatInput(req, { conversationId: req.params.id, message: undefined, regenerate: { messageId: req.params.messageId } });
+    await chatPipeline.run(input, createSSESink(res));
+  });
 
-      // --- AI Stream Generation ---
-      // Get conversation history
-      const conversationHistory = (conversation.Messages || []).flatMap(msg => [
-        ...(msg.user ? [{ role: "user", content: msg.user }] : []),
-        ...(msg.bot ? [{ role: "assistant", content: msg.bot }] : [])
-      ]);
+/**
+ * @swagger
+ * /api/v1/conversations:
+ *   get:
+ *     summary: Get the authenticated user's conversations
+ *     description: >
+ *       Pinned conversations first, then the most recent. Archived conversations are left out unless
+ *       `archived=true`, which lists only them. Without `page` and `limit` every match is returned
+ *       as an array.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: folderId
+ *         description: Only conversations filed directly in this folder, or `none` for unfiled ones
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         description: Comma-separated; only conversations carrying all of them
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: >
+ *           Conversations; with `page` and `limit`, an object of `items` and `pagination`
+ *           ({ page, limit, total, totalPages })
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   title:
+ *                     type: string
+ *                   lastMessageTimestamp:
+ *                     type: string
+ *                     format: date-time
+ *                   folderId:
+ *                     type: string
+ *                     nullable: true
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   pinned:
+ *                     type: boolean
+ *                   archived:
+ *                     type: boolean
+ *                   archivedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   preview:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Start of the conversation's stored summary
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+// Get conversations (metadata) with optional filters and pagination
+app.get('/api/v1/conversations', auth, [
+  query('folderId').optional().if(query('folderId').not().equals('none')).isUUID().withMessage('folderId must be a folder id or none'),
+  query('tags').optional().isString().isLength({ max: 500 }).withMessage('tags must be a comma-separated list'),
+  query('pinned').optional().isBoolean().withMessage('pinned must be a boolean').toBoolean(),
+  query('archived').optional().isBoolean().withMessage('archived must be a boolean').toBoolean(),
+], validate, async (req, res, next) => {
+  try {
+    const page = req.query.page ? Math.max(parseInt(req.query.page, 10) || 1, 1) : null;
+    const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100) : null;
+    // Express 5's req.query is read-only, so the converted values come from matchedData
+    const { folderId, tags, pinned, archived } = matchedData(req, { locations: ['query'] });
+    res.json(await conversationOrganization.listConversations(req.user.id, {
+      page: page && limit ? page : null,
+      limit: page && limit ? limit : null,
+      folderId,
+      tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+      pinned,
+      archived: !!archived,
+    }));
+  } catch (error) {
+    console.error('Error fetching conversations from database for user:', req.user.id, error);
+    next(error);
+  }
+});
 
-      // Parse optional memory hints coming from the frontend (stringified JSON array)
-      let memoryHints = [];
-      try {
-        if (req.body.memoryHints) {
-          const parsed = JSON.parse(req.body.memoryHints);
-          if (Array.isArray(parsed)) memoryHints = parsed.filter(Boolean).slice(0, 8);
-        }
-      } catch (_) { }
-
-      // Fallback: if no hints provided, pull a few recent memories from DB/cache
-      if (memoryHints.length === 0) {
-        try {
-          const cacheKey = `memory:${req.user.id}`;
-          const cached = await cache.get(cacheKey);
-          const mems = cached || (await Memory.findAll({
-            where: { userId: req.user.id, [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
-            order: [['timestamp', 'DESC']],
-            limit: 5,
-          }));
-          if (!cached) await cache.set(cacheKey, mems, 30);
-          memoryHints = (mems || []).map(m => m.text).filter(Boolean);
-        } catch (_) { }
-      }
+/**
+ * @swagger
+ * /api/v1/conversations/events:
+ *   get:
+ *     summary: Stream changes to your conversations made outside a chat request
+ *     description: >
+ *       A long-lived Server-Sent Events stream. `event: conversation_updated` carries
+ *       { conversationId, title } when a generated title arrives, or after a rename or a regenerated
+ *       title (so other open tabs follow along), and { conversationId, preview } when the stored
+ *       summary changes. `event: ping` keeps the connection alive.
+ *       Clients on the chat WebSocket get the same events as `conversation` frames.
+ *     tags: [Conversations]
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+app.get('/api/v1/conversations/events', auth, (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  const unsubscribe = conversationEvents.subscribe(req.user.id, ({ name, payload }) => {
+    res.write(`event: ${name}\ndata: ${JSON.stringify(payload)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(`event: ping\ndata: ${Date.now()}\n\n`), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
 
-      // Combine all system instructions into a single system message to avoid consecutive system messages
-      let systemContent = "You are a helpful AI assistant. Use any provided 'memory' context to personalize responses. Do not claim you lack memory; if the user shares a fact to remember, acknowledge it briefly (e.g., 'Noted') and use it later. Provide direct answers without exposing internal reasoning. Avoid prefacing with 'Answer:' or 'Response:'.";
+/**
+ * @swagger
+ * /api/v1/conversations/{id}:
+ *   get:
+ *     summary: Get a specific conversation by ID
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Conversation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 lastMessageTimestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 activeLeafId:
+ *                   type: string
+ *                 summary:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Stored summary (see POST /api/v1/conversations/{id}/summarize)
+ *                 summaryVersion:
+ *                   type: integer
+ *                 Messages:
+ *                   type: array
+ *                   description: Messages on the active branch, oldest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       parentId:
+ *                         type: string
+ *                         nullable: true
+ *                       role:
+ *                         type: string
+ *                         enum: [user, assistant, system]
+ *                       content:
+ *                         type: string
+ *                       tokenCount:
+ *                         type: integer
+ *                         description: Estimated tokens of the content
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       reactions:
+ *                         type: object
+ *                         description: Reaction counts on assistant replies ({ up, down, smile })
+ *                       userReaction:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Your own reaction to an assistant reply
+ *                       reported:
+ *                         type: boolean
+ *                         description: Whether you reported this assistant reply
+ *                       branch:
+ *                         type: object
+ *                         description: This message's position among its alternatives (edits or regenerations)
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                           count:
+ *                             type: integer
+ *                           siblingIds:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       404:
+ *         description: Conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ */
+// Get a specific conversation
+app.get('/api/v1/conversations/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    console.log('Fetching conversation:', req.params.id, 'for user:', req.user.id);
+    const conversation = await Conversation.findOne({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    console.log('Found conversation:', conversation ? conversation.id : 'null');
+    if (conversation) {
+      // Only the active branch; other branches are reachable through each message's `branch` siblings
+      const { messages } = await messageTree.loadActivePath(conversation);
+      console.log('Messages count:', messages.length);
+      res.json({ ...conversation.toJSON(), Messages: await feedback.withFeedback(messages, req.user.id) });
+    } else {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      next(err);
+    }
+  } catch (error) {
+    console.error('Sequelize error in /api/v1/conversations/:id:', error);
+    next(error);
+  }
+});
 
-      // Add memory context to the system message if available
-      if (memoryHints.length > 0) {
-        systemContent += `\n\nRelevant user memory (use respectfully and privately, do not ask the user to repeat):\n- ${memoryHints.join("\n- ")}`;
-      }
+// Delete a specific conversation
+app.delete('/api/v1/conversations/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    const deleted = await Conversation.destroy({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (deleted) {
+      await conversationCache.invalidate(req.user.id);
+      res.status(204).send(); // No Content
+    } else {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      next(err);
+    }
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Combine system message with conversation history and current message
-      const messagesForAI = [
-        { role: "system", content: systemContent },
-        ...conversationHistory,
-        { role: "user", content: userMessage }
-      ];
-
-      // Create provider stream BEFORE sending SSE headers so we can return JSON on error
-      let stream;
-      try {
-        stream = await createStream({ model: selectedModel, messages: messagesForAI });
-      } catch (err) {
-        logger.error({ action: 'chat_stream_error', userId, error: err?.message || String(err) });
-        return res.status(502).json({ error: `Upstream model error: ${err?.message || 'unknown'}` });
-      }
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/settings:
+ *   get:
+ *     summary: Get the saved generation defaults for a conversation
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Conversation settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 generationDefaults:
+ *                   type: object
+ *                   nullable: true
+ *       404:
+ *         description: Conversation not found
+ *   put:
+ *     summary: Save generation defaults (temperature, top_p, max_tokens, stop, seed, penalties) for a conversation
+ *     description: Values are clamped to the selected model's limits when a message is sent. Send null to clear.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               generationDefaults:
+ *                 type: object
+ *                 nullable: true
+ *                 example: { temperature: 0.2, max_tokens: 4096 }
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Conversation not found
+ */
+app.get('/api/v1/conversations/:id/settings', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({
+      attributes: ['id', 'generationDefaults'],
+      where: { id: req.params.id, userId: req.user.id },
+    });
+    if (!conversation) {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      return next(err);
+    }
+    res.json({ id: conversation.id, generationDefaults: conversation.generationDefaults || null });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // --- Prepare for Streaming (after stream created) ---
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      res.flushHeaders();
-
-      // After headers are set, send the new conversationId once
-      if (!initialConversationId) {
-        try {
-          res.write(`data: ${JSON.stringify({ conversationId: conversation.id })}\n\n`);
-        } catch (_) { }
-      }
+app.put('/api/v1/conversations/:id/settings', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  body('generationDefaults').custom(value => value === null || (typeof value === 'object' && !Array.isArray(value))).withMessage('generationDefaults must be an object or null'),
+], validate, async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!conversation) {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      return next(err);
+    }
 
-      const heartbeat = setInterval(() => {
-        if (!res.headersSent) {
-          res.flushHeaders?.();
-        }
-        if (!res.writableEnded) {
-          res.write('event: ping\n');
-          res.write(`data: ${Date.now()}\n\n`);
-        }
-      }, 15000);
-      try {
-        // If we saved memory implicitly earlier, send a subtle confirmation prefix
-        if (memoryCheck.should && !memoryCheck.isExplicit) {
-          const prefix = `(Noted) `;
-          botResponseText += prefix;
-          try { res.write(`data: ${JSON.stringify({ chunk: prefix })}\n\n`); } catch (_) { }
-        }
-        for await (const chunk of stream) {
-          if (clientClosed) break;
-          const content = chunk.choices[0]?.delta?.content || '';
-          if (content) {
-            const filtered = filterReasoningDelta(content);
-            if (filtered) {
-              botResponseText += filtered;
-              res.write(`data: ${JSON.stringify({ chunk: filtered })}\n\n`);
-            }
-          }
-        }
-      } catch (streamErr) {
-        logger.error({ action: 'chat_stream_error', userId, error: streamErr?.message || String(streamErr) });
-        if (!res.writableEnded) {
-          res.write('event: error\n');
-          res.write(`data: ${JSON.stringify({ error: streamErr?.message || 'Streaming failed' })}\n\n`);
-        }
-      }
-      clearInterval(heartbeat);
-
-      // --- Post-Streaming Database Operations ---
-      if (!isPaidAndActive) {
-        const totalTokens = estimateTokenCount(userMessage) + estimateTokenCount(botResponseText);
-        const tokensToDeduct = Math.max(totalTokens, modelConfig.baseTokenCost);
-        await updateModelTokenBalance(userId, selectedModel, -tokensToDeduct);
-        await TokenUsage.create({ userId, tokensUsed: tokensToDeduct, modelUsed: selectedModel });
-        await cache.del(`user-status:${userId}`);
-      }
+    let generationDefaults = null;
+    if (req.body.generationDefaults) {
+      // No model is known here, so check against the registry-wide limits
+      const { params, errors } = validateGenerationParams(
+        modelRegistry.getGenerationLimits(),
+        pickGenerationParams(req.body.generationDefaults),
+        'body.generationDefaults'
+      );
+      if (errors.length) return res.status(400).json({ error: 'Validation failed', details: errors });
+      generationDefaults = Object.keys(params).length ? params : null;
+    }
 
-      const friendlyLabel2 = (m => {
-        if (m === 'gpt-4.1-nano') {
-          return process.env.GEMINI_FLASH_MODEL?.includes('2.5') ? 'Gemini 2.5 Flash' : 'Gemini Flash';
-        }
-        if (m === 'gpt-4.1-mini') return 'Qwen 30B A3B';
-        if (m === 'gpt-4.1') return 'Qwen 235B A22B';
-        return m;
-      })(selectedModel);
-      await Message.create({ bot: botResponseText, conversationId: conversation.id, timestamp: new Date().toISOString(), fileInfo, modelUsed: selectedModel, metadata: { ...(fileInfo?.metadata || {}), modelLabel: friendlyLabel2 } });
-      await conversation.update({
-        lastMessageTimestamp: new Date(),
-        title: conversation.title === 'New Chat' ? userMessage.substring(0, 30) + '...' : conversation.title
-      });
-      await cache.del(`conversations:${userId}`);
-
-      logger.info({ action: 'chat_stream_success', userId, conversationId: conversation.id });
-      res.write('data: [DONE]\n\n');
-      res.end();
-
-    } catch (error) {
-      logger.error({ action: 'chat_stream_error', userId: req.user.id, error: error.message });
-      // If headers are not yet sent, send a proper error response
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'An internal error occurred.' });
-      } else {
-        // If stream has started, write an error chunk and end
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`); res.write('data: [DONE]\n\n');
-
-        res.end();
-      }
+    await conversation.update({ generationDefaults });
+    res.json({ id: conversation.id, generationDefaults });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/mode:
+ *   put:
+ *     summary: Switch a conversation to another built-in mode or persona
+ *     description: The new mode's system prompt and defaults apply from the next message on.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 description: Built-in mode key
+ *               personaId:
+ *                 type: string
+ *                 description: One of your personas or a shared one; takes precedence over `mode`
+ *     responses:
+ *       200:
+ *         description: Mode saved; returns the resolved mode
+ *       400:
+ *         description: Unknown mode
+ *       404:
+ *         description: Conversation or persona not found
+ */
+app.put('/api/v1/conversations/:id/mode', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  body('mode').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('invalid mode'),
+  body('personaId').optional({ nullable: true }).isUUID().withMessage('invalid personaId'),
+], validate, async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!conversation) {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      return next(err);
+    }
+    const mode = await personas.resolveMode(req.user.id, { mode: req.body.mode, personaId: req.body.personaId }, { strict: true });
+    await conversation.update({ mode: mode.personaId ? null : mode.key, personaId: mode.personaId });
+    await conversationCache.invalidate(req.user.id);
+    res.json({ id: conversation.id, mode });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/title:
+ *   put:
+ *     summary: Rename a conversation
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Title saved; returns { id, title }
+ *       404:
+ *         description: Conversation not found
+ */
+app.put('/api/v1/conversations/:id/title', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  body('title').isString().trim().isLength({ min: 1, max: 200 }).withMessage('title must be 1-200 chars'),
+], validate, async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!conversation) {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      return next(err);
+    }
+    const title = await conversationTitles.renameConversation(conversation, req.body.title);
+    res.json({ id: conversation.id, title });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/title/regenerate:
+ *   post:
+ *     summary: Generate a new title from the conversation's first exchange
+ *     description: Replaces the current title, including one set by a rename.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Title saved; returns { id, title }
+ *       400:
+ *         description: The conversation has no messages yet
+ *       404:
+ *         description: Conversation not found
+ *       502:
+ *         description: The model returned no usable title
+ */
+app.post('/api/v1/conversations/:id/title/regenerate', chatLimiter, auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!conversation) {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      return next(err);
+    }
+    const title = await conversationTitles.regenerateTitle(conversation);
+    res.json({ id: conversation.id, title });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/active-branch:
+ *   put:
+ *     summary: Switch the conversation to the branch containing a message
+ *     description: >
+ *       The active branch continues from the given message down its newest replies. Returns the
+ *       new active path in the same shape as GET /conversations/{id}.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Active branch switched
+ *       404:
+ *         description: Conversation or message not found
+ */
+app.put('/api/v1/conversations/:id/active-branch', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  body('messageId').isUUID().withMessage('invalid message id'),
+], validate, async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!conversation) {
+      const err = new Error('Conversation not found');
+      err.status = 404;
+      return next(err);
     }
-  });
+    const { index } = await messageTree.loadActivePath(conversation);
+    const message = index.byId.get(req.body.messageId);
+    if (!message) {
+      const err = new Error('Message not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    const leaf = messageTree.latestLeaf(index, message.id);
+    await messageTree.discardSummaryBefore(conversation, message.parentId ? index.byId.get(message.parentId) : null);
+    await conversation.update({ activeLeafId: leaf.id });
+    const messages = messageTree.describePath(index, messageTree.pathTo(index, leaf.id));
+    res.json({ ...conversation.toJSON(), Messages: await feedback.withFeedback(messages, req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * @swagger
- * /api/v1/conversations:
- *   get:
- *     summary: Get all conversations for the authenticated user
+ * /api/v1/conversations/{id}/messages/{messageId}/prefer:
+ *   post:
+ *     summary: Keep one answer of a model comparison
+ *     description: >
+ *       Makes the chosen answer's branch active, marks it `metadata.compare.preferred` and records
+ *       the choice as preference feedback. Picking again within the same comparison replaces the
+ *       earlier choice. Returns the new active path in the same shape as GET /conversations/{id}.
  *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the compared answer to keep
  *     responses:
  *       200:
- *         description: List of conversations
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                   title:
- *                     type: string
- *                   lastMessageTimestamp:
- *                     type: string
- *                     format: date-time
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *         description: Preference recorded
+ *       400:
+ *         description: The message is not part of a comparison
+ *       404:
+ *         description: Conversation or message not found
  */
-// Get conversations (metadata) with optional pagination
-app.get('/api/v1/conversations', auth, async (req, res, next) => {
-  console.log('Fetching conversations for user:', req.user.id);
+app.post('/api/v1/conversations/:id/messages/:messageId/prefer', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  param('messageId').isUUID().withMessage('invalid message id'),
+], validate, async (req, res, next) => {
   try {
-    const page = req.query.page ? Math.max(parseInt(req.query.page, 10) || 1, 1) : null;
-    const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100) : null;
-
-    const cacheKey = page && limit
-      ? `conversations:${req.user.id}:p=${page}:l=${limit}`
-      : `conversations:${req.user.id}`;
-
-    const cached = await cache.get(cacheKey);
-    if (cached) {
-      console.log('Returning cached conversations for user:', req.user.id);
-      return res.json(cached);
-    }
-    console.log('No cache found, querying database for conversations for user:', req.user.id);
-
-    if (page && limit) {
-      const offset = (page - 1) * limit;
-      const { rows, count } = await Conversation.findAndCountAll({
-        attributes: ['id', 'title', 'lastMessageTimestamp'],
-        where: { userId: req.user.id },
-        order: [['lastMessageTimestamp', 'DESC']],
-        limit,
-        offset,
-      });
-      const totalPages = Math.ceil(count / limit) || 1;
-      const payload = { items: rows, pagination: { page, limit, total: count, totalPages } };
-      await cache.set(cacheKey, payload, 30);
-      console.log(`Found and cached ${rows.length} conversations for user:`, req.user.id);
-      return res.json(payload);
-    }
+    const { conversation, messages } = await choosePreferred({ userId: req.user.id, conversationId: req.params.id, messageId: req.params.messageId });
+    await conversationCache.invalidate(req.user.id);
+    res.json({ ...conversation.toJSON(), Messages: await feedback.withFeedback(messages, req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const conversations = await Conversation.findAll({
-      attributes: ['id', 'title', 'lastMessageTimestamp'],
-      where: { userId: req.user.id },
-      order: [['lastMessageTimestamp', 'DESC']],
-    });
-    await cache.set(cacheKey, conversations, 30);
-    console.log(`Found and cached ${conversations.length} conversations for user:`, req.user.id);
-    return res.json(conversations);
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/messages/{messageId}/feedback:
+ *   put:
+ *     summary: React to an assistant reply
+ *     description: >
+ *       Sets your reaction (one per reply; null clears it) and, optionally, a free-text reason.
+ *       Returns the reply's reaction counts and your own feedback.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the assistant reply
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reaction:
+ *                 type: string
+ *                 enum: [up, down, smile]
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Feedback saved; returns { messageId, reactions, userReaction, reported }
+ *       400:
+ *         description: Invalid reaction, or the message is not an assistant reply
+ *       404:
+ *         description: Conversation or message not found
+ */
+app.put('/api/v1/conversations/:id/messages/:messageId/feedback', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  param('messageId').isUUID().withMessage('invalid message id'),
+  body('reaction').optional({ nullable: true }).isIn(feedback.REACTIONS).withMessage(`reaction must be one of ${feedback.REACTIONS.join(', ')}`),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('reason must be at most 1000 chars'),
+], validate, async (req, res, next) => {
+  try {
+    res.json(await feedback.setReaction({
+      userId: req.user.id,
+      conversationId: req.params.id,
+      messageId: req.params.messageId,
+      reaction: req.body.reaction,
+      reason: req.body.reason,
+    }));
   } catch (error) {
-    console.error('Error fetching conversations from database for user:', req.user.id, error);
     next(error);
   }
 });
 
 /**
  * @swagger
- * /api/v1/conversations/{id}:
- *   get:
- *     summary: Get a specific conversation by ID
+ * /api/v1/conversations/{id}/messages/{messageId}/report:
+ *   post:
+ *     summary: Report an assistant reply for review
  *     tags: [Conversations]
  *     parameters:
  *       - in: path
@@ -1017,80 +1498,103 @@ app.get('/api/v1/conversations', auth, async (req, res, next) => {
  *           type: string
  *         required: true
  *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the assistant reply
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [category]
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [harmful, incorrect, offensive, spam, other]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
  *     responses:
  *       200:
- *         description: Conversation details
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: string
- *                 title:
- *                   type: string
- *                 lastMessageTimestamp:
- *                   type: string
- *                   format: date-time
- *                 Messages:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       user:
- *                         type: string
- *                       bot:
- *                         type: string
- *                       timestamp:
- *                         type: string
- *                         format: date-time
+ *         description: Report saved; returns { messageId, reactions, userReaction, reported }
+ *       400:
+ *         description: Invalid category, or the message is not an assistant reply
  *       404:
- *         description: Conversation not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
+ *         description: Conversation or message not found
  */
-// Get a specific conversation
-app.get('/api/v1/conversations/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+app.post('/api/v1/conversations/:id/messages/:messageId/report', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  param('messageId').isUUID().withMessage('invalid message id'),
+  body('category').isIn(feedback.REPORT_CATEGORIES).withMessage(`category must be one of ${feedback.REPORT_CATEGORIES.join(', ')}`),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('reason must be at most 1000 chars'),
+], validate, async (req, res, next) => {
   try {
-    console.log('Fetching conversation:', req.params.id, 'for user:', req.user.id);
-    const conversation = await Conversation.findOne({
-      where: { id: req.params.id, userId: req.user.id },
-      include: [{ model: Message, as: 'Messages' }],
-      order: [[{ model: Message, as: 'Messages' }, 'timestamp', 'ASC']],
-    });
-    console.log('Found conversation:', conversation ? conversation.id : 'null');
-    console.log('Messages count:', conversation?.Messages?.length || 0);
-    if (conversation) {
-      res.json(conversation);
-    } else {
-      const err = new Error('Conversation not found');
-      err.status = 404;
-      next(err);
-    }
+    res.json(await feedback.reportReply({
+      userId: req.user.id,
+      conversationId: req.params.id,
+      messageId: req.params.messageId,
+      category: req.body.category,
+      reason: req.body.reason,
+    }));
   } catch (error) {
-    console.error('Sequelize error in /api/v1/conversations/:id:', error);
     next(error);
   }
 });
 
-// Delete a specific conversation
-app.delete('/api/v1/conversations/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/messages/{messageId}/pin:
+ *   put:
+ *     summary: Pin or unpin a message so it is always kept in the model's context
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pinned:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Pin state updated
+ *       404:
+ *         description: Conversation or message not found
+ */
+app.put('/api/v1/conversations/:id/messages/:messageId/pin', auth, [
+  param('id').isUUID().withMessage('invalid id'),
+  param('messageId').isUUID().withMessage('invalid message id'),
+  body('pinned').isBoolean().withMessage('pinned must be a boolean'),
+], validate, async (req, res, next) => {
   try {
-    const deleted = await Conversation.destroy({
-      where: { id: req.params.id, userId: req.user.id },
-    });
-    if (deleted) {
-      res.status(204).send(); // No Content
-    } else {
-      const err = new Error('Conversation not found');
+    const conversation = await Conversation.findOne({ attributes: ['id'], where: { id: req.params.id, userId: req.user.id } });
+    const message = conversation && await Message.findOne({ where: { id: req.params.messageId, conversationId: conversation.id } });
+    if (!message) {
+      const err = new Error(conversation ? 'Message not found' : 'Conversation not found');
       err.status = 404;
-      next(err);
+      return next(err);
     }
+    const pinned = req.body.pinned === true || req.body.pinned === 'true';
+    await message.update({ pinned });
+    res.json({ id: message.id, pinned });
   } catch (error) {
     next(error);
   }
@@ -1100,7 +1604,11 @@ app.delete('/api/v1/conversations/:id', auth, param('id').isUUID().withMessage('
  * @swagger
  * /api/v1/conversations/{id}/summarize:
  *   post:
- *     summary: Summarize a specific conversation by ID
+ *     summary: Bring the conversation's stored summary up to date and return it
+ *     description: >
+ *       The summary covers the active branch from its first message to `covered.toMessageId`.
+ *       Only messages after that range are summarized; `version` goes up with every change.
+ *       The same summary is the sidebar preview and compressed context for long chats.
  *     tags: [Conversations]
  *     parameters:
  *       - in: path
@@ -1119,57 +1627,37 @@ app.delete('/api/v1/conversations/:id', auth, param('id').isUUID().withMessage('
  *               properties:
  *                 summary:
  *                   type: string
+ *                 version:
+ *                   type: integer
+ *                 covered:
+ *                   type: object
+ *                   properties:
+ *                     fromMessageId:
+ *                       type: string
+ *                     toMessageId:
+ *                       type: string
+ *                     messages:
+ *                       type: integer
+ *                       description: Message rows covered by the summary
+ *                 cached:
+ *                   type: boolean
+ *                   description: True when the stored summary already covered every message
+ *       400:
+ *         description: The conversation has no messages yet
  *       404:
  *         description: Conversation not found
- *       500:
- *         description: Server error or AI summarization error
+ *       502:
+ *         description: The model returned no summary
  */
-app.post('/api/v1/conversations/:id/summarize', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+app.post('/api/v1/conversations/:id/summarize', chatLimiter, auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
   try {
-    const conversation = await Conversation.findOne({
-      where: { id: req.params.id, userId: req.user.id },
-      include: [{ model: Message, as: 'Messages' }],
-      order: [[{ model: Message, as: 'Messages' }, 'timestamp', 'ASC']],
-    });
-
+    const conversation = await Conversation.findOne({ where: { id: req.params.id, userId: req.user.id } });
     if (!conversation) {
       const err = new Error('Conversation not found');
       err.status = 404;
-      next(err);
-      return;
-    }
-
-    if (!conversation.Messages || conversation.Messages.length === 0) {
-      return res.json({ summary: 'This conversation has no messages to summarize.' });
+      return next(err);
     }
-
-    const messagesForAI = conversation.Messages.map(msg => {
-      if (msg.role === 'user') return `User: ${msg.content}`;
-      if (msg.role === 'bot') return `Bot: ${msg.content}`;
-      return ''; // Ignore system messages for summarization
-    }).filter(Boolean).join('\n');
-
-    const prompt = `Please summarize the following conversation:
-
-${messagesForAI}
-
-Summary:`;
-
-    const response = await withTimeout(
-      together.chat.completions.create({
-        model: "mistralai/Mixtral-8x7B-Instruct-v0.1", // Using Mixtral for summarization
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 500, // Limit summary length
-      }),
-      30000, // 30 seconds timeout
-      "AI summarization took too long to respond.",
-      'Conversation Summarization'
-    );
-
-    const summary = response.choices[0].message.content;
-
-    res.json({ summary });
-
+    res.json(await conversationSummary.summarize(conversation));
   } catch (error) {
     console.error('Error summarizing conversation:', error);
     next(error);
@@ -1393,7 +1881,7 @@ app.delete('/api/v1/memory/:id', auth, param('id').isUUID().withMessage('invalid
  *                   type: string
  */
 // Endpoint to record ad view and grant tokens
-app.post('/api/v1/ad-view', auth, body('preferredModel').optional().isIn(['gpt-4.1-nano', 'gpt-4.1-mini', 'gpt-4.1']).withMessage('invalid model'), validate, async (req, res, next) => {
+app.post('/api/v1/ad-view', auth, body('preferredModel').optional().custom(value => modelRegistry.getModelIds().includes(value)).withMessage('invalid model'), validate, async (req, res, next) => {
   try {
     const user = await User.findByPk(req.user.id);
     if (!user) {
@@ -1403,8 +1891,8 @@ app.post('/api/v1/ad-view', auth, body('preferredModel').optional().isIn(['gpt-4
     }
 
     // Get the user's preferred model for ad rewards (default to nano for most generous)
-    const preferredModel = req.body.preferredModel || 'gpt-4.1-nano';
-    const tokensToGrant = AD_REWARDS[preferredModel] || AD_REWARDS['gpt-4.1-nano'];
+    const preferredModel = req.body.preferredModel || modelRegistry.getDefaultModelId();
+    const tokensToGrant = modelRegistry.getModel(preferredModel).adReward;
 
     // Grant tokens to the specific model
     const newBalance = await updateModelTokenBalance(req.user.id, preferredModel, tokensToGrant);
@@ -1645,7 +2133,7 @@ app.get('/api/v1/usage', auth, async (req, res, next) => {
  *     tags: [System]
  *     responses:
  *       200:
- *         description: Server is healthy
+ *         description: Server is healthy ("degraded" when an upstream provider circuit is open)
  *         content:
  *           application/json:
  *             schema:
@@ -1653,9 +2141,27 @@ app.get('/api/v1/usage', auth, async (req, res, next) => {
  *               properties:
  *                 status:
  *                   type: string
+ *                   enum: [ok, degraded]
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       configured:
+ *                         type: boolean
+ *                       state:
+ *                         type: string
+ *                         enum: [closed, open, half_open]
+ *                       retryAt:
+ *                         type: string
+ *                         format: date-time
  */
 /**
  * @swagger
@@ -1702,19 +2208,33 @@ app.get('/api/v1/usage', auth, async (req, res, next) => {
  *                         type: string
  *                       description:
  *                         type: string
+ *                       label:
+ *                         type: string
+ *                       baseTokenCost:
+ *                         type: integer
+ *                       adReward:
+ *                         type: integer
  *                       available:
  *                         type: boolean
+ *                       limits:
+ *                         type: object
+ *                         description: Allowed range per generation parameter, e.g. { max_tokens: { min, max } }
+ *                 defaultModel:
+ *                   type: string
  */
 // Get available models
 app.get('/api/v1/models', (req, res) => {
-  const models = Object.values(MODEL_CONFIG).map(model => ({
+  const models = modelRegistry.listModels().map(model => ({
     id: model.id,
     name: model.name,
     description: model.description,
+    label: model.label,
     baseTokenCost: model.baseTokenCost,
-    available: model.available
+    adReward: model.adReward,
+    available: model.available,
+    limits: model.limits
   }));
-  res.json({ models });
+  res.json({ models, defaultModel: modelRegistry.getDefaultModelId() });
 });
 
 // Get supported file formats
@@ -1740,25 +2260,6 @@ app.use(errorHandler);
 
 // Token counting now handled by utils/tokenizer
 
-// Helper for LLM timeout
-function withTimeout(promise, ms, fallbackMsg, logLabel) {
-  let timeout;
-  const timeoutPromise = new Promise((_, reject) => {
-    timeout = setTimeout(() => {
-      const err = new Error(fallbackMsg);
-      err.isTimeout = true;
-      reject(err);
-    }, ms);
-  });
-  return Promise.race([
-    promise.finally(() => clearTimeout(timeout)),
-    timeoutPromise
-  ]).catch(err => {
-    console.error(`[LLM ${logLabel}]`, err);
-    throw err;
-  });
-}
-
 // Initialize database and start server
 const startServer = async () => {
   try {
@@ -1786,6 +2287,7 @@ const startServer = async () => {
       console.log(`📚 API Documentation available at http://localhost:${port}/api-docs`);
       console.log(`💾 Database: ${process.env.DB_NAME} on ${process.env.DB_HOST}`);
     });
+    if (env.CHAT_WS_ENABLED) attachChatWebSocket(server);
 
     // Graceful shutdown
     process.on('SIGINT', async () => {
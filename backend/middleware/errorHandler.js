@@ -25,8 +25,8 @@ const errorHandler = (err, req, res, next) => {
   };
 
   // Handle different types of errors
-  if (err.name === 'ValidationError') {
-    // Mongoose validation error
+  if (err.name === 'ValidationError' && err.errors) {
+    // Mongoose validation error (utils/errors ValidationError already carries its status)
     const message = Object.values(err.errors).map(val => val.message).join(', ');
     error = new AppError(message, 400);
   } else if (err.name === 'CastError') {
@@ -131,9 +131,10 @@ const createCorsOptions = () => {
       'Authorization',
       'x-auth-token',
       'X-API-Key',
-      'X-Request-ID'
+      'X-Request-ID',
+      'Last-Event-ID'
     ],
-    exposedHeaders: ['X-Request-ID', 'X-Total-Count'],
+    exposedHeaders: ['X-Request-ID', 'X-Total-Count', 'Content-Disposition'],
     maxAge: 86400 // 24 hours
   };
 };
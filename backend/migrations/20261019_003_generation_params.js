@@ -0,0 +1,10 @@
+module.exports = {
+  async up({ context: qi }) {
+    await qi.addColumn('Messages', 'generationParams', { type: 'JSON', allowNull: true });
+    await qi.addColumn('Conversations', 'generationDefaults', { type: 'JSON', allowNull: true });
+  },
+  async down({ context: qi }) {
+    await qi.removeColumn('Messages', 'generationParams');
+    await qi.removeColumn('Conversations', 'generationDefaults');
+  }
+};
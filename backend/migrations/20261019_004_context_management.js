@@ -0,0 +1,12 @@
+module.exports = {
+  async up({ context: qi }) {
+    await qi.addColumn('Messages', 'pinned', { type: 'BOOLEAN', allowNull: false, defaultValue: false });
+    await qi.addColumn('Conversations', 'summary', { type: 'TEXT', allowNull: true });
+    await qi.addColumn('Conversations', 'summarizedUntil', { type: 'DATE', allowNull: true });
+  },
+  async down({ context: qi }) {
+    await qi.removeColumn('Messages', 'pinned');
+    await qi.removeColumn('Conversations', 'summary');
+    await qi.removeColumn('Conversations', 'summarizedUntil');
+  }
+};
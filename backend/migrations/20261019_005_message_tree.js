@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: qi }) {
+    await qi.addColumn('Messages', 'parentId', { type: DataTypes.UUID, allowNull: true });
+    await qi.addColumn('Messages', 'branchIndex', { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 });
+    await qi.addColumn('Conversations', 'activeLeafId', { type: DataTypes.UUID, allowNull: true });
+    await qi.addIndex('Messages', ['conversationId', 'parentId']);
+
+    // Existing conversations become a single branch: each message hangs off the one before it
+    const [conversations] = await qi.sequelize.query('SELECT id FROM Conversations');
+    for (const { id } of conversations) {
+      const [messages] = await qi.sequelize.query(
+        'SELECT id FROM Messages WHERE conversationId = ? ORDER BY timestamp ASC, createdAt ASC',
+        { replacements: [id] }
+      );
+      for (let i = 1; i < messages.length; i++) {
+        await qi.sequelize.query('UPDATE Messages SET parentId = ? WHERE id = ?', { replacements: [messages[i - 1].id, messages[i].id] });
+      }
+      if (messages.length) {
+        await qi.sequelize.query('UPDATE Conversations SET activeLeafId = ? WHERE id = ?', { replacements: [messages[messages.length - 1].id, id] });
+      }
+    }
+  },
+  async down({ context: qi }) {
+    await qi.removeIndex('Messages', ['conversationId', 'parentId']);
+    await qi.removeColumn('Messages', 'parentId');
+    await qi.removeColumn('Messages', 'branchIndex');
+    await qi.removeColumn('Conversations', 'activeLeafId');
+  }
+};
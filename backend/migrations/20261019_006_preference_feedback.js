@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: qi }) {
+    await qi.createTable('PreferenceFeedbacks', {
+      id: { type: DataTypes.UUID, primaryKey: true, allowNull: false },
+      userId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+      conversationId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Conversations', key: 'id' }, onDelete: 'CASCADE' },
+      comparisonId: { type: DataTypes.UUID, allowNull: false },
+      userMessageId: { type: DataTypes.UUID, allowNull: false },
+      chosenMessageId: { type: DataTypes.UUID, allowNull: false },
+      chosenModel: { type: DataTypes.STRING(50), allowNull: false },
+      models: { type: DataTypes.JSON, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    });
+    await qi.addIndex('PreferenceFeedbacks', ['userId', 'comparisonId'], { unique: true });
+    await qi.addIndex('PreferenceFeedbacks', ['chosenModel']);
+  },
+  async down({ context: qi }) {
+    await qi.dropTable('PreferenceFeedbacks');
+  }
+};
@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: qi }) {
+    await qi.createTable('Personas', {
+      id: { type: DataTypes.UUID, primaryKey: true, allowNull: false },
+      userId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+      name: { type: DataTypes.STRING(60), allowNull: false },
+      description: { type: DataTypes.STRING(200), allowNull: true },
+      systemPrompt: { type: DataTypes.TEXT, allowNull: false },
+      defaultModel: { type: DataTypes.STRING(50), allowNull: true },
+      temperature: { type: DataTypes.FLOAT, allowNull: true },
+      starters: { type: DataTypes.JSON, allowNull: true },
+      isShared: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    });
+    await qi.addIndex('Personas', ['userId']);
+    await qi.addIndex('Personas', ['isShared']);
+    await qi.addColumn('Conversations', 'mode', { type: DataTypes.STRING(50), allowNull: true });
+    await qi.addColumn('Conversations', 'personaId', { type: DataTypes.UUID, allowNull: true });
+  },
+  async down({ context: qi }) {
+    await qi.removeColumn('Conversations', 'personaId');
+    await qi.removeColumn('Conversations', 'mode');
+    await qi.dropTable('Personas');
+  }
+};
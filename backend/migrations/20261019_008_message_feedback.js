@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: qi }) {
+    await qi.createTable('MessageFeedbacks', {
+      id: { type: DataTypes.UUID, primaryKey: true, allowNull: false },
+      userId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+      conversationId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Conversations', key: 'id' }, onDelete: 'CASCADE' },
+      messageId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Messages', key: 'id' }, onDelete: 'CASCADE' },
+      reaction: { type: DataTypes.ENUM('up', 'down', 'smile'), allowNull: true },
+      reason: { type: DataTypes.TEXT, allowNull: true },
+      reported: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      reportCategory: { type: DataTypes.ENUM('harmful', 'incorrect', 'offensive', 'spam', 'other'), allowNull: true },
+      reportedAt: { type: DataTypes.DATE, allowNull: true },
+      model: { type: DataTypes.STRING(50), allowNull: true },
+      mode: { type: DataTypes.STRING(50), allowNull: true },
+      provider: { type: DataTypes.STRING(50), allowNull: true },
+      providerFallback: { type: DataTypes.BOOLEAN, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    });
+    await qi.addIndex('MessageFeedbacks', ['userId', 'messageId'], { unique: true });
+    await qi.addIndex('MessageFeedbacks', ['messageId']);
+    await qi.addIndex('MessageFeedbacks', ['reported']);
+    await qi.addIndex('MessageFeedbacks', ['createdAt']);
+  },
+  async down({ context: qi }) {
+    await qi.dropTable('MessageFeedbacks');
+  }
+};
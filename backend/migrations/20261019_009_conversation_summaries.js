@@ -0,0 +1,14 @@
+module.exports = {
+  async up({ context: qi }) {
+    await qi.addColumn('Conversations', 'summaryVersion', { type: 'INTEGER', allowNull: false, defaultValue: 0 });
+    await qi.addColumn('Conversations', 'summaryFromMessageId', { type: 'UUID', allowNull: true });
+    await qi.addColumn('Conversations', 'summaryToMessageId', { type: 'UUID', allowNull: true });
+    await qi.addColumn('Conversations', 'summaryMessageCount', { type: 'INTEGER', allowNull: false, defaultValue: 0 });
+  },
+  async down({ context: qi }) {
+    await qi.removeColumn('Conversations', 'summaryVersion');
+    await qi.removeColumn('Conversations', 'summaryFromMessageId');
+    await qi.removeColumn('Conversations', 'summaryToMessageId');
+    await qi.removeColumn('Conversations', 'summaryMessageCount');
+  }
+};
@@ -0,0 +1,26 @@
+// FULLTEXT indexes behind GET /api/v1/search (see services/search.js); other dialects search with LIKE
+const INDEXES = [
+  ['Messages', ['user', 'bot'], 'messages_search_fulltext'],
+  ['Conversations', ['title', 'summary'], 'conversations_search_fulltext'],
+  ['Memories', ['text'], 'memories_search_fulltext'],
+  ['FileUploads', ['originalName', 'ocrText'], 'file_uploads_search_fulltext'],
+];
+
+function supportsFullText(qi) {
+  return ['mysql', 'mariadb'].includes(qi.sequelize.getDialect());
+}
+
+module.exports = {
+  async up({ context: qi }) {
+    if (!supportsFullText(qi)) return;
+    for (const [table, fields, name] of INDEXES) {
+      await qi.addIndex(table, fields, { type: 'FULLTEXT', name });
+    }
+  },
+  async down({ context: qi }) {
+    if (!supportsFullText(qi)) return;
+    for (const [table, , name] of INDEXES) {
+      await qi.removeIndex(table, name);
+    }
+  }
+};
@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: qi }) {
+    await qi.createTable('ConversationShares', {
+      id: { type: DataTypes.UUID, primaryKey: true, allowNull: false },
+      token: { type: DataTypes.STRING(64), allowNull: false },
+      userId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+      conversationId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Conversations', key: 'id' }, onDelete: 'CASCADE' },
+      messageId: { type: DataTypes.UUID, allowNull: false },
+      title: { type: DataTypes.STRING, allowNull: false },
+      messages: { type: DataTypes.JSON, allowNull: false },
+      messageCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      expiresAt: { type: DataTypes.DATE, allowNull: true },
+      revokedAt: { type: DataTypes.DATE, allowNull: true },
+      viewCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    });
+    await qi.addIndex('ConversationShares', ['token'], { unique: true });
+    await qi.addIndex('ConversationShares', ['userId']);
+    await qi.addIndex('ConversationShares', ['conversationId']);
+  },
+  async down({ context: qi }) {
+    await qi.dropTable('ConversationShares');
+  }
+};
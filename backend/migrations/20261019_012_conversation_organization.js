@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: qi }) {
+    await qi.createTable('ConversationFolders', {
+      id: { type: DataTypes.UUID, primaryKey: true, allowNull: false },
+      userId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+      parentId: { type: DataTypes.UUID, allowNull: true, references: { model: 'ConversationFolders', key: 'id' }, onDelete: 'CASCADE' },
+      name: { type: DataTypes.STRING(60), allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    });
+    await qi.addIndex('ConversationFolders', ['userId']);
+
+    await qi.createTable('ConversationTags', {
+      id: { type: DataTypes.UUID, primaryKey: true, allowNull: false },
+      userId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Users', key: 'id' }, onDelete: 'CASCADE' },
+      conversationId: { type: DataTypes.UUID, allowNull: false, references: { model: 'Conversations', key: 'id' }, onDelete: 'CASCADE' },
+      tag: { type: DataTypes.STRING(50), allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false },
+    });
+    await qi.addIndex('ConversationTags', ['conversationId', 'tag'], { unique: true });
+    await qi.addIndex('ConversationTags', ['userId', 'tag']);
+
+    await qi.addColumn('Conversations', 'folderId', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'ConversationFolders', key: 'id' },
+      onDelete: 'SET NULL',
+    });
+    await qi.addColumn('Conversations', 'pinned', { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false });
+    await qi.addColumn('Conversations', 'archivedAt', { type: DataTypes.DATE, allowNull: true });
+    await qi.addIndex('Conversations', ['userId', 'folderId']);
+    await qi.addIndex('Conversations', ['userId', 'archivedAt']);
+  },
+  async down({ context: qi }) {
+    await qi.removeIndex('Conversations', ['userId', 'archivedAt']);
+    await qi.removeIndex('Conversations', ['userId', 'folderId']);
+    await qi.removeColumn('Conversations', 'archivedAt');
+    await qi.removeColumn('Conversations', 'pinned');
+    await qi.removeColumn('Conversations', 'folderId');
+    await qi.dropTable('ConversationTags');
+    await qi.dropTable('ConversationFolders');
+  }
+};
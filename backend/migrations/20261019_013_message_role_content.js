@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const { estimateTokenCount } = require('../utils/tokenizer');
+
+// Messages store one turn per row as role/content (see models/Message.js). Rows written with the
+// legacy `user`/`bot` columns are backfilled, then those columns are dropped.
+//
+// Schema changes are checked against the current table first, so a run that stopped half-way can be
+// re-run; the row rewrites run in transactions (MySQL commits DDL implicitly, so they cannot share one).
+
+const BATCH_SIZE = 500;
+const FULLTEXT_INDEX = 'messages_search_fulltext';
+
+function supportsFullText(qi) {
+  return ['mysql', 'mariadb'].includes(qi.sequelize.getDialect());
+}
+
+// Put the search index on `fields` unless it is already there
+async function rebuildSearchIndex(qi, fields) {
+  if (!supportsFullText(qi)) return;
+  const index = (await qi.showIndex('Messages')).find(i => i.name === FULLTEXT_INDEX);
+  const current = index ? index.fields.map(f => f.attribute) : [];
+  if (current.join(',') === fields.join(',')) return;
+  if (index) await qi.removeIndex('Messages', FULLTEXT_INDEX);
+  await qi.addIndex('Messages', fields, { type: 'FULLTEXT', name: FULLTEXT_INDEX });
+}
+
+async function fillTokenCounts(qi, transaction) {
+  let lastId = '';
+  for (;;) {
+    const [rows] = await qi.sequelize.query(
+      'SELECT id, content FROM Messages WHERE id > ? AND tokenCount = 0 ORDER BY id LIMIT ?',
+      { replacements: [lastId, BATCH_SIZE], transaction }
+    );
+    if (!rows.length) break;
+    for (const row of rows) {
+      await qi.sequelize.query('UPDATE Messages SET tokenCount = ? WHERE id = ?', { replacements: [estimateTokenCount(row.content), row.id], transaction });
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+module.exports = {
+  async up({ context: qi }) {
+    const columns = await qi.describeTable('Messages');
+    // 'bot' stays valid until the rows using it are rewritten below
+    await qi.changeColumn('Messages', 'role', { type: DataTypes.ENUM('user', 'bot', 'assistant', 'system'), allowNull: true });
+    if (!columns.tokenCount) {
+      await qi.addColumn('Messages', 'tokenCount', { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 });
+    }
+
+    await qi.sequelize.transaction(async (transaction) => {
+      const query = (sql, replacements) => qi.sequelize.query(sql, { replacements, transaction });
+      // A legacy row holding both a turn and its reply becomes two: the turn takes the row's place in
+      // the tree and the reply (which keeps its id, feedback and children) hangs under it
+      if (columns.user && columns.bot) {
+        const [mixed] = await query('SELECT id FROM Messages WHERE `user` IS NOT NULL AND bot IS NOT NULL');
+        for (const { id } of mixed) {
+          const turnId = crypto.randomUUID();
+          await query(
+            'INSERT INTO Messages (id, conversationId, parentId, branchIndex, `user`, fileInfo, pinned, timestamp, createdAt, updatedAt) ' +
+            'SELECT ?, conversationId, parentId, branchIndex, `user`, fileInfo, pinned, timestamp, createdAt, updatedAt FROM Messages WHERE id = ?',
+            [turnId, id]
+          );
+          await query('UPDATE Messages SET parentId = ?, branchIndex = 0, `user` = NULL WHERE id = ?', [turnId, id]);
+        }
+      }
+
+      if (columns.bot) await query("UPDATE Messages SET role = 'assistant', content = bot WHERE bot IS NOT NULL");
+      if (columns.user) await query("UPDATE Messages SET role = 'user', content = `user` WHERE `user` IS NOT NULL");
+      await query("UPDATE Messages SET role = 'assistant' WHERE role = 'bot'");
+      // Rows without any text (none are written today) are kept as empty user turns
+      await query("UPDATE Messages SET role = 'user' WHERE role IS NULL");
+      await query("UPDATE Messages SET content = '' WHERE content IS NULL");
+    });
+
+    await qi.changeColumn('Messages', 'role', { type: DataTypes.ENUM('user', 'assistant', 'system'), allowNull: false });
+    await qi.changeColumn('Messages', 'content', { type: DataTypes.TEXT, allowNull: false });
+    await qi.sequelize.transaction(transaction => fillTokenCounts(qi, transaction));
+
+    await rebuildSearchIndex(qi, ['content']);
+    if (columns.user) await qi.removeColumn('Messages', 'user');
+    if (columns.bot) await qi.removeColumn('Messages', 'bot');
+  },
+  // Turns that up() split off a legacy row stay separate rows: by then they cannot be told apart from
+  // turns stored separately since, so rejoining them could merge unrelated rows. The old code shows
+  // them as a message with an empty reply followed by a reply without a message.
+  async down({ context: qi }) {
+    const columns = await qi.describeTable('Messages');
+    if (!columns.user) await qi.addColumn('Messages', 'user', { type: DataTypes.TEXT, allowNull: true });
+    if (!columns.bot) await qi.addColumn('Messages', 'bot', { type: DataTypes.TEXT, allowNull: true });
+    await qi.changeColumn('Messages', 'role', { type: DataTypes.ENUM('user', 'bot', 'assistant', 'system'), allowNull: true });
+    await qi.sequelize.transaction(async (transaction) => {
+      const query = (sql) => qi.sequelize.query(sql, { transaction });
+      await query("UPDATE Messages SET `user` = content WHERE role = 'user'");
+      await query("UPDATE Messages SET bot = content WHERE role = 'assistant'");
+      await query("UPDATE Messages SET role = 'bot' WHERE role = 'assistant'");
+    });
+    await qi.changeColumn('Messages', 'role', { type: DataTypes.ENUM('user', 'bot', 'system'), allowNull: true });
+    await qi.changeColumn('Messages', 'content', { type: DataTypes.TEXT, allowNull: true });
+    await rebuildSearchIndex(qi, ['user', 'bot']);
+    if (columns.tokenCount) await qi.removeColumn('Messages', 'tokenCount');
+  }
+};
@@ -17,6 +17,73 @@ const Conversation = sequelize.define('Conversation', {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  // User-saved generation parameter defaults applied to every message in this conversation
+  generationDefaults: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // Running summary of the active branch (see services/conversationSummary.js): the sidebar
+  // preview, and the stand-in for history that no longer fits the model's context window
+  summary: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  // Timestamp of the newest message folded into `summary`
+  summarizedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Bumped on every change to `summary`
+  summaryVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // First and last message rows of the active path covered by `summary`, and how many rows that is
+  summaryFromMessageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  summaryToMessageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  summaryMessageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // Last message of the branch currently shown and used as context
+  activeLeafId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  // Built-in mode key from config/modes.json (null: the default mode)
+  mode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  // User-defined persona, used instead of `mode` when set
+  personaId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  // ConversationFolder the conversation is filed in (null: unfiled)
+  folderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  // Pinned conversations are listed first
+  pinned: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Archived conversations are left out of the list unless asked for
+  archivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
 }, {
   indexes: [
     {
@@ -24,6 +91,12 @@ const Conversation = sequelize.define('Conversation', {
     },
     {
       fields: ['lastMessageTimestamp']
+    },
+    {
+      fields: ['userId', 'folderId']
+    },
+    {
+      fields: ['userId', 'archivedAt']
     }
   ]
 });
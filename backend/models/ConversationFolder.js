@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// A user's folder of conversations; folders nest one level (a folder with a parent has no children)
+const ConversationFolder = sequelize.define('ConversationFolder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  parentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  name: {
+    type: DataTypes.STRING(60),
+    allowNull: false,
+  },
+}, {
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+User.hasMany(ConversationFolder, { foreignKey: 'userId', onDelete: 'CASCADE' });
+ConversationFolder.belongsTo(User, { foreignKey: 'userId' });
+ConversationFolder.hasMany(ConversationFolder, { foreignKey: 'parentId', as: 'Subfolders', onDelete: 'CASCADE' });
+
+module.exports = ConversationFolder;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// A public, read-only snapshot of a conversation up to one message, reachable by its token
+const ConversationShare = sequelize.define('ConversationShare', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  // Unguessable id in the public URL
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Conversations',
+      key: 'id'
+    }
+  },
+  // Last message in the snapshot; not a foreign key, the snapshot outlives edits to the conversation
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  // [{ role, content, timestamp, model }] as shown on the public page; no attachments, memory or metadata
+  messages: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  messageCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  viewCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+}, {
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['conversationId']
+    }
+  ]
+});
+
+User.hasMany(ConversationShare, { foreignKey: 'userId', onDelete: 'CASCADE' });
+ConversationShare.belongsTo(User, { foreignKey: 'userId' });
+
+module.exports = ConversationShare;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One free-form tag on a conversation; userId is copied so a user's tags are listed without joins
+const ConversationTag = sequelize.define('ConversationTag', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Conversations',
+      key: 'id'
+    }
+  },
+  tag: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+}, {
+  indexes: [
+    {
+      unique: true,
+      fields: ['conversationId', 'tag']
+    },
+    {
+      fields: ['userId', 'tag']
+    }
+  ]
+});
+
+module.exports = ConversationTag;
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const Conversation = require('./Conversation');
+const { estimateTokenCount } = require('../utils/tokenizer');
 
 const Message = sequelize.define('Message', {
   id: {
@@ -16,21 +17,20 @@ const Message = sequelize.define('Message', {
       key: 'id'
     }
   },
+  // One turn per row: the user's message or one assistant reply
   role: {
-    type: DataTypes.ENUM('user', 'bot', 'system'),
-    allowNull: true, // Make optional for backward compatibility
+    type: DataTypes.ENUM('user', 'assistant', 'system'),
+    allowNull: false,
   },
   content: {
     type: DataTypes.TEXT,
-    allowNull: true, // Make optional for backward compatibility
-  },
-  user: {
-    type: DataTypes.TEXT,
-    allowNull: true, // Keep for backward compatibility
+    allowNull: false,
   },
-  bot: {
-    type: DataTypes.TEXT,
-    allowNull: true, // Keep for backward compatibility
+  // Estimated tokens of `content`, kept up to date by the hooks below
+  tokenCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
   },
   tokensUsed: {
     type: DataTypes.INTEGER,
@@ -52,6 +52,28 @@ const Message = sequelize.define('Message', {
     type: DataTypes.JSON,
     allowNull: true,
   },
+  // Effective temperature/top_p/max_tokens/... the reply was generated with
+  generationParams: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // Message tree: the turn this one follows (null for the first turn) and its position among
+  // siblings, i.e. alternative edits or regenerations of the same turn (see services/messageTree)
+  parentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+  },
+  branchIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  // Pinned messages survive context-window trimming
+  pinned: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
   timestamp: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -69,6 +91,9 @@ const Message = sequelize.define('Message', {
     {
       fields: ['conversationId']
     },
+    {
+      fields: ['conversationId', 'parentId']
+    },
     {
       fields: ['role']
     },
@@ -81,7 +106,15 @@ const Message = sequelize.define('Message', {
     {
       fields: ['createdAt']
     }
-  ]
+  ],
+  hooks: {
+    beforeSave(message) {
+      if (message.changed('content')) message.tokenCount = estimateTokenCount(message.content);
+    },
+    beforeBulkCreate(messages) {
+      for (const message of messages) message.tokenCount = estimateTokenCount(message.content);
+    },
+  },
 });
 
 module.exports = Message;
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const REACTIONS = ['up', 'down', 'smile'];
+const REPORT_CATEGORIES = ['harmful', 'incorrect', 'offensive', 'spam', 'other'];
+
+// A user's reaction to, comment on or report of one assistant reply (one record per user and reply)
+const MessageFeedback = sequelize.define('MessageFeedback', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Conversations',
+      key: 'id'
+    }
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Messages',
+      key: 'id'
+    }
+  },
+  reaction: {
+    type: DataTypes.ENUM(...REACTIONS),
+    allowNull: true,
+  },
+  // Free-text reason given with a reaction or a report
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  reported: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  reportCategory: {
+    type: DataTypes.ENUM(...REPORT_CATEGORIES),
+    allowNull: true,
+  },
+  reportedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  // Copied from the reply when the feedback is given, so analytics need no joins:
+  // the model that answered, the conversation's mode ('persona' for custom ones) and the provider that served it
+  model: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  mode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  providerFallback: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    comment: 'True when a fallback provider served the reply',
+  },
+}, {
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'messageId']
+    },
+    {
+      fields: ['messageId']
+    },
+    {
+      fields: ['reported']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+User.hasMany(MessageFeedback, { foreignKey: 'userId', onDelete: 'CASCADE' });
+MessageFeedback.belongsTo(User, { foreignKey: 'userId' });
+
+MessageFeedback.REACTIONS = REACTIONS;
+MessageFeedback.REPORT_CATEGORIES = REPORT_CATEGORIES;
+
+module.exports = MessageFeedback;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// A user-defined chat persona; built-in modes live in config/modes.json
+const Persona = sequelize.define('Persona', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(60),
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.STRING(200),
+    allowNull: true,
+  },
+  systemPrompt: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  // Model picked for new conversations with this persona (a registry id)
+  defaultModel: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  temperature: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
+  // Suggested first messages shown under the input
+  starters: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // Shared personas are listed for, and usable by, every user; only the owner can change them
+  isShared: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+}, {
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['isShared']
+    }
+  ]
+});
+
+User.hasMany(Persona, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Persona.belongsTo(User, { foreignKey: 'userId' });
+
+module.exports = Persona;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// Which answer a user kept from a multi-model comparison (one record per comparison)
+const PreferenceFeedback = sequelize.define('PreferenceFeedback', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Conversations',
+      key: 'id'
+    }
+  },
+  comparisonId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  // The user turn the compared answers reply to
+  userMessageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  chosenMessageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+  },
+  chosenModel: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  // Every model in the comparison, in channel order
+  models: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+}, {
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'comparisonId']
+    },
+    {
+      fields: ['chosenModel']
+    }
+  ]
+});
+
+User.hasMany(PreferenceFeedback, { foreignKey: 'userId', onDelete: 'CASCADE' });
+PreferenceFeedback.belongsTo(User, { foreignKey: 'userId' });
+
+module.exports = PreferenceFeedback;
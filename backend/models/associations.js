@@ -17,4 +17,38 @@ module.exports = { Conversation, Message, User };
 User.hasMany(EmailVerificationToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
 EmailVerificationToken.belongsTo(User, { foreignKey: 'userId' });
 
-module.exports.EmailVerificationToken = EmailVerificationToken;
\ No newline at end of file
+module.exports.EmailVerificationToken = EmailVerificationToken;
+
+// Conversation - PreferenceFeedback
+const PreferenceFeedback = require('./PreferenceFeedback');
+Conversation.hasMany(PreferenceFeedback, { foreignKey: 'conversationId', onDelete: 'CASCADE' });
+PreferenceFeedback.belongsTo(Conversation, { foreignKey: 'conversationId' });
+
+module.exports.PreferenceFeedback = PreferenceFeedback;
+
+// Conversation / Message - MessageFeedback
+const MessageFeedback = require('./MessageFeedback');
+Conversation.hasMany(MessageFeedback, { foreignKey: 'conversationId', onDelete: 'CASCADE' });
+MessageFeedback.belongsTo(Conversation, { foreignKey: 'conversationId' });
+Message.hasMany(MessageFeedback, { foreignKey: 'messageId', onDelete: 'CASCADE' });
+MessageFeedback.belongsTo(Message, { foreignKey: 'messageId' });
+
+module.exports.MessageFeedback = MessageFeedback;
+
+// Conversation - ConversationShare
+const ConversationShare = require('./ConversationShare');
+Conversation.hasMany(ConversationShare, { foreignKey: 'conversationId', onDelete: 'CASCADE' });
+ConversationShare.belongsTo(Conversation, { foreignKey: 'conversationId' });
+
+module.exports.ConversationShare = ConversationShare;
+
+// Conversation - ConversationFolder / ConversationTag
+const ConversationFolder = require('./ConversationFolder');
+const ConversationTag = require('./ConversationTag');
+ConversationFolder.hasMany(Conversation, { foreignKey: 'folderId', onDelete: 'SET NULL' });
+Conversation.belongsTo(ConversationFolder, { foreignKey: 'folderId', as: 'Folder' });
+Conversation.hasMany(ConversationTag, { foreignKey: 'conversationId', as: 'Tags', onDelete: 'CASCADE' });
+ConversationTag.belongsTo(Conversation, { foreignKey: 'conversationId' });
+
+module.exports.ConversationFolder = ConversationFolder;
+module.exports.ConversationTag = ConversationTag;
@@ -2,6 +2,7 @@ const { sequelize } = require('../config/database');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const { getProviderHealth, isCircuitOpen } = require('../services/llmProvider');
 
 class HealthCheck {
   constructor() {
@@ -97,6 +98,19 @@ class HealthCheck {
     }
   }
 
+  // Check upstream LLM provider circuit breakers
+  checkProviders() {
+    const providers = getProviderHealth();
+    const tripped = providers.filter(isCircuitOpen);
+    return {
+      status: tripped.length ? 'degraded' : 'healthy',
+      message: tripped.length
+        ? `Circuit open for: ${tripped.map(p => p.name).join(', ')}`
+        : 'All configured providers available',
+      details: providers
+    };
+  }
+
   // Get system uptime
   getUptime() {
     const uptime = Date.now() - this.startTime;
@@ -140,6 +154,7 @@ class HealthCheck {
         fileSystem: this.checkFileSystem(),
         memory: this.checkMemory(),
         disk: this.checkDisk(),
+        providers: this.checkProviders(),
         uptime: this.getUptime()
       },
       system: {
@@ -12,6 +12,8 @@ const AdView = require('../models/AdView');
 const Payment = require('../models/Payment');
 const FileUpload = require('../models/FileUpload');
 const Memory = require('../models/Memory');
+const { getProviderHealth, resetCircuit } = require('../services/llmProvider');
+const feedback = require('../services/feedback');
 
 // Middleware to check admin privileges
 const requireAdmin = async (req, res, next) => {
@@ -401,12 +403,27 @@ router.get('/analytics', [query('days').optional().isInt({ min: 1, max: 180 }).t
       ORDER BY total_tokens DESC
     `, { type: QueryTypes.SELECT });
 
+    // Stored messages and their token counts by role and model
+    const messageAnalytics = await sequelize.query(`
+      SELECT 
+        role,
+        modelUsed,
+        COUNT(*) as message_count,
+        SUM(tokenCount) as total_tokens,
+        AVG(tokenCount) as avg_tokens
+      FROM Messages 
+      WHERE createdAt >= DATE_SUB(NOW(), INTERVAL ${days} DAY)
+      GROUP BY role, modelUsed
+      ORDER BY total_tokens DESC
+    `, { type: QueryTypes.SELECT });
+
     res.json({
       status: 'success',
       data: {
         userAnalytics,
         revenueAnalytics,
-        modelAnalytics
+        modelAnalytics,
+        messageAnalytics
       }
     });
   } catch (error) {
@@ -418,6 +435,22 @@ router.get('/analytics', [query('days').optional().isInt({ min: 1, max: 180 }).t
   }
 });
 
+// Reply satisfaction by model, mode and provider (including fallbacks), comparison wins and recent reports
+router.get('/feedback', [query('days').optional().isInt({ min: 1, max: 180 }).toInt()], validate, async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await feedback.analytics({ days: req.query.days || 30 })
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch feedback analytics',
+      error: error.message
+    });
+  }
+});
+
 // =====================================================
 // SYSTEM ADMINISTRATION
 // =====================================================
@@ -474,6 +507,41 @@ router.get('/system/database', async (req, res) => {
   }
 });
 
+// =====================================================
+// LLM PROVIDERS
+// =====================================================
+
+// Get upstream provider configuration and circuit breaker state
+router.get('/providers', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: getProviderHealth()
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch provider status',
+      error: error.message
+    });
+  }
+});
+
+// Force a provider's circuit closed (e.g. after an upstream incident is resolved)
+router.post('/providers/:name/reset', [param('name').isString().trim().isLength({ min: 1, max: 50 })], validate, async (req, res) => {
+  if (!resetCircuit(req.params.name)) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Provider not found'
+    });
+  }
+  res.json({
+    status: 'success',
+    message: 'Provider circuit reset',
+    data: getProviderHealth().find(p => p.name === req.params.name)
+  });
+});
+
 // =====================================================
 // PAYMENT MANAGEMENT
 // =====================================================
@@ -11,6 +11,7 @@ const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const auth = require('../middleware/auth');
 const logger = require('../utils/logger');
+const modelRegistry = require('../services/modelRegistry');
 const EmailVerificationToken = require('../models/EmailVerificationToken');
 
 const router = express.Router();
@@ -117,7 +118,7 @@ router.post('/register', [
     // Initialize model-specific token balances for new user
     await ModelTokenBalance.create({
       userId: user.id,
-      modelId: 'gpt-4.1-nano',
+      modelId: modelRegistry.getDefaultModelId(),
       balance: 100 // Default tokens for new users
     });
 
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const organization = require('../services/conversationOrganization');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/conversations/tags:
+ *   get:
+ *     summary: List every tag you have used, with how many conversations carry it
+ *     tags: [Conversations]
+ *     responses:
+ *       200:
+ *         description: Tags by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   tag:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ */
+router.get('/tags', auth, async (req, res, next) => {
+  try {
+    res.json(await organization.listTags(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/conversations/bulk:
+ *   post:
+ *     summary: Move, archive, unarchive, pin, unpin or delete several conversations at once
+ *     tags: [Conversations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids, action]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               action:
+ *                 type: string
+ *                 enum: [move, archive, unarchive, pin, unpin, delete]
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Target folder of a move; null or omitted moves the conversations out of any folder
+ *     responses:
+ *       200:
+ *         description: Which conversations were changed; ids that are not yours are listed as notFound
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 action:
+ *                   type: string
+ *                 updated:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 notFound:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Target folder not found
+ */
+router.post(
+  '/bulk',
+  auth,
+  body('ids').isArray({ min: 1, max: organization.MAX_BULK }).withMessage(`ids must list 1-${organization.MAX_BULK} conversations`),
+  body('ids.*').isUUID().withMessage('ids must be UUIDs'),
+  body('action').isIn(organization.BULK_ACTIONS).withMessage(`action must be one of ${organization.BULK_ACTIONS.join(', ')}`),
+  body('folderId').optional({ nullable: true }).isUUID().withMessage('folderId must be a UUID'),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { ids, action, folderId } = req.body;
+      res.json(await organization.bulkUpdate(req.user.id, ids, { action, folderId: folderId || null }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/organization:
+ *   put:
+ *     summary: File, tag, pin or archive a conversation
+ *     description: Every field is optional; fields left out stay as they are.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null moves the conversation out of any folder
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Replaces the conversation's tags
+ *                 items:
+ *                   type: string
+ *                   maxLength: 50
+ *               pinned:
+ *                 type: boolean
+ *               archived:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The conversation's organization after the change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversationId:
+ *                   type: string
+ *                 folderId:
+ *                   type: string
+ *                   nullable: true
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 pinned:
+ *                   type: boolean
+ *                 archived:
+ *                   type: boolean
+ *                 archivedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Conversation or folder not found
+ */
+router.put(
+  '/:id/organization',
+  auth,
+  param('id').isUUID().withMessage('invalid id'),
+  body('folderId').optional({ nullable: true }).isUUID().withMessage('folderId must be a UUID'),
+  body('tags').optional().isArray({ max: organization.MAX_TAGS }).withMessage(`tags must be a list of at most ${organization.MAX_TAGS}`),
+  body('tags.*').isString().withMessage('tags must be strings'),
+  body('pinned').optional().isBoolean({ strict: true }).withMessage('pinned must be a boolean'),
+  body('archived').optional().isBoolean({ strict: true }).withMessage('archived must be a boolean'),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { folderId, tags, pinned, archived } = req.body;
+      res.json(await organization.organize(req.user.id, req.params.id, { folderId, tags, pinned, archived }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { param, query, matchedData } = require('express-validator');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const env = require('../config/env');
+const { ValidationError } = require('../utils/errors');
+const conversationExport = require('../services/conversationExport');
+const conversationImport = require('../services/conversationImport');
+
+const router = express.Router();
+
+// Export files are parsed in memory; nothing is written to uploads/
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: env.CONVERSATION_IMPORT_MAX_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.json') {
+      return cb(new ValidationError('Only .json export files can be imported', 'file'));
+    }
+    cb(null, true);
+  },
+});
+
+const formatRule = query('format').optional().isIn(conversationExport.FORMATS)
+  .withMessage(`format must be one of ${conversationExport.FORMATS.join(', ')}`);
+
+async function sendExport(req, res, next, conversationId) {
+  try {
+    const { format = 'markdown' } = matchedData(req, { locations: ['query'] });
+    const file = await conversationExport.exportConversations(req.user.id, { conversationId, format });
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.body);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /api/v1/conversations/export:
+ *   get:
+ *     summary: Download all your conversations
+ *     description: >
+ *       `json` is lossless (every branch, with ids, parents, fileInfo, modelUsed, metadata and
+ *       generation params) and can be imported again. `markdown` and `html` contain the active branch
+ *       of each conversation, newest conversation first.
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [markdown, json, html]
+ *           default: markdown
+ *     responses:
+ *       200:
+ *         description: The export file, as an attachment
+ *       400:
+ *         description: Validation error
+ */
+router.get('/export', auth, formatRule, validate, (req, res, next) => sendExport(req, res, next, null));
+
+/**
+ * @swagger
+ * /api/v1/conversations/{id}/export:
+ *   get:
+ *     summary: Download one conversation
+ *     tags: [Conversations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [markdown, json, html]
+ *           default: markdown
+ *     responses:
+ *       200:
+ *         description: The export file, as an attachment
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Conversation not found
+ */
+router.get(
+  '/:id/export',
+  auth,
+  param('id').isUUID().withMessage('id must be a UUID'),
+  formatRule,
+  validate,
+  (req, res, next) => sendExport(req, res, next, req.params.id)
+);
+
+/**
+ * @swagger
+ * /api/v1/conversations/import:
+ *   post:
+ *     summary: Import conversations from this app's JSON export or a ChatGPT conversations.json
+ *     description: >
+ *       Send the file as multipart field `file`, or the export itself as the JSON body (small
+ *       exports only). Every conversation is stored as a new one with new ids; branches are kept.
+ *       Conversations that cannot be read and messages without text (system, tool and image
+ *       messages) are skipped and listed in the response.
+ *     tags: [Conversations]
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                   enum: [chatbot, chatgpt]
+ *                 imported:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       messages:
+ *                         type: integer
+ *                       skippedMessages:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                             reason:
+ *                               type: string
+ *                 skipped:
+ *                   type: array
+ *                   description: Conversations that were not imported
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *       400:
+ *         description: Missing file, invalid JSON or unrecognized format
+ */
+router.post('/import', auth, importUpload.single('file'), async (req, res, next) => {
+  try {
+    let data = req.body;
+    if (req.file) {
+      try {
+        data = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (err) {
+        throw new ValidationError('The file is not valid JSON', 'file');
+      }
+    } else if (!data || typeof data !== 'object' || !Object.keys(data).length) {
+      throw new ValidationError('Upload an export file as "file" or send it as the JSON body', 'file');
+    }
+    const report = await conversationImport.importConversations(req.user.id, data);
+    res.status(201).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
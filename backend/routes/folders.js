@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const organization = require('../services/conversationOrganization');
+
+const router = express.Router();
+
+const nameRule = (required) => (required ? body('name') : body('name').optional())
+  .isString().trim().isLength({ min: 1, max: 60 }).withMessage('name must be 1-60 chars');
+// null is allowed and means top level; leaving parentId out keeps the current parent
+const parentRule = body('parentId').optional({ nullable: true }).isUUID().withMessage('parentId must be a UUID');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConversationFolder:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *           description: Top-level folder this one is nested in; folders nest one level deep
+ *         conversationCount:
+ *           type: integer
+ *           description: Unarchived conversations filed directly in the folder
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/folders:
+ *   get:
+ *     summary: List your conversation folders by name
+ *     tags: [Folders]
+ *     responses:
+ *       200:
+ *         description: Folders; subfolders carry their parent's id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ConversationFolder'
+ *   post:
+ *     summary: Create a folder, optionally inside a top-level folder
+ *     tags: [Folders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: The new folder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConversationFolder'
+ *       400:
+ *         description: Validation error, duplicate name or nesting too deep
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    res.json(await organization.listFolders(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', auth, nameRule(true), parentRule, validate, async (req, res, next) => {
+  try {
+    res.status(201).json(await organization.createFolder(req.user.id, { name: req.body.name, parentId: req.body.parentId || null }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/folders/{id}:
+ *   put:
+ *     summary: Rename a folder or move it (parentId null moves it to the top level)
+ *     tags: [Folders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The updated folder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConversationFolder'
+ *       400:
+ *         description: Validation error, duplicate name or nesting too deep
+ *       404:
+ *         description: Folder not found
+ *   delete:
+ *     summary: Delete a folder and its subfolders
+ *     description: The conversations in them are kept and move to the deleted folder's parent, or become unfiled.
+ *     tags: [Folders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: How many conversations were moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 moved:
+ *                   type: integer
+ *       404:
+ *         description: Folder not found
+ */
+router.put('/:id', auth, param('id').isUUID().withMessage('invalid id'), nameRule(false), parentRule, validate, async (req, res, next) => {
+  try {
+    res.json(await organization.updateFolder(req.user.id, req.params.id, { name: req.body.name, parentId: req.body.parentId }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    res.json(await organization.deleteFolder(req.user.id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const modelRegistry = require('../services/modelRegistry');
+const personas = require('../services/personas');
+
+const router = express.Router();
+
+const MAX_STARTERS = 6;
+const PERSONA_FIELDS = ['name', 'description', 'systemPrompt', 'defaultModel', 'temperature', 'starters', 'isShared'];
+
+// Persona body checks; on update every field is optional
+function personaRules({ partial }) {
+  const required = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    required('name').isString().trim().isLength({ min: 1, max: 60 }).withMessage('name must be 1-60 chars'),
+    body('description').optional({ nullable: true }).isString().trim().isLength({ max: 200 }).withMessage('description must be at most 200 chars'),
+    required('systemPrompt').isString().trim().isLength({ min: 1, max: 4000 }).withMessage('systemPrompt must be 1-4000 chars'),
+    body('defaultModel').optional({ nullable: true }).custom(value => modelRegistry.getModelIds().includes(value)).withMessage('invalid model'),
+    body('temperature').optional({ nullable: true }).custom(value => {
+      const { min = 0, max = 2 } = modelRegistry.getGenerationLimits().temperature || {};
+      return typeof value === 'number' && value >= min && value <= max;
+    }).withMessage('temperature must be a number within the models\' limits'),
+    body('starters').optional({ nullable: true }).custom(value => (
+      Array.isArray(value) && value.length <= MAX_STARTERS && value.every(s => typeof s === 'string' && s.trim() && s.length <= 200)
+    )).withMessage(`starters must be up to ${MAX_STARTERS} non-empty strings of at most 200 chars`),
+    body('isShared').optional().isBoolean().withMessage('isShared must be a boolean'),
+  ];
+}
+
+// Only persona fields, so a request cannot set the owner or id
+function pickFields(source) {
+  const fields = {};
+  for (const key of PERSONA_FIELDS) {
+    if (source[key] !== undefined) fields[key] = source[key];
+  }
+  if (fields.starters) fields.starters = fields.starters.map(s => s.trim());
+  return fields;
+}
+
+/**
+ * @swagger
+ * /api/v1/personas:
+ *   get:
+ *     summary: List the built-in modes, your personas and personas shared by other users
+ *     tags: [Personas]
+ *     responses:
+ *       200:
+ *         description: Modes and personas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 defaultMode:
+ *                   type: string
+ *                 modes:
+ *                   type: array
+ *                   description: Built-in modes (key, label, description, systemPrompt, defaultModel, temperature, starters)
+ *                   items:
+ *                     type: object
+ *                 personas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Persona'
+ *                 shared:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Persona'
+ *   post:
+ *     summary: Create a persona
+ *     tags: [Personas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PersonaInput'
+ *     responses:
+ *       201:
+ *         description: Persona created
+ *       400:
+ *         description: Validation error, or the persona limit is reached
+ *
+ * components:
+ *   schemas:
+ *     PersonaInput:
+ *       type: object
+ *       required: [name, systemPrompt]
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         systemPrompt:
+ *           type: string
+ *         defaultModel:
+ *           type: string
+ *           nullable: true
+ *         temperature:
+ *           type: number
+ *           nullable: true
+ *         starters:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isShared:
+ *           type: boolean
+ *           description: List the persona for every user (only you can change it)
+ *     Persona:
+ *       allOf:
+ *         - $ref: '#/components/schemas/PersonaInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             owned:
+ *               type: boolean
+ */
+router.get('/', auth, async (req, res, next) => {
+  try {
+    res.json(await personas.listForUser(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', auth, personaRules({ partial: false }), validate, async (req, res, next) => {
+  try {
+    res.status(201).json(await personas.createPersona(req.user.id, pickFields(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/personas/{id}:
+ *   get:
+ *     summary: Get one of your personas or a shared one
+ *     tags: [Personas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The persona
+ *       404:
+ *         description: Persona not found
+ *   put:
+ *     summary: Update one of your personas (send only the fields to change)
+ *     tags: [Personas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PersonaInput'
+ *     responses:
+ *       200:
+ *         description: Persona updated
+ *       403:
+ *         description: The persona is shared by another user
+ *       404:
+ *         description: Persona not found
+ *   delete:
+ *     summary: Delete one of your personas
+ *     description: Conversations that used it, including other users' if it was shared, go back to the default mode.
+ *     tags: [Personas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Persona deleted
+ *       403:
+ *         description: The persona is shared by another user
+ *       404:
+ *         description: Persona not found
+ */
+router.get('/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    const persona = await personas.findVisible(req.user.id, req.params.id);
+    if (!persona) {
+      const err = new Error('Persona not found');
+      err.status = 404;
+      return next(err);
+    }
+    res.json(personas.describePersona(persona, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id', auth, param('id').isUUID().withMessage('invalid id'), personaRules({ partial: true }), validate, async (req, res, next) => {
+  try {
+    res.json(await personas.updatePersona(req.user.id, req.params.id, pickFields(req.body)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    await personas.deletePersona(req.user.id, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
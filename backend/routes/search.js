@@ -0,0 +1,170 @@
+const express = require('express');
+const { query, matchedData } = require('express-validator');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const modelRegistry = require('../services/modelRegistry');
+const search = require('../services/search');
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+/**
+ * @swagger
+ * /api/v1/search:
+ *   get:
+ *     summary: Search your messages, conversation titles and summaries, memory and uploaded files
+ *     description: >
+ *       Words match as prefixes. Results from every source are ranked together by relevance, then
+ *       by date. Filters that do not apply to a source leave it out: `model`, `role` and
+ *       `hasAttachments` only search messages (and files, for `hasAttachments`), `mode` skips memory
+ *       and files. At most 500 results are paged through.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: types
+ *         description: Comma-separated sources (messages, conversations, memory, files); default all
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: model
+ *         description: Only replies from this model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         description: Only conversations in this built-in mode, or `persona` for any persona
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, assistant]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: hasAttachments
+ *         description: Only messages with a file attached, and uploaded files
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: One page of results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [message, conversation, memory, file]
+ *                       id:
+ *                         type: string
+ *                       conversationId:
+ *                         type: string
+ *                       conversationTitle:
+ *                         type: string
+ *                       messageId:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       model:
+ *                         type: string
+ *                       mode:
+ *                         type: string
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       score:
+ *                         type: number
+ *                       snippet:
+ *                         type: string
+ *                         description: HTML-escaped excerpt with the query words in <mark>
+ *                       anchor:
+ *                         type: string
+ *                         description: Element id of a message in the chat view (message results)
+ *                 counts:
+ *                   type: object
+ *                   description: Matches per source
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Validation error
+ */
+router.get(
+  '/',
+  auth,
+  query('q').isString().trim().isLength({ min: 1, max: 200 }).withMessage('q must be 1-200 chars'),
+  query('types').optional().custom(value => (
+    String(value).split(',').every(type => search.SOURCES.includes(type.trim()))
+  )).withMessage(`types must be a comma-separated list of ${search.SOURCES.join(', ')}`),
+  // Past messages may name models that are no longer offered
+  query('model').optional().custom(value => !!modelRegistry.getModel(value)).withMessage('invalid model'),
+  query('mode').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('invalid mode'),
+  query('role').optional().isIn(['user', 'assistant']).withMessage('role must be user or assistant'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be an ISO date').toDate(),
+  query('hasAttachments').optional().isBoolean().withMessage('hasAttachments must be a boolean').toBoolean(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be 1-${MAX_LIMIT}`).toInt(),
+  validate,
+  async (req, res, next) => {
+    try {
+      // Express 5's req.query is read-only, so the converted values come from matchedData
+      const { q, types, model, mode, role, from, to, hasAttachments, page = 1, limit = 20 } = matchedData(req, { locations: ['query'] });
+      res.json(await search.search({
+        userId: req.user.id,
+        query: q,
+        types: types ? types.split(',').map(type => type.trim()) : undefined,
+        filters: { model, mode, role, from, to, hasAttachments },
+        page,
+        limit,
+      }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,277 @@
+const express = require('express');
+const { body, param, query, matchedData } = require('express-validator');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const shares = require('../services/conversationShares');
+
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 365;
+
+const tokenRule = param('token').matches(/^[\w-]{20,64}$/).withMessage('invalid share token');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConversationShare:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         token:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: Public read-only page of the snapshot
+ *         conversationId:
+ *           type: string
+ *         messageId:
+ *           type: string
+ *           description: Last message in the snapshot
+ *         title:
+ *           type: string
+ *         messageCount:
+ *           type: integer
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *         viewCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/shares:
+ *   get:
+ *     summary: List your share links, newest first
+ *     tags: [Shares]
+ *     parameters:
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Share links, including revoked and expired ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ConversationShare'
+ *   post:
+ *     summary: Share a snapshot of a conversation up to one message
+ *     description: >
+ *       The snapshot follows the branch leading to `messageId` (default: the end of the active
+ *       branch) and does not change when the conversation does. It holds message text only:
+ *       attachment contents and file details, memory confirmations and message metadata are left out.
+ *     tags: [Shares]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [conversationId]
+ *             properties:
+ *               conversationId:
+ *                 type: string
+ *                 format: uuid
+ *               messageId:
+ *                 type: string
+ *                 format: uuid
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Omit for a link that works until revoked
+ *     responses:
+ *       201:
+ *         description: The new share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConversationShare'
+ *       400:
+ *         description: Validation error, or nothing to share yet
+ *       404:
+ *         description: Conversation or message not found
+ */
+router.get(
+  '/',
+  auth,
+  query('conversationId').optional().isUUID().withMessage('conversationId must be a UUID'),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { conversationId } = matchedData(req, { locations: ['query'] });
+      res.json(await shares.listShares(req.user.id, { conversationId }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/',
+  auth,
+  body('conversationId').isUUID().withMessage('conversationId must be a UUID'),
+  body('messageId').optional({ nullable: true }).isUUID().withMessage('messageId must be a UUID'),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`expiresInDays must be 1-${MAX_EXPIRY_DAYS}`).toInt(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { conversationId, messageId, expiresInDays } = req.body;
+      res.status(201).json(await shares.createShare(req.user.id, conversationId, { messageId, expiresInDays }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/shares/{id}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The public page stops working at once; the share stays listed as revoked.
+ *     tags: [Shares]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The revoked share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConversationShare'
+ *       404:
+ *         description: Share not found
+ */
+router.delete('/:id', auth, param('id').isUUID().withMessage('invalid id'), validate, async (req, res, next) => {
+  try {
+    res.json(await shares.revokeShare(req.user.id, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/shares/public/{token}:
+ *   get:
+ *     summary: Read a shared conversation (no sign-in needed)
+ *     tags: [Shares]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The snapshot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 title:
+ *                   type: string
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       role:
+ *                         type: string
+ *                         enum: [user, assistant]
+ *                       content:
+ *                         type: string
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       model:
+ *                         type: string
+ *                         description: Label of the model that wrote an assistant message
+ *                       attachmentOmitted:
+ *                         type: boolean
+ *                         description: The user attached a file, which is not part of the snapshot
+ *                 messageCount:
+ *                   type: integer
+ *                 sharedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       404:
+ *         description: Unknown, expired or revoked link
+ */
+router.get('/public/:token', tokenRule, validate, async (req, res, next) => {
+  try {
+    // Snapshots never change, but a revoked link must stop working at once
+    res.set('Cache-Control', 'no-store');
+    res.json(await shares.getPublicShare(req.params.token));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/shares/public/{token}/fork:
+ *   post:
+ *     summary: Continue a shared conversation as a new conversation of your own
+ *     tags: [Shares]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 messages:
+ *                   type: integer
+ *       404:
+ *         description: Unknown, expired or revoked link
+ */
+router.post('/public/:token/fork', auth, tokenRule, validate, async (req, res, next) => {
+  try {
+    res.status(201).json(await shares.forkShare(req.user.id, req.params.token));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Chat requests currently generating, so POST /api/v1/chat/:requestId/stop can abort them.
+ * Entries are keyed by user and request id: a user can only stop their own requests. A compare
+ * request runs one pipeline per model under the same id, so stopping it stops all of them.
+ * The registry lives in this process; behind a load balancer the stop call must reach the
+ * instance serving the stream (sticky sessions), otherwise it reports the request as unknown.
+ */
+const active = new Map();
+
+const keyOf = (userId, requestId) => `${userId}:${requestId}`;
+
+// Track a running request; returns a function that removes it again
+function register(userId, requestId, controller) {
+  const key = keyOf(userId, requestId);
+  if (!active.has(key)) active.set(key, new Set());
+  active.get(key).add(controller);
+  return () => {
+    const controllers = active.get(key);
+    if (!controllers) return;
+    controllers.delete(controller);
+    if (!controllers.size) active.delete(key);
+  };
+}
+
+// Abort a running request; false when it is unknown or has already finished
+function stop(userId, requestId, reason = 'user') {
+  const controllers = active.get(keyOf(userId, requestId));
+  if (!controllers) return false;
+  for (const controller of controllers) {
+    if (!controller.signal.aborted) controller.abort(reason);
+  }
+  return true;
+}
+
+function isActive(userId, requestId) {
+  return active.has(keyOf(userId, requestId));
+}
+
+module.exports = { register, stop, isActive };
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const Conversation = require('../../models/Conversation');
+const PreferenceFeedback = require('../../models/PreferenceFeedback');
+const logger = require('../../utils/logger');
+const { AppError, ValidationError, NotFoundError } = require('../../utils/errors');
+const modelRegistry = require('../modelRegistry');
+const messageTree = require('../messageTree');
+
+/**
+ * Compare mode: one prompt answered by two or three models side by side.
+ *
+ * The user's turn is stored once (the pipeline runs up to TURN_STAGE for the first model), then every
+ * model runs the whole pipeline in parallel as another reply to that turn, under the same request id
+ * so one stop call ends them all. Each run checks and bills its own model's balance and stores its
+ * answer as a sibling reply tagged with metadata.compare = { id, slot, models }.
+ *
+ * All answers share one SSE stream. After the usual `stream` / `{conversationId}` events come
+ *   event: compare          { comparisonId, userMessageId, channels: [{ channel, model, label }] }
+ *   event: channel_start    { channel }
+ *   event: channel_chunk    { channel, chunk }
+ *   event: channel_event    { channel, name, payload }     warning, tool_call, cache_hit, stopped, ...
+ *   event: channel_error    { channel, status, error }     this answer failed; the others carry on
+ *   event: channel_end      { channel, model, messageId, stopped, tokens }
+ * and `data: [DONE]` once every channel has ended. Pick the answer to keep with choosePreferred().
+ */
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 3;
+// Last stage that runs once per comparison: it stores the turn and handles explicit "remember" requests
+const TURN_STAGE = 'memory';
+
+// `models` as sent by clients: an array, a JSON array or a comma-separated list
+function parseModels(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value !== 'string') return [];
+  const text = value.trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      return Array.isArray(list) ? list.map(String) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+  return text.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function checkModels(models) {
+  if (models.length < MIN_MODELS || models.length > MAX_MODELS) {
+    throw new ValidationError(`Pick ${MIN_MODELS} to ${MAX_MODELS} models to compare`, 'models');
+  }
+  if (new Set(models).size !== models.length) throw new ValidationError('Compared models must be different', 'models');
+  const unknown = models.find(id => !modelRegistry.isAvailable(id));
+  if (unknown) throw new ValidationError(`Unsupported model: ${unknown}`, 'models');
+}
+
+// Sink for one compared answer: everything becomes an event tagged with its channel on the shared stream
+function createChannelSink(parent, channel) {
+  return {
+    open() {
+      parent.event('channel_start', { channel });
+    },
+    chunk(text) {
+      parent.event('channel_chunk', { channel, chunk: text });
+    },
+    event(name, payload) {
+      parent.event('channel_event', { channel, name, payload });
+    },
+    reply(body) {
+      parent.event('channel_event', { channel, name: 'reply', payload: body });
+    },
+    close() { },
+    fail(err) {
+      const operational = err instanceof AppError && err.isOperational;
+      parent.event('channel_error', {
+        channel,
+        status: operational ? err.statusCode : 500,
+        error: operational ? err.message : 'An internal error occurred.',
+      });
+    },
+    isClosed() {
+      return parent.isClosed();
+    },
+    onClose(fn) {
+      if (typeof parent.onClose === 'function') parent.onClose(fn);
+    },
+  };
+}
+
+/**
+ * Run a comparison for pipeline `input` (as for /chat, plus `models`) and stream it through `sink`.
+ * Validation errors, a halted turn or a failure before the answers start finish the sink like a
+ * normal chat request would. Resolves with the context of every compared run.
+ */
+async function runComparison(pipeline, input, sink) {
+  const models = parseModels(input.models);
+  try {
+    checkModels(models);
+  } catch (err) {
+    sink.fail(err);
+    return [];
+  }
+  const requestId = input.requestId || crypto.randomUUID();
+
+  const first = await pipeline.run({ ...input, requestId, model: models[0] }, sink, { until: TURN_STAGE });
+  if (!first.completed) return [];
+  const { conversation, turn } = first;
+
+  const comparisonId = crypto.randomUUID();
+  sink.open({ conversationId: conversation.id, isNewConversation: first.isNewConversation, userId: input.userId, requestId });
+  sink.event('compare', {
+    comparisonId,
+    userMessageId: turn.message.id,
+    channels: models.map((model, channel) => ({ channel, model, label: modelRegistry.getLabel(model) })),
+  });
+  logger.info({ action: 'chat_compare_started', userId: input.userId, conversationId: conversation.id, comparisonId, models });
+
+  const runs = await Promise.all(models.map(async (model, slot) => {
+    const ctx = await pipeline.run({
+      ...input,
+      requestId,
+      model,
+      conversationId: conversation.id,
+      message: undefined,
+      file: undefined,
+      respondTo: { messageId: turn.message.id, image: turn.image, fileInfo: turn.fileInfo },
+      compare: { id: comparisonId, slot, models },
+    }, createChannelSink(sink, slot));
+    sink.event('channel_end', {
+      channel: slot,
+      model,
+      messageId: ctx.botMessage ? ctx.botMessage.id : null,
+      stopped: ctx.reply.stopped,
+      tokens: ctx.billedTokens,
+    });
+    return ctx;
+  }));
+  sink.close();
+  return runs;
+}
+
+/**
+ * Keep one compared answer: make its branch the active one, mark it preferred among its comparison's
+ * answers and record the choice as preference feedback (one record per comparison; picking again
+ * updates it). Returns { conversation, messages } with the new active path as described by
+ * messageTree.describePath.
+ */
+async function choosePreferred({ userId, conversationId, messageId }) {
+  const conversation = await Conversation.findOne({ where: { id: conversationId, userId } });
+  if (!conversation) throw new NotFoundError('Conversation');
+  const { index } = await messageTree.loadActivePath(conversation);
+  const chosen = index.byId.get(messageId);
+  if (!chosen) throw new NotFoundError('Message');
+  const comparison = chosen.metadata && chosen.metadata.compare;
+  if (!comparison) throw new ValidationError('This reply is not part of a comparison', 'messageId');
+
+  const answers = (index.children.get(chosen.parentId) || []).filter(m => m.metadata?.compare?.id === comparison.id);
+  for (const answer of answers) {
+    const preferred = answer.id === chosen.id;
+    if (answer.metadata.compare.preferred === preferred) continue;
+    await answer.update({ metadata: { ...answer.metadata, compare: { ...answer.metadata.compare, preferred } } });
+  }
+
+  const leaf = messageTree.latestLeaf(index, chosen.id);
+  await conversation.update({ activeLeafId: leaf.id });
+
+  const feedback = {
+    userId,
+    conversationId,
+    comparisonId: comparison.id,
+    userMessageId: chosen.parentId,
+    chosenMessageId: chosen.id,
+    chosenModel: chosen.modelUsed,
+    models: comparison.models,
+  };
+  const [record, created] = await PreferenceFeedback.findOrCreate({ where: { userId, comparisonId: comparison.id }, defaults: feedback });
+  if (!created) await record.update(feedback);
+  logger.info({ action: 'chat_compare_preference', ...feedback, changed: !created });
+
+  return { conversation, messages: messageTree.describePath(index, messageTree.pathTo(index, leaf.id)) };
+}
+
+module.exports = { runComparison, choosePreferred, parseModels, checkModels, MIN_MODELS, MAX_MODELS };
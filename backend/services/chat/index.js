@@ -0,0 +1,51 @@
+const path = require('path');
+const env = require('../../config/env');
+const { createChatPipeline } = require('./pipeline');
+const { createSSESink, resumeSSE } = require('./sseSink');
+const activeRequests = require('./activeRequests');
+const compare = require('./compare');
+const wsServer = require('./wsServer');
+
+// Default stage order for /api/v1/chat
+const defaultStages = [
+  require('./stages/authorize'),
+  require('./stages/ingestAttachments'),
+  require('./stages/memory'),
+  require('./stages/buildContext'),
+  require('./stages/generate'),
+  require('./stages/postProcess'),
+  require('./stages/persist'),
+  require('./stages/bill'),
+];
+
+const chatPipeline = createChatPipeline({ stages: defaultStages });
+
+// Deployment plugins: modules exporting `function (pipeline)` that add, replace or hook stages
+for (const modulePath of env.CHAT_PIPELINE_PLUGINS.split(',').map(s => s.trim()).filter(Boolean)) {
+  const plugin = require(path.resolve(__dirname, '..', '..', modulePath));
+  if (typeof plugin !== 'function') throw new Error(`Chat pipeline plugin ${modulePath} must export a function`);
+  plugin(chatPipeline);
+  console.log(`[chat] Loaded pipeline plugin ${modulePath}`);
+}
+
+// Serve the chat WebSocket transport (see wsServer.js) on an HTTP server, using this pipeline
+function attachChatWebSocket(server) {
+  return wsServer.attachChatWebSocket(server, chatPipeline);
+}
+
+// Answer one prompt with several models side by side (see compare.js), using this pipeline
+function compareChat(input, sink) {
+  return compare.runComparison(chatPipeline, input, sink);
+}
+
+module.exports = {
+  chatPipeline,
+  compareChat,
+  choosePreferred: compare.choosePreferred,
+  attachChatWebSocket,
+  activeRequests,
+  createChatPipeline,
+  createSSESink,
+  resumeSSE,
+  defaultStages,
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { AppError } = require('../../utils/errors');
+const activeRequests = require('./activeRequests');
+
+/**
+ * Staged chat pipeline.
+ *
+ * A stage is { name, run(ctx) }. Stages run in order against one shared context and may stop the
+ * run early with ctx.halt(body), which sends `body` as a plain (non-streamed) reply. Hooks registered
+ * with use(name, { before, after }) run around a stage and see the same context, so a deployment
+ * can add checks or side effects without replacing the stage itself.
+ *
+ * The pipeline never touches HTTP; it talks to a transport through a sink:
+ *   open({ conversationId, isNewConversation, userId, requestId })
+ *                                                 start streaming (headers, new conversation id)
+ *   chunk(text)                                   a piece of the reply
+ *   event(name, payload)                          a named side event (warning, tool_call, ...)
+ *   reply(body)                                   a non-streamed reply, only before open()
+ *   close()                                       end of a streamed reply
+ *   fail(err)                                     error response; the sink decides how, depending on open()
+ *   isClosed()                                    true once the client has gone away
+ *   onClose(fn)                                   optional: call fn when the client goes away
+ *
+ * Every run gets an AbortController: ctx.signal aborts with reason 'user' when the request is stopped
+ * through activeRequests (POST /api/v1/chat/:requestId/stop) and 'disconnected' when the client goes away
+ * (sinks that buffer the reply for resumption never report that, so the reply runs to completion).
+ * Stages pass it to model calls so the upstream request is cancelled too.
+ */
+
+/**
+ * Fresh per-request context. `input` is transport-independent:
+ * { userId, requestId, message, conversationId, model, mode, personaId, params, file, memoryHints, systemMessage,
+ *   edit, regenerate, respondTo, compare }
+ * (`requestId` is the client's id for stopping the request, generated when missing; `mode` / `personaId`
+ * pick the mode of a new conversation (existing ones keep their own); `params` holds raw
+ * generation parameters, `file` a stored upload { path, originalname, filename, mimetype },
+ * `edit` / `regenerate` a { messageId } to branch from instead of continuing the active branch,
+ * `respondTo` { messageId, image?, fileInfo? } a stored user turn to add another reply to, and
+ * `compare` { id, slot, models } when the run is one answer of a comparison; see compare.js).
+ * Stages fill in the rest as they go; `state` is free space for deployment-specific stages.
+ */
+function createContext(input, sink, signal = new AbortController().signal) {
+  const ctx = {
+    input,
+    sink,
+    signal,
+    requestId: input.requestId || crypto.randomUUID(),
+    userId: input.userId,
+    mode: null,
+    modelId: null,
+    model: null,
+    user: null,
+    isPaidAndActive: false,
+    conversation: null,
+    isNewConversation: false,
+    branch: null,
+    turn: null,
+    memory: { check: { should: false, isExplicit: false }, hints: [] },
+    requestedParams: {},
+    generationParams: {},
+    toolDefinitions: undefined,
+    systemPrompt: null,
+    context: null,
+    cache: { key: null, hit: null },
+    stream: null,
+    events: null,
+    textFilters: [],
+    reply: { prefix: '', text: '', modelText: '', toolInvocations: [], streamError: null, stopped: null, servedBy: null },
+    billedTokens: 0,
+    botMessage: null,
+    state: {},
+    halted: false,
+    completed: false,
+    response: null,
+    halt(body) {
+      ctx.halted = true;
+      ctx.response = body;
+    },
+  };
+  return ctx;
+}
+
+function assertStage(stage) {
+  if (!stage || typeof stage.name !== 'string' || typeof stage.run !== 'function') {
+    throw new Error('A chat pipeline stage needs a name and a run(ctx) function');
+  }
+}
+
+function createChatPipeline({ stages = [] } = {}) {
+  const order = [];
+  const hooks = new Map();
+
+  function indexOf(name) {
+    const index = order.findIndex(s => s.name === name);
+    if (index === -1) throw new Error(`Unknown chat pipeline stage "${name}"`);
+    return index;
+  }
+
+  function hooksFor(name) {
+    if (!hooks.has(name)) hooks.set(name, { before: [], after: [] });
+    return hooks.get(name);
+  }
+
+  const pipeline = {
+    stageNames() {
+      return order.map(s => s.name);
+    },
+
+    // Append a stage, or place it relative to an existing one with { before } or { after }
+    addStage(stage, position = {}) {
+      assertStage(stage);
+      if (order.some(s => s.name === stage.name)) throw new Error(`Chat pipeline stage "${stage.name}" already exists`);
+      if (position.before) order.splice(indexOf(position.before), 0, stage);
+      else if (position.after) order.splice(indexOf(position.after) + 1, 0, stage);
+      else order.push(stage);
+      return pipeline;
+    },
+
+    // Swap a stage's implementation, keeping its place and hooks; accepts a stage or a run(ctx) function
+    replaceStage(name, stage) {
+      const replacement = typeof stage === 'function' ? { name, run: stage } : { ...stage, name };
+      assertStage(replacement);
+      order[indexOf(name)] = replacement;
+      return pipeline;
+    },
+
+    removeStage(name) {
+      order.splice(indexOf(name), 1);
+      hooks.delete(name);
+      return pipeline;
+    },
+
+    // Register before/after hooks for a stage; hooks may call ctx.halt() like a stage can
+    use(name, { before, after } = {}) {
+      indexOf(name);
+      if (before) hooksFor(name).before.push(before);
+      if (after) hooksFor(name).after.push(after);
+      return pipeline;
+    },
+
+    /**
+     * Run every stage for one chat turn and finish the reply through the sink.
+     * Errors go to sink.fail(err); the sink maps operational AppErrors to their status and message.
+     * With `until`, the run stops after that stage and leaves the sink open for the caller (a halt or
+     * an error still finishes it); ctx.completed tells whether it got that far.
+     * Resolves with the final context.
+     */
+    async run(input, sink, { until } = {}) {
+      if (until) indexOf(until);
+      const controller = new AbortController();
+      const ctx = createContext(input, sink, controller.signal);
+      const release = activeRequests.register(ctx.userId, ctx.requestId, controller);
+      if (typeof sink.onClose === 'function') {
+        sink.onClose(() => {
+          if (!controller.signal.aborted) controller.abort('disconnected');
+        });
+      }
+      try {
+        for (const stage of order) {
+          const stageHooks = hooks.get(stage.name) || { before: [], after: [] };
+          for (const hook of stageHooks.before) {
+            await hook(ctx);
+            if (ctx.halted) break;
+          }
+          if (ctx.halted) break;
+          await stage.run(ctx);
+          if (ctx.halted) break;
+          for (const hook of stageHooks.after) {
+            await hook(ctx);
+            if (ctx.halted) break;
+          }
+          if (ctx.halted || stage.name === until) break;
+        }
+        if (ctx.halted) sink.reply(ctx.response);
+        else {
+          ctx.completed = true;
+          if (!until) sink.close();
+        }
+      } catch (err) {
+        // Operational errors (bad input, no tokens, upstream failure) are expected and logged where raised
+        if (!(err instanceof AppError && err.isOperational)) {
+          logger.error({ action: 'chat_stream_error', userId: ctx.userId, error: err?.message || String(err) });
+        }
+        sink.fail(err);
+      } finally {
+        release();
+      }
+      return ctx;
+    },
+  };
+
+  stages.forEach(stage => pipeline.addStage(stage));
+  return pipeline;
+}
+
+module.exports = { createChatPipeline, createContext };
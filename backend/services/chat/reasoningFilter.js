@@ -0,0 +1,55 @@
+// Typical reasoning lead-ins some models emit outside <think> blocks; matching lines are dropped
+const REASONING_PATTERNS = [
+  /^\s*(okay,?\s*)?(let me|i (need|should|will|am going to|think)|thinking|step by step|first,|second,|third,|next,)/i,
+  /^\s*(here's my plan|i'll start by|i will start by|let's|lets|we (should|need to))/i
+];
+
+/**
+ * Stream-safe filter that removes internal reasoning before text reaches the client.
+ * Returns a function that takes each text delta and returns what may be shown; `<think>` blocks may
+ * span deltas, so one filter must be used for exactly one reply.
+ */
+function createReasoningFilter() {
+  let inHiddenBlock = false;
+  let buffer = '';
+
+  return function filterReasoningDelta(input) {
+    if (!input) return '';
+    buffer += input;
+    let output = '';
+    while (true) {
+      if (inHiddenBlock) {
+        const closeIdx = buffer.indexOf('</think>');
+        if (closeIdx === -1) {
+          // Still inside hidden block; consume all and wait for closing tag in future chunks
+          buffer = '';
+          return output;
+        }
+        // Drop everything up to and including closing tag
+        buffer = buffer.slice(closeIdx + 8);
+        inHiddenBlock = false;
+        continue;
+      }
+      const openIdx = buffer.indexOf('<think>');
+      if (openIdx === -1) {
+        // No hidden block markers; emit all we have
+        output += buffer;
+        buffer = '';
+        break;
+      }
+      // Emit content before opening tag, then enter hidden block
+      output += buffer.slice(0, openIdx);
+      buffer = buffer.slice(openIdx + 7);
+      inHiddenBlock = true;
+    }
+    return output
+      .split(/(\r?\n)/)
+      .map(seg => {
+        if (seg === '\n' || seg === '\r\n') return seg;
+        return REASONING_PATTERNS.some(rx => rx.test(seg)) ? '' : seg;
+      })
+      .join('');
+  };
+}
+
+module.exports = { createReasoningFilter };
@@ -0,0 +1,138 @@
+const env = require('../../config/env');
+const { AppError } = require('../../utils/errors');
+const streamBuffer = require('./streamBuffer');
+
+const HEARTBEAT_MS = 15000;
+
+// One SSE event block; `id` lets a client resume with Last-Event-ID
+function formatEvent({ id, event, data }) {
+  return `id: ${id}\n${event ? `event: ${event}\n` : ''}data: ${data}\n\n`;
+}
+
+function openStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+/**
+ * Chat pipeline sink that writes to an Express response as Server-Sent Events:
+ * `data: {chunk}` for text, `data: {conversationId}` once for new conversations, named events for
+ * everything else and `data: [DONE]` at the end. Before the stream opens, replies and errors are JSON.
+ *
+ * Every event carries a sequence id. When resumable (CHAT_STREAM_RESUME_ENABLED), events are also
+ * written to a stream buffer and the reply keeps generating after the client goes away, so the client
+ * can pick it up again with resumeSSE(); otherwise a disconnect ends the request through onClose().
+ */
+function createSSESink(res, { resumable = env.CHAT_STREAM_RESUME_ENABLED } = {}) {
+  let clientClosed = false;
+  let heartbeat = null;
+  let buffer = null;
+  let seq = 0;
+  res.on('close', () => {
+    // 'close' also fires after a normal end; only an unfinished response means the client left
+    if (!res.writableEnded) clientClosed = true;
+  });
+
+  const write = (text) => {
+    if (!res.writableEnded && !clientClosed) res.write(text);
+  };
+
+  function send(event, payload) {
+    const entry = { id: ++seq, event, data: typeof payload === 'string' ? payload : JSON.stringify(payload) };
+    if (buffer) buffer.append(entry);
+    write(formatEvent(entry));
+  }
+
+  function end() {
+    if (heartbeat) clearInterval(heartbeat);
+    heartbeat = null;
+    if (buffer) buffer.finish();
+    if (!res.writableEnded) res.end();
+  }
+
+  return {
+    open({ conversationId, isNewConversation, userId, requestId }) {
+      openStream(res);
+      if (resumable && requestId) {
+        buffer = streamBuffer.create(userId, requestId);
+        send('stream', { requestId });
+      }
+      if (isNewConversation) send(null, { conversationId });
+      heartbeat = setInterval(() => write(`event: ping\ndata: ${Date.now()}\n\n`), HEARTBEAT_MS);
+    },
+
+    chunk(text) {
+      send(null, { chunk: text });
+    },
+
+    // Named events go out in a single write so a client never sees the data line without its event line
+    event(name, payload) {
+      send(name, payload);
+    },
+
+    reply(body) {
+      res.json(body);
+    },
+
+    close() {
+      send(null, '[DONE]');
+      end();
+    },
+
+    fail(err) {
+      if (!res.headersSent) {
+        if (heartbeat) clearInterval(heartbeat);
+        if (err instanceof AppError && err.isOperational) {
+          res.status(err.statusCode).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+        } else {
+          res.status(500).json({ error: 'An internal error occurred.' });
+        }
+        return;
+      }
+      // The stream has started: report the error in-band and end it
+      send(null, { error: err?.message || 'An internal error occurred.' });
+      send(null, '[DONE]');
+      end();
+    },
+
+    // A resumable reply is never abandoned: the buffer is still listening
+    isClosed() {
+      return clientClosed && !resumable;
+    },
+
+    onClose(fn) {
+      if (resumable) return;
+      res.on('close', () => {
+        if (clientClosed) fn();
+      });
+    },
+  };
+}
+
+/**
+ * Answer GET /api/v1/chat/stream/:requestId: replay the buffered events after `lastEventId`, then
+ * follow the reply live until its [DONE]. Resolves false, without writing anything, when the
+ * buffer is unknown or has expired.
+ */
+async function resumeSSE(res, { userId, requestId, lastEventId = 0 }) {
+  const reader = await streamBuffer.open(userId, requestId);
+  if (!reader) return false;
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  openStream(res);
+  const heartbeat = setInterval(() => res.write(`event: ping\ndata: ${Date.now()}\n\n`), HEARTBEAT_MS);
+  try {
+    await reader.follow(lastEventId, (event) => {
+      if (!res.writableEnded) res.write(formatEvent(event));
+    }, controller.signal);
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+  return true;
+}
+
+module.exports = { createSSESink, resumeSSE };
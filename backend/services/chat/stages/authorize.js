@@ -0,0 +1,114 @@
+const Conversation = require('../../../models/Conversation');
+const Message = require('../../../models/Message');
+const User = require('../../../models/User');
+const modelRegistry = require('../../modelRegistry');
+const { pickGenerationParams, validateGenerationParams } = require('../../generationParams');
+const { getModelTokenBalance } = require('../../tokenBalance');
+const messageTree = require('../../messageTree');
+const personas = require('../../personas');
+const { DEFAULT_TITLE } = require('../../conversationTitles');
+const { AppError, ValidationError, AuthorizationError, NotFoundError } = require('../../../utils/errors');
+const logger = require('../../../utils/logger');
+
+// Where the new turn goes: after the active leaf, beside an edited user turn, or as another reply to a
+// regenerated one (or to the user turn named by respondTo)
+async function resolveBranch(ctx) {
+  const { edit, regenerate, respondTo } = ctx.input;
+  const messages = ctx.conversation.Messages || [];
+  await messageTree.linkLegacyMessages(messages);
+  const index = messageTree.indexMessages(messages);
+  ctx.branch = { index, parentId: null, userMessage: null };
+
+  const targetId = (edit || regenerate || respondTo)?.messageId;
+  if (!targetId) {
+    ctx.branch.parentId = messageTree.activeLeafId(ctx.conversation, index);
+    return;
+  }
+  const target = index.byId.get(targetId);
+  if (!target) throw new NotFoundError('Message');
+  if (edit) {
+    if (target.role !== 'user') throw new ValidationError('Only user messages can be edited', 'messageId');
+    ctx.branch.parentId = target.parentId || null;
+  } else if (respondTo) {
+    if (target.role !== 'user') throw new ValidationError('Only user messages can be answered', 'messageId');
+    ctx.branch.userMessage = target;
+    ctx.branch.parentId = target.parentId || null;
+  } else {
+    const userMessage = target.parentId ? index.byId.get(target.parentId) : null;
+    if (target.role !== 'assistant' || userMessage?.role !== 'user') throw new ValidationError('Only assistant replies can be regenerated', 'messageId');
+    ctx.branch.userMessage = userMessage;
+    ctx.branch.parentId = userMessage.parentId || null;
+  }
+  await messageTree.discardSummaryBefore(ctx.conversation, ctx.branch.parentId ? index.byId.get(ctx.branch.parentId) : null);
+}
+
+/**
+ * Resolve the conversation's mode (ctx.mode) and the model, check the request's generation params,
+ * the user's token balance and conversation ownership. Starts a new conversation, in the requested
+ * mode or persona, when no conversationId was given, and settles which branch of the conversation
+ * the turn belongs to (ctx.branch).
+ */
+async function authorize(ctx) {
+  const { message, conversationId, model, edit, regenerate, respondTo } = ctx.input;
+  const reusesTurn = !!(regenerate || respondTo);
+
+  // A regeneration reuses the stored user turn
+  if (!reusesTurn && (typeof message !== 'string' || message.trim().length === 0)) {
+    throw new ValidationError('Message is required', 'message');
+  }
+  if ((edit || reusesTurn) && !conversationId) {
+    throw new ValidationError('conversationId is required to branch a conversation', 'conversationId');
+  }
+
+  if (conversationId) {
+    ctx.conversation = await Conversation.findOne({
+      where: { id: conversationId, userId: ctx.userId },
+      include: [{ model: Message, as: 'Messages' }],
+    });
+    if (!ctx.conversation) throw new NotFoundError('Conversation');
+  }
+
+  // The conversation's mode or persona (for a new one, the requested one) supplies the default model
+  ctx.mode = await personas.resolveMode(ctx.userId, ctx.conversation || ctx.input, { strict: !ctx.conversation });
+  const modeModel = ctx.mode.defaultModel && modelRegistry.isAvailable(ctx.mode.defaultModel) ? ctx.mode.defaultModel : null;
+  ctx.modelId = model || modeModel || modelRegistry.getDefaultModelId();
+  ctx.model = modelRegistry.getModel(ctx.modelId);
+  if (!ctx.model || !ctx.model.available) throw new ValidationError(`Unsupported model: ${ctx.modelId}`, 'model');
+
+  // Optional generation parameters, checked against this model's limits
+  const { params, errors } = validateGenerationParams(ctx.model.limits, pickGenerationParams(ctx.input.params));
+  if (errors.length) {
+    const err = new AppError('Validation failed', 400);
+    err.details = errors;
+    throw err;
+  }
+  ctx.requestedParams = params;
+
+  logger.info({ action: 'chat_request', userId: ctx.userId, conversationId, message, model: ctx.modelId });
+
+  ctx.user = await User.findByPk(ctx.userId);
+  if (!ctx.user) throw new NotFoundError('User');
+
+  ctx.isPaidAndActive = !!(ctx.user.isPaidUser && ctx.user.paidUntil && new Date(ctx.user.paidUntil) > new Date());
+  if (!ctx.isPaidAndActive) {
+    const balance = await getModelTokenBalance(ctx.userId, ctx.modelId);
+    if (balance < ctx.model.baseTokenCost) {
+      const { name, baseTokenCost } = ctx.model;
+      throw new AuthorizationError(`Insufficient ${name} tokens. This message costs at least ${baseTokenCost} tokens. You have ${balance} ${name} tokens.`);
+    }
+  }
+
+  if (!ctx.conversation) {
+    ctx.conversation = await Conversation.create({
+      title: DEFAULT_TITLE,
+      lastMessageTimestamp: new Date(),
+      userId: ctx.userId,
+      mode: ctx.mode.personaId ? null : ctx.mode.key,
+      personaId: ctx.mode.personaId,
+    });
+    ctx.isNewConversation = true;
+  }
+  await resolveBranch(ctx);
+}
+
+module.exports = { name: 'authorize', run: authorize };
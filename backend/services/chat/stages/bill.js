@@ -0,0 +1,36 @@
+const TokenUsage = require('../../../models/TokenUsage');
+const cache = require('../../../utils/cache');
+const { estimateTokenCount } = require('../../../utils/tokenizer');
+const { updateModelTokenBalance } = require('../../tokenBalance');
+const responseCache = require('../../responseCache');
+
+/**
+ * Charge free-tier users for the turn: the user's text and the reply (as counted on their stored rows)
+ * and any tool output (which is sent back upstream), at least the model's base cost. Cache hits follow RESPONSE_CACHE_BILLING.
+ * A stopped reply is charged only for what was stored before it stopped, with no minimum. Runs after
+ * persist, so ctx.botMessage is the stored reply (unset when a stopped reply had no text to keep).
+ * Sets ctx.billedTokens.
+ */
+async function bill(ctx) {
+  if (ctx.isPaidAndActive) return;
+
+  const { reply, model } = ctx;
+  const toolTokens = reply.toolInvocations.reduce((sum, t) => sum + estimateTokenCount(t.output || ''), 0);
+  const replyTokens = ctx.botMessage ? ctx.botMessage.tokenCount : 0;
+  let tokensToDeduct;
+  if (reply.stopped) {
+    tokensToDeduct = replyTokens + toolTokens;
+  } else {
+    const totalTokens = ctx.turn.message.tokenCount + replyTokens + toolTokens;
+    const liveCost = Math.max(totalTokens, model.baseTokenCost);
+    tokensToDeduct = ctx.cache.hit ? responseCache.billedTokensForHit(liveCost, model.baseTokenCost) : liveCost;
+  }
+  if (tokensToDeduct > 0) {
+    await updateModelTokenBalance(ctx.userId, ctx.modelId, -tokensToDeduct);
+    await TokenUsage.create({ userId: ctx.userId, conversationId: ctx.conversation.id, tokensUsed: tokensToDeduct, modelUsed: ctx.modelId });
+    await cache.del(`user-status:${ctx.userId}`);
+  }
+  ctx.billedTokens = tokensToDeduct;
+}
+
+module.exports = { name: 'bill', run: bill };
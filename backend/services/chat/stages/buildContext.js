@@ -0,0 +1,99 @@
+const env = require('../../../config/env');
+const logger = require('../../../utils/logger');
+const withTimeout = require('../../../utils/withTimeout');
+const { estimateTokenCount } = require('../../../utils/tokenizer');
+const tools = require('../../tools');
+const { clampGenerationParams } = require('../../generationParams');
+const { buildContext: fitContext } = require('../../contextBuilder');
+const responseCache = require('../../responseCache');
+const { pathTo } = require('../../messageTree');
+const conversationSummary = require('../../conversationSummary');
+
+// How long a turn waits for newly dropped history to be summarized before answering without it
+const SUMMARY_WAIT_MS = 20000;
+
+const BASE_SYSTEM_PROMPT = "You are a helpful AI assistant. Use any provided 'memory' context to personalize responses. Do not claim you lack memory; if the user shares a fact to remember, acknowledge it briefly (e.g., 'Noted') and use it later. Provide direct answers without exposing internal reasoning. Avoid prefacing with 'Answer:' or 'Response:'.";
+
+// Message rows of the branch the new turn continues, as context-builder turns (oldest first)
+function historyOf(path) {
+  return path
+    .filter(msg => ['user', 'assistant'].includes(msg.role) && msg.content)
+    .map(msg => ({ id: msg.id, role: msg.role, content: msg.content, pinned: !!msg.pinned, timestamp: msg.timestamp }));
+}
+
+/**
+ * Settle generation params and tools, fit system prompt, memory, history and the new turn into
+ * the model's token budget, and look the prompt up in the response cache. History dropped for the
+ * first time is folded into the conversation summary before the turn is answered.
+ */
+async function buildContext(ctx) {
+  const { model, conversation, turn } = ctx;
+
+  // Memory hints and the stored summary are added by the context builder as budget allows
+  let systemPrompt = BASE_SYSTEM_PROMPT;
+  // The conversation's mode or persona, then per-request instructions (e.g. technicalQuestionDetector)
+  if (ctx.mode?.systemPrompt) systemPrompt += `\n\n${ctx.mode.systemPrompt}`;
+  if (ctx.input.systemMessage) systemPrompt += `\n\n${ctx.input.systemMessage}`;
+  ctx.systemPrompt = systemPrompt;
+
+  // The mode's temperature, then conversation defaults, then whatever this request asked for
+  const modeDefaults = ctx.mode?.temperature != null ? { temperature: ctx.mode.temperature } : {};
+  ctx.generationParams = {
+    ...clampGenerationParams(model.limits, { ...modeDefaults, ...(conversation.generationDefaults || {}) }),
+    ...ctx.requestedParams,
+  };
+
+  // Server-side tools the model may call; results are fed back by the generate stage
+  ctx.toolDefinitions = env.CHAT_TOOLS_ENABLED && env.CHAT_MAX_TOOL_STEPS > 0 ? tools.getToolDefinitions() : undefined;
+
+  const path = pathTo(ctx.branch.index, ctx.branch.parentId);
+  const fit = () => fitContext({
+    model,
+    params: ctx.generationParams,
+    systemPrompt,
+    memoryHints: ctx.memory.hints,
+    history: historyOf(path),
+    summary: conversationSummary.summaryForPath(conversation, path),
+    userTurn: { text: turn.text, attachmentText: turn.attachmentText, image: turn.image },
+    reservedTokens: ctx.toolDefinitions ? estimateTokenCount(JSON.stringify(ctx.toolDefinitions)) : 0,
+  });
+  ctx.context = fit();
+  // Rows that no longer fit and are not in the summary yet would reach the model in neither
+  if (conversationSummary.missesDropped(conversation, path, ctx.context.dropped)) {
+    try {
+      const refreshed = await withTimeout(
+        conversationSummary.refreshPath(conversation, path, { dropped: ctx.context.dropped }),
+        SUMMARY_WAIT_MS,
+        'Summarizing the earlier conversation took too long.',
+        'Conversation Summary'
+      );
+      if (refreshed) ctx.context = fit();
+    } catch (error) {
+      logger.warn({ action: 'chat_summary_before_reply', userId: ctx.userId, conversationId: conversation.id, error: error.message });
+    }
+  }
+  const { report } = ctx.context;
+  ctx.context.truncated = report.droppedMessages > 0 || report.droppedMemoryHints > 0 || report.attachmentTruncated;
+  if (ctx.context.truncated) {
+    logger.info({ action: 'chat_context_truncated', userId: ctx.userId, conversationId: conversation.id, ...report });
+  }
+
+  // Identical prompts can be answered from the response cache, unless they carry personal context
+  const keptMemoryHints = ctx.memory.hints.length - report.droppedMemoryHints;
+  const eligibility = responseCache.checkEligibility({
+    model: ctx.modelId,
+    hasPersonalContext: keptMemoryHints > 0 || !!turn.attachmentText || !!turn.image,
+  });
+  if (eligibility.ok) {
+    ctx.cache.key = responseCache.buildCacheKey({
+      model: ctx.modelId,
+      messages: ctx.context.messages,
+      params: { ...model.defaults, ...ctx.generationParams },
+      tools: ctx.toolDefinitions,
+      userId: ctx.userId,
+    });
+    ctx.cache.hit = await responseCache.lookup(ctx.cache.key);
+  }
+}
+
+module.exports = { name: 'buildContext', run: buildContext, BASE_SYSTEM_PROMPT };
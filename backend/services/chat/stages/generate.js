@@ -0,0 +1,118 @@
+const env = require('../../../config/env');
+const logger = require('../../../utils/logger');
+const { AppError } = require('../../../utils/errors');
+const { createStream, isAbortError } = require('../../llmProvider');
+const tools = require('../../tools');
+const responseCache = require('../../responseCache');
+
+// Stopped by the user or abandoned by the client: no point producing more of the reply
+const isStopped = (ctx) => ctx.signal.aborted || ctx.sink.isClosed();
+
+/**
+ * The model's reply as a sequence of { type: 'text', text } and { type: 'event', name, payload } items.
+ * Tool calls are run between model steps: the results go back to the model and the next step's
+ * stream continues the sequence, up to CHAT_MAX_TOOL_STEPS.
+ */
+async function* replyEvents(ctx) {
+  const messages = ctx.context.messages;
+  const toolContext = { userId: ctx.userId, conversationId: ctx.conversation.id };
+  let stream = ctx.stream;
+
+  for (let step = 0; ; step++) {
+    const pendingCalls = [];
+    let stepText = '';
+    for await (const chunk of stream) {
+      if (isStopped(ctx)) return;
+      const delta = chunk.choices[0]?.delta || {};
+      if (delta.tool_calls) tools.accumulateToolCalls(pendingCalls, delta.tool_calls);
+      if (delta.content) {
+        stepText += delta.content;
+        yield { type: 'text', text: delta.content };
+      }
+    }
+    if (isStopped(ctx) || pendingCalls.length === 0) return;
+    if (step >= env.CHAT_MAX_TOOL_STEPS) {
+      logger.warn({ action: 'chat_tool_limit', userId: ctx.userId, conversationId: ctx.conversation.id });
+      return;
+    }
+
+    // Run the requested tools, report their progress, then hand the results back to the model
+    const calls = tools.finalizeToolCalls(pendingCalls, step);
+    messages.push({ role: 'assistant', content: stepText.replace(/<think>[\s\S]*?<\/think>/g, ''), tool_calls: calls });
+    for (const call of calls) {
+      if (isStopped(ctx)) return;
+      const name = call.function.name;
+      yield { type: 'event', name: 'tool_call', payload: { id: call.id, name, arguments: call.function.arguments, step } };
+      const outcome = await tools.executeTool(name, call.function.arguments, toolContext);
+      const output = outcome.ok ? outcome.result : outcome.error;
+      yield { type: 'event', name: 'tool_result', payload: { id: call.id, name, ok: outcome.ok, output, durationMs: outcome.durationMs } };
+      ctx.reply.toolInvocations.push({
+        id: call.id,
+        name,
+        arguments: outcome.args ?? call.function.arguments,
+        ok: outcome.ok,
+        output,
+        durationMs: outcome.durationMs,
+        step,
+      });
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        name,
+        content: outcome.ok ? output : JSON.stringify({ error: output }),
+      });
+    }
+    logger.info({ action: 'chat_tool_step', userId: ctx.userId, step, tools: calls.map(c => c.function.name) });
+
+    if (step + 1 >= env.CHAT_MAX_TOOL_STEPS) {
+      messages.push({ role: 'system', content: 'Tool call limit reached. Answer the user now using the results above, without calling any more tools.' });
+    }
+    stream = await createStream({ model: ctx.modelId, messages, params: ctx.generationParams, tools: ctx.toolDefinitions, signal: ctx.signal });
+  }
+}
+
+/**
+ * Open the model stream (or a cache replay), then start the streamed reply. The stream is created
+ * before sink.open() so an upstream failure can still be answered with a plain 502; a request
+ * stopped before the model answered streams an empty reply instead.
+ * Sets ctx.events; the reply itself is produced as postProcess consumes it.
+ */
+async function generate(ctx) {
+  const hit = ctx.cache.hit;
+  try {
+    ctx.stream = hit
+      ? responseCache.replayStream(hit.text)
+      : await createStream({ model: ctx.modelId, messages: ctx.context.messages, params: ctx.generationParams, tools: ctx.toolDefinitions, signal: ctx.signal });
+  } catch (err) {
+    if (!isAbortError(err, ctx.signal)) {
+      logger.error({ action: 'chat_stream_error', userId: ctx.userId, error: err?.message || String(err) });
+      throw new AppError(`Upstream model error: ${err?.message || 'unknown'}`, 502);
+    }
+    ctx.stream = [];
+  }
+  ctx.reply.servedBy = ctx.stream.servedBy || null;
+
+  ctx.sink.open({
+    conversationId: ctx.conversation.id,
+    isNewConversation: ctx.isNewConversation,
+    userId: ctx.userId,
+    requestId: ctx.requestId,
+  });
+
+  // Let the client know if the provider had to drop content it cannot represent (e.g. images)
+  if (ctx.stream.warnings && ctx.stream.warnings.length) {
+    ctx.sink.event('warning', { warnings: ctx.stream.warnings });
+  }
+  // ...and when older history, memory or attachment text had to be left out to fit the model
+  if (ctx.context.truncated) {
+    ctx.sink.event('context_truncated', ctx.context.report);
+  }
+  if (hit) {
+    logger.info({ action: 'chat_cache_hit', userId: ctx.userId, conversationId: ctx.conversation.id, model: ctx.modelId });
+    ctx.sink.event('cache_hit', { cachedAt: hit.cachedAt });
+  }
+
+  ctx.events = replyEvents(ctx);
+}
+
+module.exports = { name: 'generate', run: generate };
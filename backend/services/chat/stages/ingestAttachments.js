@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const FileType = require('file-type');
+const FileProcessor = require('../../../utils/fileProcessor');
+const FileUpload = require('../../../models/FileUpload');
+const Message = require('../../../models/Message');
+const { nextBranchIndex } = require('../../messageTree');
+const { AppError, FileUploadError } = require('../../../utils/errors');
+const logger = require('../../../utils/logger');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp'];
+
+// Extension and sniffed content type must agree; Word files have no reliable magic number
+function contentMatchesExtension(ext, detected) {
+  return (
+    (IMAGE_EXTENSIONS.includes(ext) && detected && detected.mime.startsWith('image/')) ||
+    (ext === '.pdf' && detected && detected.mime === 'application/pdf') ||
+    (['.doc', '.docx'].includes(ext)) ||
+    (ext === '.txt' && (!detected || detected.mime.startsWith('text/')))
+  );
+}
+
+/**
+ * Turn the request into the user's turn: extract text from an uploaded file (images are also kept
+ * as a native image part), record the upload for the read_file tool, and store the user message
+ * on the branch chosen by authorize. A regeneration (or respondTo) reuses the stored user message instead.
+ * Sets ctx.turn = { text, attachmentText, image, fileInfo, message }.
+ */
+async function ingestAttachments(ctx) {
+  const { message, file } = ctx.input;
+  const { branch } = ctx;
+  if (branch.userMessage) {
+    // respondTo may carry the image and file info the turn was stored with, which the text alone lacks
+    const { image = null, fileInfo = null } = ctx.input.respondTo || {};
+    ctx.turn = { text: branch.userMessage.content, attachmentText: null, image, fileInfo, message: branch.userMessage };
+    return;
+  }
+  const turn = { text: message, attachmentText: null, image: null, fileInfo: null, message: null };
+  ctx.turn = turn;
+
+  if (file) {
+    try {
+      // Per-tier file size limits
+      const stats = fs.statSync(file.path);
+      const maxSizeBytes = (ctx.user.isPaidUser ? 10 : 2) * 1024 * 1024; // 10MB vs 2MB
+      if (stats.size > maxSizeBytes) {
+        fs.unlinkSync(file.path);
+        throw new AppError('Uploaded file too large for your plan.', 413);
+      }
+
+      const detected = await FileType.fromFile(file.path);
+      if (!contentMatchesExtension(path.extname(file.originalname).toLowerCase(), detected)) {
+        fs.unlinkSync(file.path);
+        throw new FileUploadError('File content type does not match allowed formats.');
+      }
+      const fileProcessor = new FileProcessor();
+      const result = await fileProcessor.processFile(file.path, file.originalname);
+      if (detected && detected.mime.startsWith('image/')) {
+        turn.image = { type: 'image', mimeType: detected.mime, data: fs.readFileSync(file.path).toString('base64') };
+      }
+
+      if (result.success) {
+        const fileContent = result.content;
+        turn.attachmentText = fileContent;
+        turn.fileInfo = {
+          fileName: result.fileName,
+          fileType: result.fileType,
+          wordCount: result.wordCount,
+          summary: fileProcessor.getFileSummary(result.content)
+        };
+        // Keep the extracted text so the read_file tool can page through it later
+        try {
+          await FileUpload.create({
+            userId: ctx.userId,
+            conversationId: ctx.conversation.id,
+            fileName: file.filename,
+            originalName: result.fileName || file.originalname,
+            fileType: result.fileType,
+            mimeType: detected?.mime || file.mimetype,
+            fileSize: stats.size,
+            filePath: file.path,
+            wordCount: result.wordCount,
+            ocrText: fileContent,
+            processingStatus: 'completed',
+          });
+        } catch (uploadErr) {
+          logger.warn({ action: 'file_upload_record_error', userId: ctx.userId, error: uploadErr.message });
+        }
+        turn.text += `\n\n📎 File attached: ${result.fileName} (${result.fileType}, ${result.wordCount} words)`;
+        if (!message.trim()) {
+          turn.text = `Please analyze this ${result.fileType} file: ${result.fileName}\n\nFile content:\n${fileContent}`;
+        } else {
+          turn.text += `\n\nFile content:\n${fileContent}`;
+        }
+      } else {
+        turn.text += `\n\n❌ Failed to process file: ${result.error}`;
+      }
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      turn.text += `\n\n❌ Error processing file: ${error.message}`;
+    }
+  }
+
+  // Stored (and made the active leaf) before generation so the user's turn survives a failed reply
+  turn.message = await Message.create({
+    role: 'user',
+    content: turn.text,
+    conversationId: ctx.conversation.id,
+    parentId: branch.parentId,
+    branchIndex: nextBranchIndex(branch.index, branch.parentId),
+    timestamp: new Date().toISOString(),
+  });
+  await ctx.conversation.update({ activeLeafId: turn.message.id });
+}
+
+module.exports = { name: 'ingestAttachments', run: ingestAttachments };
@@ -0,0 +1,159 @@
+const { Op } = require('sequelize');
+const Memory = require('../../../models/Memory');
+const Message = require('../../../models/Message');
+const cache = require('../../../utils/cache');
+const logger = require('../../../utils/logger');
+const withTimeout = require('../../../utils/withTimeout');
+const modelRegistry = require('../../modelRegistry');
+const { createCompletion, hasConfiguredProvider } = require('../../llmProvider');
+
+// Used when no utility model is reachable, or its judgment fails
+const MEMORY_HEURISTICS = [
+  /\bmy name is\b/i,
+  /\bcall me\b/i,
+  /\bemail\b[:\s]/i,
+  /\bphone\b[:\s]/i,
+  /\b(i|we)\s+prefer\b/i,
+  /\btimezone\b|\btime zone\b/i,
+  /\bbirthday\b|\bdob\b/i
+];
+
+// Days a memory is kept, by category
+const EXPIRY_DAYS = {
+  schedule: 7,
+  work: 30,
+  personal: 180,
+  contact: 365,
+  general: 90
+};
+
+async function shouldRemember(text, userId) {
+  const lower = (text || '').toLowerCase();
+  if (/\b(remember|save this|store this|keep this)\b/.test(lower)) return { should: true, isExplicit: true };
+
+  const judgmentModel = modelRegistry.getUtilityModelId();
+  if (!hasConfiguredProvider(judgmentModel)) {
+    return { should: MEMORY_HEURISTICS.some(rx => rx.test(text)), isExplicit: false };
+  }
+
+  try {
+    const judgmentPrompt = `Does the following message contain a useful fact worth remembering for future conversations? Answer with only YES or NO. Message: "${text}"`;
+    const response = await withTimeout(
+      createCompletion({
+        model: judgmentModel,
+        messages: [{ role: 'user', content: judgmentPrompt }],
+        params: { max_tokens: 2 },
+      }),
+      10000,
+      'The AI took too long to decide if this should be remembered.',
+      'Memory Judgment'
+    );
+    const decision = (response || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim().toUpperCase();
+    return { should: decision === 'YES', isExplicit: false };
+  } catch (error) {
+    logger.error({ action: 'llm_memory_judgment', userId, error: error.message, isTimeout: error.isTimeout });
+    return { should: MEMORY_HEURISTICS.some(rx => rx.test(text)), isExplicit: false };
+  }
+}
+
+function categorizeMemory(text) {
+  const t = text.toLowerCase();
+  if (t.includes('email') || t.includes('@')) return 'contact';
+  if (t.includes('birthday') || t.includes('anniversary')) return 'personal';
+  if (t.includes('meeting') || t.includes('call') || t.includes('schedule')) return 'schedule';
+  if (t.includes('project') || t.includes('task') || t.includes('deadline')) return 'work';
+  return 'general';
+}
+
+function getExpiryForCategory(category) {
+  const days = EXPIRY_DAYS[category] ?? 90;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+// Store a memory with its category's expiry; also used by the memory_save tool
+async function saveMemory(userId, text, category = categorizeMemory(text)) {
+  const memory = await Memory.create({ text, category, expiresAt: getExpiryForCategory(category), timestamp: new Date().toISOString(), userId });
+  await cache.del(`memory:${userId}`);
+  // Opportunistic cleanup of expired memories
+  try { await Memory.destroy({ where: { userId, expiresAt: { [Op.lt]: new Date() } } }); } catch (_) { }
+  return memory;
+}
+
+// Hints sent by the client (a JSON array) win; otherwise a few recent memories from the DB/cache
+async function loadMemoryHints(userId, rawHints) {
+  try {
+    const parsed = typeof rawHints === 'string' ? JSON.parse(rawHints) : rawHints;
+    if (Array.isArray(parsed)) {
+      const hints = parsed.filter(Boolean).slice(0, 8);
+      if (hints.length) return hints;
+    }
+  } catch (_) { }
+
+  try {
+    const cacheKey = `memory:${userId}`;
+    const cached = await cache.get(cacheKey);
+    const mems = cached || (await Memory.findAll({
+      where: { userId, [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+      order: [['timestamp', 'DESC']],
+      limit: 5,
+    }));
+    if (!cached) await cache.set(cacheKey, mems, 30);
+    return (mems || []).map(m => m.text).filter(Boolean);
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Save facts worth remembering from the user's turn and load memory hints for the prompt.
+ * An explicit "remember ..." is answered directly (the run halts with a JSON reply); an implicit
+ * one is confirmed with a "(Noted) " prefix on the streamed reply.
+ */
+async function memory(ctx) {
+  // A regenerated turn was already judged when it was first sent
+  if (ctx.branch.userMessage) {
+    ctx.memory.hints = await loadMemoryHints(ctx.userId, ctx.input.memoryHints);
+    return;
+  }
+
+  const text = ctx.turn.text;
+  const check = await shouldRemember(text, ctx.userId);
+  ctx.memory.check = check;
+
+  if (check.should) {
+    let memoryToSave;
+    let confirmation;
+    if (check.isExplicit) {
+      const lower = text.toLowerCase();
+      memoryToSave = lower.includes('remember:')
+        ? text.substring(lower.indexOf('remember:') + 9).trim()
+        : text.substring(lower.indexOf('remember') + 8).trim();
+      confirmation = `OK, I'll remember that: "${memoryToSave}"`;
+    } else {
+      memoryToSave = text;
+    }
+
+    if (memoryToSave) await saveMemory(ctx.userId, memoryToSave);
+
+    if (check.isExplicit) {
+      const reply = await Message.create({
+        role: 'assistant',
+        content: confirmation,
+        conversationId: ctx.conversation.id,
+        parentId: ctx.turn.message.id,
+        timestamp: new Date().toISOString(),
+        modelUsed: ctx.modelId,
+        // Marks the confirmation, which quotes the memory, so shared snapshots can leave it out
+        metadata: { modelLabel: modelRegistry.getLabel(ctx.modelId), memorySaved: true },
+      });
+      await ctx.conversation.update({ lastMessageTimestamp: new Date(), activeLeafId: reply.id });
+      ctx.halt({ conversationId: ctx.conversation.id, message: { id: reply.id, role: 'assistant', content: confirmation, timestamp: reply.timestamp } });
+      return;
+    }
+    ctx.reply.prefix = '(Noted) ';
+  }
+
+  ctx.memory.hints = await loadMemoryHints(ctx.userId, ctx.input.memoryHints);
+}
+
+module.exports = { name: 'memory', run: memory, saveMemory };
@@ -0,0 +1,79 @@
+const Conversation = require('../../../models/Conversation');
+const Message = require('../../../models/Message');
+const env = require('../../../config/env');
+const logger = require('../../../utils/logger');
+const modelRegistry = require('../../modelRegistry');
+const conversationSummary = require('../../conversationSummary');
+const { nextBranchIndex } = require('../../messageTree');
+const conversationTitles = require('../../conversationTitles');
+const conversationCache = require('../../conversationCache');
+
+/**
+ * Store the assistant's reply under the user's turn (a regeneration adds a sibling reply) with its
+ * model, effective params and tool/cache metadata, make it the conversation's active leaf, and bring
+ * the stored summary up to date when it is due (see conversationSummary.js). A stopped reply is kept as far
+ * as it got and marked `stopped`; one stopped before any text arrived is not stored. A compared answer
+ * is tagged with its comparison and only becomes the active leaf if no other answer got there first.
+ * The first exchange titles a new conversation (see conversationTitles.js). Sets ctx.botMessage.
+ */
+async function persist(ctx) {
+  const { conversation, reply, turn, model } = ctx;
+  const hit = ctx.cache.hit;
+
+  if (reply.stopped && !reply.text.trim()) {
+    await conversation.update({ lastMessageTimestamp: new Date() });
+    await conversationCache.invalidate(ctx.userId);
+    return;
+  }
+
+  const { compare } = ctx.input;
+  ctx.botMessage = await Message.create({
+    role: 'assistant',
+    content: reply.text,
+    conversationId: conversation.id,
+    parentId: turn.message.id,
+    // Compared answers are stored side by side under a fresh turn, so each takes its slot
+    branchIndex: compare ? compare.slot : nextBranchIndex(ctx.branch.index, turn.message.id),
+    timestamp: new Date().toISOString(),
+    fileInfo: turn.fileInfo,
+    modelUsed: ctx.modelId,
+    generationParams: { ...model.defaults, ...ctx.generationParams },
+    metadata: {
+      modelLabel: modelRegistry.getLabel(ctx.modelId),
+      ...(reply.toolInvocations.length ? { toolInvocations: reply.toolInvocations } : {}),
+      ...(hit ? { cached: true, cachedAt: hit.cachedAt } : {}),
+      ...(reply.servedBy ? { servedBy: reply.servedBy } : {}),
+      ...(reply.stopped ? { stopped: true, stopReason: reply.stopped } : {}),
+      ...(compare ? { compare: { id: compare.id, slot: compare.slot, models: compare.models } } : {}),
+    },
+  });
+  // Compared answers share their turn, so only the first slot titles the conversation
+  const firstExchange = conversation.title === conversationTitles.DEFAULT_TITLE && !(compare && compare.slot > 0);
+  await conversation.update({
+    lastMessageTimestamp: new Date(),
+    // The first compared answer to finish is shown until the user picks one
+    ...(compare ? {} : { activeLeafId: ctx.botMessage.id }),
+    ...(firstExchange ? { title: conversationTitles.fallbackTitle(turn.text) } : {}),
+  });
+  if (compare) {
+    await Conversation.update(
+      { activeLeafId: ctx.botMessage.id },
+      { where: { id: conversation.id, activeLeafId: turn.message.id } }
+    );
+  }
+  await conversationCache.invalidate(ctx.userId);
+
+  logger.info({ action: 'chat_stream_success', userId: ctx.userId, conversationId: conversation.id });
+
+  if (firstExchange && env.CHAT_AUTO_TITLE_ENABLED) {
+    conversationTitles.titleInBackground(conversation, { userText: turn.text, replyText: reply.text });
+  }
+
+  // Runs in the background so it never delays the end of the stream; compared answers share one history,
+  // so only the first slot folds it
+  if (!(compare && compare.slot > 0)) {
+    conversationSummary.refreshInBackground(conversation, { dropped: ctx.context.dropped });
+  }
+}
+
+module.exports = { name: 'persist', run: persist };
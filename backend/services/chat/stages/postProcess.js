@@ -0,0 +1,57 @@
+const logger = require('../../../utils/logger');
+const responseCache = require('../../responseCache');
+const { isAbortError } = require('../../llmProvider');
+const { createReasoningFilter } = require('../reasoningFilter');
+
+/**
+ * Deliver the reply: filter each text delta, forward it and any side events to the sink, and
+ * collect the final text. Extra text filters can be added per request via ctx.textFilters
+ * (functions from a delta to what may be shown). A stream that fails midway is reported as an
+ * `error` event and the partial reply is kept, so billing and persistence still run. A stopped request
+ * (ctx.signal aborted) is not an error: reply.stopped records why and the client gets a `stopped` event.
+ */
+async function postProcess(ctx) {
+  const { sink, reply } = ctx;
+  // Cached text was filtered when it was first generated
+  const filters = [...(ctx.cache.hit ? [] : [createReasoningFilter()]), ...ctx.textFilters];
+
+  // If memory was saved implicitly, lead with a subtle confirmation
+  if (reply.prefix) {
+    reply.text += reply.prefix;
+    sink.chunk(reply.prefix);
+  }
+
+  try {
+    for await (const item of ctx.events) {
+      if (item.type === 'event') {
+        sink.event(item.name, item.payload);
+        continue;
+      }
+      const text = filters.reduce((out, filter) => (out ? filter(out) : out), item.text);
+      if (text) {
+        reply.modelText += text;
+        reply.text += text;
+        sink.chunk(text);
+      }
+    }
+
+    // Only complete, tool-free replies are reusable; tool results can depend on the user's own data
+    if (ctx.cache.key && !ctx.cache.hit && !ctx.signal.aborted && !sink.isClosed() && reply.toolInvocations.length === 0) {
+      await responseCache.store(ctx.cache.key, reply.modelText, { model: ctx.modelId });
+    }
+  } catch (streamErr) {
+    if (!isAbortError(streamErr, ctx.signal)) {
+      logger.error({ action: 'chat_stream_error', userId: ctx.userId, error: streamErr?.message || String(streamErr) });
+      reply.streamError = streamErr;
+      sink.event('error', { error: streamErr?.message || 'Streaming failed' });
+    }
+  }
+
+  if (ctx.signal.aborted) {
+    reply.stopped = ctx.signal.reason === 'disconnected' ? 'disconnected' : 'user';
+    logger.info({ action: 'chat_stream_stopped', userId: ctx.userId, requestId: ctx.requestId, reason: reply.stopped });
+    sink.event('stopped', { requestId: ctx.requestId, reason: reply.stopped });
+  }
+}
+
+module.exports = { name: 'postProcess', run: postProcess };
@@ -0,0 +1,133 @@
+const { EventEmitter } = require('events');
+const env = require('../../config/env');
+const cache = require('../../utils/cache');
+
+/**
+ * Buffers of streamed chat replies, so a client whose connection dropped can resume from the last
+ * event it saw (GET /api/v1/chat/stream/:requestId with Last-Event-ID).
+ *
+ * Events are { id, event, data } with increasing numeric ids; `data` is the serialized payload as
+ * it went over the wire. The instance that generates a reply keeps its buffer in memory for live
+ * followers and mirrors it to the cache layer, where other instances can poll it: each write stores
+ * only the events appended since the previous one, as a numbered chunk under `<key>:<n>`, and then
+ * the head { chunks, done } under the key itself. Cache entries expire CHAT_STREAM_BUFFER_TTL_SECONDS
+ * after they are written.
+ */
+
+const KEY_PREFIX = 'chatstream';
+// Batch cache writes while text is flowing; the final state is written immediately
+const PERSIST_DEBOUNCE_MS = 250;
+const REMOTE_POLL_MS = 1000;
+
+const local = new Map();
+
+const keyOf = (userId, requestId) => `${KEY_PREFIX}:${userId}:${requestId}`;
+const chunkKey = (key, n) => `${key}:${n}`;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start buffering a reply; returns { append(event), finish() }
+function create(userId, requestId) {
+  const key = keyOf(userId, requestId);
+  const entry = { events: [], done: false, emitter: new EventEmitter() };
+  entry.emitter.setMaxListeners(0);
+  let persistTimer = null;
+  let persisted = 0;
+  let chunks = 0;
+  // Writes run one after another so a head never points at a chunk that is not stored yet
+  let writing = Promise.resolve();
+
+  function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    const fresh = entry.events.slice(persisted);
+    persisted = entry.events.length;
+    const head = { chunks: fresh.length ? chunks + 1 : chunks, done: entry.done };
+    const n = chunks;
+    chunks = head.chunks;
+    const ttl = env.CHAT_STREAM_BUFFER_TTL_SECONDS;
+    writing = writing.then(async () => {
+      if (fresh.length) await cache.set(chunkKey(key, n), fresh, ttl);
+      await cache.set(key, head, ttl);
+    });
+    return writing;
+  }
+
+  local.set(key, entry);
+  return {
+    append(event) {
+      if (entry.done) return;
+      entry.events.push(event);
+      entry.emitter.emit('event', event);
+      if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DEBOUNCE_MS);
+    },
+
+    finish() {
+      if (entry.done) return;
+      entry.done = true;
+      entry.emitter.emit('done');
+      persist();
+      const expiry = setTimeout(() => {
+        if (local.get(key) === entry) local.delete(key);
+      }, env.CHAT_STREAM_BUFFER_TTL_SECONDS * 1000);
+      expiry.unref();
+    },
+  };
+}
+
+// Follow a buffer on this instance: replay what is there, then forward new events until it is done
+function followLocal(entry, afterId, send, signal) {
+  for (const event of entry.events) {
+    if (event.id > afterId) send(event);
+  }
+  if (entry.done || signal.aborted) return Promise.resolve();
+  return new Promise(resolve => {
+    const onEvent = (event) => send(event);
+    const finish = () => {
+      entry.emitter.off('event', onEvent);
+      entry.emitter.off('done', finish);
+      signal.removeEventListener('abort', finish);
+      resolve();
+    };
+    entry.emitter.on('event', onEvent);
+    entry.emitter.on('done', finish);
+    signal.addEventListener('abort', finish);
+  });
+}
+
+// Follow a buffer written by another instance by polling its head and reading each new chunk once,
+// until it is done or expires
+async function followRemote(key, head, afterId, send, signal) {
+  let lastId = afterId;
+  let read = 0;
+  while (head && !signal.aborted) {
+    for (; read < head.chunks; read++) {
+      const events = await cache.get(chunkKey(key, read));
+      if (!Array.isArray(events)) return;
+      for (const event of events) {
+        if (event.id > lastId) {
+          send(event);
+          lastId = event.id;
+        }
+      }
+    }
+    if (head.done) return;
+    await sleep(REMOTE_POLL_MS);
+    head = await cache.get(key);
+  }
+}
+
+/**
+ * Look up a reply's buffer. Returns null when it is unknown or expired, otherwise
+ * { follow(afterId, send, signal) }, which sends every event after `afterId` and resolves once
+ * the reply is complete or `signal` aborts.
+ */
+async function open(userId, requestId) {
+  const key = keyOf(userId, requestId);
+  const entry = local.get(key);
+  if (entry) return { follow: (afterId, send, signal) => followLocal(entry, afterId, send, signal) };
+  const head = await cache.get(key);
+  if (!head || !Number.isInteger(head.chunks)) return null;
+  return { follow: (afterId, send, signal) => followRemote(key, head, afterId, send, signal) };
+}
+
+module.exports = { create, open };
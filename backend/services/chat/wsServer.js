@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { WebSocketServer } = require('ws');
+const env = require('../../config/env');
+const logger = require('../../utils/logger');
+const { createCorsOptions } = require('../../middleware/security');
+const technicalQuestionDetector = require('../../middleware/technicalQuestionDetector');
+const activeRequests = require('./activeRequests');
+const conversationEvents = require('../conversationEvents');
+const { createWSSink } = require('./wsSink');
+
+/**
+ * WebSocket transport for chat, next to the multipart POST + SSE routes and running the same pipeline.
+ *
+ * Connect to ws(s)://<host>/api/v1/chat/ws with the usual JWT, either as an `x-auth-token` header or,
+ * for browsers, a `token` query parameter. Frames are JSON text; every request frame and every frame
+ * about it carries the client's request `id` (a UUID), so several requests can share one socket.
+ *
+ * Client -> server
+ *   { type: 'send', id, message, conversationId?, model?, params?, memoryHints?, mode?, personaId?, edit?, regenerate? }
+ *       params: generation parameters as on /chat; mode / personaId: for a new conversation (see /chat);
+ *       edit / regenerate: { messageId } to branch (see /chat)
+ *   { type: 'cancel', id }          stop a running request (same as POST /api/v1/chat/:id/stop)
+ *   { type: 'ping' }                application-level keepalive; answered with { type: 'pong' }
+ *
+ * Server -> client
+ *   { type: 'ready' }                                         connection authenticated
+ *   { type: 'typing', id }                                    request accepted, the assistant is working
+ *   { type: 'start', id, conversationId, isNewConversation }  the reply starts streaming
+ *   { type: 'delta', id, text }                               a piece of the reply
+ *   { type: 'tool', id, phase: 'call', callId, name, arguments, step }
+ *   { type: 'tool', id, phase: 'result', callId, name, ok, output, durationMs }
+ *   { type: 'event', id, name, payload }                      warning, context_truncated, cache_hit, stopped
+ *   { type: 'reply', id, body }                               a non-streamed reply (e.g. "I'll remember that")
+ *   { type: 'error', id?, status?, error, details? }          with `status`: the request failed;
+ *                                                             without: the stream broke, partial reply kept
+ *   { type: 'done', id }                                      last frame of every request
+ *   { type: 'conversation', name, conversationId, ... }       a conversation changed outside a request, e.g.
+ *                                                             name 'conversation_updated' with a new `title`
+ *                                                             or summary `preview`
+ *
+ * Attachments are not accepted here; use the HTTP route. Closing the socket stops its running requests.
+ */
+
+const WS_PATH = '/api/v1/chat/ws';
+const HEARTBEAT_MS = 30000;
+const MAX_PAYLOAD_BYTES = 512 * 1024;
+const MAX_MESSAGE_CHARS = 8000;
+// Concurrent requests per socket; further sends are refused until one is done
+const MAX_IN_FLIGHT = 2;
+// Sends per user per minute across all of their sockets, matching the HTTP chat limiter
+const SEND_WINDOW_MS = 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 30;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isAllowedOrigin = (origin) => new Promise(resolve => {
+  createCorsOptions().origin(origin, (err) => resolve(!err));
+});
+
+function authenticate(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const token = req.headers['x-auth-token'] || url.searchParams.get('token');
+  if (!token) return null;
+  try {
+    return jwt.verify(token, env.JWT_SECRET).user || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Sliding window of send times per user id; returns false once the user is over the limit
+const sendWindows = new Map();
+function allowSend(userId) {
+  const now = Date.now();
+  const recent = (sendWindows.get(userId) || []).filter(t => now - t < SEND_WINDOW_MS);
+  if (recent.length >= MAX_SENDS_PER_WINDOW) {
+    sendWindows.set(userId, recent);
+    return false;
+  }
+  recent.push(now);
+  sendWindows.set(userId, recent);
+  return true;
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Turn a `send` frame into pipeline input; returns { input } or { error } for the client
+function sendInput(user, frame) {
+  if (typeof frame.id !== 'string' || !UUID_RE.test(frame.id)) return { error: 'id must be a UUID' };
+  if (!frame.regenerate && (typeof frame.message !== 'string' || !frame.message.trim() || frame.message.length > MAX_MESSAGE_CHARS)) {
+    return { error: `message must be 1-${MAX_MESSAGE_CHARS} chars` };
+  }
+  const body = { message: frame.message, mode: frame.mode };
+  // Same coding-mode system prompt the HTTP routes apply
+  technicalQuestionDetector({ body }, null, () => {});
+  return {
+    input: {
+      userId: user.id,
+      requestId: frame.id,
+      message: frame.regenerate ? undefined : frame.message,
+      conversationId: frame.conversationId,
+      model: frame.model,
+      mode: typeof frame.mode === 'string' ? frame.mode : undefined,
+      personaId: typeof frame.personaId === 'string' && UUID_RE.test(frame.personaId) ? frame.personaId : undefined,
+      params: frame.params || {},
+      memoryHints: frame.memoryHints,
+      systemMessage: body.systemMessage,
+      edit: frame.edit,
+      regenerate: frame.regenerate,
+    },
+  };
+}
+
+/**
+ * Serve the chat WebSocket on an HTTP server. `pipeline` is the chat pipeline to run requests through.
+ * Returns the WebSocketServer.
+ */
+function attachChatWebSocket(server, pipeline) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== WS_PATH) return;
+    if (req.headers.origin && !(await isAllowedOrigin(req.headers.origin))) return rejectUpgrade(socket, 403, 'Forbidden');
+    const user = authenticate(req);
+    if (!user) return rejectUpgrade(socket, 401, 'Unauthorized');
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, user));
+  });
+
+  wss.on('connection', (ws, user) => {
+    const connectionId = crypto.randomUUID();
+    const inFlight = new Set();
+    const send = (frame) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(frame));
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    const unsubscribe = conversationEvents.subscribe(user.id, ({ name, payload }) => send({ type: 'conversation', name, ...payload }));
+    logger.info({ action: 'chat_ws_connected', userId: user.id, connectionId });
+
+    ws.on('message', (data, isBinary) => {
+      let frame;
+      try {
+        frame = isBinary ? null : JSON.parse(data.toString());
+      } catch (_) { }
+      if (!frame || typeof frame.type !== 'string') return send({ type: 'error', status: 400, error: 'Frames must be JSON objects with a type' });
+
+      switch (frame.type) {
+        case 'send': {
+          const { input, error } = sendInput(user, frame);
+          if (error) return send({ type: 'error', id: frame.id, status: 400, error });
+          if (inFlight.has(frame.id)) return send({ type: 'error', id: frame.id, status: 409, error: 'A request with this id is already running' });
+          if (inFlight.size >= MAX_IN_FLIGHT) return send({ type: 'error', id: frame.id, status: 429, error: 'Too many concurrent requests on this connection' });
+          if (!allowSend(user.id)) return send({ type: 'error', id: frame.id, status: 429, error: 'Too many chat requests, please slow down.' });
+          inFlight.add(frame.id);
+          send({ type: 'typing', id: frame.id });
+          pipeline.run(input, createWSSink(ws, frame.id)).finally(() => inFlight.delete(frame.id));
+          return;
+        }
+        case 'cancel':
+          if (!activeRequests.stop(user.id, frame.id, 'user')) {
+            send({ type: 'error', id: frame.id, status: 404, error: 'Request not found or already finished' });
+          }
+          return;
+        case 'ping':
+          return send({ type: 'pong' });
+        default:
+          return send({ type: 'error', status: 400, error: `Unknown frame type: ${frame.type}` });
+      }
+    });
+
+    // Oversized frames, invalid UTF-8 and other protocol errors end this socket only
+    ws.on('error', (err) => {
+      logger.warn({ action: 'chat_ws_error', userId: user.id, connectionId, error: err.message });
+      ws.terminate();
+    });
+
+    ws.on('close', () => {
+      unsubscribe();
+      logger.info({ action: 'chat_ws_closed', userId: user.id, connectionId, inFlight: inFlight.size });
+    });
+
+    send({ type: 'ready' });
+  });
+
+  // Drop connections that stopped answering protocol pings (e.g. a phone that lost signal)
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  // Forget send windows of users who have been quiet for a whole window
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [userId, times] of sendWindows) {
+      if (!times.length || now - times[times.length - 1] >= SEND_WINDOW_MS) sendWindows.delete(userId);
+    }
+  }, SEND_WINDOW_MS);
+  sweep.unref();
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(sweep);
+  });
+
+  console.log(`[chat] WebSocket transport listening on ${WS_PATH}`);
+  return wss;
+}
+
+module.exports = { attachChatWebSocket, WS_PATH };
@@ -0,0 +1,72 @@
+const { AppError } = require('../../utils/errors');
+
+/**
+ * Chat pipeline sink for one request on a WebSocket (see wsServer.js for the protocol).
+ * Every frame carries the request `id` so several requests can share a socket. Tool progress goes
+ * out as `tool` frames, a mid-stream failure as an `error` frame without `status`, and other named
+ * pipeline events as `event` frames.
+ */
+function createWSSink(socket, id) {
+  let finished = false;
+
+  const send = (frame) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ ...frame, id }));
+  };
+
+  return {
+    open({ conversationId, isNewConversation }) {
+      send({ type: 'start', conversationId, isNewConversation });
+    },
+
+    chunk(text) {
+      send({ type: 'delta', text });
+    },
+
+    event(name, payload) {
+      // `id` names the request on this transport, so the tool call's own id travels as `callId`
+      if (name === 'tool_call' || name === 'tool_result') {
+        const { id: callId, ...rest } = payload;
+        send({ type: 'tool', phase: name === 'tool_call' ? 'call' : 'result', callId, ...rest });
+      }
+      // A stream that failed midway: the partial reply is still saved and `done` follows
+      else if (name === 'error') send({ type: 'error', error: payload.error });
+      else send({ type: 'event', name, payload });
+    },
+
+    reply(body) {
+      finished = true;
+      send({ type: 'reply', body });
+      send({ type: 'done' });
+    },
+
+    close() {
+      finished = true;
+      send({ type: 'done' });
+    },
+
+    fail(err) {
+      finished = true;
+      const operational = err instanceof AppError && err.isOperational;
+      send({
+        type: 'error',
+        status: operational ? err.statusCode : 500,
+        error: operational ? err.message : 'An internal error occurred.',
+        ...(operational && err.details ? { details: err.details } : {}),
+      });
+      send({ type: 'done' });
+    },
+
+    isClosed() {
+      return socket.readyState !== socket.OPEN;
+    },
+
+    // A socket that goes away mid-reply takes its requests with it
+    onClose(fn) {
+      socket.once('close', () => {
+        if (!finished) fn();
+      });
+    },
+  };
+}
+
+module.exports = { createWSSink };
@@ -0,0 +1,116 @@
+const DEFAULT_OPTIONS = {
+  windowMs: 60 * 1000,        // sliding window for the failure rate
+  minRequests: 5,             // don't trip on a handful of calls
+  failureRateThreshold: 0.5,  // trip when >= 50% of calls in the window failed
+  cooldownMs: 30 * 1000,      // how long to stay open before probing again
+  halfOpenProbes: 1,          // concurrent trial calls allowed while half-open
+};
+
+const STATES = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' };
+
+/**
+ * Per-upstream circuit breaker.
+ * closed -> open when the failure rate in the window crosses the threshold;
+ * open -> half_open after the cool-down; half_open -> closed on a successful probe,
+ * or back to open on a failed one.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.state = STATES.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - this.options.windowMs;
+    while (this.outcomes.length && this.outcomes[0].at < cutoff) this.outcomes.shift();
+  }
+
+  failureRate() {
+    this.prune();
+    if (this.outcomes.length === 0) return 0;
+    return this.outcomes.filter(o => !o.ok).length / this.outcomes.length;
+  }
+
+  // Whether a call may go through right now; reserves a probe slot when half-open
+  tryAcquire(now = Date.now()) {
+    if (this.state === STATES.OPEN) {
+      if (now - this.openedAt < this.options.cooldownMs) return false;
+      this.state = STATES.HALF_OPEN;
+      this.probesInFlight = 0;
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.probesInFlight >= this.options.halfOpenProbes) return false;
+      this.probesInFlight++;
+    }
+    return true;
+  }
+
+  // Give back a probe slot without counting the call, e.g. when the caller cancelled it
+  release() {
+    if (this.state === STATES.HALF_OPEN && this.probesInFlight > 0) this.probesInFlight--;
+  }
+
+  recordSuccess(now = Date.now()) {
+    this.lastSuccessAt = new Date(now).toISOString();
+    if (this.state === STATES.HALF_OPEN) {
+      this.state = STATES.CLOSED;
+      this.probesInFlight = 0;
+      this.outcomes = [];
+      console.info(`[circuitBreaker] ${this.name} closed after successful probe`);
+    }
+    this.outcomes.push({ at: now, ok: true });
+    this.prune(now);
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date(now).toISOString();
+    if (this.state === STATES.HALF_OPEN) {
+      this.trip(now);
+      return;
+    }
+    this.outcomes.push({ at: now, ok: false });
+    this.prune(now);
+    if (this.outcomes.length >= this.options.minRequests && this.failureRate() >= this.options.failureRateThreshold) {
+      this.trip(now);
+    }
+  }
+
+  trip(now = Date.now()) {
+    this.state = STATES.OPEN;
+    this.openedAt = now;
+    this.probesInFlight = 0;
+    console.warn(`[circuitBreaker] ${this.name} opened (last error: ${this.lastError})`);
+  }
+
+  reset() {
+    this.state = STATES.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.probesInFlight = 0;
+  }
+
+  snapshot() {
+    this.prune();
+    const retryAt = this.state === STATES.OPEN ? new Date(this.openedAt + this.options.cooldownMs).toISOString() : null;
+    return {
+      state: this.state,
+      failureRate: Number(this.failureRate().toFixed(2)),
+      requestsInWindow: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, STATES };
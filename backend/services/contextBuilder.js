@@ -0,0 +1,164 @@
+const { estimateTokenCount } = require('../utils/tokenizer');
+
+// Per-message framing overhead (role markers etc.) in chat-formatted prompts
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Vision inputs are billed per image rather than per byte; use a conservative flat estimate
+const IMAGE_TOKEN_ESTIMATE = 800;
+// Output space reserved when neither the request nor the model sets max_tokens
+const DEFAULT_OUTPUT_RESERVE = 1024;
+// Never cut an attachment below this, so the model still sees what kind of file it was
+const MIN_ATTACHMENT_TOKENS = 256;
+// A shortened attachment may take at most this share of the space left after the system prompt,
+// so recent history is not pushed out entirely by one large file
+const ATTACHMENT_BUDGET_SHARE = 0.6;
+
+function countContent(content) {
+  if (typeof content === 'string') return estimateTokenCount(content);
+  return (content || []).reduce((sum, part) => {
+    if (part.type === 'image') return sum + IMAGE_TOKEN_ESTIMATE;
+    return sum + estimateTokenCount(part.text || '');
+  }, 0);
+}
+
+function countMessage(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + countContent(message.content);
+  if (message.tool_calls) tokens += estimateTokenCount(JSON.stringify(message.tool_calls));
+  return tokens;
+}
+
+// Cut text to roughly `maxTokens`, using the chars-per-token ratio of the text itself
+function truncateToTokens(text, maxTokens) {
+  const total = estimateTokenCount(text);
+  if (total <= maxTokens) return text;
+  const ratio = text.length / Math.max(total, 1);
+  return text.slice(0, Math.max(Math.floor(maxTokens * ratio), 0));
+}
+
+/**
+ * Input budget for a model: its context window minus the space reserved for the reply,
+ * capped by `maxInputTokens` (a cost ceiling that applies even to long-context models).
+ */
+function getInputBudget(model, params = {}) {
+  const reserve = params.max_tokens ?? model.defaults?.max_tokens ?? DEFAULT_OUTPUT_RESERVE;
+  const window = model.contextWindow ? model.contextWindow - reserve : Infinity;
+  const cap = model.maxInputTokens || Infinity;
+  const budget = Math.min(window, cap);
+  return Number.isFinite(budget) ? Math.max(budget, 0) : null;
+}
+
+/**
+ * Fit one chat turn into the model's input budget.
+ *
+ * Always kept: the system prompt and the current user turn (its attachment text is shortened
+ * if needed). Then, in priority order: the conversation summary (folded into the system message,
+ * only when history is dropped), pinned history messages, memory hints, and the most recent
+ * history turns. The oldest unpinned turns are dropped first.
+ *
+ * @param {object} opts
+ * @param {object} opts.model - registry entry (contextWindow, maxInputTokens, defaults)
+ * @param {object} [opts.params] - effective generation params (max_tokens reserves output space)
+ * @param {string} opts.systemPrompt - instructions that must always be sent
+ * @param {string[]} [opts.memoryHints]
+ * @param {Array<{ id, role, content, pinned }>} [opts.history] - oldest first
+ * @param {string} [opts.summary] - stored summary of earlier turns
+ * @param {{ text: string, attachmentText?: string, image?: object }} opts.userTurn
+ *   `attachmentText` must be a suffix of `text` (extracted file content)
+ * @param {number} [opts.reservedTokens] - other request overhead, e.g. tool declarations
+ * @returns {{ messages, dropped: Array, report: object }}
+ */
+function buildContext({ model, params, systemPrompt, memoryHints = [], history = [], summary, userTurn, reservedTokens = 0 }) {
+  const budget = getInputBudget(model, params);
+  const limit = budget === null ? Infinity : budget - reservedTokens;
+  const report = {
+    budget,
+    usedTokens: 0,
+    droppedMessages: 0,
+    droppedMemoryHints: 0,
+    attachmentTruncated: false,
+    summaryUsed: false,
+  };
+
+  // Required pieces first
+  let userText = userTurn.text;
+  const systemTokens = MESSAGE_OVERHEAD_TOKENS + estimateTokenCount(systemPrompt);
+  const userFixedTokens = MESSAGE_OVERHEAD_TOKENS + (userTurn.image ? IMAGE_TOKEN_ESTIMATE : 0);
+  let used = systemTokens + userFixedTokens + estimateTokenCount(userText);
+
+  const attachment = userTurn.attachmentText;
+  if (used > limit && attachment && userText.endsWith(attachment)) {
+    const prefix = userText.slice(0, userText.length - attachment.length);
+    const available = limit - systemTokens - userFixedTokens - estimateTokenCount(prefix);
+    const room = Math.max(Math.floor(available * ATTACHMENT_BUDGET_SHARE), MIN_ATTACHMENT_TOKENS);
+    const note = '\n\n[File content truncated to fit the context window]';
+    userText = prefix + truncateToTokens(attachment, room - estimateTokenCount(note)) + note;
+    used = systemTokens + userFixedTokens + estimateTokenCount(userText);
+    report.attachmentTruncated = true;
+  }
+  let remaining = limit - used;
+
+  // History: pinned turns are kept regardless of age, the rest newest-first while they fit
+  const turns = history.map(m => ({ ...m, tokens: countMessage(m) }));
+  const historyTokens = turns.reduce((sum, t) => sum + t.tokens, 0);
+  const hintTokens = memoryHints.map(h => estimateTokenCount(h) + 2);
+  const everythingFits = historyTokens + hintTokens.reduce((a, b) => a + b, 0) <= remaining;
+
+  const kept = new Set();
+  let summaryText = null;
+  let keptHints = memoryHints;
+
+  if (!everythingFits) {
+    if (summary) {
+      const text = `\n\nSummary of the earlier part of this conversation:\n${summary}`;
+      const tokens = estimateTokenCount(text);
+      if (tokens <= remaining) {
+        summaryText = text;
+        remaining -= tokens;
+      }
+    }
+    for (const turn of turns) {
+      if (turn.pinned && turn.tokens <= remaining) {
+        kept.add(turn);
+        remaining -= turn.tokens;
+      }
+    }
+    // Memory hints are short and personal; keep the first (most relevant) ones that fit
+    keptHints = [];
+    memoryHints.forEach((hint, i) => {
+      if (hintTokens[i] <= remaining) {
+        keptHints.push(hint);
+        remaining -= hintTokens[i];
+      }
+    });
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turn = turns[i];
+      if (kept.has(turn)) continue;
+      if (turn.tokens > remaining) break; // stop at the first gap so the kept history stays contiguous
+      kept.add(turn);
+      remaining -= turn.tokens;
+    }
+  } else {
+    turns.forEach(t => kept.add(t));
+  }
+
+  const dropped = turns.filter(t => !kept.has(t)).map(({ tokens, ...m }) => m);
+  report.droppedMessages = dropped.length;
+  report.droppedMemoryHints = memoryHints.length - keptHints.length;
+  report.summaryUsed = !!(summaryText && dropped.length);
+
+  let systemContent = systemPrompt;
+  if (keptHints.length) {
+    systemContent += `\n\nRelevant user memory (use respectfully and privately, do not ask the user to repeat):\n- ${keptHints.join('\n- ')}`;
+  }
+  if (report.summaryUsed) systemContent += summaryText;
+
+  const messages = [
+    { role: 'system', content: systemContent },
+    ...turns.filter(t => kept.has(t)).map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: userTurn.image ? [{ type: 'text', text: userText }, userTurn.image] : userText },
+  ];
+  report.usedTokens = messages.reduce((sum, m) => sum + countMessage(m), 0) + reservedTokens;
+
+  return { messages, dropped, report };
+}
+
+module.exports = { buildContext, getInputBudget, countMessage };
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const cache = require('../utils/cache');
+
+/**
+ * Cached conversation lists. A user's list is cached once per page, limit and filter combination,
+ * all under a version stored at `conversations:<userId>`. invalidate() drops the version, so every
+ * list cached for the user is bypassed at once, whatever its key, and left to expire.
+ */
+
+const LIST_TTL_SECONDS = 30;
+// Outlives the lists cached under it, so a dropped version's entries are gone before it could recur
+const VERSION_TTL_SECONDS = 24 * 60 * 60;
+
+function versionKey(userId) {
+  return `conversations:${userId}`;
+}
+
+async function currentVersion(userId) {
+  const version = await cache.get(versionKey(userId));
+  if (version) return version;
+  const fresh = crypto.randomBytes(6).toString('hex');
+  await cache.set(versionKey(userId), fresh, VERSION_TTL_SECONDS);
+  return fresh;
+}
+
+function listKey(userId, version, params) {
+  const parts = Object.keys(params).sort()
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .map(name => `${name}=${params[name]}`);
+  return [versionKey(userId), `v=${version}`, ...parts].join(':');
+}
+
+// The list for `params` from the cache, or from load() (then cached)
+async function cachedList(userId, params, load) {
+  const key = listKey(userId, await currentVersion(userId), params);
+  const hit = await cache.get(key);
+  if (hit) return hit;
+  const list = await load();
+  await cache.set(key, list, LIST_TTL_SECONDS);
+  return list;
+}
+
+// Call after any change that shows in a user's conversation list
+async function invalidate(userId) {
+  await cache.del(versionKey(userId));
+}
+
+module.exports = { cachedList, invalidate };
@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Per-user notifications about conversations that change outside a chat request, such as a title
+ * generated in the background. Clients receive them over GET /api/v1/conversations/events (SSE) or as
+ * `conversation` frames on the chat WebSocket.
+ *
+ * Delivery is best effort and local to this instance: a client connected elsewhere, or not connected
+ * at all, sees the change the next time it loads the conversation list.
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Notify every listener of `userId`; `payload` is { conversationId, ...changed fields }
+function publish(userId, name, payload) {
+  emitter.emit(String(userId), { name, payload });
+}
+
+// Call fn({ name, payload }) for each of the user's events; returns the unsubscribe function
+function subscribe(userId, fn) {
+  const key = String(userId);
+  emitter.on(key, fn);
+  return () => emitter.off(key, fn);
+}
+
+module.exports = { publish, subscribe };
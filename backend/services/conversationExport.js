@@ -0,0 +1,196 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { NotFoundError } = require('../utils/errors');
+const modelRegistry = require('./modelRegistry');
+const messageTree = require('./messageTree');
+
+/**
+ * Conversation export. JSON is lossless: every branch of the message tree with ids, parents,
+ * `fileInfo`, `modelUsed`, metadata and generation params, and is what conversationImport.js reads
+ * back. Markdown and HTML are for reading: the active branch only, with message text as written, so
+ * code fences survive.
+ */
+
+const EXPORT_FORMAT = 'chatbot-export';
+const EXPORT_VERSION = 1;
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+};
+
+// One conversation, or all of the user's (newest first), with their message rows in time order
+async function loadConversations(userId, conversationId) {
+  const conversations = await Conversation.findAll({
+    where: { userId, ...(conversationId ? { id: conversationId } : {}) },
+    order: [['lastMessageTimestamp', 'DESC']],
+  });
+  if (conversationId && !conversations.length) throw new NotFoundError('Conversation');
+  const rows = conversations.length
+    ? await Message.findAll({ where: { conversationId: conversations.map(c => c.id) }, order: [['timestamp', 'ASC']] })
+    : [];
+  const byConversation = new Map(conversations.map(c => [c.id, []]));
+  for (const row of rows) byConversation.get(row.conversationId).push(row);
+  const items = [];
+  for (const conversation of conversations) {
+    const messages = byConversation.get(conversation.id);
+    await messageTree.linkLegacyMessages(messages);
+    const index = messageTree.indexMessages(messages);
+    const path = messageTree.pathTo(index, messageTree.activeLeafId(conversation, index));
+    items.push({ conversation, messages, path });
+  }
+  return items;
+}
+
+function exportMessage(row) {
+  return {
+    id: row.id,
+    parentId: row.parentId || null,
+    branchIndex: row.branchIndex || 0,
+    role: row.role,
+    content: row.content || '',
+    timestamp: row.timestamp,
+    modelUsed: row.modelUsed || null,
+    fileInfo: row.fileInfo || null,
+    metadata: row.metadata || null,
+    generationParams: row.generationParams || null,
+    thoughtProcess: row.thoughtProcess || null,
+    tokensUsed: row.tokensUsed ?? null,
+    tokenCount: row.tokenCount ?? null,
+    pinned: !!row.pinned,
+  };
+}
+
+function toJson(items) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: items.map(({ conversation, messages }) => ({
+      id: conversation.id,
+      title: conversation.title,
+      mode: conversation.mode || null,
+      personaId: conversation.personaId || null,
+      generationDefaults: conversation.generationDefaults || null,
+      summary: conversation.summary || null,
+      activeLeafId: conversation.activeLeafId || null,
+      createdAt: conversation.createdAt,
+      lastMessageTimestamp: conversation.lastMessageTimestamp,
+      messages: messages.map(exportMessage),
+    })),
+  }, null, 2);
+}
+
+function speaker(row) {
+  if (row.role === 'assistant') return `Assistant${row.modelUsed ? ` (${modelRegistry.getLabel(row.modelUsed)})` : ''}`;
+  return row.role === 'system' ? 'System' : 'User';
+}
+
+function attachmentNote(row) {
+  const file = row.fileInfo;
+  return file && file.fileName ? `📎 ${file.fileName}${file.fileType ? ` (${file.fileType})` : ''}` : null;
+}
+
+function toMarkdown(items) {
+  return items.map(({ conversation, path }) => {
+    const lines = [`# ${conversation.title || 'Untitled chat'}`, ''];
+    if (conversation.lastMessageTimestamp) lines.push(`_Last message: ${new Date(conversation.lastMessageTimestamp).toISOString()}_`, '');
+    for (const row of path) {
+      lines.push(`### ${speaker(row)}`, '');
+      const note = attachmentNote(row);
+      if (note) lines.push(`> ${note}`, '');
+      lines.push(row.content || '', '');
+    }
+    return lines.join('\n');
+  }).join('\n---\n\n');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Message text as HTML: fenced code blocks become <pre><code>, everything else is escaped text
+function textToHtml(text) {
+  return String(text).split(/^```/m).map((part, i) => {
+    if (i % 2 === 0) return part.trim() ? `<div class="text">${escapeHtml(part.trim())}</div>` : '';
+    const newline = part.indexOf('\n');
+    const language = newline === -1 ? '' : part.slice(0, newline).trim();
+    const code = newline === -1 ? part : part.slice(newline + 1);
+    const label = language ? ` class="language-${escapeHtml(language)}"` : '';
+    return `<pre><code${label}>${escapeHtml(code.replace(/\n$/, ''))}</code></pre>`;
+  }).join('\n');
+}
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+h1 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+.message { border-radius: 10px; padding: .75rem 1rem; margin: .75rem 0; }
+.user { background: #eef4ff; }
+.assistant { background: #f6f8fa; }
+.speaker { font-weight: 600; font-size: .85rem; color: #57606a; margin-bottom: .4rem; }
+.text { white-space: pre-wrap; }
+.attachment { font-size: .85rem; color: #57606a; }
+pre { background: #161b22; color: #e6edf3; padding: .75rem; border-radius: 6px; overflow-x: auto; }
+hr { margin: 2.5rem 0; }`;
+
+function toHtml(items) {
+  const title = items.length === 1 ? items[0].conversation.title || 'Untitled chat' : 'Chat export';
+  const body = items.map(({ conversation, path }) => {
+    const messages = path.map(row => {
+      const note = attachmentNote(row);
+      return [
+        `<div class="message ${row.role}">`,
+        `<div class="speaker">${escapeHtml(speaker(row))} · ${escapeHtml(new Date(row.timestamp).toLocaleString('en-US'))}</div>`,
+        note ? `<div class="attachment">${escapeHtml(note)}</div>` : '',
+        textToHtml(row.content || ''),
+        '</div>',
+      ].filter(Boolean).join('\n');
+    });
+    return `<section>\n<h1>${escapeHtml(conversation.title || 'Untitled chat')}</h1>\n${messages.join('\n')}\n</section>`;
+  }).join('\n<hr>\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { markdown: toMarkdown, json: toJson, html: toHtml };
+
+function fileName(items, conversationId, format) {
+  const date = new Date().toISOString().split('T')[0];
+  const base = conversationId
+    ? (items[0].conversation.title || 'chat').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 60) || 'chat'
+    : 'conversations';
+  return `${base}-${date}.${FORMATS[format].extension}`;
+}
+
+/**
+ * Export one conversation (`conversationId`) or all of the user's in `format` (markdown, json, html).
+ * Returns { body, contentType, fileName }.
+ */
+async function exportConversations(userId, { conversationId = null, format = 'markdown' } = {}) {
+  const items = await loadConversations(userId, conversationId);
+  return {
+    body: RENDERERS[format](items),
+    contentType: FORMATS[format].contentType,
+    fileName: fileName(items, conversationId, format),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  FORMATS: Object.keys(FORMATS),
+  exportConversations,
+};
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const personas = require('./personas');
+const modelRegistry = require('./modelRegistry');
+const { pickGenerationParams, validateGenerationParams } = require('./generationParams');
+const { EXPORT_FORMAT } = require('./conversationExport');
+const conversationCache = require('./conversationCache');
+
+/**
+ * Conversation import. Accepts this app's JSON export (see conversationExport.js) and the
+ * `conversations.json` file of a ChatGPT/OpenAI data export. Both are mapped onto Conversation and
+ * Message rows the way the chat route writes them: one row per turn with its `role` and `content`,
+ * linked into a tree by `parentId` so edited and regenerated branches survive.
+ *
+ * Every conversation is imported on its own transaction; ones that cannot be read are skipped and
+ * listed in the report together with the messages left out (system and tool turns, images). A file of
+ * ours that lists a message before its parent is rejected as a whole.
+ */
+
+const MAX_CONVERSATIONS = 1000;
+const MAX_MESSAGES_PER_CONVERSATION = 5000;
+// ChatGPT mappings also hold system, tool and hidden nodes, so allow more nodes than messages
+const MAX_MAPPING_NODES = 4 * MAX_MESSAGES_PER_CONVERSATION;
+const MAX_TITLE_CHARS = 255;
+const IMPORTED_TITLE = 'Imported chat';
+
+function detectFormat(data) {
+  if (data && data.format === EXPORT_FORMAT && Array.isArray(data.conversations)) return 'chatbot';
+  const list = Array.isArray(data) ? data : [data];
+  if (list.length && list.every(c => c && typeof c === 'object' && c.mapping && typeof c.mapping === 'object')) return 'chatgpt';
+  return null;
+}
+
+function toDate(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  // ChatGPT timestamps are seconds since the epoch
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? fallback : date;
+}
+
+const MAX_FIELD_CHARS = 1000;
+
+function pickFields(value, fields) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const picked = {};
+  for (const [field, type] of Object.entries(fields)) {
+    if (typeof value[field] !== type) continue;
+    picked[field] = type === 'string' ? value[field].slice(0, MAX_FIELD_CHARS) : value[field];
+  }
+  return Object.keys(picked).length ? picked : null;
+}
+
+// Only display fields are carried over; flags the app acts on (memorySaved, compare, ...) are dropped
+const importedMetadata = (metadata) => pickFields(metadata, { modelLabel: 'string', stopped: 'boolean', stopReason: 'string' });
+const importedFileInfo = (fileInfo) => pickFields(fileInfo, { fileName: 'string', fileType: 'string', wordCount: 'number', summary: 'string' });
+
+// Generation params are checked like PUT /conversations/:id/settings checks them; invalid ones are dropped
+function importedParams(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const { params } = validateGenerationParams(modelRegistry.getGenerationLimits(), pickGenerationParams(value));
+  return Object.keys(params).length ? params : null;
+}
+
+/*
+ * Both readers produce { title, mode, createdAt, turns, activeTurnId, skippedMessages }, where turns
+ * are { key, parentKey, role: 'user'|'assistant', text, timestamp, ...row fields } in tree order.
+ */
+
+function readChatbotConversation(source) {
+  const skipped = [];
+  const turns = [];
+  const keys = new Set();
+  for (const message of Array.isArray(source.messages) ? source.messages : []) {
+    if (!message || !['user', 'assistant'].includes(message.role) || typeof message.content !== 'string') {
+      skipped.push({ id: message && message.id, reason: 'not a user or assistant text message' });
+      continue;
+    }
+    keys.add(message.id);
+    turns.push({
+      key: message.id,
+      parentKey: message.parentId || null,
+      role: message.role,
+      text: message.content,
+      timestamp: toDate(message.timestamp, null),
+      modelUsed: message.modelUsed || null,
+      fileInfo: importedFileInfo(message.fileInfo),
+      metadata: importedMetadata(message.metadata),
+      generationParams: importedParams(message.generationParams),
+      thoughtProcess: message.thoughtProcess || null,
+      tokensUsed: Number.isInteger(message.tokensUsed) ? message.tokensUsed : null,
+      pinned: !!message.pinned,
+    });
+  }
+  // A parent that was skipped: hang the turn on the root instead
+  for (const turn of turns) if (turn.parentKey && !keys.has(turn.parentKey)) turn.parentKey = null;
+  return {
+    title: source.title,
+    mode: source.mode,
+    createdAt: toDate(source.createdAt, null),
+    generationDefaults: importedParams(source.generationDefaults),
+    turns,
+    activeTurnId: source.activeLeafId || null,
+    skippedMessages: skipped,
+  };
+}
+
+// Our exports list every message after its parent; reject files that do not, before storing anything
+function checkChatbotOrder(conversations) {
+  for (const [index, source] of conversations.entries()) {
+    const messages = source && Array.isArray(source.messages) ? source.messages : [];
+    const listed = new Set();
+    const ids = new Set(messages.map(message => message && message.id));
+    for (const message of messages) {
+      if (!message) continue;
+      if (message.parentId && ids.has(message.parentId) && !listed.has(message.parentId)) {
+        throw new ValidationError(
+          `Conversation ${index + 1}: message ${message.id} is listed before its parent ${message.parentId}; messages must follow their parents`,
+          'file'
+        );
+      }
+      listed.add(message.id);
+    }
+  }
+}
+
+// Text of a ChatGPT message; null when it has none we can keep (images, tool output)
+function chatgptText(message) {
+  const content = message.content || {};
+  if (content.content_type === 'code' && typeof content.text === 'string') {
+    return `\`\`\`${content.language && content.language !== 'unknown' ? content.language : ''}\n${content.text}\n\`\`\``;
+  }
+  if (!['text', 'multimodal_text'].includes(content.content_type) || !Array.isArray(content.parts)) return null;
+  const text = content.parts.filter(part => typeof part === 'string').join('\n').trim();
+  return text || null;
+}
+
+function readChatgptConversation(source) {
+  const mapping = source.mapping || {};
+  if (Object.keys(mapping).length > MAX_MAPPING_NODES) throw new ValidationError(`more than ${MAX_MAPPING_NODES} nodes`);
+  const skipped = [];
+  const kept = new Map();
+
+  // Nearest ancestor that became a turn; skipped nodes (system prompt, tools, images) are bridged over
+  const keptAncestor = (nodeId) => {
+    let node = mapping[nodeId];
+    const seen = new Set();
+    while (node && node.parent && !seen.has(node.id)) {
+      seen.add(node.id);
+      if (kept.has(node.parent)) return node.parent;
+      node = mapping[node.parent];
+    }
+    return null;
+  };
+
+  // Walk from the roots so parents are placed before their children; each node is visited once,
+  // so children lists that loop back or repeat cannot keep the walk going
+  const roots = Object.entries(mapping).filter(([, node]) => node && (!node.parent || !mapping[node.parent]));
+  const visited = new Set(roots.map(([id]) => id));
+  const queue = roots.map(([, node]) => node);
+  const turns = [];
+  while (queue.length) {
+    const node = queue.shift();
+    for (const childId of Array.isArray(node.children) ? node.children : []) {
+      if (!mapping[childId] || visited.has(childId)) continue;
+      visited.add(childId);
+      queue.push(mapping[childId]);
+    }
+    const message = node.message;
+    if (!message) continue;
+    const role = message.author && message.author.role;
+    const hidden = message.metadata && message.metadata.is_visually_hidden_from_conversation;
+    const text = ['user', 'assistant'].includes(role) && !hidden ? chatgptText(message) : null;
+    if (!text) {
+      // Empty system roots and hidden context messages are not worth reporting
+      if (role !== 'system' && !hidden) skipped.push({ id: message.id || node.id, reason: `unsupported ${role || 'unknown'} message` });
+      continue;
+    }
+
+    const parts = (message.content && message.content.parts) || [];
+    if (parts.some(part => typeof part !== 'string')) {
+      skipped.push({ id: message.id || node.id, reason: 'images and other attachments are not imported' });
+    }
+
+    const parentKey = keptAncestor(node.id);
+    const parent = parentKey ? kept.get(parentKey) : null;
+    // Replies split across several assistant messages (e.g. around a tool call) read as one turn
+    if (parent && parent.role === role && role === 'assistant' && (mapping[parentKey].children || []).length === 1) {
+      parent.text += `\n\n${text}`;
+      kept.set(node.id, parent);
+      continue;
+    }
+    const turn = {
+      key: node.id,
+      parentKey: parent ? parent.key : null,
+      role,
+      text,
+      timestamp: toDate(message.create_time, null),
+      modelUsed: (message.metadata && message.metadata.model_slug) || null,
+      metadata: { imported: { source: 'chatgpt', messageId: message.id || node.id } },
+    };
+    kept.set(node.id, turn);
+    turns.push(turn);
+  }
+
+  const current = source.current_node && kept.get(source.current_node);
+  const currentAncestor = source.current_node && !current ? keptAncestor(source.current_node) : null;
+  return {
+    title: source.title,
+    mode: null,
+    createdAt: toDate(source.create_time, null),
+    generationDefaults: null,
+    turns,
+    activeTurnId: current ? current.key : (currentAncestor ? kept.get(currentAncestor).key : null),
+    skippedMessages: skipped,
+  };
+}
+
+// Store one read conversation; returns { id, title, messages }
+async function storeConversation(userId, read) {
+  const createdAt = read.createdAt || new Date();
+  const ids = new Map(read.turns.map(turn => [turn.key, crypto.randomUUID()]));
+  const times = new Map();
+  const nextBranch = new Map();
+  const rows = read.turns.map(turn => {
+    // Turns are ordered by time in the tree; one without a usable timestamp follows its parent
+    const after = turn.parentKey ? times.get(turn.parentKey) : createdAt.getTime();
+    const timestamp = turn.timestamp && turn.timestamp.getTime() > after ? turn.timestamp : new Date(after + 1000);
+    times.set(turn.key, timestamp.getTime());
+    const parentId = turn.parentKey ? ids.get(turn.parentKey) : null;
+    // Siblings are numbered in the order they appear, which is the order they were written
+    const branchIndex = nextBranch.get(parentId) || 0;
+    nextBranch.set(parentId, branchIndex + 1);
+    return {
+      id: ids.get(turn.key),
+      parentId,
+      branchIndex,
+      role: turn.role,
+      content: turn.text,
+      timestamp,
+      modelUsed: turn.modelUsed ? String(turn.modelUsed).slice(0, 50) : null,
+      fileInfo: turn.fileInfo || null,
+      metadata: turn.metadata || null,
+      generationParams: turn.generationParams || null,
+      thoughtProcess: turn.thoughtProcess || null,
+      tokensUsed: turn.tokensUsed ?? null,
+      pinned: !!turn.pinned,
+    };
+  });
+
+  const title = String(read.title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_CHARS) || IMPORTED_TITLE;
+  const lastRow = rows.reduce((last, row) => (!last || row.timestamp > last.timestamp ? row : last), null);
+  const activeLeafId = (read.activeTurnId && ids.get(read.activeTurnId)) || (lastRow ? lastRow.id : null);
+
+  return sequelize.transaction(async (transaction) => {
+    const conversation = await Conversation.create({
+      userId,
+      title,
+      mode: read.mode && personas.getBuiltin(read.mode) ? read.mode : null,
+      generationDefaults: read.generationDefaults,
+      lastMessageTimestamp: lastRow ? lastRow.timestamp : createdAt,
+      activeLeafId,
+    }, { transaction });
+    await Message.bulkCreate(rows.map(row => ({ ...row, conversationId: conversation.id })), { transaction });
+    return { id: conversation.id, title, messages: rows.length };
+  });
+}
+
+/**
+ * Import conversations for `userId` from parsed export data. Returns
+ * { format, imported: [{ id, title, messages, skippedMessages }], skipped: [{ index, title, reason }] }.
+ */
+async function importConversations(userId, data) {
+  const format = detectFormat(data);
+  if (!format) throw new ValidationError('Unrecognized import format: expected this app\'s JSON export or ChatGPT conversations.json', 'file');
+  const sources = format === 'chatbot' ? data.conversations : (Array.isArray(data) ? data : [data]);
+  const read = format === 'chatbot' ? readChatbotConversation : readChatgptConversation;
+  if (format === 'chatbot') checkChatbotOrder(sources);
+
+  const imported = [];
+  const skipped = [];
+  for (const [index, source] of sources.entries()) {
+    const title = source && typeof source.title === 'string' ? source.title : null;
+    if (index >= MAX_CONVERSATIONS) {
+      skipped.push({ index, title, reason: `only the first ${MAX_CONVERSATIONS} conversations are imported` });
+      continue;
+    }
+    try {
+      if (!source || typeof source !== 'object') throw new ValidationError('not a conversation object');
+      const conversation = read(source);
+      if (!conversation.turns.length) throw new ValidationError('no user or assistant messages');
+      if (conversation.turns.length > MAX_MESSAGES_PER_CONVERSATION) {
+        throw new ValidationError(`more than ${MAX_MESSAGES_PER_CONVERSATION} messages`);
+      }
+      const stored = await storeConversation(userId, conversation);
+      imported.push({ ...stored, skippedMessages: conversation.skippedMessages });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) {
+        logger.error({ action: 'conversation_import_error', userId, index, error: err.message });
+      }
+      skipped.push({ index, title, reason: err instanceof ValidationError ? err.message : 'could not be stored' });
+    }
+  }
+
+  if (imported.length) await conversationCache.invalidate(userId);
+  logger.info({ action: 'conversations_imported', userId, format, imported: imported.length, skipped: skipped.length });
+  return { format, imported, skipped };
+}
+
+module.exports = { importConversations, detectFormat };
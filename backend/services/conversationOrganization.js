@@ -0,0 +1,287 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Conversation = require('../models/Conversation');
+const ConversationFolder = require('../models/ConversationFolder');
+const ConversationTag = require('../models/ConversationTag');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const conversationCache = require('./conversationCache');
+const conversationEvents = require('./conversationEvents');
+const conversationSummary = require('./conversationSummary');
+
+/**
+ * How a user organizes their conversations: folders (nested one level), free-form tags, pinning and
+ * archiving, and the filtered conversation list built on them. Pinned conversations come first;
+ * archived ones are only listed when asked for.
+ */
+
+const MAX_FOLDERS = 100;
+const MAX_TAGS = 20;
+const MAX_TAG_CHARS = 50;
+const MAX_BULK = 100;
+const BULK_ACTIONS = ['move', 'archive', 'unarchive', 'pin', 'unpin', 'delete'];
+
+const LIST_ATTRIBUTES = ['id', 'title', 'lastMessageTimestamp', 'summary', 'folderId', 'pinned', 'archivedAt'];
+
+// Trimmed, single-spaced, without case-insensitive duplicates
+function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const raw of tags) {
+    const tag = String(raw).replace(/\s+/g, ' ').trim();
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    if (tag.length > MAX_TAG_CHARS) throw new ValidationError(`Tags can be at most ${MAX_TAG_CHARS} characters`, 'tags');
+    seen.add(tag.toLowerCase());
+    result.push(tag);
+  }
+  if (result.length > MAX_TAGS) throw new ValidationError(`A conversation can have at most ${MAX_TAGS} tags`, 'tags');
+  return result;
+}
+
+async function tagsByConversation(conversationIds) {
+  const byConversation = new Map(conversationIds.map(id => [id, []]));
+  if (!conversationIds.length) return byConversation;
+  const rows = await ConversationTag.findAll({ where: { conversationId: conversationIds }, order: [['tag', 'ASC']] });
+  for (const row of rows) byConversation.get(row.conversationId).push(row.tag);
+  return byConversation;
+}
+
+// Sidebar entry: the stored summary is only sent as a short preview
+function listEntry(conversation, tags) {
+  const { summary, ...entry } = conversation.toJSON();
+  return { ...entry, archived: !!entry.archivedAt, tags, preview: conversationSummary.preview(summary) };
+}
+
+async function findFolder(userId, folderId) {
+  const folder = await ConversationFolder.findOne({ where: { id: folderId, userId } });
+  if (!folder) throw new NotFoundError('Folder');
+  return folder;
+}
+
+/* ----- Conversation list ----- */
+
+/**
+ * The user's conversations, pinned first, then newest first. Filters: `folderId` (a folder's id, or
+ * 'none' for unfiled ones), `tags` (conversations carrying all of them), `pinned`, and `archived`
+ * (false by default: archived conversations are left out; true lists only them). With `page` and
+ * `limit` returns { items, pagination }, otherwise every match as an array.
+ */
+async function listConversations(userId, { page = null, limit = null, folderId, tags = [], pinned, archived = false } = {}) {
+  const params = { page, limit, folderId, tags: tags.length ? tags.join(',') : undefined, pinned, archived };
+  return conversationCache.cachedList(userId, params, async () => {
+    const where = { userId, archivedAt: archived ? { [Op.ne]: null } : null };
+    if (folderId) where.folderId = folderId === 'none' ? null : folderId;
+    if (pinned !== undefined) where.pinned = pinned;
+    if (tags.length) {
+      let ids = null;
+      for (const tag of tags) {
+        const rows = await ConversationTag.findAll({ where: { userId, tag }, attributes: ['conversationId'] });
+        const tagged = new Set(rows.map(row => row.conversationId));
+        ids = ids ? ids.filter(id => tagged.has(id)) : [...tagged];
+      }
+      where.id = ids;
+    }
+    const query = { attributes: LIST_ATTRIBUTES, where, order: [['pinned', 'DESC'], ['lastMessageTimestamp', 'DESC']] };
+
+    if (page && limit) {
+      const { rows, count } = await Conversation.findAndCountAll({ ...query, limit, offset: (page - 1) * limit });
+      const tagsOf = await tagsByConversation(rows.map(c => c.id));
+      return {
+        items: rows.map(c => listEntry(c, tagsOf.get(c.id))),
+        pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) || 1 },
+      };
+    }
+    const rows = await Conversation.findAll(query);
+    const tagsOf = await tagsByConversation(rows.map(c => c.id));
+    return rows.map(c => listEntry(c, tagsOf.get(c.id)));
+  });
+}
+
+// Every tag the user has used, with how many conversations carry it
+async function listTags(userId) {
+  const rows = await ConversationTag.findAll({
+    where: { userId },
+    attributes: ['tag', [sequelize.fn('COUNT', sequelize.col('conversationId')), 'count']],
+    group: ['tag'],
+    order: [['tag', 'ASC']],
+    raw: true,
+  });
+  return rows.map(row => ({ tag: row.tag, count: Number(row.count) }));
+}
+
+/* ----- Folders ----- */
+
+function describeFolder(folder, counts = new Map()) {
+  return {
+    id: folder.id,
+    name: folder.name,
+    parentId: folder.parentId || null,
+    conversationCount: counts.get(folder.id) || 0,
+    createdAt: folder.createdAt,
+  };
+}
+
+// The user's folders by name, with how many unarchived conversations each holds directly
+async function listFolders(userId) {
+  const [folders, counts] = await Promise.all([
+    ConversationFolder.findAll({ where: { userId }, order: [['name', 'ASC']] }),
+    Conversation.count({ where: { userId, archivedAt: null, folderId: { [Op.ne]: null } }, group: ['folderId'] }),
+  ]);
+  const byFolder = new Map(counts.map(row => [row.folderId, Number(row.count)]));
+  return folders.map(folder => describeFolder(folder, byFolder));
+}
+
+// Checks a folder's name and place: unique among its siblings, and at most one level deep
+async function checkPlacement(userId, { id = null, name, parentId }) {
+  if (parentId) {
+    if (parentId === id) throw new ValidationError('A folder cannot be its own parent', 'parentId');
+    const parent = await findFolder(userId, parentId);
+    if (parent.parentId) throw new ValidationError('Folders nest only one level deep', 'parentId');
+    if (id && await ConversationFolder.count({ where: { userId, parentId: id } })) {
+      throw new ValidationError('A folder with subfolders cannot be moved into another folder', 'parentId');
+    }
+  }
+  const siblings = await ConversationFolder.findAll({ where: { userId, parentId: parentId || null }, attributes: ['id', 'name'] });
+  if (siblings.some(s => s.id !== id && s.name.toLowerCase() === name.toLowerCase())) {
+    throw new ValidationError(`There is already a folder named "${name}" here`, 'name');
+  }
+}
+
+async function createFolder(userId, { name, parentId = null }) {
+  if (await ConversationFolder.count({ where: { userId } }) >= MAX_FOLDERS) {
+    throw new ValidationError(`You can keep up to ${MAX_FOLDERS} folders`);
+  }
+  await checkPlacement(userId, { name, parentId });
+  const folder = await ConversationFolder.create({ userId, name, parentId });
+  logger.info({ action: 'folder_created', userId, folderId: folder.id });
+  return describeFolder(folder);
+}
+
+// Rename and/or move a folder; `parentId` null moves it to the top level, undefined leaves it
+async function updateFolder(userId, folderId, { name, parentId }) {
+  const folder = await findFolder(userId, folderId);
+  const next = {
+    name: name !== undefined ? name : folder.name,
+    parentId: parentId !== undefined ? parentId : folder.parentId,
+  };
+  await checkPlacement(userId, { id: folder.id, ...next });
+  await folder.update(next);
+  return describeFolder(folder);
+}
+
+/**
+ * Delete a folder and its subfolders. Their conversations are not deleted: they move to the
+ * deleted folder's parent, or become unfiled. Returns { moved }.
+ */
+async function deleteFolder(userId, folderId) {
+  const folder = await findFolder(userId, folderId);
+  const subfolders = await ConversationFolder.findAll({ where: { userId, parentId: folder.id }, attributes: ['id'] });
+  const ids = [folder.id, ...subfolders.map(f => f.id)];
+  const moved = await sequelize.transaction(async (transaction) => {
+    const [count] = await Conversation.update(
+      { folderId: folder.parentId || null },
+      { where: { userId, folderId: ids }, transaction }
+    );
+    await ConversationFolder.destroy({ where: { userId, id: ids }, transaction });
+    return count;
+  });
+  await conversationCache.invalidate(userId);
+  logger.info({ action: 'folder_deleted', userId, folderId, moved });
+  return { moved };
+}
+
+/* ----- Filing, tags, pinning and archiving ----- */
+
+function describeOrganization(conversation, tags) {
+  return {
+    conversationId: conversation.id,
+    folderId: conversation.folderId || null,
+    tags,
+    pinned: !!conversation.pinned,
+    archived: !!conversation.archivedAt,
+    archivedAt: conversation.archivedAt || null,
+  };
+}
+
+/**
+ * Change where one conversation is filed and how it is marked. Every field is optional:
+ * `folderId` (null: unfiled), `tags` (replaces the current tags), `pinned`, `archived`.
+ */
+async function organize(userId, conversationId, { folderId, tags, pinned, archived }) {
+  const conversation = await Conversation.findOne({ where: { id: conversationId, userId } });
+  if (!conversation) throw new NotFoundError('Conversation');
+  if (folderId) await findFolder(userId, folderId);
+  const nextTags = tags !== undefined ? normalizeTags(tags) : null;
+
+  const values = {};
+  if (folderId !== undefined) values.folderId = folderId;
+  if (pinned !== undefined) values.pinned = pinned;
+  if (archived !== undefined && archived !== !!conversation.archivedAt) values.archivedAt = archived ? new Date() : null;
+
+  await sequelize.transaction(async (transaction) => {
+    if (Object.keys(values).length) await conversation.update(values, { transaction });
+    if (nextTags) {
+      await ConversationTag.destroy({ where: { conversationId }, transaction });
+      await ConversationTag.bulkCreate(nextTags.map(tag => ({ userId, conversationId, tag })), { transaction });
+    }
+  });
+  const organization = describeOrganization(conversation, (await tagsByConversation([conversationId])).get(conversationId));
+  await conversationCache.invalidate(userId);
+  conversationEvents.publish(userId, 'conversation_updated', organization);
+  return organization;
+}
+
+/**
+ * Apply one action to several of the user's conversations: move (to `folderId`, null: unfiled),
+ * archive, unarchive, pin, unpin or delete. Ids that are not the user's are reported, not changed.
+ * Returns { action, updated: ids, notFound: ids }.
+ */
+async function bulkUpdate(userId, conversationIds, { action, folderId = null }) {
+  const ids = [...new Set(conversationIds)];
+  if (ids.length > MAX_BULK) throw new ValidationError(`Select at most ${MAX_BULK} conversations at a time`, 'ids');
+  if (action === 'move' && folderId) await findFolder(userId, folderId);
+
+  const owned = (await Conversation.findAll({ where: { userId, id: ids }, attributes: ['id'] })).map(c => c.id);
+  const notFound = ids.filter(id => !owned.includes(id));
+  if (owned.length) {
+    const where = { userId, id: owned };
+    if (action === 'delete') {
+      await Conversation.destroy({ where });
+    } else {
+      const values = {
+        move: { folderId },
+        archive: { archivedAt: new Date() },
+        unarchive: { archivedAt: null },
+        pin: { pinned: true },
+        unpin: { pinned: false },
+      }[action];
+      // Archiving again keeps the first archive date
+      await Conversation.update(values, { where: action === 'archive' ? { ...where, archivedAt: null } : where });
+      for (const id of owned) {
+        conversationEvents.publish(userId, 'conversation_updated', {
+          conversationId: id,
+          ...(action === 'move' ? { folderId } : {}),
+          ...(action === 'archive' || action === 'unarchive' ? { archived: action === 'archive' } : {}),
+          ...(action === 'pin' || action === 'unpin' ? { pinned: action === 'pin' } : {}),
+        });
+      }
+    }
+    await conversationCache.invalidate(userId);
+  }
+  logger.info({ action: 'conversations_bulk_update', userId, bulkAction: action, updated: owned.length, notFound: notFound.length });
+  return { action, updated: owned, notFound };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK,
+  MAX_TAGS,
+  listConversations,
+  listTags,
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  organize,
+  bulkUpdate,
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const env = require('../config/env');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const ConversationShare = require('../models/ConversationShare');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const modelRegistry = require('./modelRegistry');
+const messageTree = require('./messageTree');
+const conversationCache = require('./conversationCache');
+
+/**
+ * Public share links. A share is a snapshot of a conversation's branch up to one message, stored
+ * with the share so later edits, regenerations or deletions in the conversation do not change it.
+ * Anyone with the token can read it until it expires or the owner revokes it; a signed-in viewer
+ * can fork it into a new conversation of their own.
+ *
+ * Snapshots hold message text only. Extracted attachment content, file details, memory
+ * confirmations and message metadata are never copied into them.
+ */
+
+const TOKEN_BYTES = 24;
+// Where ingestAttachments appends the attached file to the user's text
+const ATTACHMENT_MARKERS = ['\n\n📎 File attached:', '\n\nFile content:\n', '\n\n❌ Failed to process file:', '\n\n❌ Error processing file:'];
+// The whole text ingestAttachments writes when a file is sent without a message
+const FILE_ONLY_MESSAGE = /^Please analyze this .* file: .*\n\nFile content:\n/s;
+// Stands in for a user turn that was only an attachment when a snapshot is forked
+const ATTACHMENT_PLACEHOLDER = '📎 (attachment not included in the shared chat)';
+// Confirmations stored before they were marked with metadata.memorySaved
+const MEMORY_CONFIRMATION_PREFIX = 'OK, I\'ll remember that: ';
+
+// User text without the attachment that was appended to it
+function withoutAttachment(text) {
+  if (FILE_ONLY_MESSAGE.test(text)) return { content: '', attachmentOmitted: true };
+  const cut = Math.min(...ATTACHMENT_MARKERS.map(marker => text.indexOf(marker)).filter(i => i >= 0));
+  return Number.isFinite(cut) ? { content: text.slice(0, cut).trim(), attachmentOmitted: true } : { content: text, attachmentOmitted: false };
+}
+
+function isMemoryConfirmation(row) {
+  return !!((row.metadata && row.metadata.memorySaved) || (row.role === 'assistant' && row.content.startsWith(MEMORY_CONFIRMATION_PREFIX)));
+}
+
+// Public form of a message path
+function snapshotMessages(path) {
+  // A "remember ..." request is answered only with the confirmation; drop both
+  const hidden = new Set();
+  for (const row of path) {
+    if (isMemoryConfirmation(row)) {
+      hidden.add(row.id);
+      if (row.parentId) hidden.add(row.parentId);
+    }
+  }
+  const messages = [];
+  for (const row of path) {
+    if (hidden.has(row.id)) continue;
+    if (row.role === 'assistant') {
+      messages.push({ role: 'assistant', content: row.content, timestamp: row.timestamp, model: row.modelUsed ? modelRegistry.getLabel(row.modelUsed) : null });
+    } else if (row.role === 'user') {
+      const { content, attachmentOmitted } = withoutAttachment(row.content);
+      messages.push({ role: 'user', content, timestamp: row.timestamp, ...(attachmentOmitted ? { attachmentOmitted } : {}) });
+    }
+  }
+  return messages;
+}
+
+function shareUrl(token) {
+  return `${env.FRONTEND_URL || ''}/share/${token}`;
+}
+
+// A share as its owner sees it
+function describeShare(share) {
+  return {
+    id: share.id,
+    token: share.token,
+    url: shareUrl(share.token),
+    conversationId: share.conversationId,
+    messageId: share.messageId,
+    title: share.title,
+    messageCount: share.messageCount,
+    expiresAt: share.expiresAt || null,
+    revokedAt: share.revokedAt || null,
+    active: isActive(share),
+    viewCount: share.viewCount || 0,
+    createdAt: share.createdAt,
+  };
+}
+
+function isActive(share) {
+  return !share.revokedAt && !(share.expiresAt && new Date(share.expiresAt) <= new Date());
+}
+
+/**
+ * Snapshot `conversationId` up to `messageId` (default: the end of the active branch). The snapshot
+ * follows the branch that leads to that message. `expiresInDays` is optional; without it the link
+ * works until revoked.
+ */
+async function createShare(userId, conversationId, { messageId = null, expiresInDays = null } = {}) {
+  const conversation = await Conversation.findOne({ where: { id: conversationId, userId } });
+  if (!conversation) throw new NotFoundError('Conversation');
+  const rows = await Message.findAll({ where: { conversationId }, order: [['timestamp', 'ASC']] });
+  await messageTree.linkLegacyMessages(rows);
+  const index = messageTree.indexMessages(rows);
+  if (messageId && !index.byId.has(messageId)) throw new NotFoundError('Message');
+  const lastId = messageId || messageTree.activeLeafId(conversation, index);
+
+  const messages = snapshotMessages(messageTree.pathTo(index, lastId));
+  if (!messages.length) throw new ValidationError('There are no messages to share yet', 'messageId');
+
+  const share = await ConversationShare.create({
+    token: crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+    userId,
+    conversationId,
+    messageId: lastId,
+    title: conversation.title || 'Shared chat',
+    messages,
+    messageCount: messages.length,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+  logger.info({ action: 'conversation_shared', userId, conversationId, shareId: share.id, messages: messages.length, expiresAt: share.expiresAt });
+  return describeShare(share);
+}
+
+// The user's shares, newest first, optionally for one conversation
+async function listShares(userId, { conversationId = null } = {}) {
+  const shares = await ConversationShare.findAll({
+    where: { userId, ...(conversationId ? { conversationId } : {}) },
+    attributes: { exclude: ['messages'] },
+    order: [['createdAt', 'DESC']],
+  });
+  return shares.map(describeShare);
+}
+
+// Turn a link off for good; revoking twice keeps the first time
+async function revokeShare(userId, shareId) {
+  const share = await ConversationShare.findOne({ where: { id: shareId, userId }, attributes: { exclude: ['messages'] } });
+  if (!share) throw new NotFoundError('Share');
+  if (!share.revokedAt) {
+    await share.update({ revokedAt: new Date() });
+    logger.info({ action: 'conversation_share_revoked', userId, shareId });
+  }
+  return describeShare(share);
+}
+
+// A share that can still be read; revoked, expired and unknown tokens are all simply not found
+async function findActive(token) {
+  const share = await ConversationShare.findOne({
+    where: {
+      token,
+      revokedAt: null,
+      [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }],
+    },
+  });
+  if (!share) throw new NotFoundError('Shared conversation');
+  return share;
+}
+
+// The snapshot as the public page shows it; nothing that identifies the owner or their conversation
+async function getPublicShare(token) {
+  const share = await findActive(token);
+  await ConversationShare.increment('viewCount', { where: { id: share.id } });
+  return {
+    title: share.title,
+    messages: share.messages,
+    messageCount: share.messageCount,
+    sharedAt: share.createdAt,
+    expiresAt: share.expiresAt || null,
+  };
+}
+
+/**
+ * Copy a snapshot into a new conversation of `userId` that continues where it ends.
+ * Returns { id, title, messages }.
+ */
+async function forkShare(userId, token) {
+  const share = await findActive(token);
+  const start = Date.now();
+  let parentId = null;
+  // Fresh rows, one branch, in snapshot order; timestamps keep the order the tree is read in
+  const rows = share.messages.map((message, i) => {
+    const row = {
+      id: crypto.randomUUID(),
+      parentId,
+      branchIndex: 0,
+      role: message.role,
+      content: message.role === 'user' ? message.content || ATTACHMENT_PLACEHOLDER : message.content,
+      timestamp: new Date(start - (share.messages.length - i) * 1000),
+      metadata: message.role === 'assistant' ? { modelLabel: message.model || null, forkedFromShare: share.id } : { forkedFromShare: share.id },
+    };
+    parentId = row.id;
+    return row;
+  });
+
+  const conversation = await sequelize.transaction(async (transaction) => {
+    const created = await Conversation.create({
+      userId,
+      title: share.title,
+      lastMessageTimestamp: new Date(start),
+      activeLeafId: parentId,
+    }, { transaction });
+    await Message.bulkCreate(rows.map(row => ({ ...row, conversationId: created.id })), { transaction });
+    return created;
+  });
+  await conversationCache.invalidate(userId);
+  logger.info({ action: 'conversation_share_forked', userId, shareId: share.id, conversationId: conversation.id });
+  return { id: conversation.id, title: conversation.title, messages: rows.length };
+}
+
+module.exports = {
+  createShare,
+  listShares,
+  revokeShare,
+  getPublicShare,
+  forkShare,
+  snapshotMessages,
+};
@@ -0,0 +1,193 @@
+const Conversation = require('../models/Conversation');
+const env = require('../config/env');
+const logger = require('../utils/logger');
+const withTimeout = require('../utils/withTimeout');
+const { AppError, ValidationError } = require('../utils/errors');
+const { createCompletion } = require('./llmProvider');
+const modelRegistry = require('./modelRegistry');
+const messageTree = require('./messageTree');
+const conversationEvents = require('./conversationEvents');
+const { truncate } = require('./conversationTitles');
+const conversationCache = require('./conversationCache');
+
+/**
+ * Stored conversation summaries. Each conversation keeps one running summary of its active branch,
+ * from the first message row up to `summaryToMessageId` (`summaryMessageCount` rows), numbered by
+ * `summaryVersion`. It is extended rather than rewritten: only rows after the covered range are
+ * folded in, through the utility model. The summary is the sidebar preview and stands in for the
+ * history that no longer fits the model's context window (see contextBuilder.js).
+ *
+ * When a turn first drops history rows the summary does not cover yet, the buildContext stage folds them
+ * in before answering, so no row is left out of both. After each reply, persist refreshes it in the
+ * background once CHAT_SUMMARY_EVERY_MESSAGES rows are waiting; POST /conversations/:id/summarize brings it up to date.
+ * Forking the conversation before the end of the range discards it (messageTree.discardSummaryBefore).
+ */
+
+// Keep the stored summary itself small enough to always fit next to the recent history
+const SUMMARY_MAX_TOKENS = 400;
+// Per-message cap on what gets fed to the summarizer (file contents can be huge)
+const MAX_CHARS_PER_MESSAGE = 2000;
+// Rows folded per model call, so rebuilding a long conversation stays within the utility model's window
+const BATCH_ROWS = 30;
+// The newest rows are still in the context and the likeliest to be edited or regenerated;
+// background refreshes leave them out
+const KEEP_RECENT_ROWS = 4;
+const PREVIEW_CHARS = 140;
+// An on-demand summary holds up its request; providers without a timeoutMs would wait forever
+const SUMMARIZE_TIMEOUT_MS = 30000;
+
+// Conversations with a background refresh running on this instance
+const refreshing = new Set();
+
+const SPEAKERS = { user: 'User', assistant: 'Assistant' };
+
+function transcriptLines(message) {
+  const speaker = SPEAKERS[message.role];
+  return speaker && message.content ? [`${speaker}: ${truncate(String(message.content), MAX_CHARS_PER_MESSAGE)}`] : [];
+}
+
+async function fold(summary, rows) {
+  const prompt = [
+    'You maintain a running summary of a chat between a user and an AI assistant.',
+    'Merge the new messages into the existing summary. Keep names, decisions, facts, code identifiers and open questions; drop pleasantries.',
+    `Reply with the updated summary only, at most ${SUMMARY_MAX_TOKENS - 100} words.`,
+    '',
+    `Existing summary:\n${summary || '(none)'}`,
+    '',
+    `New messages:\n${rows.flatMap(transcriptLines).join('\n')}`,
+  ].join('\n');
+  const text = await createCompletion({
+    model: modelRegistry.getUtilityModelId(),
+    messages: [{ role: 'user', content: prompt }],
+    params: { max_tokens: SUMMARY_MAX_TOKENS },
+  });
+  if (!text || !text.trim()) throw new AppError('Could not summarize the conversation', 502);
+  return text.trim();
+}
+
+// How many rows at the start of `path` the stored summary covers; 0 when it has to be rebuilt
+// (no summary, one from another branch, or one stored before the range was tracked)
+function coveredRows(conversation, path) {
+  if (!conversation.summary || !conversation.summaryToMessageId) return 0;
+  return path.findIndex(m => m.id === conversation.summaryToMessageId) + 1;
+}
+
+// True when some of the context builder's `dropped` history entries lie past the stored summary's range
+function missesDropped(conversation, path, dropped) {
+  if (!dropped.length) return false;
+  const droppedEnd = path.findIndex(m => m.id === dropped[dropped.length - 1].id) + 1;
+  return droppedEnd > coveredRows(conversation, path);
+}
+
+// Short single-line form of a summary for the conversation list
+function preview(summary) {
+  if (!summary) return null;
+  return truncate(summary.replace(/\s+/g, ' ').trim(), PREVIEW_CHARS);
+}
+
+// The stored summary as the API returns it
+function describe(conversation) {
+  return {
+    summary: conversation.summary || null,
+    version: conversation.summaryVersion || 0,
+    covered: {
+      fromMessageId: conversation.summaryFromMessageId || null,
+      toMessageId: conversation.summaryToMessageId || null,
+      messages: conversation.summaryMessageCount || 0,
+    },
+  };
+}
+
+/**
+ * The stored summary if it belongs to `path` (the branch a turn continues), for the context builder.
+ * Summaries stored before the covered range was tracked are trusted as before.
+ */
+function summaryForPath(conversation, path) {
+  if (!conversation.summary) return null;
+  if (!conversation.summaryToMessageId) return conversation.summary;
+  return path.some(m => m.id === conversation.summaryToMessageId) ? conversation.summary : null;
+}
+
+/**
+ * Bring the stored summary up to date with the active branch. `dropped` are the context-builder
+ * history entries ({ id, ... }) that did not fit the last request; they are always covered.
+ * Unless `force` is set, nothing happens until CHAT_SUMMARY_EVERY_MESSAGES rows are waiting, and
+ * the newest KEEP_RECENT_ROWS rows are left out. Returns the new summary (see describe()), or null
+ * when it was already current, not due yet, or changed by another request meanwhile.
+ */
+async function refresh(conversation, options) {
+  const { messages: path } = await messageTree.loadActivePath(conversation);
+  return refreshPath(conversation, path, options);
+}
+
+async function refreshPath(conversation, path, { dropped = [], force = false } = {}) {
+  const covered = coveredRows(conversation, path);
+  const lastDropped = dropped.length ? dropped[dropped.length - 1].id : null;
+  const droppedEnd = lastDropped ? path.findIndex(m => m.id === lastDropped) + 1 : 0;
+  const end = force ? path.length : Math.max(path.length - KEEP_RECENT_ROWS, droppedEnd);
+  if (end <= covered) return null;
+
+  const every = env.CHAT_SUMMARY_EVERY_MESSAGES;
+  const due = force || droppedEnd > covered || (every > 0 && end - covered >= every);
+  if (!due) return null;
+
+  let summary = covered ? conversation.summary : null;
+  for (let i = covered; i < end; i += BATCH_ROWS) {
+    summary = await fold(summary, path.slice(i, Math.min(i + BATCH_ROWS, end)));
+  }
+
+  const version = conversation.summaryVersion || 0;
+  const values = {
+    summary,
+    summaryVersion: version + 1,
+    summaryFromMessageId: path[0].id,
+    summaryToMessageId: path[end - 1].id,
+    summaryMessageCount: end,
+    summarizedUntil: path[end - 1].timestamp,
+  };
+  // A fork or another refresh that landed meanwhile wins
+  const [updated] = await Conversation.update(values, { where: { id: conversation.id, summaryVersion: version } });
+  if (!updated) return null;
+  conversation.set(values);
+  await conversationCache.invalidate(conversation.userId);
+  conversationEvents.publish(conversation.userId, 'conversation_updated', { conversationId: conversation.id, preview: preview(summary) });
+  logger.info({ action: 'conversation_summarized', userId: conversation.userId, conversationId: conversation.id, version: values.summaryVersion, rows: end - covered });
+  return describe(conversation);
+}
+
+// refresh() without holding up the reply; errors are only logged
+function refreshInBackground(conversation, options) {
+  if (refreshing.has(conversation.id)) return;
+  refreshing.add(conversation.id);
+  refresh(conversation, options)
+    .catch(err => {
+      logger.warn({ action: 'conversation_summary_error', conversationId: conversation.id, error: err.message });
+    })
+    .finally(() => refreshing.delete(conversation.id));
+}
+
+// Summarize everything on the active branch now; `cached` is true when the stored summary was already current
+async function summarize(conversation) {
+  const { messages: path } = await messageTree.loadActivePath(conversation);
+  if (!path.length) throw new ValidationError('The conversation has no messages to summarize yet');
+  const fresh = await withTimeout(
+    refreshPath(conversation, path, { force: true }),
+    SUMMARIZE_TIMEOUT_MS,
+    'AI summarization took too long to respond.',
+    'Conversation Summarization'
+  ).catch((err) => {
+    throw err.isTimeout ? new AppError(err.message, 504) : err;
+  });
+  return { ...(fresh || describe(conversation)), cached: !fresh };
+}
+
+module.exports = {
+  preview,
+  describe,
+  summaryForPath,
+  missesDropped,
+  refresh,
+  refreshPath,
+  refreshInBackground,
+  summarize,
+};
@@ -0,0 +1,116 @@
+const Conversation = require('../models/Conversation');
+const logger = require('../utils/logger');
+const { AppError, ValidationError } = require('../utils/errors');
+const { createCompletion } = require('./llmProvider');
+const modelRegistry = require('./modelRegistry');
+const messageTree = require('./messageTree');
+const conversationEvents = require('./conversationEvents');
+const conversationCache = require('./conversationCache');
+
+/**
+ * Conversation titles. A new conversation is titled from its first message right away; once the
+ * first reply is stored, the utility model writes a short title in the background and the change is
+ * pushed to the user's clients as a `conversation_updated` event (see conversationEvents.js).
+ */
+
+const DEFAULT_TITLE = 'New Chat';
+const MAX_TITLE_CHARS = 60;
+const FALLBACK_TITLE_CHARS = 40;
+// Per-message cap on what the title model reads
+const MAX_PROMPT_CHARS = 1500;
+
+// Cut to `max` characters without splitting a multi-byte character such as an emoji
+function truncate(text, max) {
+  const chars = Array.from(text);
+  return chars.length > max ? `${chars.slice(0, max).join('').trimEnd()}…` : text;
+}
+
+// Placeholder title from the first user message, shown until the generated one arrives
+function fallbackTitle(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean ? truncate(clean, FALLBACK_TITLE_CHARS) : DEFAULT_TITLE;
+}
+
+// Model output as a title: its first line without a "Title:" label, quotes or a closing period
+function cleanTitle(raw) {
+  const line = String(raw || '').split('\n').map(s => s.trim()).find(Boolean) || '';
+  const title = line
+    .replace(/^title\s*:\s*/i, '')
+    .replace(/^["'“”‘’*#\s]+|["'“”‘’*\s]+$/g, '')
+    .replace(/[.。]+$/, '')
+    .trim();
+  return title ? truncate(title, MAX_TITLE_CHARS) : null;
+}
+
+async function generateTitle({ userText, replyText }) {
+  const prompt = [
+    'Write a title for the chat below: 3 to 6 words, in the language of the user\'s message.',
+    'Name the topic; no quotes, no trailing punctuation. Reply with the title only.',
+    '',
+    `User: ${truncate(String(userText || ''), MAX_PROMPT_CHARS)}`,
+    `Assistant: ${truncate(String(replyText || ''), MAX_PROMPT_CHARS)}`,
+  ].join('\n');
+  const raw = await createCompletion({
+    model: modelRegistry.getUtilityModelId(),
+    messages: [{ role: 'user', content: prompt }],
+    params: { max_tokens: 24 },
+  });
+  return cleanTitle(raw);
+}
+
+// Store a title (only over `expected` when given), clear the list cache and notify the user's clients
+async function applyTitle(conversation, title, { expected } = {}) {
+  const where = { id: conversation.id, ...(expected !== undefined ? { title: expected } : {}) };
+  const [updated] = await Conversation.update({ title }, { where });
+  if (!updated) return false;
+  await conversationCache.invalidate(conversation.userId);
+  conversationEvents.publish(conversation.userId, 'conversation_updated', { conversationId: conversation.id, title });
+  return true;
+}
+
+/**
+ * Title a conversation from its first exchange without holding up the reply. A rename that lands
+ * while the title is being generated wins. Errors are only logged.
+ */
+function titleInBackground(conversation, exchange) {
+  const expected = conversation.title;
+  generateTitle(exchange)
+    .then(title => (title && title !== expected ? applyTitle(conversation, title, { expected }) : false))
+    .then(changed => {
+      if (changed) logger.info({ action: 'conversation_titled', userId: conversation.userId, conversationId: conversation.id });
+    })
+    .catch(err => {
+      logger.warn({ action: 'conversation_title_error', conversationId: conversation.id, error: err.message });
+    });
+}
+
+// Generate a new title from the first exchange on the active branch, replacing the current one
+async function regenerateTitle(conversation) {
+  const { messages } = await messageTree.loadActivePath(conversation);
+  const first = messages.find(m => m.role === 'user' && m.content);
+  const reply = messages.find(m => m.role === 'assistant' && m.content);
+  if (!first) throw new ValidationError('The conversation has no messages to title yet');
+  const title = await generateTitle({ userText: first.content, replyText: reply ? reply.content : '' });
+  if (!title) throw new AppError('Could not generate a title', 502);
+  await applyTitle(conversation, title);
+  logger.info({ action: 'conversation_retitled', userId: conversation.userId, conversationId: conversation.id });
+  return title;
+}
+
+async function renameConversation(conversation, title) {
+  const clean = title.replace(/\s+/g, ' ').trim();
+  await applyTitle(conversation, clean);
+  return clean;
+}
+
+module.exports = {
+  DEFAULT_TITLE,
+  MAX_TITLE_CHARS,
+  truncate,
+  fallbackTitle,
+  cleanTitle,
+  generateTitle,
+  titleInBackground,
+  regenerateTitle,
+  renameConversation,
+};
@@ -0,0 +1,175 @@
+const { Op, fn, col, literal } = require('sequelize');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const MessageFeedback = require('../models/MessageFeedback');
+const PreferenceFeedback = require('../models/PreferenceFeedback');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Feedback on assistant replies: one reaction per user and reply ('up', 'down' or 'smile'), an
+ * optional free-text reason, and reports of harmful or wrong answers. Each record copies the reply's
+ * model, the conversation's mode and the provider that served it, so analytics() can break
+ * satisfaction down without joining messages.
+ */
+
+const RECENT_REPORTS = 20;
+
+async function findReply(userId, conversationId, messageId) {
+  const conversation = await Conversation.findOne({ where: { id: conversationId, userId } });
+  if (!conversation) throw new NotFoundError('Conversation');
+  const message = await Message.findOne({ where: { id: messageId, conversationId } });
+  if (!message) throw new NotFoundError('Message');
+  if (message.role !== 'assistant') throw new ValidationError('Only assistant replies take feedback', 'messageId');
+  return { conversation, message };
+}
+
+// What the analytics group by, as of when the feedback is given
+function replyFacts(conversation, message) {
+  const servedBy = message.metadata && message.metadata.servedBy;
+  return {
+    model: message.modelUsed || null,
+    mode: conversation.personaId ? 'persona' : (conversation.mode || null),
+    provider: servedBy ? servedBy.provider : null,
+    providerFallback: servedBy ? !!servedBy.fallback : null,
+  };
+}
+
+async function upsert(userId, conversation, message, fields) {
+  const [record, created] = await MessageFeedback.findOrCreate({
+    where: { userId, messageId: message.id },
+    defaults: { userId, conversationId: conversation.id, messageId: message.id, ...replyFacts(conversation, message), ...fields },
+  });
+  if (!created) await record.update(fields);
+  return record;
+}
+
+/**
+ * Reaction counts and the user's own feedback for a set of replies, as a Map of message id to
+ * { reactions: { up, down, smile }, userReaction, reported }.
+ */
+async function summarize(messageIds, userId) {
+  const summaries = new Map(messageIds.map(id => [id, { reactions: { up: 0, down: 0, smile: 0 }, userReaction: null, reported: false }]));
+  if (!messageIds.length) return summaries;
+  const rows = await MessageFeedback.findAll({
+    attributes: ['messageId', 'userId', 'reaction', 'reported'],
+    where: { messageId: messageIds },
+  });
+  for (const row of rows) {
+    const summary = summaries.get(row.messageId);
+    if (row.reaction) summary.reactions[row.reaction] += 1;
+    if (row.userId === userId) {
+      summary.userReaction = row.reaction || null;
+      summary.reported = row.reported;
+    }
+  }
+  return summaries;
+}
+
+// Add the feedback summary to each assistant reply of a described message path
+async function withFeedback(messages, userId) {
+  const summaries = await summarize(messages.filter(m => m.role === 'assistant').map(m => m.id), userId);
+  return messages.map(m => (summaries.has(m.id) ? { ...m, ...summaries.get(m.id) } : m));
+}
+
+/**
+ * Set or clear (reaction null) the user's reaction to a reply; `reason`, when sent, replaces the
+ * stored one. Returns the reply's feedback summary.
+ */
+async function setReaction({ userId, conversationId, messageId, reaction, reason }) {
+  const { conversation, message } = await findReply(userId, conversationId, messageId);
+  const fields = { reaction: reaction || null };
+  if (reason !== undefined) fields.reason = reason || null;
+  const record = await upsert(userId, conversation, message, fields);
+  // Nothing left worth keeping
+  if (!record.reaction && !record.reason && !record.reported) await record.destroy();
+  logger.info({ action: 'message_feedback', userId, conversationId, messageId, reaction: fields.reaction, model: record.model });
+  return { messageId, ...(await summarize([messageId], userId)).get(messageId) };
+}
+
+// Flag a reply for review; reporting again updates the category and reason
+async function reportReply({ userId, conversationId, messageId, category, reason }) {
+  const { conversation, message } = await findReply(userId, conversationId, messageId);
+  const record = await upsert(userId, conversation, message, {
+    reported: true,
+    reportCategory: category,
+    reportedAt: new Date(),
+    ...(reason ? { reason } : {}),
+  });
+  logger.warn({ action: 'message_reported', userId, conversationId, messageId, category, model: record.model, provider: record.provider });
+  return { messageId, ...(await summarize([messageId], userId)).get(messageId) };
+}
+
+const COUNTS = [
+  [fn('COUNT', col('id')), 'feedback'],
+  [literal("SUM(CASE WHEN reaction = 'up' THEN 1 ELSE 0 END)"), 'up'],
+  [literal("SUM(CASE WHEN reaction = 'down' THEN 1 ELSE 0 END)"), 'down'],
+  [literal("SUM(CASE WHEN reaction = 'smile' THEN 1 ELSE 0 END)"), 'smile'],
+  [literal('SUM(CASE WHEN reported THEN 1 ELSE 0 END)'), 'reports'],
+];
+
+// Counts come back as strings from MySQL; satisfaction is the share of thumbs up among up and down votes
+function withSatisfaction(row) {
+  const counts = {};
+  for (const [, name] of COUNTS) counts[name] = Number(row[name]) || 0;
+  const votes = counts.up + counts.down;
+  return { ...row, ...counts, satisfaction: votes ? Math.round((counts.up / votes) * 1000) / 1000 : null };
+}
+
+async function breakdown(dimensions, since) {
+  const rows = await MessageFeedback.findAll({
+    attributes: [...dimensions, ...COUNTS],
+    where: { createdAt: { [Op.gte]: since } },
+    group: dimensions,
+    raw: true,
+  });
+  return rows.map(withSatisfaction).sort((a, b) => b.feedback - a.feedback);
+}
+
+/**
+ * Satisfaction over the last `days`: totals and breakdowns by model, mode and provider (split by
+ * whether a fallback served the reply), how often each model won a side-by-side comparison, and
+ * the latest reports.
+ */
+async function analytics({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const [[totals], byModel, byMode, byProvider, comparisonWins, recentReports] = await Promise.all([
+    breakdown([], since),
+    breakdown(['model'], since),
+    breakdown(['mode'], since),
+    breakdown(['provider', 'providerFallback'], since),
+    PreferenceFeedback.findAll({
+      attributes: ['chosenModel', [fn('COUNT', col('id')), 'wins']],
+      where: { updatedAt: { [Op.gte]: since } },
+      group: ['chosenModel'],
+      order: [[literal('wins'), 'DESC']],
+      raw: true,
+    }),
+    MessageFeedback.findAll({
+      attributes: ['id', 'conversationId', 'messageId', 'reportCategory', 'reason', 'reportedAt', 'model', 'mode', 'provider', 'providerFallback'],
+      where: { reported: true, reportedAt: { [Op.gte]: since } },
+      order: [['reportedAt', 'DESC']],
+      limit: RECENT_REPORTS,
+      raw: true,
+    }),
+  ]);
+  return {
+    days,
+    totals: totals || withSatisfaction({}),
+    byModel,
+    byMode,
+    byProvider,
+    comparisonWins: comparisonWins.map(row => ({ model: row.chosenModel, wins: Number(row.wins) || 0 })),
+    recentReports,
+  };
+}
+
+module.exports = {
+  REPORT_CATEGORIES: MessageFeedback.REPORT_CATEGORIES,
+  REACTIONS: MessageFeedback.REACTIONS,
+  setReaction,
+  reportReply,
+  summarize,
+  withFeedback,
+  analytics,
+};
@@ -0,0 +1,106 @@
+/**
+ * User-adjustable generation parameters (OpenAI names are the canonical form;
+ * llmProvider maps them to each provider's own names).
+ * Limits come from the model registry: registry-wide `generationLimits`, overridden per model by `limits`.
+ */
+
+const NUMERIC_PARAMS = ['temperature', 'top_p', 'max_tokens', 'seed', 'presence_penalty', 'frequency_penalty'];
+const INTEGER_PARAMS = ['max_tokens', 'seed'];
+const GENERATION_PARAMS = [...NUMERIC_PARAMS, 'stop'];
+
+// Form posts (the chat route is multipart) deliver everything as strings
+function coerceNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+function coerceStop(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return value;
+  if (value.trim().startsWith('[')) {
+    try { return JSON.parse(value); } catch (_) { return value; }
+  }
+  return [value];
+}
+
+// Pull the known parameters out of a request body or settings object, dropping empty values
+function pickGenerationParams(source = {}) {
+  const picked = {};
+  for (const key of GENERATION_PARAMS) {
+    const value = source[key];
+    if (value === undefined || value === null || value === '') continue;
+    picked[key] = key === 'stop' ? coerceStop(value) : coerceNumber(value);
+  }
+  return picked;
+}
+
+/**
+ * Check parameters against a model's limits.
+ * Returns { params, errors } where errors use the same shape as the `validate` middleware.
+ */
+function validateGenerationParams(limits, input, location = 'body') {
+  const params = {};
+  const errors = [];
+  const fail = (param, msg, value) => errors.push({ param, msg, location, value });
+
+  for (const [key, value] of Object.entries(input)) {
+    const limit = limits[key];
+    if (limit === false) {
+      fail(key, `${key} is not supported by this model`, value);
+      continue;
+    }
+    if (key === 'stop') {
+      const maxItems = limit?.maxItems ?? 4;
+      const maxLength = limit?.maxLength ?? 64;
+      if (!Array.isArray(value) || value.some(s => typeof s !== 'string' || !s)) {
+        fail(key, 'stop must be a string or an array of non-empty strings', value);
+      } else if (value.length > maxItems) {
+        fail(key, `stop accepts at most ${maxItems} sequences`, value);
+      } else if (value.some(s => s.length > maxLength)) {
+        fail(key, `stop sequences must be at most ${maxLength} characters`, value);
+      } else {
+        params.stop = value;
+      }
+      continue;
+    }
+    if (!Number.isFinite(value) || (INTEGER_PARAMS.includes(key) && !Number.isInteger(value))) {
+      fail(key, `${key} must be ${INTEGER_PARAMS.includes(key) ? 'an integer' : 'a number'}`, value);
+      continue;
+    }
+    if (limit && ((limit.min !== undefined && value < limit.min) || (limit.max !== undefined && value > limit.max))) {
+      fail(key, `${key} must be between ${limit.min} and ${limit.max}`, value);
+      continue;
+    }
+    params[key] = value;
+  }
+  return { params, errors };
+}
+
+// Saved defaults may predate a model switch; pull them into the model's range instead of rejecting the request.
+// Keys that are not generation params are dropped.
+function clampGenerationParams(limits, input) {
+  const params = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!GENERATION_PARAMS.includes(key)) continue;
+    const limit = limits[key];
+    if (limit === false) continue;
+    if (key === 'stop') {
+      if (Array.isArray(value)) params.stop = value.slice(0, limit?.maxItems ?? 4);
+      continue;
+    }
+    if (!Number.isFinite(value)) continue;
+    let clamped = value;
+    if (limit?.min !== undefined) clamped = Math.max(clamped, limit.min);
+    if (limit?.max !== undefined) clamped = Math.min(clamped, limit.max);
+    params[key] = clamped;
+  }
+  return params;
+}
+
+module.exports = {
+  GENERATION_PARAMS,
+  pickGenerationParams,
+  validateGenerationParams,
+  clampGenerationParams,
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeParts } = require('./messageAdapter');
+
+// Built-in rules keep the internal yes/no judgment prompts deterministic without a script file
+const BUILTIN_SCRIPT = [
+  { match: 'Answer with only YES or NO', response: 'NO' },
+];
+
+function loadScript(scriptPath) {
+  if (!scriptPath) return BUILTIN_SCRIPT;
+  const raw = JSON.parse(fs.readFileSync(path.resolve(scriptPath), 'utf8'));
+  if (!Array.isArray(raw)) throw new Error(`Mock LLM script ${scriptPath} must be a JSON array`);
+  return [...raw, ...BUILTIN_SCRIPT];
+}
+
+function lastUserText(messages = []) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (m.role === 'user') return normalizeParts(m.content).filter(p => p.type === 'text').map(p => p.text).join('\n');
+  }
+  return '';
+}
+
+// Split into word-sized pieces (keeping whitespace) so the stream looks like real token deltas
+function toPieces(text) {
+  return text.match(/\s*\S+\s*/g) || (text ? [text] : []);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Emit pre-split pieces as OpenAI-style delta chunks with a fixed inter-chunk delay.
+// A piece is either text or a ready-made delta (e.g. recorded `{ tool_calls }`).
+// Aborting `signal` ends the stream with an AbortError, like a cancelled HTTP stream.
+async function* streamChunks(pieces, chunkDelayMs = 0, signal) {
+  for (const piece of pieces) {
+    if (chunkDelayMs > 0) await sleep(chunkDelayMs);
+    if (signal?.aborted) {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+    yield { choices: [{ delta: typeof piece === 'string' ? { content: piece } : piece }] };
+  }
+}
+
+/**
+ * Deterministic stand-in for an upstream model.
+ * Replies come from the first script entry whose `match` (a regex source) matches the last
+ * user message; otherwise the message is echoed back. Streams are emitted word by word.
+ */
+function createMockProvider({ scriptPath, chunkDelayMs = 30 } = {}) {
+  const script = loadScript(scriptPath).map(entry => ({
+    pattern: new RegExp(entry.match, 'i'),
+    response: entry.response,
+  }));
+
+  function reply(apiModel, messages) {
+    const text = lastUserText(messages);
+    const rule = script.find(entry => entry.pattern.test(text));
+    if (rule) return rule.response;
+    return `Mock reply from ${apiModel}: ${text}`;
+  }
+
+  return {
+    isConfigured: true,
+    stream: async ({ apiModel }, messages, tools, { signal } = {}) => streamChunks(toPieces(reply(apiModel, messages)), chunkDelayMs, signal),
+    complete: async ({ apiModel }, messages) => reply(apiModel, messages),
+  };
+}
+
+module.exports = { createMockProvider, streamChunks };
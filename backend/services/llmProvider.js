@@ -2,189 +2,417 @@ const OpenAI = require('openai');
 const TogetherAI = require('together-ai');
 const axios = require('axios');
 const env = require('../config/env');
+const registry = require('./modelRegistry');
+const { createMockProvider, streamChunks } = require('./llmMock');
+const { createRecorder } = require('./llmRecorder');
+const { CircuitBreaker, STATES } = require('./circuitBreaker');
+const { capabilitiesFor, toGeminiRequest, toOpenAIMessages } = require('./messageAdapter');
+const { withToolPrompt, extractToolCalls } = require('./tools/toolPrompt');
+const { clampGenerationParams } = require('./generationParams');
+const { parseSSE } = require('../utils/sseParser');
 
-const together = env.TOGETHER_API_KEY ? new TogetherAI({ apiKey: env.TOGETHER_API_KEY }) : null;
-const openai = env.OPENAI_API_KEY ? new OpenAI({ apiKey: env.OPENAI_API_KEY }) : null;
-const qwenClient = axios.create({
-  baseURL: 'https://api.studio.nebius.ai/v1',
-  headers: Object.assign(
-    { 'Content-Type': 'application/json' },
-    env.QWEN_API_KEY ? { 'Authorization': `Bearer ${env.QWEN_API_KEY}` } : {}
-  )
-});
-
-// Google Gemini client (non-streaming; we'll wrap as single-chunk stream)
-const geminiClient = axios.create({
-  baseURL: 'https://generativelanguage.googleapis.com/v1beta',
-  headers: { 'Content-Type': 'application/json' },
-  params: env.GOOGLE_API_KEY ? { key: env.GOOGLE_API_KEY } : undefined,
-});
-
-const MODEL_API_MAPPING = {
-  'gpt-4.1-nano': env.GEMINI_FLASH_MODEL || 'gemini-1.5-flash-latest',
-  'gpt-4.1-mini': 'Qwen/Qwen3-30B-A3B-Instruct-2507',
-  'gpt-4.1': 'Qwen/Qwen3-235B-A22B-Instruct-2507'
+// OpenAI-style generation param -> Gemini generationConfig field
+const GEMINI_PARAM_NAMES = {
+  max_tokens: 'maxOutputTokens',
+  temperature: 'temperature',
+  top_p: 'topP',
+  stop: 'stopSequences',
+  seed: 'seed',
+  presence_penalty: 'presencePenalty',
+  frequency_penalty: 'frequencyPenalty',
 };
 
-function toGeminiContents(messages) {
-  // Map OpenAI-style messages to Gemini contents; ignore 'system' for now
-  return messages
-    .filter(m => m.role === 'user' || m.role === 'assistant')
-    .map(m => ({
-      role: m.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: typeof m.content === 'string' ? m.content : '' }]
-    }));
-}
-
-async function createStream({ model, messages }) {
-  const apiModel = MODEL_API_MAPPING[model] || model;
-  console.log(`[llmProvider] createStream called with model: ${model} (mapped to: ${apiModel})`);
-  console.log(`[llmProvider] Keys available - Qwen: ${!!env.QWEN_API_KEY}, Google: ${!!env.GOOGLE_API_KEY}, Together: ${!!together}, OpenAI: ${!!openai}`);
-
-  if (model === 'gpt-4.1-nano') {
-    if (env.GOOGLE_API_KEY) {
-      console.info(`[llmProvider] createStream -> Gemini model=${apiModel}`);
-      try {
-        const contents = toGeminiContents(messages);
-        const url = `/${apiModel}:generateContent`;
-        const response = await geminiClient.post(url, { contents });
-        const text = response?.data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        async function* singleChunk() {
-          yield { choices: [{ delta: { content: text } }] };
-        }
-        return singleChunk();
-      } catch (error) {
-        console.error(`Gemini API error: ${error.message}. Falling back to TogetherAI...`);
-        if (!together) throw new Error('GOOGLE_API_KEY not configured and TogetherAI key not configured for fallback');
-        console.info(`[llmProvider] createStream -> Together (fallback) model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-        return together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, stream: true, max_tokens: 512, temperature: 0.7 });
-      }
-    }
-    // Fallback to Together if no Google key
-    if (!together) throw new Error('GOOGLE_API_KEY not configured and TogetherAI key not configured for fallback');
-    console.info(`[llmProvider] createStream -> Together (fallback) model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-    return together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, stream: true, max_tokens: 512, temperature: 0.7 });
+// Map OpenAI-style generation params onto Gemini's generationConfig
+function toGeminiGenerationConfig(params = {}) {
+  const config = {};
+  for (const [name, geminiName] of Object.entries(GEMINI_PARAM_NAMES)) {
+    if (params[name] !== undefined) config[geminiName] = params[name];
   }
+  return Object.keys(config).length ? config : undefined;
+}
 
-  if (model === 'gpt-4.1-mini') {
-    if (env.QWEN_API_KEY) {
-      console.info(`[llmProvider] createStream -> Qwen model=${apiModel}`);
-      try {
-        const response = await qwenClient.post('/chat/completions', { model: apiModel, messages });
-        async function* singleChunk() {
-          yield { choices: [{ delta: { content: response.data.choices[0].message.content } }] };
-        }
-        return singleChunk();
-      } catch (error) {
-        console.error(`Qwen API error details:`, error.response ? error.response.data : error.message);
-        console.error(`Qwen API error: ${error.message}. Falling back to TogetherAI...`);
-        if (!together) throw new Error(`Qwen API failed (${error.message}) and TogetherAI key not configured for fallback`);
-        console.info(`[llmProvider] createStream -> Together (fallback) model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-        return together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, stream: true, max_tokens: 512, temperature: 0.7 });
-      }
-    }
-    if (!together) throw new Error('QWEN_API_KEY not configured and TogetherAI key not configured for fallback');
-    console.info(`[llmProvider] createStream -> Together (fallback) model=${MODEL_API_MAPPING['gpt-4.1-nano']}`);
-    return together.chat.completions.create({ model: MODEL_API_MAPPING['gpt-4.1-nano'], messages, stream: true, max_tokens: 512, temperature: 0.7 });
+// Every stream yields OpenAI-style chunks: { choices: [{ delta: { content } }] }
+function toDeltaChunk(text) {
+  return { choices: [{ delta: { content: text } }] };
+}
+
+// True when a call failed because its caller aborted it (stop button, client disconnect)
+function isAbortError(error, signal) {
+  return !!(signal?.aborted || error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED');
+}
+
+function abortError(signal) {
+  const error = new Error(`Request aborted${typeof signal?.reason === 'string' ? ` (${signal.reason})` : ''}`);
+  error.name = 'AbortError';
+  return error;
+}
+
+// Attach adapter warnings (content a provider could not represent) to the returned stream
+function withWarnings(stream, warnings) {
+  stream.warnings = warnings || [];
+  return stream;
+}
+
+// Registry tool definitions ({ name, description, parameters }) in each API's native shape
+function toOpenAITools(tools) {
+  return tools.map(tool => ({ type: 'function', function: tool }));
+}
+
+function toGeminiTools(tools) {
+  return [{ functionDeclarations: tools }];
+}
+
+// Gemini SSE payloads carry GenerateContentResponse objects; pull out the text and
+// functionCall parts (Gemini sends whole calls without ids, so ids are generated here)
+async function* geminiSSEToChunks(body) {
+  let callIndex = 0;
+  for await (const evt of parseSSE(body)) {
+    let payload;
+    try { payload = JSON.parse(evt.data); } catch (_) { continue; }
+    if (payload.error) throw new Error(payload.error.message || 'Gemini stream error');
+    const parts = payload?.candidates?.[0]?.content?.parts || [];
+    const text = parts.map(p => p.text || '').join('');
+    if (text) yield toDeltaChunk(text);
+    const toolCalls = parts.filter(p => p.functionCall).map(p => {
+      const index = callIndex++;
+      return {
+        index,
+        id: `gemini_call_${index}`,
+        type: 'function',
+        function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) },
+      };
+    });
+    if (toolCalls.length) yield { choices: [{ delta: { tool_calls: toolCalls } }] };
   }
+}
 
-  if (model === 'gpt-4.1') {
-    // Qwen likely non-streaming; fallback to Together streaming
-    if (env.QWEN_API_KEY) {
-      console.info(`[llmProvider] createStream -> Qwen model=${apiModel}`);
-      try {
-        const response = await qwenClient.post('/chat/completions', { model: apiModel, messages });
-        // Return a simple async iterator for unified handling
-        async function* singleChunk() {
-          yield { choices: [{ delta: { content: response.data.choices[0].message.content } }] };
-        }
-        return singleChunk();
-      } catch (error) {
-        console.error(`Qwen API error: ${error.message}. Falling back to TogetherAI...`);
-        if (!together) throw new Error('TogetherAI key not configured');
-        console.info(`[llmProvider] createStream -> Together model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-        return together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, stream: true, max_tokens: 512, temperature: 0.7 });
-      }
+// OpenAI-compatible SSE: `data: {chunk}` lines terminated by `data: [DONE]`
+async function* openAISSEToChunks(body) {
+  for await (const evt of parseSSE(body)) {
+    if (evt.data === '[DONE]') return;
+    let payload;
+    try { payload = JSON.parse(evt.data); } catch (_) { continue; }
+    if (payload.error) throw new Error(payload.error.message || 'Upstream stream error');
+    if (payload.choices && payload.choices.length) yield payload;
+  }
+}
+
+// --- Provider adapters ---
+// Each factory receives the provider config from the registry and returns
+// { name, label, isConfigured, stream(target, messages, tools, { signal }), complete(target, messages, { signal }) }.
+// `tools` is only passed to providers with native function calling (capabilities.tools).
+// Aborting `signal` cancels the upstream HTTP request, including a stream that is already flowing.
+
+function createGeminiProvider(config) {
+  const client = axios.create({
+    baseURL: config.baseURL,
+    headers: { 'Content-Type': 'application/json' },
+    params: config.apiKey ? { key: config.apiKey } : undefined,
+  });
+
+  function buildBody({ params }, messages, tools) {
+    const { systemInstruction, contents, warnings } = toGeminiRequest(messages, config);
+    const body = { systemInstruction, contents, generationConfig: toGeminiGenerationConfig(params) };
+    if (tools && tools.length) body.tools = toGeminiTools(tools);
+    return { body, warnings };
+  }
+
+  async function generate(target, messages, { signal } = {}) {
+    const { body } = buildBody(target, messages);
+    const resp = await client.post(`/${target.apiModel}:generateContent`, body, { signal });
+    const parts = resp?.data?.candidates?.[0]?.content?.parts || [];
+    return parts.map(p => p.text || '').join('');
+  }
+
+  // Resolves once upstream accepts the request, so HTTP errors still trigger fallback
+  async function stream(target, messages, tools, { signal } = {}) {
+    const { body, warnings } = buildBody(target, messages, tools);
+    const resp = await client.post(`/${target.apiModel}:streamGenerateContent`, body, {
+      params: { alt: 'sse' },
+      responseType: 'stream',
+      signal,
+    });
+    return withWarnings(geminiSSEToChunks(resp.data), warnings);
+  }
+
+  return {
+    isConfigured: !!config.apiKey,
+    stream,
+    complete: generate,
+  };
+}
+
+// Any server speaking the OpenAI /chat/completions protocol: Nebius, vLLM, llama.cpp, Ollama, ...
+function createOpenAICompatibleProvider(config) {
+  const client = axios.create({
+    baseURL: config.baseURL,
+    timeout: config.timeoutMs || 0,
+    headers: Object.assign(
+      { 'Content-Type': 'application/json' },
+      config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}
+    )
+  });
+
+  async function generate({ apiModel, params }, messages, { signal } = {}) {
+    try {
+      const adapted = toOpenAIMessages(messages, config);
+      const resp = await client.post('/chat/completions', { model: apiModel, messages: adapted.messages, ...params }, { signal });
+      return resp.data.choices[0].message.content;
+    } catch (error) {
+      if (isAbortError(error, signal)) throw error;
+      console.error(`${config.label} API error details:`, error.response ? error.response.data : error.message);
+      throw error;
     }
-    if (!together) throw new Error('TogetherAI key not configured');
-    console.info(`[llmProvider] createStream -> Together model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-    return together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, stream: true, max_tokens: 512, temperature: 0.7 });
   }
 
-  if (!together) throw new Error('TogetherAI key not configured');
-  console.info(`[llmProvider] createStream -> Together model=${apiModel}`);
-  return together.chat.completions.create({ model: apiModel, messages, stream: true, max_tokens: 512, temperature: 0.7 });
-}
-
-async function createCompletion({ model, messages }) {
-  const apiModel = MODEL_API_MAPPING[model] || model;
-
-  if (model === 'gpt-4.1-nano') {
-    if (env.GOOGLE_API_KEY) {
-      console.info(`[llmProvider] createCompletion -> Gemini model=${apiModel}`);
-      try {
-        const contents = toGeminiContents(messages);
-        const url = `/${apiModel}:generateContent`;
-        const resp = await geminiClient.post(url, { contents });
-        return resp?.data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-      } catch (error) {
-        console.error(`Gemini API error: ${error.message}. Falling back to TogetherAI...`);
-        if (!together) throw new Error('GOOGLE_API_KEY not configured and TogetherAI key not configured for fallback');
-        console.info(`[llmProvider] createCompletion -> Together (fallback) model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-        const resp = await together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, max_tokens: 512, temperature: 0.7 });
-        return resp.choices[0].message.content;
-      }
+  async function stream({ apiModel, params }, messages, tools, { signal } = {}) {
+    const adapted = toOpenAIMessages(messages, config);
+    const toolParams = tools && tools.length ? { tools: toOpenAITools(tools) } : {};
+    try {
+      const resp = await client.post('/chat/completions', { model: apiModel, messages: adapted.messages, ...params, ...toolParams, stream: true }, {
+        responseType: 'stream',
+        signal,
+      });
+      return withWarnings(openAISSEToChunks(resp.data), adapted.warnings);
+    } catch (error) {
+      if (isAbortError(error, signal)) throw error;
+      // The error body is a stream here, so only the status is useful for logging
+      console.error(`${config.label} API error details:`, error.response ? `HTTP ${error.response.status}` : error.message);
+      throw error;
     }
-    if (!together) throw new Error('GOOGLE_API_KEY not configured and TogetherAI key not configured for fallback');
-    console.info(`[llmProvider] createCompletion -> Together (fallback) model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-    const resp = await together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, max_tokens: 512, temperature: 0.7 });
-    return resp.choices[0].message.content;
   }
 
-  if (model === 'gpt-4.1-mini') {
-    if (env.QWEN_API_KEY) {
-      console.info(`[llmProvider] createCompletion -> Qwen model=${apiModel}`);
-      try {
-        const resp = await qwenClient.post('/chat/completions', { model: apiModel, messages });
-        return resp.data.choices[0].message.content;
-      } catch (error) {
-        console.error(`Qwen API error: ${error.message}. Falling back to TogetherAI...`);
-        if (!together) throw new Error('QWEN_API_KEY not configured and TogetherAI key not configured for fallback');
-        console.info(`[llmProvider] createCompletion -> Together (fallback) model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-        const resp = await together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, max_tokens: 512, temperature: 0.7 });
+  return {
+    // Self-hosted servers often run without auth, so a key is only required when the config says so
+    isConfigured: !!config.baseURL && (config.requiresApiKey === false || !!config.apiKey),
+    stream,
+    complete: generate,
+  };
+}
+
+// Together and OpenAI expose the same chat.completions SDK surface
+function createSdkProvider(Client) {
+  return (config) => {
+    const client = config.apiKey ? new Client({ apiKey: config.apiKey }) : null;
+    return {
+      isConfigured: !!client,
+      stream: async ({ apiModel, params }, messages, tools, { signal } = {}) => {
+        const adapted = toOpenAIMessages(messages, config);
+        const toolParams = tools && tools.length ? { tools: toOpenAITools(tools) } : {};
+        const stream = await client.chat.completions.create({ model: apiModel, messages: adapted.messages, stream: true, ...params, ...toolParams }, { signal });
+        return withWarnings(stream, adapted.warnings);
+      },
+      complete: async ({ apiModel, params }, messages, { signal } = {}) => {
+        const adapted = toOpenAIMessages(messages, config);
+        const resp = await client.chat.completions.create({ model: apiModel, messages: adapted.messages, ...params }, { signal });
         return resp.choices[0].message.content;
-      }
+      },
+    };
+  };
+}
+
+const PROVIDER_TYPES = {
+  gemini: createGeminiProvider,
+  mock: (config) => createMockProvider({
+    scriptPath: config.scriptPath || env.LLM_MOCK_SCRIPT,
+    chunkDelayMs: config.chunkDelayMs ?? env.LLM_MOCK_CHUNK_DELAY_MS,
+  }),
+  'openai-compatible': createOpenAICompatibleProvider,
+  nebius: createOpenAICompatibleProvider,
+  together: createSdkProvider(TogetherAI),
+  openai: createSdkProvider(OpenAI),
+};
+
+const providers = new Map();
+
+function getProvider(name) {
+  if (providers.has(name)) return providers.get(name);
+  const config = registry.getProviderConfig(name);
+  if (!config) return null;
+  const factory = PROVIDER_TYPES[config.type];
+  if (!factory) throw new Error(`Unknown provider type "${config.type}" for provider ${name}`);
+  const provider = {
+    name,
+    label: config.label || name,
+    nativeTools: capabilitiesFor(config).tools,
+    ...factory({ ...config, label: config.label || name }),
+  };
+  providers.set(name, provider);
+  return provider;
+}
+
+// Native function calling where the provider supports it, otherwise the prompt-based protocol
+async function streamWithTools(provider, target, messages, tools, options) {
+  if (!tools || !tools.length) return provider.stream(target, messages, undefined, options);
+  if (provider.nativeTools) return provider.stream(target, messages, tools, options);
+  const stream = await provider.stream(target, withToolPrompt(messages, tools), undefined, options);
+  return withWarnings(extractToolCalls(stream), stream.warnings);
+}
+
+const breakers = new Map();
+
+function getBreaker(name) {
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name, registry.getCircuitBreakerOptions(name)));
+  return breakers.get(name);
+}
+
+// Count failures that happen after upstream accepted the request (e.g. a dropped SSE connection);
+// a stream the caller aborted is not the provider's fault
+function guardStream(breaker, stream, signal) {
+  async function* guarded() {
+    try {
+      for await (const chunk of stream) yield chunk;
+    } catch (error) {
+      if (!isAbortError(error, signal)) breaker.recordFailure(error);
+      throw error;
     }
-    if (!together) throw new Error('QWEN_API_KEY not configured and TogetherAI key not configured for fallback');
-    console.info(`[llmProvider] createCompletion -> Together (fallback) model=${MODEL_API_MAPPING['gpt-4.1-nano']}`);
-    const resp = await together.chat.completions.create({ model: MODEL_API_MAPPING['gpt-4.1-nano'], messages, max_tokens: 512, temperature: 0.7 });
-    return resp.choices[0].message.content;
   }
+  return withWarnings(guarded(), stream.warnings);
+}
 
-  if (model === 'gpt-4.1') {
-    if (env.QWEN_API_KEY) {
-      console.info(`[llmProvider] createCompletion -> Qwen model=${apiModel}`);
-      try {
-        const resp = await qwenClient.post('/chat/completions', { model: apiModel, messages });
-        return resp.data.choices[0].message.content;
-      } catch (error) {
-        console.error(`Qwen API error: ${error.message}. Falling back to TogetherAI...`);
-        if (!together) throw new Error('TogetherAI key not configured');
-        console.info(`[llmProvider] createCompletion -> Together model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-        const resp = await together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, max_tokens: 512, temperature: 0.7 });
-        return resp.choices[0].message.content;
+// --- Offline modes (LLM_MODE) ---
+// live: call upstream providers; mock: scripted/echo replies for every model;
+// record: call upstream and save each exchange as a fixture; replay: serve saved fixtures only.
+const LLM_MODE = env.LLM_MODE;
+const mockProvider = LLM_MODE === 'mock'
+  ? createMockProvider({ scriptPath: env.LLM_MOCK_SCRIPT, chunkDelayMs: env.LLM_MOCK_CHUNK_DELAY_MS })
+  : null;
+const recorder = (LLM_MODE === 'record' || LLM_MODE === 'replay')
+  ? createRecorder({ fixturesDir: env.LLM_FIXTURES_DIR })
+  : null;
+if (LLM_MODE !== 'live') console.info(`[llmProvider] running in ${LLM_MODE} mode`);
+
+// Try each target in the model's chain until one succeeds, skipping providers whose circuit is open.
+// Requested params were checked against the primary model only, so each target gets them clamped to its own limits.
+async function runChain(operation, model, params, invoke, signal) {
+  const chain = registry.resolveChain(model);
+  const notConfigured = [];
+  const circuitOpen = [];
+  let lastError = null;
+
+  for (let i = 0; i < chain.length; i++) {
+    const target = { ...chain[i], params: { ...chain[i].params, ...clampGenerationParams(chain[i].limits, params || {}) } };
+    const provider = getProvider(target.provider);
+    if (!provider || !provider.isConfigured) {
+      notConfigured.push(target.provider);
+      continue;
+    }
+    if (signal?.aborted) break;
+    const breaker = getBreaker(target.provider);
+    if (!breaker.tryAcquire()) {
+      circuitOpen.push(target.provider);
+      console.warn(`[llmProvider] ${operation} skipping ${provider.label}: circuit open`);
+      continue;
+    }
+
+    console.info(`[llmProvider] ${operation} -> ${provider.label}${i > 0 ? ' (fallback)' : ''} model=${target.apiModel}`);
+    try {
+      const result = await invoke(provider, target);
+      breaker.recordSuccess();
+      if (operation !== 'createStream') return result;
+      // Which provider answered, so replies can be traced back to a fallback
+      return Object.assign(guardStream(breaker, result, signal), { servedBy: { provider: target.provider, fallback: i > 0 } });
+    } catch (error) {
+      // A cancelled call is neither a provider failure nor a reason to try the fallbacks
+      if (isAbortError(error, signal)) {
+        breaker.release();
+        throw error;
       }
+      breaker.recordFailure(error);
+      lastError = error;
+      const hasNext = i < chain.length - 1;
+      console.error(`${provider.label} API error: ${error.message}.${hasNext ? ' Trying next provider...' : ''}`);
     }
-    if (!together) throw new Error('TogetherAI key not configured');
-    console.info(`[llmProvider] createCompletion -> Together model=mistralai/Mixtral-8x7B-Instruct-v0.1`);
-    const resp = await together.chat.completions.create({ model: 'mistralai/Mixtral-8x7B-Instruct-v0.1', messages, max_tokens: 512, temperature: 0.7 });
-    return resp.choices[0].message.content;
   }
 
-  if (!together) throw new Error('TogetherAI key not configured');
-  console.info(`[llmProvider] createCompletion -> Together model=${apiModel}`);
-  const resp = await together.chat.completions.create({ model: apiModel, messages, max_tokens: 512, temperature: 0.7 });
-  return resp.choices[0].message.content;
+  if (signal?.aborted) throw abortError(signal);
+  if (lastError) throw new Error(`All providers failed for ${model} (last error: ${lastError.message})`);
+  const reasons = [
+    circuitOpen.length ? `circuit open: ${circuitOpen.join(', ')}` : null,
+    notConfigured.length ? `not configured: ${notConfigured.join(', ')}` : null,
+  ].filter(Boolean);
+  throw new Error(`No provider available for ${model} (${reasons.join('; ') || 'empty chain'})`);
+}
+
+/**
+ * Stream a chat completion for a public model id.
+ * Resolves to an async iterable of { choices: [{ delta: { content, tool_calls } }] } chunks.
+ * `params` overrides the registry defaults for this call (e.g. { max_tokens: 2 }).
+ * `tools` is a list of { name, description, parameters } the model may call (see services/tools).
+ * `signal` (an AbortSignal) cancels the upstream request; the stream then ends with an AbortError.
+ * A stream from an upstream provider has `servedBy` = { provider, fallback }.
+ */
+async function createStream({ model, messages, params, tools, signal }) {
+  const request = { operation: 'createStream', model, messages, params, tools };
+  if (signal?.aborted) throw abortError(signal);
+  if (mockProvider) return streamWithTools(mockProvider, { apiModel: model }, messages, tools, { signal });
+  if (LLM_MODE === 'replay') return streamChunks(recorder.replayChunks(request), env.LLM_MOCK_CHUNK_DELAY_MS, signal);
+
+  const stream = await runChain('createStream', model, params, (provider, target) => streamWithTools(provider, target, messages, tools, { signal }), signal);
+  return LLM_MODE === 'record' ? Object.assign(recorder.recordStream(request, stream), { servedBy: stream.servedBy }) : stream;
+}
+
+// Non-streaming variant of createStream; resolves to the reply text
+async function createCompletion({ model, messages, params, signal }) {
+  const request = { operation: 'createCompletion', model, messages, params };
+  if (signal?.aborted) throw abortError(signal);
+  if (mockProvider) return mockProvider.complete({ apiModel: model }, messages, { signal });
+  if (LLM_MODE === 'replay') return recorder.replayText(request);
+
+  const completion = runChain('createCompletion', model, params, (provider, target) => provider.complete(target, messages, { signal }), signal);
+  return LLM_MODE === 'record' ? recorder.recordCompletion(request, completion) : completion;
+}
+
+// True when a call for this model can be served (offline modes always can)
+function hasConfiguredProvider(model) {
+  if (LLM_MODE !== 'live') return true;
+  return registry.resolveChain(model).some(target => {
+    const provider = getProvider(target.provider);
+    return provider && provider.isConfigured;
+  });
 }
 
-module.exports = { createStream, createCompletion, MODEL_API_MAPPING };
\ No newline at end of file
+// Configuration and circuit state for every provider in the registry (health and admin views)
+function getProviderHealth() {
+  return registry.listProviderNames().map(name => {
+    const provider = getProvider(name);
+    return {
+      name,
+      label: provider.label,
+      type: registry.getProviderConfig(name).type,
+      configured: !!provider.isConfigured,
+      ...getBreaker(name).snapshot(),
+    };
+  });
+}
+
+// A configured provider whose circuit is open; half-open ones are already taking probe requests
+function isCircuitOpen(health) {
+  return health.configured && health.state === STATES.OPEN;
+}
+
+// Any configured provider currently tripped?
+function hasOpenCircuit() {
+  return getProviderHealth().some(isCircuitOpen);
+}
+
+function resetCircuit(name) {
+  if (!registry.getProviderConfig(name)) return false;
+  getBreaker(name).reset();
+  return true;
+}
+
+module.exports = {
+  createStream,
+  createCompletion,
+  isAbortError,
+  hasConfiguredProvider,
+  getProviderHealth,
+  hasOpenCircuit,
+  isCircuitOpen,
+  resetCircuit,
+  // Public model id -> upstream model name, read from the registry so it follows reload()
+  get MODEL_API_MAPPING() {
+    return Object.fromEntries(registry.listModels().map(m => [m.id, m.apiModel]));
+  },
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Record/replay of provider exchanges as JSON fixture files.
+ * A fixture is keyed by a hash of the operation, public model id, messages and params,
+ * so the same request always maps to the same file.
+ */
+function createRecorder({ fixturesDir }) {
+  const dir = path.resolve(fixturesDir);
+
+  function fixtureKey({ operation, model, messages, params, tools }) {
+    const payload = JSON.stringify({ operation, model, messages, params: params || {}, ...(tools ? { tools } : {}) });
+    return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 32);
+  }
+
+  function fixturePath(request) {
+    return path.join(dir, `${request.model.replace(/[^\w.-]+/g, '_')}-${fixtureKey(request)}.json`);
+  }
+
+  function save(request, result) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = fixturePath(request);
+    fs.writeFileSync(file, JSON.stringify({
+      operation: request.operation,
+      model: request.model,
+      messages: request.messages,
+      params: request.params || {},
+      recordedAt: new Date().toISOString(),
+      ...result,
+    }, null, 2));
+    console.info(`[llmRecorder] recorded ${path.basename(file)}`);
+  }
+
+  function load(request) {
+    const file = fixturePath(request);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recorded LLM fixture for ${request.operation} ${request.model} (expected ${path.basename(file)}); run once with LLM_MODE=record`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  // Pass a live stream through unchanged while collecting its text and tool-call deltas;
+  // the fixture is written once it ends
+  async function* recordStream(request, stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      const delta = chunk?.choices?.[0]?.delta || {};
+      if (delta.content) chunks.push(delta.content);
+      if (delta.tool_calls) chunks.push({ tool_calls: delta.tool_calls });
+      yield chunk;
+    }
+    save(request, { chunks });
+  }
+
+  async function recordCompletion(request, promise) {
+    const text = await promise;
+    save(request, { text });
+    return text;
+  }
+
+  function replayChunks(request) {
+    const fixture = load(request);
+    return fixture.chunks || (fixture.text ? [fixture.text] : []);
+  }
+
+  function replayText(request) {
+    const fixture = load(request);
+    return fixture.text !== undefined ? fixture.text : (fixture.chunks || []).filter(c => typeof c === 'string').join('');
+  }
+
+  return { recordStream, recordCompletion, replayChunks, replayText };
+}
+
+module.exports = { createRecorder };
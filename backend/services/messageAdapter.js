@@ -0,0 +1,233 @@
+const { UnsupportedContentError } = require('../utils/errors');
+
+/**
+ * Internal message format (OpenAI-style, shared by every caller of llmProvider):
+ *   { role: 'system' | 'user' | 'assistant' | 'tool',
+ *     content: string | Array<{ type: 'text', text } | { type: 'image', mimeType, data } | { type: 'image', url }>,
+ *     tool_calls?: [{ id, type: 'function', function: { name, arguments } }],  // assistant turns
+ *     tool_call_id?, name? }                                                   // tool results
+ *
+ * Adapters translate that into each provider's native request shape. Anything a provider
+ * cannot represent is reported through `report(message)`; depending on the provider's
+ * `unsupportedContent` policy that either logs a warning or throws UnsupportedContentError
+ * (which lets the fallback chain move on to a more capable provider).
+ */
+
+const DEFAULT_CAPABILITIES = {
+  gemini: { systemPrompt: true, images: true, tools: true },
+  openai: { systemPrompt: true, images: true, tools: true },
+  default: { systemPrompt: true, images: false, tools: false },
+};
+
+function capabilitiesFor(config) {
+  const base = DEFAULT_CAPABILITIES[config.type] || DEFAULT_CAPABILITIES.default;
+  return { ...base, ...(config.capabilities || {}) };
+}
+
+function createReporter(config) {
+  const warnings = [];
+  const label = config.label || config.name;
+  function report(message) {
+    if (config.unsupportedContent === 'error') {
+      throw new UnsupportedContentError(label, message);
+    }
+    if (!warnings.includes(message)) {
+      warnings.push(message);
+      console.warn(`[messageAdapter] ${label}: ${message}`);
+    }
+  }
+  return { report, warnings };
+}
+
+// Accept strings, our own parts and OpenAI `image_url` parts; always return an array of parts
+function normalizeParts(content) {
+  if (content === null || content === undefined) return [];
+  if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+  if (!Array.isArray(content)) return [{ type: 'text', text: String(content) }];
+  return content.map(part => {
+    if (typeof part === 'string') return { type: 'text', text: part };
+    if (part.type === 'image_url') return { type: 'image', url: part.image_url?.url || part.image_url };
+    return part;
+  }).filter(Boolean);
+}
+
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.+)$/.exec(url || '');
+  return match ? { mimeType: match[1], data: match[2] } : null;
+}
+
+function textOf(parts) {
+  return parts.filter(p => p.type === 'text').map(p => p.text).join('\n');
+}
+
+function parseArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try { return JSON.parse(args || '{}'); } catch (_) { return { input: args }; }
+}
+
+// Map tool_call ids to tool names so tool results can be labelled for providers that need the name
+function toolNamesById(messages) {
+  const names = {};
+  for (const m of messages) {
+    for (const call of m.tool_calls || []) names[call.id] = call.function?.name;
+  }
+  return names;
+}
+
+// --- Gemini ---
+
+function imageToGeminiPart(part, report) {
+  if (part.data) return { inlineData: { mimeType: part.mimeType || 'image/png', data: part.data } };
+  const inline = parseDataUrl(part.url);
+  if (inline) return { inlineData: inline };
+  report('remote image URLs are not supported; image dropped');
+  return null;
+}
+
+/**
+ * Build the Gemini request body pieces: { systemInstruction, contents, warnings }.
+ * System messages become systemInstruction; tool calls/results become functionCall/functionResponse parts.
+ */
+function toGeminiRequest(messages, config) {
+  const caps = capabilitiesFor(config);
+  const { report, warnings } = createReporter(config);
+  const toolNames = toolNamesById(messages);
+  const systemTexts = [];
+  const contents = [];
+
+  function push(role, parts) {
+    if (!parts.length) return;
+    const last = contents[contents.length - 1];
+    // Gemini expects alternating turns, so merge consecutive same-role entries
+    if (last && last.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  }
+
+  for (const m of messages) {
+    const parts = normalizeParts(m.content);
+    if (m.role === 'system') {
+      const text = textOf(parts);
+      if (text) systemTexts.push(text);
+      if (parts.some(p => p.type === 'image')) report('images in system messages are not supported; image dropped');
+      continue;
+    }
+
+    if (m.role === 'tool') {
+      const name = m.name || toolNames[m.tool_call_id] || 'tool';
+      const text = textOf(parts);
+      let response;
+      try { response = JSON.parse(text); } catch (_) { response = { result: text }; }
+      if (response === null || typeof response !== 'object' || Array.isArray(response)) response = { result: response };
+      push('user', [{ functionResponse: { name, response } }]);
+      continue;
+    }
+
+    const role = m.role === 'assistant' ? 'model' : 'user';
+    const geminiParts = [];
+    for (const part of parts) {
+      if (part.type === 'text') {
+        if (part.text) geminiParts.push({ text: part.text });
+      } else if (part.type === 'image') {
+        if (!caps.images) { report('images are not supported; image dropped'); continue; }
+        const imagePart = imageToGeminiPart(part, report);
+        if (imagePart) geminiParts.push(imagePart);
+      } else {
+        report(`content part type "${part.type}" is not supported; part dropped`);
+      }
+    }
+    for (const call of m.tool_calls || []) {
+      geminiParts.push({ functionCall: { name: call.function?.name, args: parseArguments(call.function?.arguments) } });
+    }
+    push(role, geminiParts);
+  }
+
+  if (systemTexts.length && !caps.systemPrompt) {
+    // Fold the instructions into the first user turn rather than dropping them
+    const firstUser = contents.find(c => c.role === 'user');
+    if (firstUser) firstUser.parts.unshift({ text: systemTexts.join('\n\n') });
+    return { contents, warnings };
+  }
+
+  return {
+    systemInstruction: systemTexts.length ? { parts: [{ text: systemTexts.join('\n\n') }] } : undefined,
+    contents,
+    warnings,
+  };
+}
+
+// --- OpenAI-compatible (OpenAI, Together, Nebius, self-hosted) ---
+
+function imageToOpenAIPart(part) {
+  const url = part.data ? `data:${part.mimeType || 'image/png'};base64,${part.data}` : part.url;
+  return { type: 'image_url', image_url: { url } };
+}
+
+/**
+ * Build chat.completions messages for OpenAI-style APIs: { messages, warnings }.
+ * Text-only content is collapsed to a plain string, which every compatible server accepts.
+ */
+function toOpenAIMessages(messages, config) {
+  const caps = capabilitiesFor(config);
+  const { report, warnings } = createReporter(config);
+  const toolNames = toolNamesById(messages);
+  const out = [];
+  const pendingSystem = [];
+
+  for (const m of messages) {
+    const parts = normalizeParts(m.content);
+
+    if (m.role === 'system' && !caps.systemPrompt) {
+      pendingSystem.push(textOf(parts));
+      continue;
+    }
+
+    if (m.role === 'tool' && !caps.tools) {
+      report('tool messages are not supported; tool results sent as plain text');
+      const name = m.name || toolNames[m.tool_call_id] || 'tool';
+      out.push({ role: 'user', content: `Tool result from ${name}:\n${textOf(parts)}` });
+      continue;
+    }
+
+    let content;
+    const hasImages = parts.some(p => p.type === 'image');
+    if (hasImages && caps.images) {
+      content = parts.map(p => (p.type === 'image' ? imageToOpenAIPart(p) : { type: 'text', text: p.text }));
+    } else {
+      if (hasImages) report('images are not supported; image dropped');
+      content = textOf(parts);
+    }
+
+    const msg = { role: m.role, content };
+    if (m.role === 'tool') {
+      msg.tool_call_id = m.tool_call_id;
+      if (m.name) msg.name = m.name;
+    }
+    if (m.tool_calls && m.tool_calls.length) {
+      if (caps.tools) {
+        msg.tool_calls = m.tool_calls;
+      } else {
+        report('assistant tool calls are not supported; calls sent as plain text');
+        const described = m.tool_calls.map(c => `[Called tool ${c.function?.name} with ${typeof c.function?.arguments === 'string' ? c.function.arguments : JSON.stringify(c.function?.arguments)}]`);
+        msg.content = [msg.content, ...described].filter(Boolean).join('\n');
+      }
+    }
+    out.push(msg);
+  }
+
+  if (pendingSystem.length) {
+    const firstUser = out.find(m => m.role === 'user');
+    const instructions = pendingSystem.filter(Boolean).join('\n\n');
+    if (firstUser && typeof firstUser.content === 'string') firstUser.content = `${instructions}\n\n${firstUser.content}`;
+    else if (firstUser) firstUser.content.unshift({ type: 'text', text: instructions });
+    else out.unshift({ role: 'user', content: instructions });
+  }
+
+  return { messages: out, warnings };
+}
+
+module.exports = {
+  capabilitiesFor,
+  normalizeParts,
+  toGeminiRequest,
+  toOpenAIMessages,
+};
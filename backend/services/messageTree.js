@@ -0,0 +1,124 @@
+const Message = require('../models/Message');
+
+/**
+ * Conversations are trees of Message rows. Each row points at the turn it follows (`parentId`,
+ * null for the first turn); rows sharing a parent are alternative branches, numbered by
+ * `branchIndex` in creation order. Editing a user turn or regenerating a reply adds a sibling
+ * instead of appending. `Conversation.activeLeafId` marks the branch currently in use: the active
+ * path runs from the root to that leaf, and only that path is shown and sent to the model.
+ */
+
+function byTime(a, b) {
+  return new Date(a.timestamp) - new Date(b.timestamp);
+}
+
+function indexMessages(messages) {
+  const byId = new Map();
+  const children = new Map();
+  for (const message of messages) {
+    byId.set(message.id, message);
+    const key = message.parentId || null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(message);
+  }
+  for (const siblings of children.values()) {
+    siblings.sort((a, b) => (a.branchIndex || 0) - (b.branchIndex || 0) || byTime(a, b));
+  }
+  return { byId, children };
+}
+
+// Rows written before the tree existed (e.g. a dev database synced without the backfill migration)
+// are all first-branch roots; chain them in time order so they read as one branch
+async function linkLegacyMessages(messages) {
+  const unlinked = messages.filter(m => !m.parentId && !m.branchIndex).sort(byTime);
+  for (let i = 1; i < unlinked.length; i++) {
+    await Message.update({ parentId: unlinked[i - 1].id }, { where: { id: unlinked[i].id } });
+    unlinked[i].parentId = unlinked[i - 1].id;
+  }
+}
+
+// Messages from the root down to `leafId`
+function pathTo(index, leafId) {
+  const path = [];
+  const seen = new Set();
+  let node = leafId ? index.byId.get(leafId) : null;
+  while (node && !seen.has(node.id)) {
+    seen.add(node.id);
+    path.push(node);
+    node = node.parentId ? index.byId.get(node.parentId) : null;
+  }
+  return path.reverse();
+}
+
+// Follow the newest branch down from a message to the end of the conversation
+function latestLeaf(index, id) {
+  let node = index.byId.get(id);
+  while (node) {
+    const next = index.children.get(node.id);
+    if (!next || next.length === 0) break;
+    node = next[next.length - 1];
+  }
+  return node || null;
+}
+
+function activeLeafId(conversation, index) {
+  if (conversation.activeLeafId && index.byId.has(conversation.activeLeafId)) return conversation.activeLeafId;
+  const newest = Array.from(index.byId.values()).sort(byTime).pop();
+  return newest ? newest.id : null;
+}
+
+function nextBranchIndex(index, parentId) {
+  const siblings = index.children.get(parentId || null) || [];
+  return siblings.reduce((next, m) => Math.max(next, (m.branchIndex || 0) + 1), 0);
+}
+
+// Plain message objects with `branch: { index, count, siblingIds }` for "< 2/3 >" navigation
+function describePath(index, path) {
+  return path.map(message => {
+    const siblings = index.children.get(message.parentId || null) || [message];
+    const plain = typeof message.toJSON === 'function' ? message.toJSON() : { ...message };
+    return {
+      ...plain,
+      branch: { index: siblings.indexOf(message), count: siblings.length, siblingIds: siblings.map(s => s.id) },
+    };
+  });
+}
+
+/**
+ * Load a conversation's messages and return its active path, described for clients.
+ * Returns { messages, index, leafId }.
+ */
+async function loadActivePath(conversation) {
+  const all = await Message.findAll({ where: { conversationId: conversation.id }, order: [['timestamp', 'ASC']] });
+  await linkLegacyMessages(all);
+  const index = indexMessages(all);
+  const leafId = activeLeafId(conversation, index);
+  return { messages: describePath(index, pathTo(index, leafId)), index, leafId };
+}
+
+// A stored summary covers one branch (see conversationSummary.js); forking before its end would leak
+// the other branch into context
+async function discardSummaryBefore(conversation, forkPoint) {
+  if (!conversation.summarizedUntil) return;
+  if (forkPoint && new Date(forkPoint.timestamp) >= new Date(conversation.summarizedUntil)) return;
+  await conversation.update({
+    summary: null,
+    summarizedUntil: null,
+    summaryVersion: (conversation.summaryVersion || 0) + 1,
+    summaryFromMessageId: null,
+    summaryToMessageId: null,
+    summaryMessageCount: 0,
+  });
+}
+
+module.exports = {
+  indexMessages,
+  linkLegacyMessages,
+  pathTo,
+  latestLeaf,
+  activeLeafId,
+  nextBranchIndex,
+  describePath,
+  loadActivePath,
+  discardSummaryBefore,
+};
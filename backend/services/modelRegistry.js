@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const env = require('../config/env');
+
+const DEFAULT_REGISTRY_PATH = path.resolve(__dirname, '..', 'config', 'models.json');
+
+// Read a setting from the validated env module first, then the raw process env
+function readEnv(name) {
+  if (!name) return undefined;
+  return env[name] || process.env[name] || undefined;
+}
+
+// Labels may be a plain string or a map of apiModel substrings to labels ('*' is the default)
+function resolveLabel(label, apiModel, fallback) {
+  if (!label) return fallback;
+  if (typeof label === 'string') return label;
+  const match = Object.keys(label).find(key => key !== '*' && (apiModel || '').includes(key));
+  return label[match] || label['*'] || fallback;
+}
+
+// Per-model limits override the registry-wide ones key by key (`false` disables a parameter)
+function mergeLimits(base, overrides) {
+  return { ...base, ...(overrides || {}) };
+}
+
+// A fallback has its own `limits` over the registry-wide ones; requested params are clamped to them
+function normalizeTarget(target, modelDefaults, limits) {
+  return {
+    provider: target.provider,
+    apiModel: readEnv(target.apiModelEnv) || target.apiModel,
+    params: { ...modelDefaults, ...(target.defaults || {}) },
+    limits,
+  };
+}
+
+function normalizeModel(raw, providers, generationLimits) {
+  if (!raw.id) throw new Error('Model registry entry is missing an id');
+  if (!providers[raw.provider]) {
+    throw new Error(`Model ${raw.id} references unknown provider "${raw.provider}"`);
+  }
+  const defaults = raw.defaults || {};
+  const limits = mergeLimits(generationLimits, raw.limits);
+  const primary = normalizeTarget(raw, defaults, limits);
+  const fallbacks = (raw.fallbacks || []).map(fb => {
+    if (!providers[fb.provider]) {
+      throw new Error(`Model ${raw.id} fallback references unknown provider "${fb.provider}"`);
+    }
+    return normalizeTarget(fb, defaults, mergeLimits(generationLimits, fb.limits));
+  });
+
+  return {
+    id: raw.id,
+    name: raw.name || raw.id,
+    description: raw.description || '',
+    label: resolveLabel(raw.label, primary.apiModel, raw.name || raw.id),
+    provider: primary.provider,
+    apiModel: primary.apiModel,
+    defaults,
+    limits,
+    // Context budget for prompt + history (see services/contextBuilder); maxInputTokens caps cost
+    contextWindow: Number.isFinite(raw.contextWindow) ? raw.contextWindow : null,
+    maxInputTokens: Number.isFinite(raw.maxInputTokens) ? raw.maxInputTokens : null,
+    fallbacks,
+    baseTokenCost: Number.isFinite(raw.baseTokenCost) ? raw.baseTokenCost : 0,
+    adReward: Number.isFinite(raw.adReward) ? raw.adReward : 0,
+    // availableWhenEnv lets an entry (e.g. a self-hosted model) appear only once its endpoint is configured
+    available: raw.availableWhenEnv ? !!readEnv(raw.availableWhenEnv) : raw.available !== false,
+  };
+}
+
+function loadRegistry(filePath = env.MODEL_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  const raw = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  const providers = raw.providers || {};
+  const generationLimits = raw.generationLimits || {};
+  const models = new Map();
+  for (const entry of raw.models || []) {
+    const model = normalizeModel(entry, providers, generationLimits);
+    models.set(model.id, model);
+  }
+  if (models.size === 0) throw new Error(`Model registry ${filePath} defines no models`);
+
+  const defaultModel = models.has(raw.defaultModel) ? raw.defaultModel : models.keys().next().value;
+  return {
+    filePath,
+    providers,
+    models,
+    defaultModel,
+    // Cheap model for internal calls (memory judgment, summaries) that users are not billed for
+    utilityModel: models.has(raw.utilityModel) ? raw.utilityModel : defaultModel,
+    passthroughProvider: raw.passthroughProvider || null,
+    passthroughDefaults: raw.passthroughDefaults || {},
+    generationLimits,
+    circuitBreaker: raw.circuitBreaker || {},
+  };
+}
+
+let registry = loadRegistry();
+
+function getModel(id) {
+  return registry.models.get(id) || null;
+}
+
+function listModels() {
+  return Array.from(registry.models.values());
+}
+
+// Models that can be chosen for a request; unavailable ones are still listed and known to getModel()
+function isAvailable(id) {
+  const model = getModel(id);
+  return !!model && model.available;
+}
+
+function getModelIds() {
+  return listModels().filter(model => model.available).map(model => model.id);
+}
+
+function getDefaultModelId() {
+  return registry.defaultModel;
+}
+
+function getUtilityModelId() {
+  return registry.utilityModel;
+}
+
+// Widest range any model accepts per parameter, for settings not tied to one model (conversation defaults)
+function getGenerationLimits() {
+  const widest = {};
+  for (const model of registry.models.values()) {
+    for (const [key, limit] of Object.entries(model.limits)) {
+      if (!limit) continue;
+      const current = widest[key];
+      if (!current) {
+        widest[key] = { ...limit };
+        continue;
+      }
+      if (limit.min !== undefined) current.min = Math.min(current.min ?? limit.min, limit.min);
+      for (const bound of ['max', 'maxItems', 'maxLength']) {
+        if (limit[bound] !== undefined) current[bound] = Math.max(current[bound] ?? limit[bound], limit[bound]);
+      }
+    }
+  }
+  return widest;
+}
+
+function getProviderConfig(name) {
+  const config = registry.providers[name];
+  if (!config) return null;
+  return {
+    name,
+    ...config,
+    baseURL: readEnv(config.baseURLEnv) || config.baseURL,
+    apiKey: readEnv(config.apiKeyEnv),
+  };
+}
+
+// Registry-wide breaker settings, overridden by the provider's own `circuitBreaker` block
+function getCircuitBreakerOptions(name) {
+  const config = registry.providers[name] || {};
+  return { ...registry.circuitBreaker, ...(config.circuitBreaker || {}) };
+}
+
+function listProviderNames() {
+  return Object.keys(registry.providers);
+}
+
+function getLabel(id) {
+  const model = getModel(id);
+  return model ? model.label : id;
+}
+
+/**
+ * Ordered list of { provider, apiModel, params, limits } targets to try for a public model id.
+ * Unknown ids are passed straight through to the passthrough provider, if one is configured.
+ */
+function resolveChain(id) {
+  const model = getModel(id);
+  if (model) {
+    return [{ provider: model.provider, apiModel: model.apiModel, params: { ...model.defaults }, limits: model.limits }, ...model.fallbacks];
+  }
+  if (registry.passthroughProvider) {
+    return [{ provider: registry.passthroughProvider, apiModel: id, params: { ...registry.passthroughDefaults }, limits: registry.generationLimits }];
+  }
+  return [];
+}
+
+// Re-read the registry file (e.g. after editing config/models.json without a restart)
+function reload(filePath) {
+  registry = loadRegistry(filePath);
+  return registry;
+}
+
+module.exports = {
+  getModel,
+  listModels,
+  getModelIds,
+  isAvailable,
+  getDefaultModelId,
+  getUtilityModelId,
+  getGenerationLimits,
+  getProviderConfig,
+  getCircuitBreakerOptions,
+  listProviderNames,
+  getLabel,
+  resolveChain,
+  reload,
+};
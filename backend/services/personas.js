@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const Persona = require('../models/Persona');
+const Conversation = require('../models/Conversation');
+const logger = require('../utils/logger');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Conversation modes and personas.
+ *
+ * Built-in modes come from config/modes.json; users add their own personas (models/Persona.js) and
+ * may share them with everyone. A conversation stores either a built-in `mode` key or a `personaId`;
+ * resolveMode() turns that into the { key, personaId, label, systemPrompt, defaultModel, temperature,
+ * starters } the chat pipeline applies.
+ */
+
+const MODES_PATH = path.resolve(__dirname, '..', 'config', 'modes.json');
+const MAX_PERSONAS_PER_USER = 50;
+
+function loadModes(filePath = MODES_PATH) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const modes = new Map();
+  for (const mode of raw.modes || []) {
+    if (!mode.key || !mode.systemPrompt) throw new Error(`Mode ${mode.key || '(no key)'} needs a key and a systemPrompt`);
+    modes.set(mode.key, {
+      key: mode.key,
+      label: mode.label || mode.key,
+      description: mode.description || '',
+      systemPrompt: mode.systemPrompt,
+      defaultModel: mode.defaultModel || null,
+      temperature: mode.temperature ?? null,
+      starters: mode.starters || [],
+    });
+  }
+  if (!modes.has(raw.defaultMode)) throw new Error(`Default mode ${raw.defaultMode} is not defined in ${filePath}`);
+  return { defaultMode: raw.defaultMode, modes };
+}
+
+let registry = loadModes();
+
+function listBuiltins() {
+  return Array.from(registry.modes.values());
+}
+
+function getBuiltin(key) {
+  return registry.modes.get(key) || null;
+}
+
+function getDefaultModeKey() {
+  return registry.defaultMode;
+}
+
+// Client shape of a persona row; `owned` tells the caller whether they may edit it
+function describePersona(persona, userId) {
+  return {
+    id: persona.id,
+    name: persona.name,
+    description: persona.description,
+    systemPrompt: persona.systemPrompt,
+    defaultModel: persona.defaultModel,
+    temperature: persona.temperature,
+    starters: persona.starters || [],
+    isShared: persona.isShared,
+    owned: persona.userId === userId,
+    createdAt: persona.createdAt,
+    updatedAt: persona.updatedAt,
+  };
+}
+
+// A persona the user may use: their own, or one somebody shared
+function findVisible(userId, id) {
+  return Persona.findOne({ where: { id, [Op.or]: [{ userId }, { isShared: true }] } });
+}
+
+async function findOwned(userId, id) {
+  const persona = await findVisible(userId, id);
+  if (!persona) throw new NotFoundError('Persona');
+  if (persona.userId !== userId) throw new AuthorizationError('Only the owner can change a shared persona');
+  return persona;
+}
+
+async function listForUser(userId) {
+  const rows = await Persona.findAll({
+    where: { [Op.or]: [{ userId }, { isShared: true }] },
+    order: [['name', 'ASC']],
+  });
+  return {
+    defaultMode: registry.defaultMode,
+    modes: listBuiltins(),
+    personas: rows.filter(p => p.userId === userId).map(p => describePersona(p, userId)),
+    shared: rows.filter(p => p.userId !== userId).map(p => describePersona(p, userId)),
+  };
+}
+
+async function createPersona(userId, fields) {
+  const count = await Persona.count({ where: { userId } });
+  if (count >= MAX_PERSONAS_PER_USER) throw new ValidationError(`You can keep up to ${MAX_PERSONAS_PER_USER} personas`);
+  const persona = await Persona.create({ ...fields, userId });
+  logger.info({ action: 'persona_created', userId, personaId: persona.id, isShared: persona.isShared });
+  return describePersona(persona, userId);
+}
+
+async function updatePersona(userId, id, fields) {
+  const persona = await findOwned(userId, id);
+  await persona.update(fields);
+  return describePersona(persona, userId);
+}
+
+// Conversations that used the persona (the owner's or anyone's, if it was shared) go back to the default mode
+async function deletePersona(userId, id) {
+  const persona = await findOwned(userId, id);
+  await Conversation.update({ personaId: null }, { where: { personaId: persona.id } });
+  await persona.destroy();
+  logger.info({ action: 'persona_deleted', userId, personaId: id });
+}
+
+/**
+ * Resolve a { mode, personaId } selection for a user. With `strict`, an unknown mode or a persona the
+ * user cannot see is an error (a new choice); otherwise, for a stored conversation whose persona has
+ * since been deleted or unshared, it falls back to the mode or the default one.
+ */
+async function resolveMode(userId, { mode, personaId } = {}, { strict = false } = {}) {
+  if (personaId) {
+    const persona = await findVisible(userId, personaId);
+    if (persona) {
+      return {
+        key: 'persona',
+        personaId: persona.id,
+        label: persona.name,
+        systemPrompt: persona.systemPrompt,
+        defaultModel: persona.defaultModel,
+        temperature: persona.temperature,
+        starters: persona.starters || [],
+      };
+    }
+    if (strict) throw new NotFoundError('Persona');
+    logger.warn({ action: 'persona_unavailable', userId, personaId });
+  }
+  const builtin = mode ? getBuiltin(mode) : null;
+  if (mode && !builtin && strict) throw new ValidationError(`Unknown mode: ${mode}`, 'mode');
+  return { ...(builtin || getBuiltin(registry.defaultMode)), personaId: null };
+}
+
+// Re-read config/modes.json without a restart
+function reload(filePath) {
+  registry = loadModes(filePath);
+  return registry;
+}
+
+module.exports = {
+  MAX_PERSONAS_PER_USER,
+  listBuiltins,
+  getBuiltin,
+  getDefaultModeKey,
+  listForUser,
+  findVisible,
+  createPersona,
+  updatePersona,
+  deletePersona,
+  describePersona,
+  resolveMode,
+  reload,
+};
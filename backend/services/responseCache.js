@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+const cache = require('../utils/cache');
+const { normalizeParts } = require('./messageAdapter');
+
+const KEY_PREFIX = 'llmcache';
+// Replayed text is cut into pieces of about this many characters so clients render it like a live stream
+const REPLAY_PIECE_CHARS = 24;
+
+const excludedModels = env.RESPONSE_CACHE_EXCLUDE_MODELS.split(',').map(s => s.trim()).filter(Boolean);
+
+// Whitespace and content-shape differences should not defeat the cache; images are keyed by a digest
+function normalizeMessages(messages) {
+  return messages.map(m => ({
+    role: m.role,
+    content: normalizeParts(m.content).map(part => {
+      if (part.type === 'text') return part.text.replace(/\s+/g, ' ').trim();
+      if (part.type === 'image') return `image:${crypto.createHash('sha256').update(part.data || part.url || '').digest('hex')}`;
+      return JSON.stringify(part);
+    }),
+  }));
+}
+
+/**
+ * Cache key for a model call: a hash of the model, normalized messages, effective generation
+ * params and offered tool names. With RESPONSE_CACHE_SCOPE=user the user id is part of the key.
+ */
+function buildCacheKey({ model, messages, params, tools, userId }) {
+  const payload = JSON.stringify({
+    model,
+    messages: normalizeMessages(messages),
+    params: Object.keys(params || {}).sort().reduce((out, k) => ({ ...out, [k]: params[k] }), {}),
+    tools: (tools || []).map(t => t.name).sort(),
+    scope: env.RESPONSE_CACHE_SCOPE === 'user' ? userId : 'global',
+  });
+  return `${KEY_PREFIX}:${model}:${crypto.createHash('sha256').update(payload).digest('hex')}`;
+}
+
+/**
+ * Whether a request may use the cache at all. Requests that carry personal context
+ * (memory hints, the user's own files) are excluded so their replies cannot reach other users.
+ * Returns { ok, reason }.
+ */
+function checkEligibility({ model, hasPersonalContext }) {
+  if (!env.RESPONSE_CACHE_ENABLED) return { ok: false, reason: 'disabled' };
+  if (excludedModels.includes(model)) return { ok: false, reason: 'model_excluded' };
+  if (hasPersonalContext && env.RESPONSE_CACHE_SCOPE !== 'user') return { ok: false, reason: 'personal_context' };
+  return { ok: true };
+}
+
+async function lookup(key) {
+  const entry = await cache.get(key);
+  return entry && typeof entry.text === 'string' ? entry : null;
+}
+
+async function store(key, text, meta = {}) {
+  if (!text) return;
+  await cache.set(key, { text, cachedAt: new Date().toISOString(), ...meta }, env.RESPONSE_CACHE_TTL_SECONDS);
+}
+
+// Replay a cached reply as the same OpenAI-style delta chunks a live stream yields
+async function* replayStream(text) {
+  for (let i = 0; i < text.length; i += REPLAY_PIECE_CHARS) {
+    yield { choices: [{ delta: { content: text.slice(i, i + REPLAY_PIECE_CHARS) } }] };
+  }
+}
+
+/**
+ * Tokens to charge for a cache hit under RESPONSE_CACHE_BILLING.
+ * `liveCost` is what the same reply would have cost uncached.
+ */
+function billedTokensForHit(liveCost, baseTokenCost) {
+  switch (env.RESPONSE_CACHE_BILLING) {
+    case 'full': return liveCost;
+    case 'free': return 0;
+    default: return baseTokenCost;
+  }
+}
+
+module.exports = {
+  buildCacheKey,
+  checkEligibility,
+  lookup,
+  store,
+  replayStream,
+  billedTokensForHit,
+};
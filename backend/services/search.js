@@ -0,0 +1,290 @@
+const { Op, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Memory = require('../models/Memory');
+const FileUpload = require('../models/FileUpload');
+const logger = require('../utils/logger');
+const personas = require('./personas');
+
+/**
+ * Search across everything a user has stored: message bodies on every branch, conversation titles
+ * and summaries, memory entries and text extracted from uploaded files.
+ *
+ * On MySQL/MariaDB each source is matched against its FULLTEXT index (migration 010) in boolean
+ * mode, every query word as a prefix, and ranked by MySQL's relevance. Other dialects, or a database
+ * without the indexes yet, fall back to LIKE matching ranked by how many of the words occur.
+ * Results from all sources are merged by score, then by date, and paged together.
+ */
+
+const SOURCES = ['messages', 'conversations', 'memory', 'files'];
+// Deepest result served (page * limit); each source is read up to this many rows
+const MAX_RESULTS = 500;
+const MAX_TERMS = 8;
+const SNIPPET_CHARS = 160;
+// MySQL error for MATCH() without a FULLTEXT index on exactly those columns
+const ER_FT_MATCHING_KEY_NOT_FOUND = 1191;
+
+let fullText = ['mysql', 'mariadb'].includes(sequelize.getDialect());
+
+// Query words, without the characters that are operators in boolean mode
+function termsOf(query) {
+  const words = String(query || '').toLowerCase().replace(/[+\-<>()~*"@]/g, ' ').split(/\s+/).filter(Boolean);
+  return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * About SNIPPET_CHARS of `text` around the first query word, HTML-escaped, with every query word
+ * wrapped in <mark>.
+ */
+function snippet(text, terms) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const lower = source.toLowerCase();
+  const hits = terms.map(t => lower.indexOf(t)).filter(i => i >= 0);
+  const start = hits.length ? Math.max(0, Math.min(...hits) - Math.floor(SNIPPET_CHARS / 4)) : 0;
+  const end = Math.min(source.length, start + SNIPPET_CHARS);
+  let html = escapeHtml(source.slice(start, end));
+  if (terms.length) {
+    const pattern = new RegExp(terms.map(t => escapeRegExp(escapeHtml(t))).join('|'), 'gi');
+    html = html.replace(pattern, '<mark>$&</mark>');
+  }
+  return `${start > 0 ? '…' : ''}${html}${end < source.length ? '…' : ''}`;
+}
+
+// Fallback ranking: how many query words occur, then how often
+function likeScore(texts, terms) {
+  const lower = texts.filter(Boolean).join(' ').toLowerCase();
+  let score = 0;
+  for (const term of terms) {
+    const count = lower.split(term).length - 1;
+    if (count) score += 1 + Math.min(count, 10) / 10;
+  }
+  return score;
+}
+
+function modeWhere(mode) {
+  if (mode === 'persona') return { personaId: { [Op.ne]: null } };
+  // Conversations in the default mode may have no mode stored
+  if (mode === personas.getDefaultModeKey()) return { personaId: null, mode: { [Op.or]: [mode, null] } };
+  return { personaId: null, mode };
+}
+
+function dateWhere(column, { from, to }) {
+  if (!from && !to) return {};
+  return { [column]: { ...(from ? { [Op.gte]: from } : {}), ...(to ? { [Op.lte]: to } : {}) } };
+}
+
+/*
+ * Each source: the model and columns it matches (in the order of its FULLTEXT index), the date the
+ * from/to filters apply to, whether it can honour the other filters, the row query and how a row
+ * becomes a result.
+ */
+const sourceDefs = {
+  messages: {
+    model: Message,
+    columns: ['content'],
+    dateColumn: 'timestamp',
+    accepts: () => true,
+    query(userId, filters) {
+      return {
+        where: {
+          ...dateWhere(this.dateColumn, filters),
+          ...(filters.role ? { role: filters.role } : {}),
+          ...(filters.model ? { modelUsed: filters.model } : {}),
+          ...(filters.hasAttachments ? { fileInfo: { [Op.ne]: null } } : {}),
+        },
+        include: [{
+          model: Conversation,
+          as: 'Conversation',
+          attributes: ['id', 'title', 'mode', 'personaId'],
+          where: { userId, ...(filters.mode ? modeWhere(filters.mode) : {}) },
+          required: true,
+        }],
+      };
+    },
+    toResult(row, terms) {
+      const conversation = row.Conversation;
+      return {
+        type: 'message',
+        id: row.id,
+        conversationId: row.conversationId,
+        conversationTitle: conversation ? conversation.title : null,
+        messageId: row.id,
+        role: row.role,
+        model: row.modelUsed || null,
+        mode: conversation ? (conversation.personaId ? 'persona' : conversation.mode || personas.getDefaultModeKey()) : null,
+        hasAttachments: !!row.fileInfo,
+        timestamp: row.timestamp,
+        snippet: snippet(row.content, terms),
+        // Element id of the message in the chat view; open the conversation on the message's branch first
+        anchor: `#message-${row.id}`,
+      };
+    },
+    texts: row => [row.content],
+  },
+  conversations: {
+    model: Conversation,
+    columns: ['title', 'summary'],
+    dateColumn: 'lastMessageTimestamp',
+    accepts: filters => !filters.model && !filters.role && !filters.hasAttachments,
+    query(userId, filters) {
+      return {
+        where: {
+          userId,
+          ...dateWhere(this.dateColumn, filters),
+          ...(filters.mode ? modeWhere(filters.mode) : {}),
+        },
+      };
+    },
+    toResult(row, terms) {
+      const inTitle = terms.some(t => String(row.title || '').toLowerCase().includes(t));
+      return {
+        type: 'conversation',
+        id: row.id,
+        conversationId: row.id,
+        conversationTitle: row.title,
+        timestamp: row.lastMessageTimestamp,
+        snippet: snippet(inTitle || !row.summary ? row.title : row.summary, terms),
+      };
+    },
+    texts: row => [row.title, row.summary],
+  },
+  memory: {
+    model: Memory,
+    columns: ['text'],
+    dateColumn: 'timestamp',
+    accepts: filters => !filters.model && !filters.role && !filters.hasAttachments && !filters.mode,
+    query(userId, filters) {
+      return { where: { userId, ...dateWhere(this.dateColumn, filters) } };
+    },
+    toResult(row, terms) {
+      return {
+        type: 'memory',
+        id: row.id,
+        category: row.category || null,
+        timestamp: row.timestamp,
+        snippet: snippet(row.text, terms),
+      };
+    },
+    texts: row => [row.text],
+  },
+  files: {
+    model: FileUpload,
+    columns: ['originalName', 'ocrText'],
+    dateColumn: 'createdAt',
+    accepts: filters => !filters.model && !filters.role && !filters.mode,
+    query(userId, filters) {
+      return { where: { userId, ...dateWhere(this.dateColumn, filters) } };
+    },
+    toResult(row, terms) {
+      const inName = terms.some(t => row.originalName.toLowerCase().includes(t));
+      return {
+        type: 'file',
+        id: row.id,
+        conversationId: row.conversationId || null,
+        fileName: row.originalName,
+        fileType: row.fileType,
+        timestamp: row.createdAt,
+        snippet: snippet(inName || !row.ocrText ? row.originalName : row.ocrText, terms),
+      };
+    },
+    texts: row => [row.originalName, row.ocrText],
+  },
+};
+
+function matchExpression(def, terms) {
+  const columns = def.columns.map(c => `\`${def.model.name}\`.\`${c}\``).join(', ');
+  const against = sequelize.escape(terms.map(t => `${t}*`).join(' '));
+  return `MATCH(${columns}) AGAINST(${against} IN BOOLEAN MODE)`;
+}
+
+async function searchFullText(def, terms, base, window) {
+  const match = matchExpression(def, terms);
+  const where = { [Op.and]: [base.where, literal(match)] };
+  const [rows, total] = await Promise.all([
+    def.model.findAll({
+      ...base,
+      where,
+      attributes: { include: [[literal(match), 'score']] },
+      order: [[literal('score'), 'DESC']],
+      limit: window,
+      subQuery: false,
+    }),
+    def.model.count({ ...base, where, distinct: true }),
+  ]);
+  return { total, hits: rows.map(row => ({ row, score: Number(row.get('score')) || 0 })) };
+}
+
+async function searchLike(def, terms, base, window) {
+  const like = terms.flatMap(t => def.columns.map(c => ({ [c]: { [Op.like]: `%${t.replace(/[\\%_]/g, '\\$&')}%` } })));
+  const where = { [Op.and]: [base.where, { [Op.or]: like }] };
+  const [rows, total] = await Promise.all([
+    def.model.findAll({ ...base, where, order: [[def.dateColumn, 'DESC']], limit: window }),
+    def.model.count({ ...base, where, distinct: true }),
+  ]);
+  return { total, hits: rows.map(row => ({ row, score: likeScore(def.texts(row), terms) })) };
+}
+
+async function searchSource(def, terms, base, window) {
+  if (fullText) {
+    try {
+      return await searchFullText(def, terms, base, window);
+    } catch (err) {
+      const errno = err.original && err.original.errno;
+      if (errno !== ER_FT_MATCHING_KEY_NOT_FOUND) throw err;
+      // Indexes not created yet (e.g. a database set up with sync); stop trying until restart
+      fullText = false;
+      logger.warn({ action: 'search_fulltext_unavailable', table: def.model.tableName, error: err.message });
+    }
+  }
+  return searchLike(def, terms, base, window);
+}
+
+/**
+ * Ranked, paginated search for one user.
+ *
+ * @param {object} opts
+ * @param {string} opts.userId
+ * @param {string} opts.query - words to look for; each matches as a prefix
+ * @param {string[]} [opts.types] - sources to search (default: all of SOURCES)
+ * @param {object} [opts.filters] - { model, mode, role: 'user'|'assistant', from, to, hasAttachments };
+ *   sources a filter does not apply to (e.g. memory for `model`) are left out
+ * @returns {{ query, results: object[], counts: object, pagination: object }}
+ */
+async function search({ userId, query, types = SOURCES, filters = {}, page = 1, limit = 20 }) {
+  const terms = termsOf(query);
+  const offset = (page - 1) * limit;
+  const window = Math.min(offset + limit, MAX_RESULTS);
+  const selected = types.filter(type => sourceDefs[type] && sourceDefs[type].accepts(filters));
+
+  const counts = {};
+  let merged = [];
+  if (terms.length && offset < MAX_RESULTS) {
+    for (const type of selected) {
+      const def = sourceDefs[type];
+      const { total, hits } = await searchSource(def, terms, def.query(userId, filters), window);
+      counts[type] = total;
+      merged.push(...hits.map(({ row, score }) => ({ ...def.toResult(row, terms), score })));
+    }
+    merged.sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+  }
+  merged = merged.slice(offset, offset + limit);
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  return {
+    query: terms.join(' '),
+    results: merged,
+    counts,
+    pagination: { page, limit, total, totalPages: Math.ceil(Math.min(total, MAX_RESULTS) / limit) || 1 },
+  };
+}
+
+module.exports = { SOURCES, MAX_RESULTS, search, snippet, termsOf };
@@ -0,0 +1,47 @@
+const ModelTokenBalance = require('../models/ModelTokenBalance');
+const modelRegistry = require('./modelRegistry');
+
+// Per-model token balances for free-tier users (paid users are not metered)
+
+async function getModelTokenBalance(userId, modelId) {
+  const balance = await ModelTokenBalance.findOne({
+    where: { userId, modelId }
+  });
+  return balance ? balance.balance : 0;
+}
+
+async function updateModelTokenBalance(userId, modelId, amount) {
+  const [balance] = await ModelTokenBalance.findOrCreate({
+    where: { userId, modelId },
+    defaults: { balance: 0 }
+  });
+
+  balance.balance += amount;
+  await balance.save();
+  return balance.balance;
+}
+
+async function getAllModelTokenBalances(userId) {
+  const balances = await ModelTokenBalance.findAll({
+    where: { userId }
+  });
+
+  const balanceMap = {};
+  balances.forEach(balance => {
+    balanceMap[balance.modelId] = balance.balance;
+  });
+
+  return balanceMap;
+}
+
+async function initializeUserTokenBalances(userId) {
+  // Initialize default tokens for new users (100 tokens for the default model)
+  await updateModelTokenBalance(userId, modelRegistry.getDefaultModelId(), 100);
+}
+
+module.exports = {
+  getModelTokenBalance,
+  updateModelTokenBalance,
+  getAllModelTokenBalances,
+  initializeUserTokenBalances,
+};
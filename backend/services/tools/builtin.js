@@ -0,0 +1,112 @@
+const { Op } = require('sequelize');
+const { registerTool } = require('./index');
+const env = require('../../config/env');
+const { runCode, SUPPORTED_LANGUAGES } = require('../../controllers/codeController');
+const { evaluate } = require('../../utils/mathEval');
+const Memory = require('../../models/Memory');
+const FileUpload = require('../../models/FileUpload');
+const { saveMemory } = require('../chat/stages/memory');
+
+const activeMemoryWhere = (userId) => ({
+  userId,
+  [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }],
+});
+
+// Not isolated from the host (see CHAT_TOOLS_RUN_CODE_ENABLED), so only offered when enabled
+if (env.CHAT_TOOLS_RUN_CODE_ENABLED) {
+  registerTool({
+    name: 'run_code',
+    description: 'Execute a short JavaScript or Python snippet on the server (5 second limit) and return stdout/stderr. Use print/console.log to show results.',
+    parameters: {
+      type: 'object',
+      properties: {
+        language: { type: 'string', enum: SUPPORTED_LANGUAGES, description: 'Programming language of the snippet' },
+        code: { type: 'string', description: 'Source code to run' },
+      },
+      required: ['language', 'code'],
+    },
+    handler: ({ language, code }) => runCode(language, code),
+  });
+}
+
+registerTool({
+  name: 'calculate',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e, sqrt, abs, sin, cos, tan, ln, log, exp, floor, ceil and round.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'Expression to evaluate, e.g. "(3 + 4) * sqrt(2)"' },
+    },
+    required: ['expression'],
+  },
+  handler: ({ expression }) => ({ expression, result: evaluate(expression) }),
+});
+
+registerTool({
+  name: 'memory_search',
+  description: "Search the user's saved memories (facts and preferences they asked you to remember).",
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Words to look for; leave empty to list the most recent memories' },
+      limit: { type: 'integer', description: 'Maximum number of memories to return (default 5, max 20)' },
+    },
+  },
+  handler: async ({ query, limit }, ctx) => {
+    const where = activeMemoryWhere(ctx.userId);
+    // Match the words literally: % and _ are LIKE wildcards
+    if (query && query.trim()) where.text = { [Op.like]: `%${query.trim().replace(/[\\%_]/g, '\\$&')}%` };
+    const memories = await Memory.findAll({
+      where,
+      order: [['timestamp', 'DESC']],
+      limit: Math.min(Math.max(limit || 5, 1), 20),
+    });
+    return memories.map(m => ({ text: m.text, category: m.category, savedAt: m.timestamp }));
+  },
+});
+
+registerTool({
+  name: 'memory_save',
+  description: 'Save a short fact about the user so it can be recalled in later conversations.',
+  parameters: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'The fact to remember, phrased as a standalone sentence' },
+      category: { type: 'string', enum: ['personal', 'schedule', 'work', 'contact', 'general'] },
+    },
+    required: ['text'],
+  },
+  handler: async ({ text, category = 'general' }, ctx) => {
+    const trimmed = text.trim().slice(0, 1000);
+    if (!trimmed) throw new Error('text must not be empty');
+    const memory = await saveMemory(ctx.userId, trimmed, category);
+    return { saved: true, id: memory.id };
+  },
+});
+
+registerTool({
+  name: 'read_file',
+  description: 'Read the extracted text of a file the user uploaded. Without a file name, lists the files uploaded in this conversation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      fileName: { type: 'string', description: 'Original name of the uploaded file' },
+      offset: { type: 'integer', description: 'Character offset to start reading from (for long files)' },
+    },
+  },
+  handler: async ({ fileName, offset = 0 }, ctx) => {
+    const where = { userId: ctx.userId };
+    if (ctx.conversationId) where.conversationId = ctx.conversationId;
+
+    if (!fileName) {
+      const files = await FileUpload.findAll({ where, attributes: ['originalName', 'fileType', 'wordCount', 'createdAt'], order: [['createdAt', 'DESC']], limit: 20 });
+      return { files: files.map(f => f.get({ plain: true })) };
+    }
+
+    const file = await FileUpload.findOne({ where: { ...where, originalName: fileName }, order: [['createdAt', 'DESC']] });
+    if (!file) throw new Error(`No uploaded file named "${fileName}"`);
+    const text = file.ocrText || '';
+    const start = Math.max(offset, 0);
+    return { fileName: file.originalName, totalChars: text.length, offset: start, content: text.slice(start, start + 3500) };
+  },
+});
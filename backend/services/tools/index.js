@@ -0,0 +1,136 @@
+/**
+ * Server-side tool registry for the chat pipeline.
+ * A tool is { name, description, parameters (JSON schema object), handler(args, ctx) }.
+ * `ctx` carries the caller's identity: { userId, conversationId }.
+ */
+
+const MAX_RESULT_CHARS = 4000;
+
+const tools = new Map();
+
+function registerTool(tool) {
+  if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+    throw new Error(`Invalid tool name: ${tool && tool.name}`);
+  }
+  if (typeof tool.handler !== 'function') throw new Error(`Tool ${tool.name} has no handler`);
+  tools.set(tool.name, {
+    description: '',
+    parameters: { type: 'object', properties: {} },
+    ...tool,
+  });
+}
+
+function getTool(name) {
+  return tools.get(name) || null;
+}
+
+// Provider-agnostic declarations; llmProvider maps these to each API's native shape
+function getToolDefinitions(names) {
+  return Array.from(tools.values())
+    .filter(t => !names || names.includes(t.name))
+    .map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+const TYPE_CHECKS = {
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+};
+
+// Minimal JSON-schema check (required keys, primitive types, enums) for model-supplied arguments
+function validateArguments(schema, args) {
+  const errors = [];
+  if (!TYPE_CHECKS.object(args)) return ['arguments must be an object'];
+  for (const key of schema.required || []) {
+    if (args[key] === undefined) errors.push(`missing required argument "${key}"`);
+  }
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    const value = args[key];
+    if (value === undefined) continue;
+    if (prop.type && TYPE_CHECKS[prop.type] && !TYPE_CHECKS[prop.type](value)) {
+      errors.push(`argument "${key}" must be of type ${prop.type}`);
+    } else if (prop.enum && !prop.enum.includes(value)) {
+      errors.push(`argument "${key}" must be one of: ${prop.enum.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+function parseToolArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  if (!raw) return {};
+  return JSON.parse(raw);
+}
+
+function truncate(text) {
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}… [truncated]` : text;
+}
+
+/**
+ * Run one tool call. Never throws: failures come back as { ok: false, error }
+ * so the model can see what went wrong and recover.
+ */
+async function executeTool(name, rawArgs, ctx) {
+  const startedAt = Date.now();
+  const tool = getTool(name);
+  if (!tool) return { ok: false, error: `Unknown tool "${name}"`, durationMs: 0 };
+
+  let args;
+  try {
+    args = parseToolArguments(rawArgs);
+  } catch (_) {
+    return { ok: false, error: 'Arguments are not valid JSON', durationMs: 0 };
+  }
+
+  const errors = validateArguments(tool.parameters, args);
+  if (errors.length) return { ok: false, args, error: errors.join('; '), durationMs: 0 };
+
+  try {
+    const result = await tool.handler(args, ctx);
+    const text = typeof result === 'string' ? result : JSON.stringify(result);
+    return { ok: true, args, result: truncate(text), durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, args, error: error.message || String(error), durationMs: Date.now() - startedAt };
+  }
+}
+
+/**
+ * Merge streamed OpenAI-style `delta.tool_calls` fragments into complete calls.
+ * `acc` is an array indexed by the fragment's `index`.
+ */
+function accumulateToolCalls(acc, deltaToolCalls) {
+  for (const fragment of deltaToolCalls || []) {
+    const index = fragment.index ?? acc.length;
+    const call = acc[index] || (acc[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+    if (fragment.id) call.id = fragment.id;
+    if (fragment.function?.name) call.function.name += fragment.function.name;
+    if (fragment.function?.arguments) {
+      const a = fragment.function.arguments;
+      call.function.arguments += typeof a === 'string' ? a : JSON.stringify(a);
+    }
+  }
+  return acc;
+}
+
+// Finalised calls with stable ids (some providers omit them)
+function finalizeToolCalls(acc, step = 0) {
+  return acc.filter(Boolean).map((call, i) => ({
+    ...call,
+    id: call.id || `call_${step}_${i}`,
+  }));
+}
+
+module.exports = {
+  registerTool,
+  getTool,
+  getToolDefinitions,
+  executeTool,
+  accumulateToolCalls,
+  finalizeToolCalls,
+};
+
+// Register the built-in tools
+require('./builtin');
@@ -0,0 +1,116 @@
+/**
+ * Prompt-based tool calling for providers without native function calling.
+ * The model is told to emit `<tool_call>{"name": ..., "arguments": {...}}</tool_call>`;
+ * extractToolCalls() turns those blocks back into OpenAI-style `delta.tool_calls` chunks
+ * so the chat loop handles both modes the same way.
+ */
+
+const OPEN_TAG = '<tool_call>';
+const CLOSE_TAG = '</tool_call>';
+
+function buildToolInstructions(tools) {
+  const catalog = tools.map(t => ({ name: t.name, description: t.description, parameters: t.parameters }));
+  return [
+    'You can call the following tools to help answer. To call a tool, reply with a block of exactly this form and then stop:',
+    `${OPEN_TAG}{"name": "<tool name>", "arguments": {<arguments as JSON>}}${CLOSE_TAG}`,
+    'You may emit several blocks in one reply. Tool results will be sent back to you in the next message; use them to write the final answer.',
+    'Only call a tool when it is actually needed, and never invent tool results.',
+    `Available tools:\n${JSON.stringify(catalog, null, 2)}`,
+  ].join('\n');
+}
+
+// Append the tool catalog to the (first) system message, adding one if the conversation has none
+function withToolPrompt(messages, tools) {
+  const instructions = buildToolInstructions(tools);
+  const idx = messages.findIndex(m => m.role === 'system');
+  if (idx === -1) return [{ role: 'system', content: instructions }, ...messages];
+  const out = messages.slice();
+  const current = out[idx].content;
+  out[idx] = {
+    ...out[idx],
+    content: typeof current === 'string'
+      ? `${current}\n\n${instructions}`
+      : [...(current || []), { type: 'text', text: instructions }],
+  };
+  return out;
+}
+
+// Length of the longest suffix of `text` that is a prefix of `tag` (a tag possibly split across chunks)
+function partialTagLength(text, tag) {
+  for (let n = Math.min(tag.length - 1, text.length); n > 0; n--) {
+    if (tag.startsWith(text.slice(-n))) return n;
+  }
+  return 0;
+}
+
+function parseCallBlock(raw) {
+  try {
+    const parsed = JSON.parse(raw.trim());
+    if (!parsed || typeof parsed.name !== 'string') return null;
+    return { name: parsed.name, arguments: parsed.arguments ?? {} };
+  } catch (_) {
+    return null;
+  }
+}
+
+async function* extractToolCalls(stream) {
+  let buffer = '';
+  let inCall = false;
+  let index = 0;
+
+  const textChunk = (text) => ({ choices: [{ delta: { content: text } }] });
+  const callChunk = (call) => ({
+    choices: [{
+      delta: {
+        tool_calls: [{
+          index: index++,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+        }],
+      },
+    }],
+  });
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta || {};
+    if (!delta.content) {
+      if (delta.tool_calls) yield chunk;
+      continue;
+    }
+    buffer += delta.content;
+
+    while (buffer) {
+      if (inCall) {
+        const end = buffer.indexOf(CLOSE_TAG);
+        if (end === -1) break;
+        const raw = buffer.slice(0, end);
+        buffer = buffer.slice(end + CLOSE_TAG.length);
+        inCall = false;
+        const call = parseCallBlock(raw);
+        yield call ? callChunk(call) : textChunk(`${OPEN_TAG}${raw}${CLOSE_TAG}`);
+        continue;
+      }
+      const start = buffer.indexOf(OPEN_TAG);
+      if (start !== -1) {
+        if (start > 0) yield textChunk(buffer.slice(0, start));
+        buffer = buffer.slice(start + OPEN_TAG.length);
+        inCall = true;
+        continue;
+      }
+      // Hold back a trailing fragment that could be the start of an opening tag
+      const hold = partialTagLength(buffer, OPEN_TAG);
+      const emit = buffer.slice(0, buffer.length - hold);
+      if (emit) yield textChunk(emit);
+      buffer = buffer.slice(buffer.length - hold);
+      break;
+    }
+  }
+
+  if (!buffer) return;
+  // Stream ended mid-block: models often omit the closing tag before stopping
+  const call = inCall ? parseCallBlock(buffer) : null;
+  if (call) yield callChunk(call);
+  else yield textChunk(inCall ? `${OPEN_TAG}${buffer}` : buffer);
+}
+
+module.exports = { buildToolInstructions, withToolPrompt, extractToolCalls };
@@ -74,6 +74,14 @@ class ExternalServiceError extends AppError {
   }
 }
 
+class UnsupportedContentError extends AppError {
+  constructor(provider, message = 'Content not supported by provider') {
+    super(`${provider}: ${message}`, 422);
+    this.name = 'UnsupportedContentError';
+    this.provider = provider;
+  }
+}
+
 class FileUploadError extends AppError {
   constructor(message = 'File upload failed') {
     super(message, 400);
@@ -193,6 +201,7 @@ module.exports = {
   TokenError,
   DatabaseError,
   ExternalServiceError,
+  UnsupportedContentError,
   FileUploadError,
   PaymentError,
   ErrorCodes,
@@ -0,0 +1,114 @@
+/**
+ * Safe arithmetic evaluator (no eval): numbers, + - * / % ^, parentheses, unary minus,
+ * the constants pi and e, and a small set of Math functions.
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+function tokenize(expression) {
+  const tokens = [];
+  const re = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z]+|\*\*|[-+*/%^(),])/giy;
+  let match;
+  let lastIndex = 0;
+  while ((match = re.exec(expression)) !== null) {
+    tokens.push(match[1]);
+    lastIndex = re.lastIndex;
+  }
+  if (expression.slice(lastIndex).trim()) {
+    throw new Error(`Unexpected input near "${expression.slice(lastIndex).trim().slice(0, 10)}"`);
+  }
+  return tokens.map(t => (t === '**' ? '^' : t));
+}
+
+// Recursive-descent parser: expr := term (('+'|'-') term)*, term := factor (('*'|'/'|'%') factor)*,
+// factor := ('-'|'+') factor | power, power := primary ('^' factor)?
+function evaluate(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) throw new Error('Expression is required');
+  if (expression.length > 500) throw new Error('Expression is too long');
+  const tokens = tokenize(expression.toLowerCase());
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (t) => {
+    if (next() !== t) throw new Error(`Expected "${t}"`);
+  };
+
+  function parseExpr() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseFactor();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = next();
+      const rhs = parseFactor();
+      if (op === '*') value *= rhs;
+      else if (op === '/') value /= rhs;
+      else value %= rhs;
+    }
+    return value;
+  }
+
+  function parseFactor() {
+    if (peek() === '-') { next(); return -parseFactor(); }
+    if (peek() === '+') { next(); return parseFactor(); }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parseFactor()); // right-associative, binds tighter than unary minus
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+    if (token === '(') {
+      const value = parseExpr();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+    if (token in CONSTANTS) return CONSTANTS[token];
+    if (token in FUNCTIONS) {
+      expect('(');
+      const arg = parseExpr();
+      expect(')');
+      return FUNCTIONS[token](arg);
+    }
+    throw new Error(`Unknown token "${token}"`);
+  }
+
+  const result = parseExpr();
+  if (pos < tokens.length) throw new Error(`Unexpected token "${tokens[pos]}"`);
+  if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+  return result;
+}
+
+module.exports = { evaluate };
@@ -0,0 +1,47 @@
+/**
+ * Incremental Server-Sent Events parser for upstream HTTP streams.
+ * Accepts any async-iterable of Buffers/strings (e.g. an axios `responseType: 'stream'` body)
+ * and yields one { event, data, id } object per dispatched event.
+ */
+async function* parseSSE(readable) {
+  let buffer = '';
+  let event = { event: 'message', data: [], id: undefined };
+
+  function dispatch() {
+    const out = event.data.length ? { event: event.event, data: event.data.join('\n'), id: event.id } : null;
+    event = { event: 'message', data: [], id: undefined };
+    return out;
+  }
+
+  for await (const piece of readable) {
+    buffer += typeof piece === 'string' ? piece : piece.toString('utf8');
+    let newlineIdx;
+    while ((newlineIdx = buffer.search(/\r?\n/)) !== -1) {
+      const line = buffer.slice(0, newlineIdx);
+      buffer = buffer.slice(newlineIdx + (buffer[newlineIdx] === '\r' ? 2 : 1));
+
+      if (line === '') {
+        const out = dispatch();
+        if (out) yield out;
+        continue;
+      }
+      if (line.startsWith(':')) continue; // comment / keep-alive
+
+      const colonIdx = line.indexOf(':');
+      const field = colonIdx === -1 ? line : line.slice(0, colonIdx);
+      let value = colonIdx === -1 ? '' : line.slice(colonIdx + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+
+      if (field === 'data') event.data.push(value);
+      else if (field === 'event') event.event = value;
+      else if (field === 'id') event.id = value;
+    }
+  }
+
+  // Flush a trailing event that was not followed by a blank line
+  if (buffer.startsWith('data:')) event.data.push(buffer.slice(5).trimStart());
+  const out = dispatch();
+  if (out) yield out;
+}
+
+module.exports = { parseSSE };
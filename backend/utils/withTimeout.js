@@ -0,0 +1,23 @@
+/**
+ * Reject with `fallbackMsg` (err.isTimeout = true) when `promise` takes longer than `ms`.
+ * Used for internal model calls that must never hold up a request.
+ */
+function withTimeout(promise, ms, fallbackMsg, logLabel) {
+  let timeout;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeout = setTimeout(() => {
+      const err = new Error(fallbackMsg);
+      err.isTimeout = true;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([
+    promise.finally(() => clearTimeout(timeout)),
+    timeoutPromise
+  ]).catch(err => {
+    console.error(`[LLM ${logLabel}]`, err);
+    throw err;
+  });
+}
+
+module.exports = withTimeout;
@@ -2,13 +2,13 @@ import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import axios from 'axios';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
-import { Modal, Button } from 'react-bootstrap';
+import { Modal, Button, Dropdown } from 'react-bootstrap';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { a11yDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import Auth from './components/Auth';
-import { Route, Routes, Link, useNavigate } from 'react-router-dom';
+import { Route, Routes, Link, useNavigate, useLocation } from 'react-router-dom';
 import { ThemeProvider, createTheme, CssBaseline } from '@mui/material';
 import DOMPurify from 'dompurify';
 import { Suspense } from 'react';
@@ -25,6 +25,9 @@ import AdminPanel from './components/AdminPanel';
 import UsageDashboard from './components/UsageDashboard';
 import ModeSelectionPage from './ModeSelectionPage';
 import CodingMode from './components/CodingMode';
+import SharedConversation from './components/SharedConversation';
+import { MessageSearch } from './components/AdvancedUIComponents';
+import { chatSocket } from './services/chatSocket';
 
 // Simple token estimator: rough heuristic ~4 chars/token
 function estimateTokens(text = '') {
@@ -32,6 +35,88 @@ function estimateTokens(text = '') {
   return Math.max(1, Math.ceil(len / 4));
 }
 
+// Sidebar title for a new conversation until the server's generated title arrives (same rule as the server's)
+function placeholderTitle(text = '') {
+  const chars = Array.from(text.replace(/\s+/g, ' ').trim());
+  return chars.length > 40 ? `${chars.slice(0, 40).join('').trimEnd()}…` : chars.join('');
+}
+
+// Wait before reconnecting to the conversation event stream after it drops
+const EVENTS_RETRY_MS = 5000;
+// How often a dropped chat stream is resumed before giving up
+const STREAM_RESUME_ATTEMPTS = 5;
+// Search results per page, and how far back each date range filter reaches
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_RANGE_DAYS = { today: 0, week: 7, month: 30 };
+const SEARCH_RESULT_ICONS = { message: 'fa-comment', conversation: 'fa-comments', memory: 'fa-brain', file: 'fa-file-alt' };
+// Download formats of the conversation export (JSON can be imported again)
+const EXPORT_FORMATS = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'json', label: 'JSON' },
+  { value: 'html', label: 'HTML' },
+];
+// Lifetimes offered for share links ('' never expires)
+const SHARE_EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+];
+// Share link opened while signed out; continued as a fork once the viewer signs in
+const PENDING_SHARE_KEY = 'pendingSharedChat';
+// Sidebar list filter: folderId null lists every folder, 'none' only unfiled chats
+const DEFAULT_LIST_FILTER = { folderId: null, tags: [], archived: false };
+// Drag payload of sidebar conversations (a JSON array of ids)
+const CONVERSATION_DRAG_TYPE = 'application/x-conversation-ids';
+// Compare mode answers one prompt with this many models at most
+const MAX_COMPARE_MODELS = 3;
+// Reasons offered when reporting a reply (the server's report categories)
+const REPORT_CATEGORIES = [
+  { value: 'incorrect', label: 'Incorrect or misleading' },
+  { value: 'harmful', label: 'Harmful or unsafe' },
+  { value: 'offensive', label: 'Offensive' },
+  { value: 'spam', label: 'Spam' },
+  { value: 'other', label: 'Something else' },
+];
+
+// One SSE block ("id: 3\nevent: warning\ndata: {...}") as { id, event, data }
+function parseEventBlock(block) {
+  const evt = { id: null, event: null, data: '' };
+  for (const line of block.split('\n')) {
+    if (line.startsWith('id: ')) evt.id = line.slice(4);
+    else if (line.startsWith('event: ')) evt.event = line.slice(7);
+    else if (line.startsWith('data: ')) evt.data += line.slice(6);
+  }
+  return evt;
+}
+
+// Read an SSE response, calling onEvent for each event until `data: [DONE]`. Events can span reads,
+// so text is buffered up to each blank line. Resolves with { done, lastEventId }; done is false when
+// the connection ended first, and lastEventId is where a resumed stream should continue.
+async function readEventStream(response, onEvent, lastEventId = null) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return { done: false, lastEventId };
+      buffered += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffered.indexOf('\n\n')) !== -1) {
+        const evt = parseEventBlock(buffered.slice(0, boundary));
+        buffered = buffered.slice(boundary + 2);
+        if (evt.id !== null) lastEventId = evt.id;
+        if (evt.data === '[DONE]') return { done: true, lastEventId };
+        onEvent(evt);
+      }
+    }
+  } catch (e) {
+    // Network drop mid-stream
+    return { done: false, lastEventId };
+  }
+}
+
 // Centralized sanitizer for any user/AI-provided content rendered as HTML
 function sanitizeContent(content) {
   if (content === null || content === undefined) return '';
@@ -44,6 +129,11 @@ function sanitizeContent(content) {
   });
 }
 
+// Search snippets come HTML-escaped from the server with the query words in <mark>
+function sanitizeSnippet(snippet) {
+  return DOMPurify.sanitize(snippet || '', { ALLOWED_TAGS: ['mark'], ALLOWED_ATTR: [] });
+}
+
 // Returns a human string and parts until next local midnight or a provided timestamp
 // eslint-disable-next-line no-unused-vars
 function getTimeUntilReset(nextResetAt) {
@@ -194,7 +284,7 @@ const NotificationBanner = ({ warnings, onClose }) => {
 };
 
 // Define ChatInput above App (custom styled input box)
-const ChatInput = React.memo(({ message, setMessage, isSending, handleSendMessage, selectedFile, setSelectedFile, supportedFormats, handlePlusClick, handleFileChange, handleToggleRecording, isRecording, fileInputRef, mode, modePrompts, sidebarOpen, isMobile }) => {
+const ChatInput = React.memo(({ message, setMessage, isSending, handleSendMessage, onStop, selectedFile, setSelectedFile, supportedFormats, handlePlusClick, handleFileChange, handleToggleRecording, isRecording, fileInputRef, starters, sidebarOpen, isMobile }) => {
   const inputStyle = {
     left: isMobile ? '0' : (sidebarOpen ? '260px' : '0')
   };
@@ -207,7 +297,7 @@ const ChatInput = React.memo(({ message, setMessage, isSending, handleSendMessag
             <textarea
               id="chat_bot"
               name="chat_bot"
-              placeholder={isSending ? 'Sending...' : (modePrompts && mode && modePrompts[mode] ? modePrompts[mode] : 'Imagine Something...✦˚')}
+              placeholder={isSending ? 'Sending...' : 'Imagine Something...✦˚'}
               value={message}
               onChange={(e) => setMessage(e.target.value)}
               onKeyDown={(e) => {
@@ -252,21 +342,29 @@ const ChatInput = React.memo(({ message, setMessage, isSending, handleSendMessag
                 </svg>
               </button>
             </div>
-            <button className="btn-submit" onClick={!isSending && message.trim() ? () => handleSendMessage(message) : undefined} aria-label="Send message" disabled={isSending || !message.trim()}>
-              <svg viewBox="0 0 24 24" width="18" height="18" xmlns="http://www.w3.org/2000/svg" role="img" aria-hidden="true">
-                <path fill="#d1d5db" d="M7.233 20.987L21.29 13.88c1.482-.74 1.482-3.02 0-3.76L7.233 3.013A2 2 0 0 0 4.36 4.77l1.1 3.3a2 2 0 0 0 1.9 1.38h7.89c.62 0 .88.8.32 1.14L7.177 15.8a2 2 0 0 0-.92 1.11l-1.11 3.34a2 2 0 0 0 2.096 2.737z"></path>
-              </svg>
-            </button>
+            {isSending && onStop ? (
+              <button className="btn-submit btn-stop" onClick={onStop} aria-label="Stop generating" title="Stop">
+                <svg viewBox="0 0 24 24" width="16" height="16" xmlns="http://www.w3.org/2000/svg" role="img" aria-hidden="true">
+                  <rect x="5" y="5" width="14" height="14" rx="2" fill="#d1d5db"></rect>
+                </svg>
+              </button>
+            ) : (
+              <button className="btn-submit" onClick={!isSending && message.trim() ? () => handleSendMessage(message) : undefined} aria-label="Send message" disabled={isSending || !message.trim()}>
+                <svg viewBox="0 0 24 24" width="18" height="18" xmlns="http://www.w3.org/2000/svg" role="img" aria-hidden="true">
+                  <path fill="#d1d5db" d="M7.233 20.987L21.29 13.88c1.482-.74 1.482-3.02 0-3.76L7.233 3.013A2 2 0 0 0 4.36 4.77l1.1 3.3a2 2 0 0 0 1.9 1.38h7.89c.62 0 .88.8.32 1.14L7.177 15.8a2 2 0 0 0-.92 1.11l-1.11 3.34a2 2 0 0 0 2.096 2.737z"></path>
+                </svg>
+              </button>
+            )}
           </div>
         </div>
       </div>
       {/* Quick actions outside the input box */}
       <div className="tags" aria-label="Quick actions">
-        {mode && modePrompts && modePrompts[mode] && (
-          <span tabIndex={0} onClick={() => setMessage(modePrompts[mode])} onKeyDown={(e) => { if (e.key === 'Enter') setMessage(modePrompts[mode]); }} aria-label={`Use ${mode} prompt`}>
-            Use {mode} prompt
+        {(starters || []).map(starter => (
+          <span key={starter} tabIndex={0} onClick={() => setMessage(starter)} onKeyDown={(e) => { if (e.key === 'Enter') setMessage(starter); }} aria-label={`Start with: ${starter}`}>
+            {starter}
           </span>
-        )}
+        ))}
         <span tabIndex={0} onClick={() => setMessage(prev => prev ? prev : 'Create an image of...')} onKeyDown={(e) => { if (e.key === 'Enter') setMessage(prev => prev ? prev : 'Create an image of...'); }} aria-label="Create An Image">
           Create An Image
         </span>
@@ -290,9 +388,202 @@ const ChatInput = React.memo(({ message, setMessage, isSending, handleSendMessag
   );
 });
 
+// "< 2/3 >" switcher for messages that have alternative versions (edits or regenerations)
+const BranchNav = ({ branch, onSwitchBranch }) => {
+  if (!branch || branch.count < 2) return null;
+  const go = (offset) => onSwitchBranch && onSwitchBranch(branch.siblingIds[branch.index + offset]);
+  return (
+    <div className="branch-nav" role="group" aria-label="Message versions">
+      <button className="icon-button" onClick={() => go(-1)} disabled={!onSwitchBranch || branch.index === 0} aria-label="Previous version">&lt;</button>
+      <span aria-live="polite">{branch.index + 1}/{branch.count}</span>
+      <button className="icon-button" onClick={() => go(1)} disabled={!onSwitchBranch || branch.index >= branch.count - 1} aria-label="Next version">&gt;</button>
+    </div>
+  );
+};
+
+// Side-by-side answers of a compare request as they stream in; each stored answer can be kept
+const CompareMessage = ({ chat, onPreferAnswer }) => (
+  <div className="compare-grid mb-3" role="group" aria-label="Compared answers">
+    {chat.compare.channels.map(channel => (
+      <div key={channel.channel} className="assistant-message compare-column p-3 rounded style-gradient" role="article" aria-label={`Answer from ${channel.label}`}>
+        <div className="token-meter" style={{ color: '#9ca3af', fontSize: 12, marginBottom: 8 }}>
+          <strong>{channel.label}</strong> · ≈ {estimateTokens(channel.text)} tok
+          {!channel.done && <span> (streaming)</span>}
+          {channel.stopped && <span> · stopped</span>}
+        </div>
+        {channel.error ? (
+          <div className="compare-error" role="alert">{channel.error}</div>
+        ) : !channel.text && !channel.done ? (
+          <TypingIndicator modelName={channel.label} />
+        ) : (
+          <ReactMarkdown remarkPlugins={[remarkGfm]} components={{ code: CodeBlock }}>{sanitizeContent(channel.text)}</ReactMarkdown>
+        )}
+        {channel.done && channel.messageId && (
+          <EnhancedButton
+            size="sm"
+            onClick={() => onPreferAnswer && onPreferAnswer(channel.messageId)}
+            disabled={!onPreferAnswer}
+            aria-label={`Keep the answer from ${channel.label}`}
+          >
+            Keep this answer
+          </EnhancedButton>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+// A stored message row ({ role, content }) as a chat view entry, which holds the user's text in
+// `user` and a reply in `bot`
+const fromStoredMessage = ({ role, content, ...message }) => ({
+  ...message,
+  ...(role === 'assistant' ? { bot: content } : role === 'user' ? { user: content } : {}),
+});
+
+// Sidebar search results; a message result opens its conversation on the message's branch
+const SearchResults = ({ search, isSearching, onOpen, onLoadMore }) => (
+  <div className="search-results" role="list" aria-label="Search results">
+    <small className="d-block text-muted mb-2">
+      {search.pagination.total} {search.pagination.total === 1 ? 'result' : 'results'} for "{search.query}"
+    </small>
+    {search.results.map(result => (
+      <div
+        key={`${result.type}-${result.id}`}
+        className="search-result list-group-item list-group-item-action bg-transparent text-light"
+        role="listitem"
+        tabIndex={0}
+        onClick={() => onOpen(result)}
+        onKeyDown={(e) => { if (e.key === 'Enter') onOpen(result); }}
+        style={{ cursor: 'pointer' }}
+      >
+        <div className="d-flex align-items-center gap-2" style={{ minWidth: 0 }}>
+          <i className={`fas ${SEARCH_RESULT_ICONS[result.type]}`} aria-hidden="true"></i>
+          <span style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {result.type === 'memory' ? 'Memory' : result.type === 'file' ? result.fileName : (result.conversationTitle || 'Untitled chat')}
+          </span>
+        </div>
+        <small className="d-block search-snippet" dangerouslySetInnerHTML={{ __html: sanitizeSnippet(result.snippet) }} />
+        {result.timestamp && (
+          <small className="d-block text-muted">{new Date(result.timestamp).toLocaleString()}</small>
+        )}
+      </div>
+    ))}
+    {search.pagination.page < search.pagination.totalPages && (
+      <Button variant="link" size="sm" className="text-light" disabled={isSearching} onClick={onLoadMore}>
+        {isSearching ? 'Searching...' : 'More results'}
+      </Button>
+    )}
+  </div>
+);
+
+// Sidebar folders, archive and tags; each entry filters the conversation list, and conversations
+// dragged onto a folder move there (onto "Archived": get archived)
+const FolderTree = ({ folders, tags, filter, onFilter, onCreate, onRename, onDelete, onDropConversations }) => {
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const dropProps = (key, target) => ({
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(CONVERSATION_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(key);
+    },
+    onDragLeave: () => setDropTarget(prev => prev === key ? null : prev),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      try {
+        const ids = JSON.parse(e.dataTransfer.getData(CONVERSATION_DRAG_TYPE));
+        if (Array.isArray(ids) && ids.length) onDropConversations(ids, target);
+      } catch (_) { /* not a conversation drag */ }
+    },
+  });
+
+  const entry = (key, label, icon, selected, onClick, target, actions = null, depth = 0) => (
+    <div
+      key={key}
+      className={`folder-item${selected ? ' active' : ''}${dropTarget === key ? ' drop-target' : ''}`}
+      role="button"
+      tabIndex={0}
+      aria-pressed={selected}
+      onClick={onClick}
+      onKeyDown={(e) => { if (e.key === 'Enter') onClick(); }}
+      style={{ paddingLeft: 8 + depth * 16 }}
+      {...(target ? dropProps(key, target) : {})}
+    >
+      <i className={`fas ${icon} me-2`} aria-hidden="true"></i>
+      <span className="folder-name">{label}</span>
+      {actions}
+    </div>
+  );
+
+  const folderActions = (folder) => (
+    <span className="folder-actions">
+      {!folder.parentId && (
+        <button type="button" title="New subfolder" aria-label={`New subfolder in ${folder.name}`} onClick={(e) => { e.stopPropagation(); onCreate(folder.id); }}>
+          <i className="fas fa-plus" aria-hidden="true"></i>
+        </button>
+      )}
+      <button type="button" title="Rename folder" aria-label={`Rename ${folder.name}`} onClick={(e) => { e.stopPropagation(); onRename(folder); }}>
+        <i className="fas fa-pen" aria-hidden="true"></i>
+      </button>
+      <button type="button" title="Delete folder" aria-label={`Delete ${folder.name}`} onClick={(e) => { e.stopPropagation(); onDelete(folder); }}>
+        <i className="fas fa-trash" aria-hidden="true"></i>
+      </button>
+    </span>
+  );
+
+  const showFolder = (folder, depth) => entry(
+    folder.id,
+    <>{folder.name}{folder.conversationCount > 0 && <small className="text-muted ms-1">{folder.conversationCount}</small>}</>,
+    'fa-folder',
+    !filter.archived && filter.folderId === folder.id,
+    () => onFilter({ folderId: folder.id, archived: false }),
+    { action: 'move', folderId: folder.id },
+    folderActions(folder),
+    depth
+  );
+
+  return (
+    <div className="folder-tree" aria-label="Folders">
+      {entry('all', 'All chats', 'fa-comments', !filter.archived && !filter.folderId, () => onFilter({ folderId: null, archived: false }), null)}
+      {entry('none', 'Unfiled', 'fa-inbox', !filter.archived && filter.folderId === 'none', () => onFilter({ folderId: 'none', archived: false }), { action: 'move', folderId: null })}
+      {folders.filter(folder => !folder.parentId).map(folder => (
+        <React.Fragment key={folder.id}>
+          {showFolder(folder, 0)}
+          {folders.filter(sub => sub.parentId === folder.id).map(sub => showFolder(sub, 1))}
+        </React.Fragment>
+      ))}
+      {entry('archived', 'Archived', 'fa-archive', filter.archived, () => onFilter({ folderId: null, archived: true }), { action: 'archive' })}
+      <Button variant="link" size="sm" className="text-light p-0 mt-1" onClick={() => onCreate(null)}>
+        <i className="fas fa-folder-plus me-1" aria-hidden="true"></i> New folder
+      </Button>
+      {tags.length > 0 && (
+        <div className="tag-filter" aria-label="Filter by tag">
+          {tags.map(({ tag, count }) => {
+            const selected = filter.tags.includes(tag);
+            return (
+              <button
+                key={tag}
+                type="button"
+                className={`tag-chip${selected ? ' active' : ''}`}
+                aria-pressed={selected}
+                title={`${count} conversation${count === 1 ? '' : 's'}`}
+                onClick={() => onFilter({ tags: selected ? filter.tags.filter(t => t !== tag) : [...filter.tags, tag] })}
+              >
+                #{tag}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Move ChatMessage above App
-const ChatMessage = React.memo(({ chat, index, isLastMessage, availableModels, selectedModel, setCurrentConversation, conversationId, handleSummarizeConversation, editingMessageId, editingText, setEditingText, startEditMessage, saveEditResend, cancelEdit, onToggleReaction }) => (
-  <AnimatedMessage key={chat.id || chat._id || chat.timestamp || index} isNew={isLastMessage}>
+const ChatMessage = React.memo(({ chat, index, isLastMessage, availableModels, selectedModel, setCurrentConversation, conversationId, handleSummarizeConversation, editingMessageId, editingText, setEditingText, startEditMessage, saveEditResend, cancelEdit, onToggleReaction, onReportMessage, onSwitchBranch, onPreferAnswer, onShareMessage }) => (
+  <AnimatedMessage key={chat.id || chat._id || chat.timestamp || index} id={chat.id ? `message-${chat.id}` : undefined} isNew={isLastMessage}>
     {/* User Message */}
     {(chat.user || chat.isUserMessage) && (
       <div className="d-flex justify-content-end mb-3">
@@ -339,6 +630,7 @@ const ChatMessage = React.memo(({ chat, index, isLastMessage, availableModels, s
                   {chat.edited && <small className="ms-2 text-muted" aria-label="This message was edited">(edited)</small>}
                 </div>
                 <div className="user-message-actions">
+                  <BranchNav branch={chat.branch} onSwitchBranch={onSwitchBranch} />
                   <button
                     className="icon-button"
                     aria-label="Edit message"
@@ -347,20 +639,6 @@ const ChatMessage = React.memo(({ chat, index, isLastMessage, availableModels, s
                   >
                     <i className="fas fa-pen"></i>
                   </button>
-                  <div className="reactions-bar">
-                    {['up', 'down', 'smile'].map(k => (
-                      <button
-                        key={k}
-                        className={`reaction-btn ${chat.userReaction === k ? 'active' : ''}`}
-                        onClick={() => onToggleReaction && onToggleReaction(chat.id, k)}
-                        aria-pressed={chat.userReaction === k}
-                        title={k === 'up' ? 'Like' : k === 'down' ? 'Dislike' : 'Smile'}
-                      >
-                        {k === 'up' ? '👍' : k === 'down' ? '👎' : '🙂'}
-                        <span className="count">{(chat.reactions && chat.reactions[k]) || 0}</span>
-                      </button>
-                    ))}
-                  </div>
                 </div>
               </div>
             </>
@@ -377,6 +655,8 @@ const ChatMessage = React.memo(({ chat, index, isLastMessage, availableModels, s
               <span>
                 ≈ {chat.tokenMeter.total || 0} tok
                 {chat.isTyping && <span> (streaming)</span>}
+                {chat.metadata?.stopped && <span> · stopped</span>}
+                {chat.metadata?.compare && <span> · compared ({chat.metadata.modelLabel}){chat.metadata.compare.preferred && ', kept'}</span>}
               </span>
             </div>
           )}
@@ -402,6 +682,28 @@ const ChatMessage = React.memo(({ chat, index, isLastMessage, availableModels, s
                 >
                   <i className="fas fa-rotate-right" aria-hidden="true"></i>
                 </button>
+                {chat.id && onShareMessage && (
+                  <button
+                    className="icon-button"
+                    aria-label="Share the conversation up to this message"
+                    title="Share up to here"
+                    onClick={() => onShareMessage(chat.id)}
+                  >
+                    <i className="fas fa-share-nodes" aria-hidden="true"></i>
+                  </button>
+                )}
+                {chat.metadata?.compare && !chat.metadata.compare.preferred && (
+                  <button
+                    className="icon-button"
+                    aria-label="Keep this answer from the comparison"
+                    title="Keep this answer"
+                    onClick={() => onPreferAnswer && onPreferAnswer(chat.id)}
+                    disabled={!onPreferAnswer}
+                  >
+                    <i className="fas fa-check" aria-hidden="true"></i>
+                  </button>
+                )}
+                <BranchNav branch={chat.branch} onSwitchBranch={onSwitchBranch} />
                 <div className="reactions-bar" role="group" aria-label="Message reactions">
                   {['up', 'down', 'smile'].map(k => (
                     <button
@@ -416,6 +718,15 @@ const ChatMessage = React.memo(({ chat, index, isLastMessage, availableModels, s
                       <span className="count" aria-hidden="true">{(chat.reactions && chat.reactions[k]) || 0}</span>
                     </button>
                   ))}
+                  <button
+                    className={`reaction-btn ${chat.reported ? 'active' : ''}`}
+                    onClick={() => onReportMessage && onReportMessage(chat.id)}
+                    disabled={!onReportMessage}
+                    aria-label={chat.reported ? 'You reported this response; report again' : 'Report this response'}
+                    title={chat.reported ? 'Reported' : 'Report response'}
+                  >
+                    <i className="fas fa-flag" aria-hidden="true"></i>
+                  </button>
                 </div>
               </div>
             </div>
@@ -461,14 +772,23 @@ const App = () => {
   const [showMemoryModal, setShowMemoryModal] = useState(false);
 
   const [searchTerm, setSearchTerm] = useState('');
+  // Sidebar search across all conversations: { query, filters, results, pagination }, null when closed
+  const [search, setSearch] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  // Message id to scroll to once its conversation is shown
+  const [jumpTarget, setJumpTarget] = useState(null);
   const [showSidebar, setShowSidebar] = useState(true);
   const [theme, setTheme] = useState(() => localStorage.getItem('theme') || 'dark');
+  // 'ws' sends plain messages over the chat WebSocket when it can connect; 'http' always uses POST + SSE
+  const [chatTransport, setChatTransport] = useState(() => localStorage.getItem('chatTransport') || 'http');
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 640);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [supportedFormats, setSupportedFormats] = useState([]);
   const [selectedModel, setSelectedModel] = useState('gpt-4.1-nano');
+  // Models a prompt is compared across; empty when compare mode is off
+  const [compareModels, setCompareModels] = useState([]);
   const [showAdminPanel, setShowAdminPanel] = useState(false);
 
   // --- Memory helpers (inside App scope) ---
@@ -512,7 +832,7 @@ const App = () => {
   };
 
   // Select relevant memory lines for a given query (very lightweight)
-  const selectRelevantMemories = (query, maxItems = 5) => {
+  const selectRelevantMemories = useCallback((query, maxItems = 5) => {
     const q = (query || '').toLowerCase();
     if (!q || !Array.isArray(memory) || memory.length === 0) return [];
     const scored = memory.map(m => {
@@ -529,11 +849,15 @@ const App = () => {
       .sort((a, b) => b.score - a.score)
       .slice(0, maxItems)
       .map(s => s.m.text);
-  };
+  }, [memory]);
   const [error, setError] = useState(null);
   const [showUsageDashboard, setShowUsageDashboard] = useState(false);
   const [showNotification, setShowNotification] = useState(true);
   const [showSummaryModal, setShowSummaryModal] = useState(false);
+  // Reason after a thumbs down, or a report: { messageId, kind: 'reason' | 'report', category, reason }
+  const [feedbackDialog, setFeedbackDialog] = useState(null);
+  // Share links of one conversation: { conversationId, messageId, expiresInDays, shares, created }
+  const [shareDialog, setShareDialog] = useState(null);
   const [summaryContent, setSummaryContent] = useState('');
   const [editingMessageId, setEditingMessageId] = useState(null);
   const [editingText, setEditingText] = useState('');
@@ -543,17 +867,32 @@ const App = () => {
     { id: 'gpt-4.1', name: 'GPT-4.1', description: 'Smartest model for complex tasks', baseTokenCost: 200 }
   ]);
   const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  // Id of the chat request currently streaming, so the Stop button can cancel it server-side
+  const activeRequestIdRef = useRef(null);
   const [isAuthenticated, setIsAuthenticated] = useState(!!localStorage.getItem('token'));
   const [userStatus, setUserStatus] = useState(null);
   const [modelTokenBalances, setModelTokenBalances] = useState({});
   const [contextMenu, setContextMenu] = useState({ show: false, conversationId: null });
   const [mode, setMode] = useState('conversation');
+  // Persona in use when mode is 'persona'; modes and personas are listed by GET /api/v1/personas
+  const [personaId, setPersonaId] = useState(null);
+  const [modeCatalog, setModeCatalog] = useState({ defaultMode: 'conversation', modes: [], personas: [], shared: [] });
   const [convPage, setConvPage] = useState(1);
   const [convLimit] = useState(20);
   const [hasMoreConversations, setHasMoreConversations] = useState(true);
   const [isLoadingConversations, setIsLoadingConversations] = useState(false);
+  // Bumped to re-read the conversation list from page 1 (e.g. after an import)
+  const [conversationsReload, setConversationsReload] = useState(0);
+  const [isImporting, setIsImporting] = useState(false);
+  const [folders, setFolders] = useState([]);
+  const [tagCatalog, setTagCatalog] = useState([]);
+  const [listFilter, setListFilter] = useState(DEFAULT_LIST_FILTER);
+  // Bulk selection in the sidebar list; null when not selecting
+  const [selectedIds, setSelectedIds] = useState(null);
 
   const navigate = useNavigate();
+  const location = useLocation();
   const recognition = useMemo(() => {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (!SpeechRecognition) {
@@ -586,6 +925,10 @@ const App = () => {
     document.body.className = theme + '-theme';
     localStorage.setItem('theme', theme);
   }, [theme]);
+
+  useEffect(() => {
+    localStorage.setItem('chatTransport', chatTransport);
+  }, [chatTransport]);
   // One-time cleanup of legacy reduced-motion state
   useEffect(() => {
     document.body.classList.remove('reduced-motion');
@@ -616,6 +959,53 @@ const App = () => {
       recognition.stop();
     };
   }, [recognition, isRecording]);
+  // Merge changed fields (title, summary preview) into the sidebar entry and the open conversation
+  const applyConversationChanges = useCallback((conversationId, changes) => {
+    setConversations(prev => prev.map(conv => conv.id === conversationId ? { ...conv, ...changes } : conv));
+    setCurrentConversation(prev => prev.id === conversationId ? { ...prev, ...changes } : prev);
+  }, [setCurrentConversation]);
+
+  // Titles and summaries generated in the background (and renames from other tabs) arrive on the conversation event stream
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    const controller = new AbortController();
+    let retryTimer = null;
+    const connect = async () => {
+      try {
+        const response = await fetch('http://localhost:5000/api/v1/conversations/events', {
+          headers: { 'x-auth-token': localStorage.getItem('token') },
+          signal: controller.signal,
+        });
+        if (response.ok) {
+          await readEventStream(response, (evt) => {
+            if (evt.event !== 'conversation_updated') return;
+            try {
+              const { conversationId, ...changes } = JSON.parse(evt.data);
+              if (conversationId) applyConversationChanges(conversationId, changes);
+            } catch (_) { /* ignore malformed event */ }
+          });
+        }
+      } catch (_) { /* offline or aborted; retried below */ }
+      if (!controller.signal.aborted) retryTimer = setTimeout(connect, EVENTS_RETRY_MS);
+    };
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [isAuthenticated, applyConversationChanges]);
+
+  // Scroll to a message opened from search once it is rendered, and flash it
+  useEffect(() => {
+    if (!jumpTarget) return;
+    const element = document.getElementById(`message-${jumpTarget}`);
+    if (!element) return;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('search-hit');
+    setTimeout(() => element.classList.remove('search-hit'), 2000);
+    setJumpTarget(null);
+  }, [jumpTarget, currentConversation.messages]);
+
   useEffect(() => {
     if (!isAuthenticated) return;
     fetchSupportedFormats();
@@ -623,8 +1013,11 @@ const App = () => {
     const fetchConversations = async () => {
       try {
         setIsLoadingConversations(true);
+        const params = { page: convPage, limit: convLimit, archived: listFilter.archived };
+        if (listFilter.folderId) params.folderId = listFilter.folderId;
+        if (listFilter.tags.length) params.tags = listFilter.tags.join(',');
         const response = await axios.get('http://localhost:5000/api/v1/conversations', {
-          params: { page: convPage, limit: convLimit },
+          params,
           headers: { 'x-auth-token': localStorage.getItem('token') }
         });
         const payload = response.data;
@@ -652,9 +1045,43 @@ const App = () => {
       }
     };
     fetchConversations();
-  }, [isAuthenticated, convPage, convLimit]);
+  }, [isAuthenticated, convPage, convLimit, conversationsReload, listFilter]);
+
+  // Folders and tags of the sidebar; re-read after changes that move, tag or delete conversations
+  const fetchOrganization = useCallback(async () => {
+    const headers = { 'x-auth-token': localStorage.getItem('token') };
+    try {
+      const [folderResponse, tagResponse] = await Promise.all([
+        axios.get('http://localhost:5000/api/v1/folders', { headers }),
+        axios.get('http://localhost:5000/api/v1/conversations/tags', { headers }),
+      ]);
+      setFolders(folderResponse.data);
+      setTagCatalog(tagResponse.data);
+    } catch (error) {
+      console.error('Error fetching folders and tags:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) fetchOrganization();
+  }, [isAuthenticated, fetchOrganization]);
+
+  // Re-read the active branch from the server so messages carry their real ids and branch positions
+  const refreshConversation = useCallback(async (conversationId) => {
+    try {
+      const response = await axios.get(`http://localhost:5000/api/v1/conversations/${conversationId}`, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setCurrentConversation(prev => prev.id !== conversationId ? prev : {
+        ...prev,
+        messages: (response.data.Messages || []).map((msg, i) => ({ ...fromStoredMessage(msg), tokenMeter: prev.messages?.[i]?.tokenMeter }))
+      });
+    } catch (e) { /* keep the local copy */ }
+  }, [setCurrentConversation]);
 
   // Main message sending handler - must be defined before other functions that depend on it
+  // options.url sends to a branching endpoint (edit/regenerate); options.keepCount drops the local
+  // messages after the branch point; options.regenerate reuses the existing user message
   const handleSendMessage = useCallback(async (userQuery, options = {}) => {
     if ((!userQuery && !selectedFile) || isSending) return;
 
@@ -690,19 +1117,26 @@ const App = () => {
       tokenMeter: { total: 0 }
     };
 
-    setCurrentConversation(prev => ({
-      ...prev,
-      messages: [...(prev.messages || []), userMessage, botMessagePlaceholder]
-    }));
+    setCurrentConversation(prev => {
+      const kept = options.keepCount !== undefined ? (prev.messages || []).slice(0, options.keepCount) : (prev.messages || []);
+      return { ...prev, messages: [...kept, ...(options.regenerate ? [] : [userMessage]), botMessagePlaceholder] };
+    });
+
+    const requestId = window.crypto?.randomUUID ? window.crypto.randomUUID() : null;
+    activeRequestIdRef.current = requestId;
 
     const formData = new FormData();
     formData.append('message', userQuery);
-    if (selectedFile) {
+    if (requestId) formData.append('requestId', requestId);
+    if (selectedFile && !options.url) {
       formData.append('file', selectedFile);
     }
     if (currentConversation.id) {
       formData.append('conversationId', currentConversation.id);
     }
+    // Only a new conversation takes the mode; an existing one keeps its own
+    if (personaId) formData.append('personaId', personaId);
+    else formData.append('mode', mode);
     // Auto recall: include relevant memory snippets for server-side use if supported
     try {
       if (memory.length === 0) {
@@ -717,13 +1151,100 @@ const App = () => {
     }
 
     // Auto-save: attempt to store memory-worthy info from the user's message
-    const userCandidate = extractMemoryCandidate(userQuery);
+    const userCandidate = options.regenerate ? null : extractMemoryCandidate(userQuery);
     if (userCandidate) {
       createMemory(userCandidate);
     }
 
+    // Reply state shared by both transports
+    let conversationId = currentConversation.id;
+    let latestBotText = '';
+
+    const applyConversationId = (id) => {
+      if (!id || conversationId) return;
+      conversationId = id;
+      setCurrentConversation(prev => ({ ...prev, id }));
+      setConversations(prev => [...prev, { id, title: placeholderTitle(userQuery), lastMessageTimestamp: new Date().toISOString() }]);
+    };
+
+    const appendChunk = (text) => {
+      latestBotText += text;
+      setCurrentConversation(prev => ({
+        ...prev,
+        messages: prev.messages.map(msg => {
+          if (msg.id === botMessagePlaceholder.id) {
+            const newBot = (msg.bot || '') + text;
+            return { ...msg, bot: newBot, tokenMeter: { total: estimateTokens(newBot) } };
+          }
+          return msg;
+        })
+      }));
+    };
+
+    const finishReply = () => {
+      setCurrentConversation(prev => ({
+        ...prev,
+        messages: prev.messages.map(msg =>
+          msg.id === botMessagePlaceholder.id ? { ...msg, isTyping: false } : msg
+        )
+      }));
+
+      if (conversationId) refreshConversation(conversationId);
+
+      // After finalizing, auto-save any memory-worthy info from the assistant reply
+      const botCandidate = extractMemoryCandidate(latestBotText);
+      if (botCandidate) {
+        createMemory(botCandidate);
+      }
+
+      setSelectedFile(null);
+      fetchUserStatus();
+    };
+
+    // Plain messages can go over the chat WebSocket; attachments and branch requests need HTTP
+    const useSocket = chatTransport === 'ws' && requestId && !options.url && !selectedFile && chatSocket.isAvailable();
+
     try {
-      const response = await fetch(`http://localhost:5000/api/v1/chat?model=${selectedModel}`, {
+      if (useSocket) {
+        let failure = null;
+        let sent = true;
+        try {
+          await chatSocket.sendChat(localStorage.getItem('token'), {
+            id: requestId,
+            message: userQuery,
+            conversationId: currentConversation.id || undefined,
+            model: selectedModel,
+            mode: personaId ? undefined : mode,
+            personaId: personaId || undefined,
+            memoryHints: hints.length ? hints : undefined,
+          }, (frame) => {
+            if (frame.type === 'start' && frame.isNewConversation) applyConversationId(frame.conversationId);
+            else if (frame.type === 'delta') appendChunk(frame.text);
+            else if (frame.type === 'reply') {
+              // A direct reply (e.g. "I'll remember that") comes whole, without a start frame
+              applyConversationId(frame.body?.conversationId);
+              if (frame.body?.message?.content) appendChunk(frame.body.message.content);
+            }
+            else if (frame.type === 'error') {
+              if (frame.status !== undefined) failure = frame;
+              else console.error('Chat stream error:', frame.error);
+            }
+          });
+        } catch (_) {
+          sent = false; // no connection; fall back to HTTP below
+        }
+        if (sent) {
+          if (failure) {
+            const error = new Error(failure.error || 'Error sending message.');
+            error.conversationId = conversationId;
+            throw error;
+          }
+          finishReply();
+          return;
+        }
+      }
+
+      const response = await fetch(options.url || `http://localhost:5000/api/v1/chat?model=${selectedModel}`, {
         method: 'POST',
         headers: {
           'x-auth-token': localStorage.getItem('token'),
@@ -751,19 +1272,20 @@ const App = () => {
       if (!isSSE) {
         // Not labeled as SSE. Try to read text; if it looks like SSE ('data:'), parse it manually.
         const maybeText = await response.text();
-        if (maybeText.trim().startsWith('data:')) {
+        if (/^(id|event|data):/.test(maybeText.trim())) {
           const lines = maybeText.split('\n\n').filter(Boolean);
           let conversationId = currentConversation.id;
           for (const part of lines) {
-            if (!part.startsWith('data: ')) continue;
-            const dataStr = part.substring(6);
+            const evt = parseEventBlock(part);
+            if (evt.event || !evt.data) continue;
+            const dataStr = evt.data;
             if (dataStr === '[DONE]') break;
             try {
               const data = JSON.parse(dataStr);
               if (data.conversationId && !conversationId) {
                 conversationId = data.conversationId;
                 setCurrentConversation(prev => ({ ...prev, id: data.conversationId }));
-                setConversations(prev => [...prev, { id: data.conversationId, title: userQuery.substring(0, 30) + '...', lastMessageTimestamp: new Date().toISOString() }]);
+                setConversations(prev => [...prev, { id: data.conversationId, title: placeholderTitle(userQuery), lastMessageTimestamp: new Date().toISOString() }]);
               }
               if (data.chunk) {
                 setCurrentConversation(prev => {
@@ -802,92 +1324,235 @@ const App = () => {
             ...prev,
             messages: prev.messages.map(msg => msg.id === botMessagePlaceholder.id ? { ...msg, isTyping: false } : msg)
           }));
+          // Direct replies (e.g. "OK, I'll remember that") are only in the stored conversation
+          if (currentConversation.id) refreshConversation(currentConversation.id);
           return;
         }
       }
 
       if (!response.body) throw new Error("Streaming response not supported.");
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let conversationId = currentConversation.id;
-      let latestBotText = '';
-
-      let done = false;
-      while (!done) {
-        const { value, done: readerDone } = await reader.read();
-        done = readerDone;
-
-        const chunk = decoder.decode(value, { stream: true });
-        const parts = chunk.split('\n\n').filter(Boolean);
-
-        for (const part of parts) {
-          if (part.startsWith('data: ')) {
-            const dataStr = part.substring(6);
-            if (dataStr === '[DONE]') {
-              done = true;
-              break;
-            }
-            try {
-              const data = JSON.parse(dataStr);
-
-              if (data.conversationId && !conversationId) {
-                conversationId = data.conversationId;
-                setCurrentConversation(prev => ({ ...prev, id: data.conversationId }));
-                setConversations(prev => [...prev, { id: data.conversationId, title: userQuery.substring(0, 30) + '...', lastMessageTimestamp: new Date().toISOString() }]);
-              }
-
-              if (data.chunk) {
-                setCurrentConversation(prev => ({
-                  ...prev,
-                  messages: prev.messages.map(msg => {
-                    if (msg.id === botMessagePlaceholder.id) {
-                      const newBot = (msg.bot || '') + data.chunk;
-                      return { ...msg, bot: newBot, tokenMeter: { total: estimateTokens(newBot) } };
-                    }
-                    return msg;
-                  })
-                }));
-              }
+      // Named events (warnings, tool progress, pings) are informational; plain data carries the reply
+      const handleStreamEvent = ({ event, data: dataStr }) => {
+        if (event) return;
+        try {
+          const data = JSON.parse(dataStr);
+          if (data.conversationId) applyConversationId(data.conversationId);
+          if (data.chunk) appendChunk(data.chunk);
+          if (data.error) throw new Error(data.error);
 
-              if (data.error) throw new Error(data.error);
+        } catch (e) {
+          console.error("Failed to parse stream data:", dataStr, e);
+        }
+      };
 
-            } catch (e) {
-              console.error("Failed to parse stream data:", dataStr, e);
-            }
+      // The server keeps generating when the connection drops, so resume after the last event we saw;
+      // resumed events continue the same sequence and are appended to the same placeholder
+      let streamResponse = response;
+      let lastEventId = null;
+      for (let attempt = 1; ; attempt++) {
+        const result = streamResponse ? await readEventStream(streamResponse, handleStreamEvent, lastEventId) : { done: false, lastEventId };
+        lastEventId = result.lastEventId;
+        if (result.done) break;
+        if (!requestId || attempt > STREAM_RESUME_ATTEMPTS) {
+          const lost = new Error('Connection lost while receiving the reply.');
+          lost.conversationId = conversationId;
+          throw lost;
+        }
+        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+        try {
+          streamResponse = await fetch(`http://localhost:5000/api/v1/chat/stream/${requestId}`, {
+            headers: {
+              'x-auth-token': localStorage.getItem('token'),
+              ...(lastEventId !== null ? { 'Last-Event-ID': lastEventId } : {}),
+            },
+          });
+        } catch (_) {
+          streamResponse = null; // still offline; try again
+        }
+        if (streamResponse && !streamResponse.ok) {
+          // 404: the reply is no longer buffered; the stored conversation has whatever was saved
+          if (streamResponse.status === 404) {
+            const lost = new Error('The reply could not be resumed.');
+            lost.conversationId = conversationId;
+            throw lost;
           }
+          streamResponse = null;
         }
       }
 
-      // Finalize the message state
+      finishReply();
+
+    } catch (error) {
       setCurrentConversation(prev => ({
         ...prev,
-        messages: prev.messages.map(msg =>
-          msg.id === botMessagePlaceholder.id ? { ...msg, isTyping: false } : msg
-        )
+        messages: prev.messages.filter(msg => msg.id !== userMessage.id && msg.id !== botMessagePlaceholder.id)
       }));
+      // A failed edit/regenerate dropped later messages locally, and a lost stream may still have
+      // been saved; bring back the stored branch
+      const refreshId = error.conversationId || (options.url && currentConversation.id);
+      if (refreshId) refreshConversation(refreshId);
+      setError(error.message || 'Error sending message.');
+    } finally {
+      activeRequestIdRef.current = null;
+      setIsSending(false);
+    }
+  }, [selectedFile, isSending, availableModels, selectedModel, mode, personaId, currentConversation.id, memory, chatTransport, setCurrentConversation, setMessage, setIsSending, setError, selectRelevantMemories, extractMemoryCandidate, createMemory, refreshConversation]);
 
-      // After finalizing, auto-save any memory-worthy info from the assistant reply
-      const botCandidate = extractMemoryCandidate(latestBotText);
-      if (botCandidate) {
-        createMemory(botCandidate);
+  // Inline edit-resend handlers
+  // The stream itself ends with a `stopped` event; the partial reply arrives with the refreshed conversation
+  const stopGeneration = useCallback(async () => {
+    const requestId = activeRequestIdRef.current;
+    if (!requestId) return;
+    try {
+      await axios.post(`http://localhost:5000/api/v1/chat/${requestId}/stop`, {}, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+    } catch (error) {
+      // 404: the reply finished before the stop arrived
+      if (error.response?.status !== 404) setError(error.response?.data?.error?.message || 'Failed to stop the response.');
+    }
+  }, [setError]);
+
+  // Compare mode: one prompt answered by several models, streamed into side-by-side columns
+  const handleCompareMessage = useCallback(async (userQuery) => {
+    if (!userQuery || isSending) return;
+    if (compareModels.length < 2) {
+      setError('Pick at least two models to compare.');
+      return;
+    }
+    setMessage('');
+    setIsSending(true);
+
+    const userMessage = {
+      id: Date.now(),
+      user: userQuery,
+      timestamp: new Date().toISOString(),
+      isUserMessage: true,
+      tokenMeter: { total: estimateTokens(userQuery) }
+    };
+    const comparePlaceholder = {
+      id: Date.now() + 1,
+      isCompare: true,
+      timestamp: new Date().toISOString(),
+      compare: {
+        channels: compareModels.map((model, channel) => ({
+          channel,
+          model,
+          label: availableModels.find(m => m.id === model)?.name || model,
+          text: '',
+          done: false,
+          error: null,
+          messageId: null,
+          stopped: null,
+        }))
       }
+    };
+    setCurrentConversation(prev => ({ ...prev, messages: [...(prev.messages || []), userMessage, comparePlaceholder] }));
+
+    const requestId = window.crypto?.randomUUID ? window.crypto.randomUUID() : null;
+    activeRequestIdRef.current = requestId;
+
+    const formData = new FormData();
+    formData.append('message', userQuery);
+    formData.append('models', compareModels.join(','));
+    if (requestId) formData.append('requestId', requestId);
+    if (selectedFile) formData.append('file', selectedFile);
+    if (currentConversation.id) formData.append('conversationId', currentConversation.id);
+    if (personaId) formData.append('personaId', personaId);
+    else formData.append('mode', mode);
+    const hints = selectRelevantMemories(userQuery, 5);
+    if (hints.length) formData.append('memoryHints', JSON.stringify(hints));
+
+    let conversationId = currentConversation.id;
+    const updateChannel = (channel, update) => {
+      setCurrentConversation(prev => ({
+        ...prev,
+        messages: prev.messages.map(msg => msg.id !== comparePlaceholder.id ? msg : {
+          ...msg,
+          compare: { ...msg.compare, channels: msg.compare.channels.map(c => c.channel === channel ? { ...c, ...update(c) } : c) }
+        })
+      }));
+    };
 
+    try {
+      const response = await fetch('http://localhost:5000/api/v1/chat/compare', {
+        method: 'POST',
+        headers: { 'x-auth-token': localStorage.getItem('token') },
+        body: formData,
+      });
+      if (!response.ok) {
+        let errMsg = `Request failed (${response.status})`;
+        try {
+          const data = await response.json();
+          if (data?.error) errMsg = data.error;
+        } catch (_) { }
+        throw new Error(errMsg);
+      }
+      // A plain JSON reply (e.g. "OK, I'll remember that") is only in the stored conversation
+      if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+        setCurrentConversation(prev => ({
+          ...prev,
+          messages: prev.messages.filter(msg => msg.id !== userMessage.id && msg.id !== comparePlaceholder.id)
+        }));
+        if (conversationId) refreshConversation(conversationId);
+        return;
+      }
+
+      const result = await readEventStream(response, ({ event, data: dataStr }) => {
+        let data;
+        try {
+          data = JSON.parse(dataStr);
+        } catch (_) {
+          return;
+        }
+        if (!event && data.conversationId && !conversationId) {
+          conversationId = data.conversationId;
+          setCurrentConversation(prev => ({ ...prev, id: data.conversationId }));
+          setConversations(prev => [...prev, { id: data.conversationId, title: placeholderTitle(userQuery), lastMessageTimestamp: new Date().toISOString() }]);
+        } else if (event === 'channel_chunk') updateChannel(data.channel, c => ({ text: c.text + data.chunk }));
+        else if (event === 'channel_error') updateChannel(data.channel, () => ({ error: data.error }));
+        else if (event === 'channel_end') updateChannel(data.channel, () => ({ done: true, messageId: data.messageId, stopped: data.stopped }));
+      });
+      if (!result.done) {
+        const lost = new Error('Connection lost while receiving the answers.');
+        lost.conversationId = conversationId;
+        throw lost;
+      }
       setSelectedFile(null);
       fetchUserStatus();
-
     } catch (error) {
       setCurrentConversation(prev => ({
         ...prev,
-        messages: prev.messages.filter(msg => msg.id !== userMessage.id && msg.id !== botMessagePlaceholder.id)
+        messages: prev.messages.filter(msg => msg.id !== userMessage.id && msg.id !== comparePlaceholder.id)
       }));
-      setError(error.message || 'Error sending message.');
+      if (error.conversationId) refreshConversation(error.conversationId);
+      setError(error.message || 'Error comparing models.');
     } finally {
+      activeRequestIdRef.current = null;
       setIsSending(false);
     }
-  }, [selectedFile, isSending, availableModels, selectedModel, currentConversation.id, memory, setCurrentConversation, setMessage, setIsSending, setError, selectRelevantMemories, extractMemoryCandidate, createMemory]);
+  }, [compareModels, isSending, availableModels, selectedFile, mode, personaId, currentConversation.id, setCurrentConversation, setMessage, setIsSending, setError, selectRelevantMemories, refreshConversation]);
+
+  const toggleCompareModel = useCallback((modelId) => {
+    setCompareModels(prev => prev.includes(modelId)
+      ? prev.filter(id => id !== modelId)
+      : prev.length >= MAX_COMPARE_MODELS ? prev : [...prev, modelId]);
+  }, []);
+
+  // Keep one answer of a comparison: its branch becomes active and the choice is recorded as feedback
+  const preferAnswer = useCallback(async (messageId) => {
+    if (!currentConversation.id || !messageId || isSending) return;
+    try {
+      const response = await axios.post(`http://localhost:5000/api/v1/conversations/${currentConversation.id}/messages/${messageId}/prefer`, {}, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setCurrentConversation(prev => ({ ...prev, messages: (response.data.Messages || []).map(fromStoredMessage) }));
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Error saving your choice.');
+    }
+  }, [currentConversation.id, isSending, setCurrentConversation, setError]);
 
-  // Inline edit-resend handlers
   const startEditMessage = useCallback((chat) => {
     if (isSending) return; // avoid editing during send
     setEditingMessageId(chat.id);
@@ -903,6 +1568,16 @@ const App = () => {
     if (!editingMessageId) return;
     const newText = (editingText || '').trim();
     if (!newText) return;
+    // Stored messages (server ids are strings) are edited as a new branch; the original stays reachable
+    const editIndex = (currentConversation.messages || []).findIndex(m => m.id === editingMessageId);
+    if (currentConversation.id && typeof editingMessageId === 'string' && editIndex !== -1) {
+      cancelEdit();
+      await handleSendMessage(newText, {
+        url: `http://localhost:5000/api/v1/conversations/${currentConversation.id}/messages/${editingMessageId}/edit?model=${selectedModel}`,
+        keepCount: editIndex,
+      });
+      return;
+    }
     // Update the specific user message locally and mark as edited
     setCurrentConversation(prev => ({
       ...prev,
@@ -915,25 +1590,47 @@ const App = () => {
     cancelEdit();
     // Resend as a new message in the flow
     await handleSendMessage(newText);
-  }, [editingMessageId, editingText, cancelEdit, handleSendMessage]);
+  }, [editingMessageId, editingText, currentConversation.id, currentConversation.messages, selectedModel, cancelEdit, handleSendMessage]);
 
   // Regenerate: find the nearest preceding user message for the given assistant index
   const regenerateFromMessageIndex = useCallback(async (assistantIndex) => {
     if (isSending) return;
     const msgs = currentConversation.messages || [];
+    const target = msgs[assistantIndex];
     let i = assistantIndex - 1;
     while (i >= 0) {
       const m = msgs[i];
       if (m && (m.user || m.isUserMessage)) {
         const text = m.user || m.message || '';
-        if (text.trim()) {
+        if (!text.trim()) break;
+        // Stored replies are regenerated as a sibling branch of the same user turn
+        if (currentConversation.id && target && typeof target.id === 'string' && !target.user) {
+          await handleSendMessage(text, {
+            url: `http://localhost:5000/api/v1/conversations/${currentConversation.id}/messages/${target.id}/regenerate?model=${selectedModel}`,
+            keepCount: assistantIndex,
+            regenerate: true,
+          });
+        } else {
           await handleSendMessage(text);
         }
         break;
       }
       i--;
     }
-  }, [isSending, currentConversation.messages, handleSendMessage]);
+  }, [isSending, currentConversation.id, currentConversation.messages, selectedModel, handleSendMessage]);
+
+  // Show another version of a message (and the newest replies that follow it)
+  const switchBranch = useCallback(async (messageId) => {
+    if (!currentConversation.id || !messageId || isSending) return;
+    try {
+      const response = await axios.put(`http://localhost:5000/api/v1/conversations/${currentConversation.id}/active-branch`, { messageId }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setCurrentConversation(prev => ({ ...prev, messages: (response.data.Messages || []).map(fromStoredMessage) }));
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Error switching branch.');
+    }
+  }, [currentConversation.id, isSending, setCurrentConversation, setError]);
 
   // Expose regenerate for toolbar buttons
   useEffect(() => {
@@ -945,30 +1642,226 @@ const App = () => {
     };
   }, [regenerateFromMessageIndex]);
 
-  // Toggle reactions per message
-  const toggleReaction = useCallback((messageId, key) => {
-    setCurrentConversation(prev => ({
-      ...prev,
-      messages: (prev.messages || []).map(m => {
-        if (m.id !== messageId) return m;
-        const reactions = { up: 0, down: 0, smile: 0, ...(m.reactions || {}) };
-        let userReaction = m.userReaction || null;
-        if (userReaction === key) {
-          reactions[key] = Math.max(0, (reactions[key] || 0) - 1);
-          userReaction = null;
-        } else {
-          if (userReaction) reactions[userReaction] = Math.max(0, (reactions[userReaction] || 0) - 1);
-          reactions[key] = (reactions[key] || 0) + 1;
-          userReaction = key;
-        }
-        return { ...m, reactions, userReaction };
-      })
-    }));
-  }, [setCurrentConversation]);
+  // Server's feedback summary for one reply: { messageId, reactions, userReaction, reported }
+  const applyFeedback = useCallback(({ messageId, ...summary }) => {
+    setCurrentConversation(prev => ({
+      ...prev,
+      messages: (prev.messages || []).map(m => (m.id === messageId ? { ...m, ...summary } : m))
+    }));
+  }, [setCurrentConversation]);
+
+  // Toggle reactions per message; they are saved per user, and a thumbs down asks for an optional reason
+  const toggleReaction = useCallback(async (messageId, key) => {
+    const message = (currentConversation.messages || []).find(m => m.id === messageId);
+    if (!currentConversation.id || !message || message.isTyping) return;
+    const reaction = message.userReaction === key ? null : key;
+    try {
+      const response = await axios.put(`http://localhost:5000/api/v1/conversations/${currentConversation.id}/messages/${messageId}/feedback`, { reaction }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      applyFeedback(response.data);
+      if (reaction === 'down') setFeedbackDialog({ messageId, kind: 'reason', category: 'incorrect', reason: '' });
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to save your reaction.');
+    }
+  }, [currentConversation.id, currentConversation.messages, applyFeedback, setError]);
+
+  const reportMessage = useCallback((messageId) => {
+    setFeedbackDialog({ messageId, kind: 'report', category: 'incorrect', reason: '' });
+  }, []);
+
+  // Snapshot the active branch up to messageId (the whole branch when null)
+  const openShareDialog = useCallback((conversationId, messageId = null) => {
+    setShareDialog({ conversationId, messageId, expiresInDays: '', shares: [], created: null });
+  }, []);
+
+  const shareMessage = useCallback((messageId) => {
+    openShareDialog(currentConversation.id, messageId);
+  }, [openShareDialog, currentConversation.id]);
+
+  useEffect(() => {
+    const conversationId = shareDialog?.conversationId;
+    if (!conversationId) return;
+    axios.get('http://localhost:5000/api/v1/shares', {
+      params: { conversationId },
+      headers: { 'x-auth-token': localStorage.getItem('token') }
+    })
+      .then(response => setShareDialog(prev => prev && prev.conversationId === conversationId ? { ...prev, shares: response.data } : prev))
+      .catch(error => console.error('Error fetching share links:', error));
+  }, [shareDialog?.conversationId]);
+
+  const createShareLink = async () => {
+    const { conversationId, messageId, expiresInDays } = shareDialog;
+    try {
+      const response = await axios.post('http://localhost:5000/api/v1/shares', {
+        conversationId,
+        messageId: messageId || undefined,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+      }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setShareDialog(prev => prev && { ...prev, created: response.data, shares: [response.data, ...prev.shares] });
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Error creating the share link.');
+    }
+  };
+
+  const revokeShareLink = async (shareId) => {
+    try {
+      const response = await axios.delete(`http://localhost:5000/api/v1/shares/${shareId}`, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setShareDialog(prev => prev && {
+        ...prev,
+        created: prev.created && prev.created.id === shareId ? null : prev.created,
+        shares: prev.shares.map(share => share.id === shareId ? response.data : share),
+      });
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Error revoking the share link.');
+    }
+  };
+
+  // Links point at this frontend, whatever FRONTEND_URL the server has
+  const shareLinkUrl = (share) => `${window.location.origin}/share/${share.token}`;
+
+  // Show a conversation as returned by GET /conversations/:id (or a branch switch)
+  const showConversation = useCallback((data) => {
+    const messages = (data.Messages || data.messages || []).map(fromStoredMessage);
+    console.log('Final messages to set:', messages);
+    setCurrentConversation(prev => ({
+      ...prev,
+      id: data.id,
+      messages: messages,
+      title: data.title,
+      lastMessageTimestamp: data.lastMessageTimestamp,
+    }));
+    setMode(data.personaId ? 'persona' : (data.mode || modeCatalog.defaultMode));
+    setPersonaId(data.personaId || null);
+  }, [modeCatalog.defaultMode]);
+
+  const handleConversationClick = useCallback((conversationId) => {
+    console.log('handleConversationClick called with:', conversationId);
+    axios.get(`http://localhost:5000/api/v1/conversations/${conversationId}`, {
+      headers: { 'x-auth-token': localStorage.getItem('token') }
+    })
+      .then(response => {
+        console.log('API response for conversation:', response.data);
+        showConversation(response.data);
+      })
+      .catch(error => {
+        console.error('Error in handleConversationClick:', error);
+        if (error.response && error.response.status === 401) {
+          setIsAuthenticated(false);
+          localStorage.removeItem('token');
+          setError(null);
+          return;
+        } else if (error.response && error.response.status === 429) {
+          alert('You are being rate limited. Please wait and try again.');
+        } else {
+          alert('Error fetching conversation.');
+        }
+      });
+  }, [showConversation]);
+
+  // Fork a shared snapshot into the signed-in user's conversations and open it
+  const continueSharedChat = useCallback(async (token) => {
+    if (!isAuthenticated) {
+      sessionStorage.setItem(PENDING_SHARE_KEY, token);
+      navigate('/');
+      return;
+    }
+    try {
+      const response = await axios.post(`http://localhost:5000/api/v1/shares/public/${token}/fork`, {}, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      navigate('/');
+      setConvPage(1);
+      setConversationsReload(n => n + 1);
+      handleConversationClick(response.data.id);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Error continuing the shared chat.');
+    }
+  }, [isAuthenticated, navigate, handleConversationClick]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    const token = sessionStorage.getItem(PENDING_SHARE_KEY);
+    if (!token) return;
+    sessionStorage.removeItem(PENDING_SHARE_KEY);
+    continueSharedChat(token);
+  }, [isAuthenticated, continueSharedChat]);
+
+  const submitFeedbackDialog = async () => {
+    const { messageId, kind, category, reason } = feedbackDialog;
+    if (kind === 'reason' && !reason.trim()) {
+      setFeedbackDialog(null);
+      return;
+    }
+    const url = `http://localhost:5000/api/v1/conversations/${currentConversation.id}/messages/${messageId}`;
+    const headers = { 'x-auth-token': localStorage.getItem('token') };
+    try {
+      const response = kind === 'report'
+        ? await axios.post(`${url}/report`, { category, reason: reason.trim() || undefined }, { headers })
+        : await axios.put(`${url}/feedback`, { reaction: 'down', reason: reason.trim() }, { headers });
+      applyFeedback(response.data);
+      setFeedbackDialog(null);
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to send your feedback.');
+    }
+  };
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    fetchUserStatus();
+  }, [isAuthenticated]);
+
+  const fetchModeCatalog = useCallback(async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/v1/personas', {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setModeCatalog(response.data);
+    } catch (error) {
+      console.error('Error fetching modes:', error);
+    }
+  }, []);
+
   useEffect(() => {
     if (!isAuthenticated) return;
-    fetchUserStatus();
-  }, [isAuthenticated]);
+    fetchModeCatalog();
+  }, [isAuthenticated, fetchModeCatalog]);
+
+  const activeMode = useMemo(() => (
+    personaId
+      ? [...modeCatalog.personas, ...modeCatalog.shared].find(p => p.id === personaId)
+      : modeCatalog.modes.find(m => m.key === mode)
+  ), [modeCatalog, mode, personaId]);
+
+  // A persona deleted or unshared since it was picked falls back to the default mode, as on the server
+  useEffect(() => {
+    if (personaId && modeCatalog.modes.length && !activeMode) {
+      setPersonaId(null);
+      setMode(modeCatalog.defaultMode);
+    }
+  }, [personaId, activeMode, modeCatalog]);
+
+  // Pick a built-in mode or a persona; the open conversation, if any, switches to it as well
+  const selectMode = useCallback(async ({ mode: nextMode, personaId: nextPersonaId }) => {
+    const choice = nextPersonaId
+      ? [...modeCatalog.personas, ...modeCatalog.shared].find(p => p.id === nextPersonaId)
+      : modeCatalog.modes.find(m => m.key === nextMode);
+    setMode(nextMode);
+    setPersonaId(nextPersonaId || null);
+    if (choice?.defaultModel && availableModels.some(m => m.id === choice.defaultModel)) setSelectedModel(choice.defaultModel);
+    navigate('/');
+    if (!currentConversation.id) return;
+    try {
+      await axios.put(`http://localhost:5000/api/v1/conversations/${currentConversation.id}/mode`,
+        nextPersonaId ? { personaId: nextPersonaId } : { mode: nextMode },
+        { headers: { 'x-auth-token': localStorage.getItem('token') } });
+    } catch (error) {
+      setError(error.response?.data?.error?.message || 'Failed to switch the conversation mode.');
+    }
+  }, [modeCatalog, availableModels, currentConversation.id, navigate, setError]);
 
   // Bundle optimization initialization
   useEffect(() => {
@@ -1069,12 +1962,14 @@ const App = () => {
       } else if (error.response && error.response.status === 429) {
         alert('You are being rate limited. Please wait and try again.');
       } else {
-        alert(error.response?.data?.error || 'Error summarizing conversation.');
+        alert(error.response?.data?.error?.message || 'Error summarizing conversation.');
       }
     }
   }, [setContextMenu, setSummaryContent, setShowSummaryModal, setIsAuthenticated, setError]);
   const memoizedMessages = useMemo(() => {
-    return currentConversation.messages.map((chat, index) => (
+    return currentConversation.messages.map((chat, index) => chat.isCompare ? (
+      <CompareMessage key={chat.id} chat={chat} onPreferAnswer={isSending ? undefined : preferAnswer} />
+    ) : (
       <ChatMessage
         key={chat.id || index}
         chat={chat}
@@ -1093,9 +1988,19 @@ const App = () => {
         saveEditResend={saveEditResend}
         cancelEdit={cancelEdit}
         onToggleReaction={toggleReaction}
+        onReportMessage={isSending ? undefined : reportMessage}
+        onSwitchBranch={isSending ? undefined : switchBranch}
+        onPreferAnswer={isSending ? undefined : preferAnswer}
+        onShareMessage={isSending ? undefined : shareMessage}
       />
     ));
-  }, [currentConversation.messages, availableModels, selectedModel, setCurrentConversation, currentConversation.id, isSending, toggleReaction, editingMessageId, editingText, setEditingText, startEditMessage, saveEditResend, cancelEdit, handleSummarizeConversation]);
+  }, [currentConversation.messages, availableModels, selectedModel, setCurrentConversation, currentConversation.id, isSending, toggleReaction, reportMessage, editingMessageId, editingText, setEditingText, startEditMessage, saveEditResend, cancelEdit, handleSummarizeConversation, switchBranch, preferAnswer, shareMessage]);
+
+  // Shared chats are public: shown with or without a signed-in user
+  const sharedToken = (location.pathname.match(/^\/share\/([\w-]+)$/) || [])[1];
+  if (sharedToken) {
+    return <SharedConversation token={sharedToken} isAuthenticated={isAuthenticated} onContinue={continueSharedChat} />;
+  }
 
   // === AUTH CONDITIONAL RETURN (after all hooks) ===
   if (!isAuthenticated) {
@@ -1112,10 +2017,10 @@ const App = () => {
   function fetchAvailableModels() {
     axios.get('http://localhost:5000/api/v1/models')
       .then(response => {
-        const supportedModels = response.data.models.filter(model => ['gpt-4.1', 'gpt-4.1-mini', 'gpt-4.1-nano'].includes(model.id));
+        const supportedModels = response.data.models.filter(model => model.available);
         setAvailableModels(supportedModels);
-        const cheapestModel = supportedModels.find(model => model.id === 'gpt-4.1-nano') || supportedModels[0];
-        if (cheapestModel) setSelectedModel(cheapestModel.id);
+        const defaultModel = supportedModels.find(model => model.id === response.data.defaultModel) || supportedModels[0];
+        if (defaultModel) setSelectedModel(defaultModel.id);
       })
       .catch(error => {
         console.error('Error fetching available models:', error);
@@ -1154,40 +2059,6 @@ const App = () => {
       });
   }
 
-  function handleConversationClick(conversationId) {
-    console.log('handleConversationClick called with:', conversationId);
-    axios.get(`http://localhost:5000/api/v1/conversations/${conversationId}`, {
-      headers: { 'x-auth-token': localStorage.getItem('token') }
-    })
-      .then(response => {
-        console.log('API response for conversation:', response.data);
-        console.log('Messages array:', response.data.Messages);
-        console.log('messages array:', response.data.messages);
-        const messages = response.data.Messages || response.data.messages || [];
-        console.log('Final messages to set:', messages);
-        setCurrentConversation(prev => ({
-          ...prev,
-          id: response.data.id,
-          messages: messages,
-          title: response.data.title,
-          lastMessageTimestamp: response.data.lastMessageTimestamp,
-        }));
-      })
-      .catch(error => {
-        console.error('Error in handleConversationClick:', error);
-        if (error.response && error.response.status === 401) {
-          setIsAuthenticated(false);
-          localStorage.removeItem('token');
-          setError(null);
-          return;
-        } else if (error.response && error.response.status === 429) {
-          alert('You are being rate limited. Please wait and try again.');
-        } else {
-          alert('Error fetching conversation.');
-        }
-      });
-  }
-
   function handleDeleteConversation(conversationId) {
     axios.delete(`http://localhost:5000/api/v1/conversations/${conversationId}`, {
       headers: { 'x-auth-token': localStorage.getItem('token') }
@@ -1197,6 +2068,7 @@ const App = () => {
         if (currentConversation.id === conversationId) {
           setCurrentConversation({ id: null, messages: [] });
         }
+        fetchOrganization();
       })
       .catch(error => {
         if (error.response && error.response.status === 401) {
@@ -1238,20 +2110,6 @@ const App = () => {
   // === 1a. recognition must be defined before any function that uses it ===
   // === 1b. All useMemo/useCallback hooks and constants that depend on hooks ===
 
-  // === 1c. MODE_PROMPTS constant ===
-  const MODE_PROMPTS = {
-    coding: "You are a coding assistant. Provide the user with a solution and validation in your answer.",
-    conversation: "You are a friendly conversational partner. Respond in a natural, engaging way.",
-    search: "You are a search assistant. Provide concise, factual answers with sources if possible.",
-    writing: "You are a writing assistant. Help the user write, edit, or improve their text.",
-    study: "You are a study assistant. Help the user learn and understand new topics.",
-    summarizer: "You are a summarizer. Summarize the user's input clearly and concisely.",
-    translator: "You are a translator. Translate the user's input to the requested language.",
-    productivity: "You are a productivity assistant. Help the user organize, plan, and optimize their tasks.",
-    math: "You are a math assistant. Solve math problems and explain the steps.",
-    custom: "You are a helpful assistant. Respond to the user's instructions."
-  };
-
   // === 2. All handler/helper function declarations below hooks and before return ===
   const handleContextMenu = (e, conversationId) => {
     e.preventDefault();
@@ -1285,34 +2143,259 @@ const App = () => {
     }
   };
 
-  const exportConversation = (conversation) => {
-    if (!conversation.id || conversation.messages.length === 0) {
-      alert('No conversation to export');
-      return;
+  const renameConversation = async (conv) => {
+    const title = window.prompt('Rename conversation', conv.title || '');
+    if (title === null || !title.trim() || title.trim() === conv.title) return;
+    try {
+      const response = await axios.put(`http://localhost:5000/api/v1/conversations/${conv.id}/title`, { title: title.trim() }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      applyConversationChanges(conv.id, { title: response.data.title });
+    } catch (error) {
+      alert(error.response?.data?.details?.[0]?.msg || error.response?.data?.error?.message || 'Error renaming conversation.');
     }
-    const exportData = {
-      title: conversation.title || 'Chat Export',
-      timestamp: new Date().toISOString(),
-      messages: conversation.messages,
-      model: selectedModel
-    };
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `chat-export-${conversation.id}-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
   };
 
+  const regenerateTitle = async (conv) => {
+    try {
+      const response = await axios.post(`http://localhost:5000/api/v1/conversations/${conv.id}/title/regenerate`, {}, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      applyConversationChanges(conv.id, { title: response.data.title });
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Error generating a title.');
+    }
+  };
+
+  // Download one conversation (or all of them without an id) as markdown, json or html
+  const exportConversation = async (conversationId, format) => {
+    try {
+      const url = conversationId
+        ? `http://localhost:5000/api/v1/conversations/${conversationId}/export`
+        : 'http://localhost:5000/api/v1/conversations/export';
+      const response = await axios.get(url, {
+        params: { format },
+        responseType: 'blob',
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+      const href = URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = href;
+      a.download = match ? match[1] : `chat-export.${format === 'markdown' ? 'md' : format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(href);
+    } catch (error) {
+      alert('Error exporting. Please try again.');
+    }
+  };
+
+  // Import this app's JSON export or a ChatGPT conversations.json, then report what was left out
+  const importConversations = async (file) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('file', file);
+    setIsImporting(true);
+    try {
+      const response = await axios.post('http://localhost:5000/api/v1/conversations/import', formData, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      const { imported, skipped } = response.data;
+      const skippedMessages = imported.reduce((sum, conv) => sum + conv.skippedMessages.length, 0);
+      const lines = [`Imported ${imported.length} conversation${imported.length === 1 ? '' : 's'}.`];
+      if (skippedMessages) lines.push(`${skippedMessages} message${skippedMessages === 1 ? '' : 's'} without text (tools, images, system) were left out.`);
+      if (skipped.length) {
+        lines.push(`Skipped ${skipped.length} conversation${skipped.length === 1 ? '' : 's'}:`);
+        lines.push(...skipped.slice(0, 10).map(item => `- ${item.title || `#${item.index + 1}`}: ${item.reason}`));
+        if (skipped.length > 10) lines.push(`- and ${skipped.length - 10} more`);
+      }
+      alert(lines.join('\n'));
+      if (imported.length) {
+        setConvPage(1);
+        setConversationsReload(n => n + 1);
+      }
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Error importing conversations.');
+    } finally {
+      setIsImporting(false);
+      if (importInputRef.current) importInputRef.current.value = '';
+    }
+  };
+
+  // Show another folder, tag set or the archive; the list is re-read from page 1
+  const changeListFilter = (changes) => {
+    setListFilter(prev => ({ ...prev, ...changes }));
+    setConvPage(1);
+    setSelectedIds(null);
+  };
+
+  const createFolder = async (parentId) => {
+    const name = window.prompt(parentId ? 'New subfolder' : 'New folder');
+    if (name === null || !name.trim()) return;
+    try {
+      await axios.post('http://localhost:5000/api/v1/folders', { name: name.trim(), parentId }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      fetchOrganization();
+    } catch (error) {
+      alert(error.response?.data?.details?.[0]?.msg || error.response?.data?.error?.message || 'Error creating the folder.');
+    }
+  };
+
+  const renameFolder = async (folder) => {
+    const name = window.prompt('Rename folder', folder.name);
+    if (name === null || !name.trim() || name.trim() === folder.name) return;
+    try {
+      await axios.put(`http://localhost:5000/api/v1/folders/${folder.id}`, { name: name.trim() }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      fetchOrganization();
+    } catch (error) {
+      alert(error.response?.data?.details?.[0]?.msg || error.response?.data?.error?.message || 'Error renaming the folder.');
+    }
+  };
+
+  const deleteFolder = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"? Its chats are kept and moved out of it.`)) return;
+    try {
+      await axios.delete(`http://localhost:5000/api/v1/folders/${folder.id}`, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      if (listFilter.folderId === folder.id || folders.some(f => f.id === listFilter.folderId && f.parentId === folder.id)) {
+        changeListFilter({ folderId: null });
+      } else {
+        setConvPage(1);
+        setConversationsReload(n => n + 1);
+      }
+      fetchOrganization();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Error deleting the folder.');
+    }
+  };
+
+  // Move, archive, unarchive, pin, unpin or delete several conversations (from a selection or a drop)
+  const bulkUpdateConversations = async (ids, { action, folderId = null }) => {
+    if (action === 'delete' && !window.confirm(`Delete ${ids.length} conversation${ids.length === 1 ? '' : 's'}? This cannot be undone.`)) return;
+    try {
+      const response = await axios.post('http://localhost:5000/api/v1/conversations/bulk', { ids, action, folderId }, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      const { updated } = response.data;
+      if (action === 'delete') {
+        setConversations(prev => prev.filter(conv => !updated.includes(conv.id)));
+        if (updated.includes(currentConversation.id)) setCurrentConversation({ id: null, messages: [] });
+      } else {
+        const changes = {
+          move: { folderId },
+          archive: { archived: true },
+          unarchive: { archived: false },
+          pin: { pinned: true },
+          unpin: { pinned: false },
+        }[action];
+        updated.forEach(id => applyConversationChanges(id, changes));
+      }
+      setSelectedIds(null);
+      fetchOrganization();
+    } catch (error) {
+      alert(error.response?.data?.details?.[0]?.msg || error.response?.data?.error?.message || 'Error updating the conversations.');
+    }
+  };
+
+  // File, tag, pin or archive one conversation
+  const organizeConversation = async (conv, changes) => {
+    try {
+      const response = await axios.put(`http://localhost:5000/api/v1/conversations/${conv.id}/organization`, changes, {
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      const { conversationId, ...organization } = response.data;
+      applyConversationChanges(conversationId, organization);
+      fetchOrganization();
+    } catch (error) {
+      alert(error.response?.data?.details?.[0]?.msg || error.response?.data?.error?.message || 'Error updating the conversation.');
+    }
+  };
+
+  const editConversationTags = (conv) => {
+    const input = window.prompt('Tags (comma-separated)', (conv.tags || []).join(', '));
+    if (input === null) return;
+    organizeConversation(conv, { tags: input.split(',').map(tag => tag.trim()).filter(Boolean) });
+  };
+
+  // Entries an event or action moved out of the current filter are hidden; pinned ones stay on top
+  const listedConversations = conversations
+    .filter(conv => !!conv.archived === listFilter.archived
+      && (!listFilter.folderId || (listFilter.folderId === 'none' ? !conv.folderId : conv.folderId === listFilter.folderId))
+      && listFilter.tags.every(tag => (conv.tags || []).includes(tag)))
+    .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0));
+
   const loadMoreConversations = () => {
     if (isLoadingConversations || !hasMoreConversations) return;
     setConvPage(prev => prev + 1);
   };
 
-  const ConversationList = ({ items, onClickItem, onDeleteItem, contextMenu, handleContextMenu, loadMore, hasMore }) => {
+  // Search every conversation, memory and uploaded file; page > 1 appends to the current results
+  const runSearch = async (query, filters, page = 1) => {
+    const params = { q: query, page, limit: SEARCH_PAGE_SIZE };
+    if (filters.messageType !== 'all') params.role = filters.messageType;
+    if (filters.model) params.model = filters.model;
+    if (filters.mode) params.mode = filters.mode;
+    if (filters.hasAttachments) params.hasAttachments = true;
+    if (filters.dateRange in SEARCH_RANGE_DAYS) {
+      const from = new Date();
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - SEARCH_RANGE_DAYS[filters.dateRange]);
+      params.from = from.toISOString();
+    }
+    setIsSearching(true);
+    try {
+      const response = await axios.get('http://localhost:5000/api/v1/search', {
+        params,
+        headers: { 'x-auth-token': localStorage.getItem('token') }
+      });
+      setSearch(prev => ({
+        query,
+        filters,
+        results: page > 1 && prev ? [...prev.results, ...response.data.results] : response.data.results,
+        pagination: response.data.pagination,
+      }));
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        setIsAuthenticated(false);
+        localStorage.removeItem('token');
+        setError(null);
+        return;
+      }
+      alert(error.response?.data?.details?.[0]?.msg || error.response?.data?.error?.message || 'Error searching conversations.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const openSearchResult = async (result) => {
+    if (result.type === 'memory') {
+      setSearchTerm(search.query);
+      handleShowMemory();
+      return;
+    }
+    if (!result.conversationId) return;
+    const headers = { 'x-auth-token': localStorage.getItem('token') };
+    try {
+      let { data } = await axios.get(`http://localhost:5000/api/v1/conversations/${result.conversationId}`, { headers });
+      // The message is on another branch: make that branch the active one
+      if (result.messageId && !(data.Messages || []).some(m => m.id === result.messageId)) {
+        ({ data } = await axios.put(`http://localhost:5000/api/v1/conversations/${result.conversationId}/active-branch`, { messageId: result.messageId }, { headers }));
+      }
+      showConversation(data);
+      if (result.messageId) setJumpTarget(result.messageId);
+      if (isMobile) setSidebarOpen(false);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Error opening the search result.');
+    }
+  };
+
+  const ConversationList = ({ items, onClickItem, onDeleteItem, onRenameItem, onRetitleItem, contextMenu, handleContextMenu, loadMore, hasMore, selectedIds, onToggleSelect }) => {
     const scrollRef = useRef(null);
 
     const handleScroll = useCallback((e) => {
@@ -1337,17 +2420,45 @@ const App = () => {
           <div
             key={conv.id}
             className="list-group-item list-group-item-action bg-transparent text-light d-flex justify-content-between align-items-center position-relative"
-            onClick={() => onClickItem(conv.id)}
+            onClick={() => (selectedIds ? onToggleSelect(conv.id) : onClickItem(conv.id))}
+            draggable
+            onDragStart={(e) => {
+              // Dragging a selected conversation drags the whole selection
+              const ids = selectedIds && selectedIds.includes(conv.id) ? selectedIds : [conv.id];
+              e.dataTransfer.setData(CONVERSATION_DRAG_TYPE, JSON.stringify(ids));
+              e.dataTransfer.effectAllowed = 'move';
+            }}
             style={{ cursor: 'pointer' }}
           >
+            {selectedIds && (
+              <input
+                type="checkbox"
+                className="form-check-input me-2 flex-shrink-0"
+                checked={selectedIds.includes(conv.id)}
+                onChange={() => onToggleSelect(conv.id)}
+                onClick={(e) => e.stopPropagation()}
+                aria-label={`Select ${conv.title || 'conversation'}`}
+              />
+            )}
             <div style={{ flex: 1, minWidth: 0 }}>
               <div style={{
                 whiteSpace: 'nowrap',
                 overflow: 'hidden',
                 textOverflow: 'ellipsis'
               }}>
+                {conv.pinned && <i className="fas fa-thumbtack me-1 text-warning" title="Pinned" aria-label="Pinned"></i>}
                 <span dangerouslySetInnerHTML={{ __html: sanitizeContent(conv.title) }} />
               </div>
+              {conv.tags && conv.tags.length > 0 && (
+                <div className="conversation-tags">
+                  {conv.tags.map(tag => <span key={tag} className="tag-chip">#{tag}</span>)}
+                </div>
+              )}
+              {conv.preview && (
+                <small className="d-block text-muted" title={conv.preview} style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                  {conv.preview}
+                </small>
+              )}
               {conv.lastMessageTimestamp && (
                 <small className="d-block text-muted">
                   {new Date(conv.lastMessageTimestamp).toLocaleString()}
@@ -1373,12 +2484,81 @@ const App = () => {
                     size="sm"
                     onClick={(e) => {
                       e.stopPropagation();
-                      exportConversation(conv);
                       handleContextMenu(e, conv.id);
+                      onRenameItem(conv);
+                    }}
+                  >
+                    Rename
+                  </Button>
+                  <Button
+                    variant="outline-light"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleContextMenu(e, conv.id);
+                      onRetitleItem(conv);
+                    }}
+                  >
+                    Regenerate title
+                  </Button>
+                  <Button
+                    variant="outline-light"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleContextMenu(e, conv.id);
+                      organizeConversation(conv, { pinned: !conv.pinned });
+                    }}
+                  >
+                    {conv.pinned ? 'Unpin' : 'Pin'}
+                  </Button>
+                  <Button
+                    variant="outline-light"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleContextMenu(e, conv.id);
+                      editConversationTags(conv);
+                    }}
+                  >
+                    Edit tags
+                  </Button>
+                  <Button
+                    variant="outline-light"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleContextMenu(e, conv.id);
+                      organizeConversation(conv, { archived: !conv.archived });
+                    }}
+                  >
+                    {conv.archived ? 'Unarchive' : 'Archive'}
+                  </Button>
+                  <Button
+                    variant="outline-light"
+                    size="sm"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleContextMenu(e, conv.id);
+                      openShareDialog(conv.id);
                     }}
                   >
-                    Export
+                    Share link
                   </Button>
+                  {EXPORT_FORMATS.map(format => (
+                    <Button
+                      key={format.value}
+                      variant="outline-light"
+                      size="sm"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        exportConversation(conv.id, format.value);
+                        handleContextMenu(e, conv.id);
+                      }}
+                    >
+                      Export {format.label}
+                    </Button>
+                  ))}
                   <Button
                     variant="danger"
                     size="sm"
@@ -1416,9 +2596,15 @@ const App = () => {
 
   const handleLogout = () => {
     localStorage.removeItem('token');
+    // The chat socket was authenticated as this user
+    chatSocket.close();
     setIsAuthenticated(false);
     setCurrentConversation({ id: null, messages: [] });
     setConversations([]);
+    setFolders([]);
+    setTagCatalog([]);
+    setListFilter(DEFAULT_LIST_FILTER);
+    setSelectedIds(null);
     setMemory([]);
     setUserStatus(null);
     setError(null);
@@ -1528,17 +2714,119 @@ const App = () => {
               <span>Usage Dashboard</span>
             </EnhancedButton>
 
-            <div className="chat-list-scroll">
-              <ConversationList
-                items={conversations}
-                onClickItem={handleConversationClick}
-                onDeleteItem={handleDeleteConversation}
-                contextMenu={contextMenu}
-                handleContextMenu={handleContextMenu}
-                loadMore={loadMoreConversations}
-                hasMore={hasMoreConversations}
+            <div className="d-flex gap-2 mb-2">
+              <Dropdown className="flex-fill">
+                <Dropdown.Toggle variant="outline-light" size="sm" className="w-100" aria-label="Export all conversations">
+                  <i className="fas fa-file-export me-1" aria-hidden="true"></i> Export all
+                </Dropdown.Toggle>
+                <Dropdown.Menu variant="dark">
+                  {EXPORT_FORMATS.map(format => (
+                    <Dropdown.Item key={format.value} onClick={() => exportConversation(null, format.value)}>
+                      {format.label}
+                    </Dropdown.Item>
+                  ))}
+                </Dropdown.Menu>
+              </Dropdown>
+              <Button
+                variant="outline-light"
+                size="sm"
+                className="flex-fill"
+                disabled={isImporting}
+                onClick={() => importInputRef.current && importInputRef.current.click()}
+                title="Import this app's JSON export or a ChatGPT conversations.json"
+              >
+                <i className="fas fa-file-import me-1" aria-hidden="true"></i> {isImporting ? 'Importing...' : 'Import'}
+              </Button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,application/json"
+                style={{ display: 'none' }}
+                onChange={(e) => importConversations(e.target.files[0])}
               />
             </div>
+
+            <MessageSearch
+              onSearch={({ query, filters }) => runSearch(query, filters)}
+              onClear={() => setSearch(null)}
+              isSearching={isSearching}
+              models={availableModels.map(model => ({ value: model.id, label: model.name }))}
+              modes={[
+                ...(modeCatalog.modes || []).map(mode => ({ value: mode.key, label: mode.label })),
+                { value: 'persona', label: 'Personas' },
+              ]}
+            />
+
+            <div className="chat-list-scroll">
+              {search ? (
+                <SearchResults
+                  search={search}
+                  isSearching={isSearching}
+                  onOpen={openSearchResult}
+                  onLoadMore={() => runSearch(search.query, search.filters, search.pagination.page + 1)}
+                />
+              ) : (
+                <>
+                  <FolderTree
+                    folders={folders}
+                    tags={tagCatalog}
+                    filter={listFilter}
+                    onFilter={changeListFilter}
+                    onCreate={createFolder}
+                    onRename={renameFolder}
+                    onDelete={deleteFolder}
+                    onDropConversations={bulkUpdateConversations}
+                  />
+                  <div className="bulk-bar">
+                    {selectedIds ? (
+                      <>
+                        <small>{selectedIds.length} selected</small>
+                        <Dropdown>
+                          <Dropdown.Toggle variant="outline-light" size="sm" disabled={!selectedIds.length}>Move</Dropdown.Toggle>
+                          <Dropdown.Menu variant="dark">
+                            <Dropdown.Item onClick={() => bulkUpdateConversations(selectedIds, { action: 'move', folderId: null })}>Unfiled</Dropdown.Item>
+                            {folders.map(folder => (
+                              <Dropdown.Item key={folder.id} onClick={() => bulkUpdateConversations(selectedIds, { action: 'move', folderId: folder.id })}>
+                                {folder.parentId ? '\u00a0\u00a0' : ''}{folder.name}
+                              </Dropdown.Item>
+                            ))}
+                          </Dropdown.Menu>
+                        </Dropdown>
+                        <Button
+                          variant="outline-light"
+                          size="sm"
+                          disabled={!selectedIds.length}
+                          onClick={() => bulkUpdateConversations(selectedIds, { action: listFilter.archived ? 'unarchive' : 'archive' })}
+                        >
+                          {listFilter.archived ? 'Unarchive' : 'Archive'}
+                        </Button>
+                        <Button variant="danger" size="sm" disabled={!selectedIds.length} onClick={() => bulkUpdateConversations(selectedIds, { action: 'delete' })}>
+                          Delete
+                        </Button>
+                        <Button variant="link" size="sm" className="text-light" onClick={() => setSelectedIds(null)}>Cancel</Button>
+                      </>
+                    ) : (
+                      <Button variant="link" size="sm" className="text-light p-0" onClick={() => setSelectedIds([])}>
+                        <i className="fas fa-check-square me-1" aria-hidden="true"></i> Select
+                      </Button>
+                    )}
+                  </div>
+                  <ConversationList
+                    items={listedConversations}
+                    onClickItem={handleConversationClick}
+                    onDeleteItem={handleDeleteConversation}
+                    onRenameItem={renameConversation}
+                    onRetitleItem={regenerateTitle}
+                    contextMenu={contextMenu}
+                    handleContextMenu={handleContextMenu}
+                    loadMore={loadMoreConversations}
+                    hasMore={hasMoreConversations}
+                    selectedIds={selectedIds}
+                    onToggleSelect={(id) => setSelectedIds(prev => prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id])}
+                  />
+                </>
+              )}
+            </div>
           </div>
 
           {/* Account Section */}
@@ -1739,6 +3027,28 @@ const App = () => {
                   Admin Panel
                 </Button>
               )}
+              <button
+                className="theme-toggle-button"
+                onClick={() => setCompareModels(prev => prev.length ? [] : [selectedModel, ...availableModels.map(m => m.id).filter(id => id !== selectedModel).slice(0, 1)])}
+                style={{ height: 40, width: 40, borderRadius: 8, background: compareModels.length ? '#2563eb' : '#23272f', color: '#fff', border: 'none', marginLeft: 8 }}
+                aria-label="Compare answers from several models"
+                aria-pressed={compareModels.length > 0}
+                title={compareModels.length ? 'Compare mode on' : 'Compare models side by side'}
+              >
+                <i className="fas fa-columns"></i>
+              </button>
+              {chatSocket.isSupported() && (
+                <button
+                  className="theme-toggle-button"
+                  onClick={() => setChatTransport(prev => (prev === 'ws' ? 'http' : 'ws'))}
+                  style={{ height: 40, width: 40, borderRadius: 8, background: chatTransport === 'ws' ? '#2563eb' : '#23272f', color: '#fff', border: 'none', marginLeft: 8 }}
+                  aria-label="Use live connection (WebSocket) for chat when available"
+                  aria-pressed={chatTransport === 'ws'}
+                  title={chatTransport === 'ws' ? 'Live connection on (messages without attachments use WebSocket)' : 'Live connection off'}
+                >
+                  <i className="fas fa-bolt"></i>
+                </button>
+              )}
               <button className="theme-toggle-button" onClick={toggleTheme} style={{ height: 40, width: 40, borderRadius: 8, background: '#23272f', color: '#fff', border: 'none', marginLeft: 8 }} aria-label="Toggle theme">
                 {theme === 'dark' ? <i className="fas fa-sun"></i> : <i className="fas fa-moon"></i>}
               </button>
@@ -1747,7 +3057,7 @@ const App = () => {
           <Routes>
             <Route path="/mode" element={
               <Suspense fallback={<LoadingSpinner text="Loading mode selection..." />}>
-                <ModeSelectionPage onSelect={(selectedMode) => { setMode(selectedMode); navigate('/'); }} />
+                <ModeSelectionPage catalog={modeCatalog} models={availableModels} onSelect={selectMode} onCatalogChange={fetchModeCatalog} />
               </Suspense>
             } />
             <Route path="/pricing" element={
@@ -1803,11 +3113,28 @@ const App = () => {
                 <div className="banner-ad-placeholder">
                   <p>Banner Ad Placeholder</p>
                 </div>
+                {compareModels.length > 0 && (
+                  <div className="compare-bar" role="group" aria-label="Models to compare">
+                    <span>Compare ({compareModels.length}/{MAX_COMPARE_MODELS}):</span>
+                    {availableModels.map(model => (
+                      <label key={model.id} className="compare-option">
+                        <input
+                          type="checkbox"
+                          checked={compareModels.includes(model.id)}
+                          disabled={isSending || (!compareModels.includes(model.id) && compareModels.length >= MAX_COMPARE_MODELS)}
+                          onChange={() => toggleCompareModel(model.id)}
+                        />
+                        {model.name}
+                      </label>
+                    ))}
+                  </div>
+                )}
                 <ChatInput
                   message={message}
                   setMessage={setMessage}
                   isSending={isSending}
-                  handleSendMessage={handleSendMessage}
+                  handleSendMessage={compareModels.length > 0 ? handleCompareMessage : handleSendMessage}
+                  onStop={stopGeneration}
                   selectedFile={selectedFile}
                   setSelectedFile={setSelectedFile}
                   supportedFormats={supportedFormats}
@@ -1816,8 +3143,7 @@ const App = () => {
                   handleToggleRecording={handleToggleRecording}
                   isRecording={isRecording}
                   fileInputRef={fileInputRef}
-                  mode={mode}
-                  modePrompts={MODE_PROMPTS}
+                  starters={activeMode?.starters}
                   sidebarOpen={isMobile ? sidebarOpen : showSidebar}
                   isMobile={isMobile}
                 />
@@ -1826,6 +3152,96 @@ const App = () => {
           </Routes>
         </div>
 
+        <Modal show={!!feedbackDialog} onHide={() => setFeedbackDialog(null)} centered>
+          <Modal.Header closeButton>
+            <Modal.Title>{feedbackDialog?.kind === 'report' ? 'Report response' : 'What went wrong?'}</Modal.Title>
+          </Modal.Header>
+          {feedbackDialog && (
+            <Modal.Body>
+              {feedbackDialog.kind === 'report' && (
+                <select
+                  className="form-select mb-2"
+                  aria-label="Report reason"
+                  value={feedbackDialog.category}
+                  onChange={(e) => setFeedbackDialog({ ...feedbackDialog, category: e.target.value })}
+                >
+                  {REPORT_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                </select>
+              )}
+              <textarea
+                className="form-control"
+                rows={3}
+                maxLength={1000}
+                placeholder={feedbackDialog.kind === 'report' ? 'Details (optional)' : 'Tell us what was wrong with this answer (optional)'}
+                aria-label="Feedback details"
+                value={feedbackDialog.reason}
+                onChange={(e) => setFeedbackDialog({ ...feedbackDialog, reason: e.target.value })}
+              />
+            </Modal.Body>
+          )}
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setFeedbackDialog(null)}>
+              {feedbackDialog?.kind === 'report' ? 'Cancel' : 'Skip'}
+            </Button>
+            <Button variant={feedbackDialog?.kind === 'report' ? 'danger' : 'primary'} onClick={submitFeedbackDialog}>
+              {feedbackDialog?.kind === 'report' ? 'Report' : 'Send'}
+            </Button>
+          </Modal.Footer>
+        </Modal>
+
+        <Modal show={!!shareDialog} onHide={() => setShareDialog(null)} centered>
+          <Modal.Header closeButton>
+            <Modal.Title>Share chat</Modal.Title>
+          </Modal.Header>
+          {shareDialog && (
+            <Modal.Body>
+              <p className="small text-muted">
+                Anyone with the link can read a copy of this chat {shareDialog.messageId ? 'up to the chosen message' : 'as it is now'}.
+                Attachments and memory are never included.
+              </p>
+              <div className="d-flex gap-2 mb-3">
+                <select
+                  className="form-select"
+                  aria-label="Link expiry"
+                  value={shareDialog.expiresInDays}
+                  onChange={(e) => setShareDialog({ ...shareDialog, expiresInDays: e.target.value })}
+                >
+                  {SHARE_EXPIRY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+                <Button onClick={createShareLink} style={{ whiteSpace: 'nowrap' }}>Create link</Button>
+              </div>
+              {shareDialog.shares.length > 0 && (
+                <ul className="share-link-list" aria-label="Share links">
+                  {shareDialog.shares.map(share => (
+                    <li key={share.id} className={`share-link ${share.active ? '' : 'inactive'} ${shareDialog.created?.id === share.id ? 'new' : ''}`}>
+                      <div className="share-link-info">
+                        <code>{shareLinkUrl(share)}</code>
+                        <small>
+                          {share.messageCount} messages · {share.viewCount} views ·{' '}
+                          {share.revokedAt ? 'revoked' : share.expiresAt ? `${share.active ? 'expires' : 'expired'} ${new Date(share.expiresAt).toLocaleDateString()}` : 'no expiry'}
+                        </small>
+                      </div>
+                      {share.active && (
+                        <div className="d-flex gap-1">
+                          <button className="icon-button" title="Copy link" aria-label="Copy share link" onClick={() => navigator.clipboard.writeText(shareLinkUrl(share))}>
+                            <i className="fas fa-copy" aria-hidden="true"></i>
+                          </button>
+                          <button className="icon-button" title="Revoke link" aria-label="Revoke share link" onClick={() => revokeShareLink(share.id)}>
+                            <i className="fas fa-ban" aria-hidden="true"></i>
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Modal.Body>
+          )}
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShareDialog(null)}>Close</Button>
+          </Modal.Footer>
+        </Modal>
+
         <Modal show={showMemoryModal} onHide={() => setShowMemoryModal(false)} centered className="memory-modal">
           <Modal.Header closeButton>
             <Modal.Title>Chatbot Memory</Modal.Title>
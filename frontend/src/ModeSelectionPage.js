@@ -1,49 +1,175 @@
-import React from 'react';
-
-const MODES = [
-  { key: 'coding', label: 'Coding Assistant', description: 'Get code help, bug fixes, and code generation.' },
-  { key: 'conversation', label: 'Conversation', description: 'Chat with the AI in a friendly, open-ended way.' },
-  { key: 'search', label: 'Search/Research', description: 'Ask factual questions and get concise answers.' },
-  { key: 'writing', label: 'Writing Assistant', description: 'Essays, emails, creative writing, grammar help.' },
-  { key: 'study', label: 'Study/Quiz', description: 'Generate quizzes, flashcards, or explanations.' },
-  { key: 'summarizer', label: 'Summarizer', description: 'Summarize text or files.' },
-  { key: 'translator', label: 'Translator', description: 'Translate text between languages.' },
-  { key: 'productivity', label: 'Productivity', description: 'To-do lists, reminders, productivity tips.' },
-  { key: 'math', label: 'Math Solver', description: 'Solve math problems and show steps.' },
-  { key: 'custom', label: 'Custom Prompt', description: 'Create your own AI persona.' },
-];
-
-const ModeSelectionPage = ({ onSelect }) => (
-  <div style={{ minHeight: '100vh', background: '#181a1b', color: '#fff', display: 'flex', flexDirection: 'column', alignItems: 'center', paddingTop: 48 }}>
-    <h2 style={{ marginBottom: 32, fontWeight: 700 }}>Choose Your Mode</h2>
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Modal, Button } from 'react-bootstrap';
+
+const PERSONAS_URL = 'http://localhost:5000/api/v1/personas';
+const EMPTY_FORM = { id: null, name: '', description: '', systemPrompt: '', defaultModel: '', temperature: '', starters: '', isShared: false };
+
+const cardStyle = {
+  background: '#23272f',
+  borderRadius: 18,
+  boxShadow: '0 4px 24px rgba(0,0,0,0.12)',
+  padding: '2.5rem 2rem',
+  minWidth: 240,
+  maxWidth: 320,
+  cursor: 'pointer',
+  transition: 'transform 0.15s, box-shadow 0.15s',
+  border: '2px solid #353744',
+  textAlign: 'center',
+  fontSize: 20,
+  fontWeight: 600,
+};
+
+const ModeCard = ({ title, description, onClick, children }) => (
+  <div
+    style={cardStyle}
+    onClick={onClick}
+    role="button"
+    tabIndex={0}
+    onKeyDown={e => { if (e.key === 'Enter') onClick(); }}
+    onMouseOver={e => e.currentTarget.style.transform = 'scale(1.04)'}
+    onMouseOut={e => e.currentTarget.style.transform = 'scale(1)'}
+  >
+    <div style={{ fontSize: 26, marginBottom: 12 }}>{title}</div>
+    <div style={{ fontSize: 15, color: '#aaa', fontWeight: 400 }}>{description}</div>
+    {children}
+  </div>
+);
+
+const Section = ({ title, children }) => (
+  <>
+    <h4 style={{ margin: '40px 0 20px', fontWeight: 600 }}>{title}</h4>
     <div style={{ display: 'flex', flexWrap: 'wrap', gap: 32, justifyContent: 'center', maxWidth: 1200 }}>
-      {MODES.map(mode => (
-        <div
-          key={mode.key}
-          onClick={() => onSelect(mode.key)}
-          style={{
-            background: '#23272f',
-            borderRadius: 18,
-            boxShadow: '0 4px 24px rgba(0,0,0,0.12)',
-            padding: '2.5rem 2rem',
-            minWidth: 240,
-            maxWidth: 320,
-            cursor: 'pointer',
-            transition: 'transform 0.15s, box-shadow 0.15s',
-            border: '2px solid #353744',
-            textAlign: 'center',
-            fontSize: 20,
-            fontWeight: 600,
-          }}
-          onMouseOver={e => e.currentTarget.style.transform = 'scale(1.04)'}
-          onMouseOut={e => e.currentTarget.style.transform = 'scale(1)'}
-        >
-          <div style={{ fontSize: 26, marginBottom: 12 }}>{mode.label}</div>
-          <div style={{ fontSize: 15, color: '#aaa', fontWeight: 400 }}>{mode.description}</div>
-        </div>
-      ))}
+      {children}
     </div>
-  </div>
+  </>
 );
 
-export default ModeSelectionPage; 
\ No newline at end of file
+// Built-in modes and personas come from the server (GET /api/v1/personas); onSelect gets { mode, personaId }
+const ModeSelectionPage = ({ catalog, models = [], onSelect, onCatalogChange }) => {
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const headers = { 'x-auth-token': localStorage.getItem('token') };
+
+  const editPersona = (persona) => {
+    setFormError(null);
+    setForm(persona ? {
+      ...EMPTY_FORM,
+      ...persona,
+      description: persona.description || '',
+      defaultModel: persona.defaultModel || '',
+      temperature: persona.temperature ?? '',
+      starters: (persona.starters || []).join('\n'),
+    } : EMPTY_FORM);
+  };
+
+  const savePersona = async () => {
+    const payload = {
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      systemPrompt: form.systemPrompt.trim(),
+      defaultModel: form.defaultModel || null,
+      temperature: form.temperature === '' ? null : Number(form.temperature),
+      starters: form.starters.split('\n').map(s => s.trim()).filter(Boolean),
+      isShared: form.isShared,
+    };
+    setSaving(true);
+    try {
+      if (form.id) await axios.put(`${PERSONAS_URL}/${form.id}`, payload, { headers });
+      else await axios.post(PERSONAS_URL, payload, { headers });
+      setForm(null);
+      onCatalogChange && onCatalogChange();
+    } catch (error) {
+      const data = error.response?.data;
+      setFormError(data?.details?.[0]?.msg || data?.error?.message || 'Could not save the persona.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deletePersona = async (persona) => {
+    if (!window.confirm(`Delete the persona "${persona.name}"?`)) return;
+    try {
+      await axios.delete(`${PERSONAS_URL}/${persona.id}`, { headers });
+      onCatalogChange && onCatalogChange();
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Could not delete the persona.');
+    }
+  };
+
+  const personaCard = (persona) => (
+    <ModeCard
+      key={persona.id}
+      title={persona.name}
+      description={persona.description || 'Custom persona'}
+      onClick={() => onSelect({ mode: 'persona', personaId: persona.id })}
+    >
+      {persona.owned && (
+        <div style={{ display: 'flex', gap: 8, justifyContent: 'center', marginTop: 16 }} onClick={e => e.stopPropagation()}>
+          <Button size="sm" variant="outline-light" onClick={() => editPersona(persona)} aria-label={`Edit ${persona.name}`}>Edit</Button>
+          <Button size="sm" variant="outline-danger" onClick={() => deletePersona(persona)} aria-label={`Delete ${persona.name}`}>Delete</Button>
+        </div>
+      )}
+      {persona.owned && persona.isShared && <div style={{ fontSize: 13, color: '#7cc4ff', marginTop: 8 }}>Shared with everyone</div>}
+    </ModeCard>
+  );
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#181a1b', color: '#fff', display: 'flex', flexDirection: 'column', alignItems: 'center', paddingTop: 48, paddingBottom: 48 }}>
+      <h2 style={{ marginBottom: 32, fontWeight: 700 }}>Choose Your Mode</h2>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 32, justifyContent: 'center', maxWidth: 1200 }}>
+        {(catalog?.modes || []).map(mode => (
+          <ModeCard key={mode.key} title={mode.label} description={mode.description} onClick={() => onSelect({ mode: mode.key, personaId: null })} />
+        ))}
+        <ModeCard title="Custom Prompt" description="Create your own AI persona." onClick={() => editPersona(null)} />
+      </div>
+      {catalog?.personas?.length > 0 && <Section title="Your personas">{catalog.personas.map(personaCard)}</Section>}
+      {catalog?.shared?.length > 0 && <Section title="Shared by others">{catalog.shared.map(personaCard)}</Section>}
+
+      <Modal show={!!form} onHide={() => setForm(null)} centered>
+        <Modal.Header closeButton>
+          <Modal.Title>{form?.id ? 'Edit persona' : 'New persona'}</Modal.Title>
+        </Modal.Header>
+        {form && (
+          <Modal.Body>
+            {formError && <div className="alert alert-danger" role="alert">{formError}</div>}
+            <label className="form-label" htmlFor="persona-name">Name</label>
+            <input id="persona-name" className="form-control mb-2" maxLength={60} value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+            <label className="form-label" htmlFor="persona-description">Description</label>
+            <input id="persona-description" className="form-control mb-2" maxLength={200} value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
+            <label className="form-label" htmlFor="persona-prompt">System prompt</label>
+            <textarea id="persona-prompt" className="form-control mb-2" rows={5} maxLength={4000} value={form.systemPrompt} onChange={e => setForm({ ...form, systemPrompt: e.target.value })} />
+            <div className="d-flex gap-2">
+              <div className="flex-grow-1">
+                <label className="form-label" htmlFor="persona-model">Default model</label>
+                <select id="persona-model" className="form-select mb-2" value={form.defaultModel} onChange={e => setForm({ ...form, defaultModel: e.target.value })}>
+                  <option value="">Keep the selected model</option>
+                  {models.map(model => <option key={model.id} value={model.id}>{model.name}</option>)}
+                </select>
+              </div>
+              <div style={{ width: 130 }}>
+                <label className="form-label" htmlFor="persona-temperature">Temperature</label>
+                <input id="persona-temperature" type="number" min="0" max="2" step="0.1" className="form-control mb-2" placeholder="default" value={form.temperature} onChange={e => setForm({ ...form, temperature: e.target.value })} />
+              </div>
+            </div>
+            <label className="form-label" htmlFor="persona-starters">Starter suggestions (one per line)</label>
+            <textarea id="persona-starters" className="form-control mb-2" rows={3} value={form.starters} onChange={e => setForm({ ...form, starters: e.target.value })} />
+            <div className="form-check">
+              <input id="persona-shared" type="checkbox" className="form-check-input" checked={form.isShared} onChange={e => setForm({ ...form, isShared: e.target.checked })} />
+              <label className="form-check-label" htmlFor="persona-shared">Share with other users</label>
+            </div>
+          </Modal.Body>
+        )}
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setForm(null)}>Cancel</Button>
+          <Button variant="primary" onClick={savePersona} disabled={saving || !form?.name.trim() || !form?.systemPrompt.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </div>
+  );
+};
+
+export default ModeSelectionPage;
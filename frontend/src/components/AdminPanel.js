@@ -31,6 +31,9 @@ const AdminPanel = ({ isVisible, onClose }) => {
         case 'payments':
           endpoint = '/api/v1/admin/payments';
           break;
+        case 'feedback':
+          endpoint = '/api/v1/admin/feedback';
+          break;
         case 'monitoring':
           endpoint = '/api/v1/monitoring/metrics';
           break;
@@ -220,6 +223,116 @@ const AdminPanel = ({ isVisible, onClose }) => {
     </div>
   );
 
+  const formatSatisfaction = (value) => (value === null || value === undefined ? 'n/a' : `${Math.round(value * 100)}%`);
+
+  // One satisfaction table per breakdown; `label` names a row from its grouping fields
+  const renderFeedbackTable = (title, rows, label) => (
+    <div className="feedback-table">
+      <h4>{title}</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>{title.replace('By ', '')}</th>
+            <th>Satisfaction</th>
+            <th>👍</th>
+            <th>👎</th>
+            <th>🙂</th>
+            <th>Reports</th>
+          </tr>
+        </thead>
+        <tbody>
+          {(Array.isArray(rows) ? rows : []).map(row => (
+            <tr key={label(row)}>
+              <td>{label(row)}</td>
+              <td>{formatSatisfaction(row.satisfaction)}</td>
+              <td>{row.up}</td>
+              <td>{row.down}</td>
+              <td>{row.smile}</td>
+              <td>{row.reports}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderFeedback = () => (
+    <div className="admin-feedback">
+      <h3>Response Feedback ({data.days || 30} days)</h3>
+      {loading ? (
+        <div className="loading">Loading feedback...</div>
+      ) : error ? (
+        <div className="error">{error}</div>
+      ) : (
+        <>
+          <div className="stats-grid">
+            <div className="stat-card">
+              <h4>Satisfaction</h4>
+              <p className="stat-number">{formatSatisfaction(data.totals?.satisfaction)}</p>
+            </div>
+            <div className="stat-card">
+              <h4>Rated Replies</h4>
+              <p className="stat-number">{data.totals?.feedback || 0}</p>
+            </div>
+            <div className="stat-card">
+              <h4>Reports</h4>
+              <p className="stat-number">{data.totals?.reports || 0}</p>
+            </div>
+          </div>
+          {renderFeedbackTable('By Model', data.byModel, row => row.model || 'unknown')}
+          {renderFeedbackTable('By Mode', data.byMode, row => row.mode || 'unknown')}
+          {renderFeedbackTable('By Provider', data.byProvider, row => (
+            row.provider ? `${row.provider}${row.providerFallback ? ' (fallback)' : ''}` : 'unknown / cached'
+          ))}
+          <div className="feedback-table">
+            <h4>Comparison Wins</h4>
+            <table>
+              <thead>
+                <tr>
+                  <th>Model</th>
+                  <th>Times Preferred</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(Array.isArray(data.comparisonWins) ? data.comparisonWins : []).map(row => (
+                  <tr key={row.model}>
+                    <td>{row.model}</td>
+                    <td>{row.wins}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="feedback-table">
+            <h4>Recent Reports</h4>
+            <table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Category</th>
+                  <th>Model</th>
+                  <th>Provider</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(Array.isArray(data.recentReports) ? data.recentReports : []).map(report => (
+                  <tr key={report.id}>
+                    <td>{new Date(report.reportedAt).toLocaleString()}</td>
+                    <td>{report.reportCategory}</td>
+                    <td>{report.model || 'N/A'}</td>
+                    <td>{report.provider ? `${report.provider}${report.providerFallback ? ' (fallback)' : ''}` : 'N/A'}</td>
+                    <td>{report.reason || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+
   const renderPayments = () => (
     <div className="admin-payments">
       <h3>Payment Management</h3>
@@ -307,6 +420,8 @@ const AdminPanel = ({ isVisible, onClose }) => {
         return renderAnalytics();
       case 'payments':
         return renderPayments();
+      case 'feedback':
+        return renderFeedback();
       case 'monitoring':
         return renderMonitoring();
       default:
@@ -355,6 +470,12 @@ const AdminPanel = ({ isVisible, onClose }) => {
           >
             Payments
           </button>
+          <button 
+            className={`tab-btn ${activeTab === 'feedback' ? 'active' : ''}`}
+            onClick={() => setActiveTab('feedback')}
+          >
+            Feedback
+          </button>
           <button 
             className={`tab-btn ${activeTab === 'monitoring' ? 'active' : ''}`}
             onClick={() => setActiveTab('monitoring')}
@@ -215,26 +215,27 @@ export const RichTextInput = ({
   );
 };
 
-// Message Search Component
-export const MessageSearch = ({ onSearch, onClear, isSearching = false }) => {
+// Message Search Component (GET /api/v1/search); `models` and `modes` are { value, label } options
+const EMPTY_SEARCH_FILTERS = {
+  dateRange: 'all',
+  messageType: 'all',
+  model: '',
+  mode: '',
+  hasAttachments: false
+};
+
+export const MessageSearch = ({ onSearch, onClear, isSearching = false, models = [], modes = [] }) => {
   const [query, setQuery] = useState('');
-  const [filters, setFilters] = useState({
-    dateRange: 'all',
-    messageType: 'all',
-    hasAttachments: false
-  });
+  const [filters, setFilters] = useState(EMPTY_SEARCH_FILTERS);
 
   const handleSearch = () => {
-    onSearch && onSearch({ query, filters });
+    if (!query.trim()) return;
+    onSearch && onSearch({ query: query.trim(), filters });
   };
 
   const handleClear = () => {
     setQuery('');
-    setFilters({
-      dateRange: 'all',
-      messageType: 'all',
-      hasAttachments: false
-    });
+    setFilters(EMPTY_SEARCH_FILTERS);
     onClear && onClear();
   };
 
@@ -290,6 +291,37 @@ export const MessageSearch = ({ onSearch, onClear, isSearching = false }) => {
           <option value="user">My messages</option>
           <option value="assistant">AI responses</option>
         </select>
+
+        {models.length > 0 && (
+          <select
+            value={filters.model}
+            onChange={(e) => setFilters({...filters, model: e.target.value})}
+            aria-label="Model filter"
+          >
+            <option value="">Any model</option>
+            {models.map(model => <option key={model.value} value={model.value}>{model.label}</option>)}
+          </select>
+        )}
+
+        {modes.length > 0 && (
+          <select
+            value={filters.mode}
+            onChange={(e) => setFilters({...filters, mode: e.target.value})}
+            aria-label="Mode filter"
+          >
+            <option value="">Any mode</option>
+            {modes.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+          </select>
+        )}
+
+        <label className="search-filter-check">
+          <input
+            type="checkbox"
+            checked={filters.hasAttachments}
+            onChange={(e) => setFilters({...filters, hasAttachments: e.target.checked})}
+          />
+          With attachments
+        </label>
       </div>
     </div>
   );
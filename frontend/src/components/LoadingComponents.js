@@ -82,8 +82,8 @@ export const EnhancedButton = ({
 };
 
 // Animated Message Container
-export const AnimatedMessage = ({ children, isNew = false }) => (
-  <div className={`${isNew ? 'message-enter message-enter-active' : ''}`}>
+export const AnimatedMessage = ({ children, isNew = false, id }) => (
+  <div id={id} className={`${isNew ? 'message-enter message-enter-active' : ''}`}>
     {children}
   </div>
 );
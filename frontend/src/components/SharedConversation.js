@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { Button, Spinner, Alert } from 'react-bootstrap';
+
+// Read-only page of a shared conversation snapshot; works without signing in
+const SharedConversation = ({ token, isAuthenticated, onContinue }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [share, setShare] = useState(null);
+  const [continuing, setContinuing] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    axios.get(`http://localhost:5000/api/v1/shares/public/${token}`)
+      .then(res => {
+        setShare(res.data);
+        setLoading(false);
+      })
+      .catch(err => {
+        setError(err.response?.status === 404
+          ? 'This shared chat does not exist, has expired or was revoked.'
+          : 'Failed to load the shared chat.');
+        setLoading(false);
+      });
+  }, [token]);
+
+  const handleContinue = async () => {
+    setContinuing(true);
+    try {
+      await onContinue(token);
+    } finally {
+      setContinuing(false);
+    }
+  };
+
+  return (
+    <div className="shared-page">
+      {loading && (
+        <div className="text-center p-5"><Spinner animation="border" role="status" /></div>
+      )}
+      {error && <Alert variant="warning">{error}</Alert>}
+      {share && (
+        <>
+          <header className="shared-header">
+            <h1>{share.title}</h1>
+            <small>
+              Shared {new Date(share.sharedAt).toLocaleDateString()} · {share.messageCount} messages
+              {share.expiresAt && ` · available until ${new Date(share.expiresAt).toLocaleDateString()}`}
+            </small>
+          </header>
+          {share.messages.map((message, i) => (
+            <div key={i} className={`shared-message ${message.role}`} role="article" aria-label={message.role === 'user' ? 'User message' : 'Assistant message'}>
+              <div className="shared-speaker">{message.role === 'user' ? 'User' : `Assistant${message.model ? ` (${message.model})` : ''}`}</div>
+              {message.attachmentOmitted && (
+                <div className="shared-attachment"><i className="fas fa-paperclip me-1" aria-hidden="true"></i>Attachment not included</div>
+              )}
+              {message.content && (
+                <ReactMarkdown remarkPlugins={[remarkGfm]}>{message.content}</ReactMarkdown>
+              )}
+            </div>
+          ))}
+          <footer className="shared-footer">
+            <Button onClick={handleContinue} disabled={continuing}>
+              {isAuthenticated ? 'Continue this chat' : 'Sign in to continue this chat'}
+            </Button>
+            <small>Continuing copies the chat into your account; the original stays unchanged.</small>
+          </footer>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SharedConversation;
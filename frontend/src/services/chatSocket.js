@@ -0,0 +1,117 @@
+// WebSocket chat transport (protocol documented in backend/services/chat/wsServer.js).
+// One socket is shared by all requests and opened on first use; frames are routed by request id.
+// The server authenticates the socket once, so it is reopened whenever the token changes.
+
+const WS_URL = process.env.REACT_APP_CHAT_WS_URL || 'ws://localhost:5000/api/v1/chat/ws';
+const CONNECT_TIMEOUT_MS = 5000;
+// After a failed connection, use HTTP for a while instead of retrying on every message
+const RETRY_AFTER_MS = 60 * 1000;
+
+let socket = null;
+let socketToken = null;
+// { token, ws, promise } while a connection is being opened
+let connecting = null;
+let unavailableUntil = 0;
+const handlers = new Map();
+
+const isSupported = () => typeof WebSocket !== 'undefined';
+
+const isAvailable = () => isSupported() && Date.now() >= unavailableUntil;
+
+function dispatch(frame) {
+  const handler = frame.id && handlers.get(frame.id);
+  if (handler) handler(frame);
+}
+
+// Close the socket (e.g. on logout); requests still running on it end with an error
+function close() {
+  const open = [socket, connecting && connecting.ws].filter(Boolean);
+  socket = null;
+  socketToken = null;
+  connecting = null;
+  for (const ws of open) {
+    ws.closedByClient = true;
+    ws.close();
+  }
+}
+
+function connect(token) {
+  if ((socket && socketToken !== token) || (connecting && connecting.token !== token)) close();
+  if (socket && socket.readyState === WebSocket.OPEN) return Promise.resolve(socket);
+  if (connecting) return connecting.promise;
+
+  const ws = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token || '')}`);
+  ws.requestIds = new Set();
+  const promise = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => ws.close(), CONNECT_TIMEOUT_MS);
+
+    ws.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch (_) {
+        return;
+      }
+      if (frame.type === 'ready') {
+        clearTimeout(timer);
+        if (ws.closedByClient) return;
+        socket = ws;
+        socketToken = token;
+        resolve(ws);
+        return;
+      }
+      dispatch(frame);
+    };
+
+    ws.onclose = () => {
+      clearTimeout(timer);
+      if (socket === ws) {
+        socket = null;
+        socketToken = null;
+      } else if (!ws.closedByClient) {
+        unavailableUntil = Date.now() + RETRY_AFTER_MS;
+      }
+      reject(new Error('Chat connection unavailable'));
+      // The server stops whatever was still running on this socket
+      for (const id of Array.from(ws.requestIds)) {
+        dispatch({ type: 'error', id, status: 0, error: 'Connection lost while receiving the reply.' });
+      }
+    };
+  });
+  const settle = () => {
+    if (connecting && connecting.ws === ws) connecting = null;
+  };
+  promise.then(settle, settle);
+  connecting = { token, ws, promise };
+  return promise;
+}
+
+// Send a chat request; onFrame gets every frame about it. Resolves after its last frame
+// (`done`, or an `error` with a status); rejects if no connection could be made.
+async function sendChat(token, request, onFrame) {
+  const ws = await connect(token);
+  return new Promise(resolve => {
+    ws.requestIds.add(request.id);
+    handlers.set(request.id, (frame) => {
+      onFrame(frame);
+      if (frame.type === 'done' || (frame.type === 'error' && frame.status !== undefined)) {
+        handlers.delete(request.id);
+        ws.requestIds.delete(request.id);
+        resolve();
+      }
+    });
+    ws.send(JSON.stringify({ type: 'send', ...request }));
+  });
+}
+
+function cancelChat(id) {
+  if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'cancel', id }));
+}
+
+export const chatSocket = {
+  isSupported,
+  isAvailable,
+  sendChat,
+  cancelChat,
+  close,
+};